@@ -1,10 +1,29 @@
 import { Client, ClientOptions, Collection, Interaction, Message, PresenceData } from 'discord.js';
 import { PluginManager } from './plugins/PluginManager';
 import { Database } from './utils/db';
+import { SyncOptions, SyncPlan } from './utils/slashSync';
+import { CommandManager } from './utils/managers/CommandManager';
+import { EventManager, Event as RegisteredEvent } from './utils/managers/EventManager';
+import { InteractionManager } from './utils/managers/InteractionManager';
+import { CommandArgument } from './utils/args';
+import { CommandMiddleware, MiddlewareOptions, MiddlewareEntry } from './utils/middleware';
+import { Subcommand } from './utils/subcommands';
+import { CooldownConfig, CooldownStore } from './utils/cooldowns';
+import { PromptOptions } from './utils/prompt';
+import { Prefix, PrefixInput } from './utils/prefixes';
+import { SuggestionMode, SuggestionOptions } from './utils/suggestions';
+import { AnalyticsFilter, AnalyticsOptions } from './utils/stats';
+import { ShardCounts, ShardedStats } from './utils/sharding';
+import { IntentsInput, PartialInput } from './utils/intents';
+import { Logger, RootLogger } from './utils/logger';
+import { ErrorReporter } from './utils/errors';
+import { HotReloader, HotReloadOptions } from './utils/hotReload';
+import { GatewayRecorder, RecordOptions } from './utils/recorder';
+import { EventModule } from './loaders/events';
 
 export interface BotConfig {
   token: string;
-  prefix?: string;
+  prefix?: PrefixInput;
   commandsPath?: string;
   eventsPath?: string;
   intents?: number[];
@@ -36,12 +55,21 @@ export interface CommandContext {
   isInteraction?: boolean;
   isDM?: boolean;
   isGuild?: boolean;
+  command?: Command | null;
+  subcommand?: string | null;
+  subcommandGroup?: string | null;
   reply: (...args: any[]) => Promise<any>;
   send: (...args: any[]) => Promise<any>;
   react: (emoji: string) => Promise<any>;
   db: Database;
+  logger?: Logger;
   hasPerms?: (perms: any) => boolean;
   fetchUser?: (id: string) => Promise<any>;
+  getOption?: (name: string) => any;
+  getUser?: (name: string) => any;
+  getMember?: (name: string) => any;
+  getChannel?: (name: string) => any;
+  getRole?: (name: string) => any;
 }
 
 export interface Command {
@@ -50,23 +78,48 @@ export interface Command {
   aliases?: string[];
   category?: string;
   usage?: string;
-  cooldown?: number;
+  /** Seconds, a time string such as '5s', or a bucket config (`{ refill, burst, scope, bypass, persist }`) */
+  cooldown?: CooldownConfig;
   permissions?: string[];
-  run: (ctx: CommandContext, ...args: any[]) => Promise<any> | any;
+  slash?: boolean;
+  /** Refuse prefix invocation; set for inline commands registered with `{ slash: true }` */
+  slashOnly?: boolean;
+  /** Set on the built-in commands (help, commandperms) */
+  builtin?: boolean;
+  guildOnly?: boolean;
+  nsfwOnly?: boolean;
+  /** Overrides the `default_member_permissions` derived from `permissions`. */
+  defaultMemberPermissions?: string[] | string | bigint | null;
+  /** Defaults to `!guildOnly`. Prefix commands only run in DMs when this is `true`. */
+  dmPermission?: boolean;
+  nameLocalizations?: Record<string, string>;
+  descriptionLocalizations?: Record<string, string>;
+  args?: CommandArgument[];
+  /** Middleware run just before this command, after global, category and plugin middleware */
+  middleware?: CommandMiddleware | CommandMiddleware[];
+  /** Set to false to ignore per-guild overrides (see CommandManager#setOverride) */
+  overridable?: boolean;
+  /** Ask for missing or invalid arguments instead of replying with the usage */
+  prompt?: boolean | PromptOptions;
+  /** Leave the command out of the built-in help */
+  hidden?: boolean;
+  /** Shown on the command's help page */
+  examples?: string[];
+  /** Subcommands and subcommand groups; `run` may be omitted when these are given. */
+  subcommands?: Subcommand[];
+  run?: (ctx: CommandContext, ...args: any[]) => Promise<any> | any;
   type?: number;
   contextMenu?: boolean;
   overload?: boolean;
   patterns?: any[];
+  /** The file the command was loaded from, for reloads */
+  file?: string;
 }
 
-export interface EventHandler {
-  name: string;
-  once?: boolean;
-  run: (bot: Bot, ...args: any[]) => Promise<any> | any;
-}
+export type EventHandler<K extends string = string> = EventModule<K>;
 
 // Alias for convenience
-export type Event = EventHandler;
+export type Event<K extends string = string> = EventHandler<K>;
 
 export declare class Bot {
   client: Client;
@@ -74,71 +127,141 @@ export declare class Bot {
   presence?: PresenceData | null;
   slashMode?: string;
   autoRegisterSlash?: boolean;
+  slashDryRun?: boolean;
+  /** false, or e.g. `{ commandperms: false }` to skip built-in commands; `{ slash: true }` to deploy them as slash commands too */
+  builtinCommands: boolean | Record<string, boolean>;
+  /** Count the built-in commands as prefix commands when working out intents */
+  prefixHelp: boolean;
+  /** Per-user rate limit applied to every command, or false */
+  rateLimit: CooldownConfig | false;
+  /** Directory of `<locale>.json` catalogs merged over the framework's own */
+  localesDir: string | null;
+  /** "Did you mean" replies for unknown prefix commands */
+  suggestions: SuggestionOptions;
+  /** Milliseconds stop() waits for running commands */
+  shutdownTimeout: number;
+  /** Whether SIGINT/SIGTERM run stop() */
+  handleSignals: boolean;
+  /** Command analytics settings, or false (see utils/stats) */
+  analytics: AnalyticsOptions | false;
+  /** The framework's logger (see utils/logger) */
+  logger: RootLogger;
+  /** Error IDs, grouping and the log channel (see utils/errors) */
+  errors: ErrorReporter;
+  /** The hotReload option */
+  hotReload: boolean | HotReloadOptions;
+  /** The file watcher, while watching */
+  hotReloader: HotReloader | null;
+  /** The record option */
+  recordOptions: (RecordOptions & { file: string }) | null;
+  /** The gateway recorder, while recording */
+  recorder: GatewayRecorder | null;
+  /** Application command IDs by name, filled in by slash sync */
+  commandIds: Map<string, string>;
   commands: Collection<string, Command>;
   aliases: Collection<string, string>;
-  cooldowns: Collection<any, any>;
+  cooldowns: CooldownStore;
   db: Database;
   pluginManager: PluginManager;
+  /** The command registry and execution pipeline; `commands`, `aliases` and `cooldowns` point into it */
+  commandManager: CommandManager;
+  /** The event registry used by `on()`, the events loader and plugins */
+  eventManager: EventManager;
+  /** Routes slash commands, context menus, components and autocomplete */
+  interactionManager: InteractionManager;
 
   // runtime options
   commandsDir?: string | null;
   eventsDir?: string | null;
   devGuild?: string | null;
   clientId?: string | null;
+  /** The first string prefix, shown in usage messages */
   prefix: string;
+  /** The default prefixes; `'@mention'` matches a mention of the bot */
+  prefixes: Prefix[];
+  caseInsensitivePrefix: boolean;
+  /** Intents always requested; with `autoIntents`, the ones listeners, commands and plugins need are added in start() */
+  intents: IntentsInput;
+  partials: PartialInput[];
+  autoIntents: boolean;
 
-  private _onCommandRun?: ((command: Command, ctx: CommandContext) => void | Promise<void>) | ((ctx: CommandContext, command: Command) => void | Promise<void>);
-  private _onCommandError?: ((error: Error, command: Command, ctx: CommandContext) => void | Promise<void>) | ((ctx: CommandContext, command: Command, error: Error) => void | Promise<void>);
-  private _beforeEvent?: (eventName: string, ctx: any, ...args: any[]) => void | Promise<void>;
   private _pendingPresence?: PresenceData | null;
-  private _wildcardListeners?: Array<(eventName: string, ctx: any, ...args: any[]) => void>;
   private _queues?: Record<string, any>;
-  private _inhibitors?: Array<(command: Command, ctx: CommandContext) => boolean | Promise<boolean>>;
-  private _cmdConfig?: Record<string, Record<string, boolean>>;
-  private _allEventHandler?: (ctx: any, ...args: any[]) => void;
   private _errorHandler?: (error: Error, command?: Command, ctx?: CommandContext) => void;
-  private _beforeCommand?: (command: Command, ctx: CommandContext) => void | Promise<void>;
-  private _afterCommand?: (command: Command, ctx: CommandContext) => void | Promise<void>;
 
   /**
    * Create a Bot instance.
    * @param token Bot token (or provide via env var). If omitted, will read process.env.DISCORD_TOKEN
-   * @param options Additional runtime options (commandsDir, eventsDir, devGuild, clientId, prefix, slashMode, autoRegisterSlash, presence)
+   * @param options Additional runtime options (commandsDir, eventsDir, devGuild, clientId, prefix, caseInsensitivePrefix, intents, partials, autoIntents, slashMode, autoRegisterSlash, slashDryRun, builtinCommands, prefixHelp, rateLimit, localesDir, defaultLocale, suggestions, analytics, shutdownTimeout, handleSignals, logger, errorReporting, hotReload, record, presence)
    */
   constructor(token?: string, options?: any);
 
+  /**
+   * Sync slash and context menu commands with Discord, applying only what changed.
+   * Called automatically on ready when `autoRegisterSlash` is enabled.
+   */
+  syncSlashCommands(options?: SyncOptions): Promise<SyncPlan | null>;
+
+  /** Render a clickable `</name:id>` mention, falling back to `/name` before sync. */
+  commandMention(name: string): string;
+
   /**
    * Sets the bot's presence (status/activity).
    */
   setPresence(presenceObj: PresenceData): void;
 
   /** Global hooks for command run/error */
-  // Accept both (command, ctx) and (ctx, command) callback signatures used across the codebase
   onCommandRun(fn: (command: Command, ctx: CommandContext) => void | Promise<void>): void;
-  onCommandRun(fn: (ctx: CommandContext, command: Command) => void | Promise<void>): void;
   onCommandError(fn: (error: Error, command: Command, ctx: CommandContext) => void | Promise<void>): void;
-  onCommandError(fn: (ctx: CommandContext, command: Command, error: Error) => void | Promise<void>): void;
 
   /** Event middleware */
   beforeEvent(fn: (eventName: string, ctx: any, ...args: any[]) => void | Promise<void>): void;
 
   /** Hot reload for commands/events */
+  /** Re-reads the files in commandsDir from disk; other commands are kept */
   reloadCommands(): Promise<void>;
+  /** Re-reads the files in eventsDir from disk; other listeners are kept */
   reloadEvents(): Promise<void>;
+  /** Watches commandsDir, eventsDir and the plugins directory and reloads what changes */
+  watch(options?: HotReloadOptions): HotReloader;
+  unwatch(): void;
+  /** Records the gateway dispatches the bot receives to a JSONL file */
+  startRecording(file: string, options?: RecordOptions): GatewayRecorder;
+  stopRecording(): Promise<void>;
 
   /** Wildcard event listeners */
   onAny(fn: (eventName: string, ctx: any, ...args: any[]) => void): void;
 
   /** Integrate scheduler and queue */
-  every(interval: string, fn: () => void): any;
-  cron(expr: string, fn: () => void): any;
+  /** When sharded, only runs on shard 0 unless `allShards` is set; returns null elsewhere */
+  every(interval: string, fn: () => void, options?: { allShards?: boolean }): any;
+  cron(expr: string, fn: () => void, options?: { allShards?: boolean }): any;
+  /** Whether this is shard 0, or the bot is not sharded */
+  isPrimaryShard(): boolean;
+  /** Runs on every shard, or on this client when not sharded; `fn` is serialized */
+  broadcastEval<T>(fn: (client: Client, context: any) => T | Promise<T>, options?: { context?: any; shard?: number }): Promise<T[]>;
+  fetchCounts(): Promise<ShardCounts>;
+  fetchStats(filter?: AnalyticsFilter & { limit?: number }): Promise<ShardedStats>;
   getQueue(name?: string): any;
 
+  /** Command middleware, run for every command after the built-in checks unless positioned */
+  useMiddleware(fn: CommandMiddleware, options?: MiddlewareOptions): MiddlewareEntry;
+  /** Remove middleware by name or function, including built-ins such as 'cooldown' or 'nsfwOnly' */
+  removeMiddleware(middleware: string | CommandMiddleware | MiddlewareEntry): boolean;
+
+  /** Prefix resolvers return extra prefixes for a message (or null) */
+  addPrefixResolver(fn: (message: Message, bot: Bot) => PrefixInput | null | void | Promise<PrefixInput | null | void>): { fn: Function; owner: string | null };
+  /** The guild's (or default) prefixes plus those from prefix resolvers */
+  getPrefixes(message: Message): Promise<Prefix[]>;
+
   /** Command inhibitors: pluggable conditions */
-  addInhibitor(fn: (command: Command, ctx: CommandContext) => boolean | Promise<boolean>): void;
+  addInhibitor(fn: (command: Command, ctx: CommandContext) => boolean | string | void | Promise<boolean | string | void>): void;
+
+  /** "Did you mean" mode for a guild; null goes back to the `suggestions` option */
+  setSuggestionMode(guildId: string, mode: SuggestionMode | null): Promise<void>;
 
-  /** Enable/disable commands per guild */
-  setCommandEnabled(guildId: string, cmdName: string, enabled: boolean): void;
+  /** Enable/disable commands per guild (persisted as a guild-wide override) */
+  setCommandEnabled(guildId: string, cmdName: string, enabled: boolean): Promise<void>;
   isCommandEnabled(guildId: string, cmdName: string): boolean;
 
   /** Register context menu command */
@@ -157,8 +280,8 @@ export declare class Bot {
   beforeCommand(handler: (command: Command, ctx: CommandContext) => void | Promise<void>): void;
   afterCommand(handler: (command: Command, ctx: CommandContext) => void | Promise<void>): void;
 
-  /** Change and persist a guild prefix at runtime */
-  setPrefix(guildId: string, newPrefix: string): Promise<void>;
+  /** Change and persist a guild's prefixes at runtime; null goes back to the defaults */
+  setPrefix(guildId: string, newPrefix: PrefixInput | null): Promise<void>;
 
   /** Plugin management methods */
   loadPlugin(pluginName: string): Promise<any>;
@@ -177,18 +300,21 @@ export declare class Bot {
   slash(name: string, handler: (ctx: CommandContext) => any, options?: any): void;
 
   /** Register text command */
-  command(name: string, handler: (ctx: CommandContext, ...args: any[]) => any, options?: any): void;
+  command(name: string, handler: (ctx: CommandContext, ...args: any[]) => any, options?: any): Command;
 
   /** Register event handler (wrapper that supplies a Ctx) */
-  on(event: string, handler: (...args: any[]) => void, once?: boolean): void;
+  on(event: string, handler: (...args: any[]) => void, once?: boolean): RegisteredEvent;
   once(event: string, handler: (...args: any[]) => void): void;
 
   /** Start and stop the bot */
   start(): Promise<void>;
-  stop(): Promise<void>;
-
-  // internal command runner
-  _runCommand(cmd: Command, ctx: CommandContext): Promise<void>;
+  /**
+   * Graceful shutdown: refuses new commands, waits for running ones (up to `shutdownTimeout`),
+   * runs onShutdown hooks, unloads plugins, stops jobs and queues, writes pending data, destroys the client
+   */
+  stop(options?: { reason?: string }): Promise<void>;
+  /** Runs during stop(), after running commands finish and before plugins unload */
+  onShutdown(fn: (reason: string) => any): void;
 }
 
 export default Bot;
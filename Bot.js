@@ -1,7 +1,20 @@
-const { Client, GatewayIntentBits, Partials, Collection } = require("discord.js");
+const { Client, IntentsBitField } = require("discord.js");
 const loadCommands = require("./loaders/commands");
 const loadEvents = require("./loaders/events");
 const Ctx = require("./utils/ctx");
+const { syncCommands } = require("./utils/slashSync");
+const { createBuiltinCommands } = require("./utils/builtinCommands");
+const i18n = require("./utils/i18n");
+const prefixes = require("./utils/prefixes");
+const stats = require("./utils/stats");
+const sharding = require("./utils/sharding");
+const time = require("./utils/time");
+const intents = require("./utils/intents");
+const { ErrorReporter } = require("./utils/errors");
+const hotReload = require("./utils/hotReload");
+const { HotReloader } = hotReload;
+const { GatewayRecorder } = require("./utils/recorder");
+const { CommandManager, EventManager, InteractionManager } = require("./utils/managers");
 const logger = require("./utils/logger");
 const db = require("./utils/db");
 const PluginManager = require("./plugins/PluginManager");
@@ -19,70 +32,167 @@ class Bot {
     }
   }
   /** Global hooks for command run/error */
-  onCommandRun(fn) { this._onCommandRun = fn; }
-  onCommandError(fn) { this._onCommandError = fn; }
+  onCommandRun(fn) { this.commandManager.onCommandRun = fn; }
+  onCommandError(fn) { this.commandManager.onCommandError = fn; }
 
+  /**
+   * Runs `fn(reason)` during stop(), after running commands finish and before plugins unload.
+   * `reason` is 'SIGINT', 'SIGTERM' or what was passed to stop().
+   */
+  onShutdown(fn) { this._shutdownHooks.push(fn); }
   /** Event middleware */
-  beforeEvent(fn) { this._beforeEvent = fn; }
+  beforeEvent(fn) { this.eventManager.beforeEvent = fn; }
 
-  /** Hot reload for commands/events */
+  /**
+   * Hot reload for commands/events: re-reads the files in commandsDir/eventsDir from disk.
+   * Commands and events from plugins or registered in code are kept.
+   */
   async reloadCommands() {
-    this.commands.clear();
-    await loadCommands(this);
+    const loaded = [...this.commands.values()].filter(cmd => cmd.file);
+    loaded.forEach(cmd => this.commandManager.unregister(cmd.name));
+    const removed = hotReload.invalidate(hotReload.withDependents(loaded.map(cmd => cmd.file)));
+    try {
+      this._registerBuiltinCommands({ missingOnly: true });
+      if (this.commandsDir) await loadCommands(this);
+    } catch (err) {
+      // Keep the previous commands
+      [...this.commands.values()].filter(cmd => cmd.file).forEach(cmd => this.commandManager.unregister(cmd.name));
+      loaded.forEach(cmd => this.commandManager.register(cmd.name, cmd));
+      hotReload.restore(removed);
+      throw err;
+    }
     logger.info('Commands hot-reloaded.');
   }
   async reloadEvents() {
-    // Remove all listeners except internal
-    this.client.removeAllListeners();
-    await loadEvents(this);
+    await this.eventManager.reload();
     logger.info('Events hot-reloaded.');
   }
 
+  /**
+   * Watches commandsDir, eventsDir and the plugins directory, and reloads what changed
+   * (see utils/hotReload). Started by start() when the `hotReload` option is set.
+   * @param {object} [options] - `{ debounce }`.
+   * @returns {HotReloader}
+   */
+  watch(options = {}) {
+    if (!this.hotReloader) this.hotReloader = new HotReloader(this, options).start();
+    return this.hotReloader;
+  }
+  /** Stops watching for changes */
+  unwatch() {
+    this.hotReloader?.stop();
+    this.hotReloader = null;
+  }
+
+  /**
+   * Records the gateway events the bot receives to a JSONL file, to replay them later with
+   * the test harness (see utils/recorder and testing/replay). Started by start() when the
+   * `record` option is set.
+   * @param {string} file - The file.
+   * @param {object} [options] - `{ content, events, append }`.
+   * @returns {GatewayRecorder}
+   */
+  startRecording(file, options = {}) {
+    if (!this.recorder) this.recorder = new GatewayRecorder(this, file, options).start();
+    return this.recorder;
+  }
+  /** Stops recording gateway events */
+  async stopRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    await recorder?.stop();
+  }
+
   /** Wildcard event listeners */
   onAny(fn) {
-    this._wildcardListeners = this._wildcardListeners || [];
-    this._wildcardListeners.push(fn);
+    this.eventManager.addWildcardListener(fn);
+  }
+  /**
+   * Integrate scheduler and queue. When sharded, jobs only run on shard 0 unless
+   * `{ allShards: true }` is passed; elsewhere these return null. Errors in jobs are reported (see utils/errors).
+   */
+  every(interval, fn, options = {}) {
+    if (!options.allShards && !this.isPrimaryShard()) return null;
+    return require('./utils/scheduler').every(interval, this.errors.wrap(fn, { source: 'interval', name: String(interval) }));
+  }
+  cron(expr, fn, options = {}) {
+    if (!options.allShards && !this.isPrimaryShard()) return null;
+    return require('./utils/scheduler').cron(expr, this.errors.wrap(fn, { source: 'cron', name: expr }));
   }
-  /** Integrate scheduler and queue */
-  every(interval, fn) {
-    return require('./utils/scheduler').every(interval, fn);
+
+  /** Whether this is shard 0 or the bot is not sharded (see ShardedBot) */
+  isPrimaryShard() {
+    return sharding.isPrimaryShard(this.client);
+  }
+  /**
+   * Runs `(client, context) => value` on every shard, or on this client when not sharded.
+   * The function is serialized, so it can only use what is passed in `options.context`.
+   */
+  broadcastEval(fn, options = {}) {
+    return sharding.broadcastEval(this.client, fn, options);
   }
-  cron(expr, fn) {
-    return require('./utils/scheduler').cron(expr, fn);
+  /** Guild and member counts over all shards */
+  fetchCounts() {
+    return sharding.fetchCounts((fn, options) => this.broadcastEval(fn, options));
+  }
+  /** Command analytics over all shards, see utils/stats */
+  fetchStats(filter) {
+    return sharding.fetchStats((fn, options) => this.broadcastEval(fn, options), filter);
   }
   getQueue(name = 'default') {
     this._queues = this._queues || {};
     if (!this._queues[name]) this._queues[name] = new (require('./utils/queue'))();
     return this._queues[name];
   }
+  /**
+   * Command middleware: `(ctx, next) => ...`, see CommandManager#use for options
+   * (`name`, `category`, `plugin`, `before`, `after`).
+   */
+  useMiddleware(fn, options = {}) {
+    return this.commandManager.use(fn, options);
+  }
+  /** Remove middleware by name or function, including built-in checks such as 'cooldown' */
+  removeMiddleware(middleware) {
+    return this.commandManager.remove(middleware);
+  }
+  /** Prefix resolvers: `(message, bot) => prefixes`, see CommandManager#addPrefixResolver */
+  addPrefixResolver(fn) {
+    return this.commandManager.addPrefixResolver(fn);
+  }
+  /** The prefixes that apply to a message */
+  getPrefixes(message) {
+    return this.commandManager.getPrefixes(message);
+  }
   /** Command inhibitors: pluggable conditions */
   addInhibitor(fn) {
-    this._inhibitors = this._inhibitors || [];
-    this._inhibitors.push(fn);
+    this.commandManager.addInhibitor(fn);
   }
 
-  /** Enable/disable commands per guild */
+  /** "Did you mean" mode for a guild ('on', 'silent' or 'off'; null for the default), persisted */
+  setSuggestionMode(guildId, mode) {
+    return this.commandManager.setSuggestionMode(guildId, mode);
+  }
+
+  /** Enable/disable commands per guild (persisted, see CommandManager#setOverride for finer rules) */
   setCommandEnabled(guildId, cmdName, enabled) {
-    this._cmdConfig = this._cmdConfig || {};
-    this._cmdConfig[guildId] = this._cmdConfig[guildId] || {};
-    this._cmdConfig[guildId][cmdName] = enabled;
+    return this.commandManager.setEnabled(guildId, cmdName, enabled);
   }
   isCommandEnabled(guildId, cmdName) {
-    return this._cmdConfig?.[guildId]?.[cmdName] !== false;
+    return this.commandManager.isEnabled(guildId, cmdName);
   }
 
   /** Register context menu command */
   contextMenu(name, type, handler, description = "No description") {
-    this.commands.set(name, { name, type, run: handler, description, contextMenu: true });
+    this.commandManager.register(name, { name, type, run: handler, description, contextMenu: true });
   }
 
   /** Register command overloads */
   overload(name, patterns, handler, description = "No description") {
-    this.commands.set(name, { name, patterns, run: handler, description, overload: true });
+    this.commandManager.register(name, { name, patterns, run: handler, description, overload: true });
   }
   /** Register global event hook */
   onAllEvents(handler) {
-    this._allEventHandler = handler;
+    this.eventManager.allEventHandler = handler;
   }
 
   /** Register error hook */
@@ -92,10 +202,10 @@ class Bot {
 
   /** Register pre/post command hooks */
   beforeCommand(handler) {
-    this._beforeCommand = handler;
+    this.commandManager.beforeCommand = handler;
   }
   afterCommand(handler) {
-    this._afterCommand = handler;
+    this.commandManager.afterCommand = handler;
   }
 
   /** Plugin management methods */
@@ -182,9 +292,56 @@ class Bot {
   /**
    * @param {string} [options.slashMode] - 'dev' for dev guild only, 'global' for global registration.
    * @param {boolean} [options.autoRegisterSlash] - Enable/disable automatic slash registration (default: true).
+   * @param {boolean} [options.slashDryRun] - Log the slash sync plan on startup without applying it.
+   * @param {number|string|object|false} [options.rateLimit] - Per-user rate limit for every command, as a cooldown config (default: { burst: 5, refill: '1s' }); false to disable.
+   * @param {boolean|object} [options.builtinCommands] - false to skip the built-in commands, e.g. { commandperms: false } to skip one,
+   *   or { slash: true } to also deploy them as slash commands (default: true, prefix only).
+   * @param {boolean} [options.prefixHelp] - Count the built-in commands as prefix commands when working out intents, so
+   *   `!help` works in a bot whose other commands are all slash-only (default: false).
+   * @param {string} [options.localesDir] - A directory of `<locale>.json` message catalogs, merged over the framework's own.
+   * @param {string} [options.defaultLocale] - The locale used when no other locale matches (default: "en").
+   * @param {string|object|false} [options.suggestions] - "Did you mean" replies for unknown prefix commands: 'on', 'silent', 'off',
+   *   or { mode, cooldown, max } (default: { mode: 'on', cooldown: '10s', max: 3 }).
+   * @param {number|string} [options.shutdownTimeout] - How long stop() waits for running commands (default: '10s').
+   * @param {boolean} [options.handleSignals] - Shut down gracefully on SIGINT/SIGTERM (default: true).
+   * @param {object|false} [options.analytics] - Command analytics: { flushInterval, retention: { hourly, daily } }
+   *   (default: { flushInterval: '1m', retention: { hourly: '7d', daily: '90d' } }); false to disable.
+   * @param {object} [options.logger] - Logger settings: { level, format, transports } (see utils/logger; default: from
+   *   LOG_LEVEL and LOG_FORMAT, pretty console output).
+   * @param {boolean|object} [options.hotReload] - Watch commandsDir, eventsDir and the plugins directory and reload what
+   *   changes: true or { debounce } (default: false). Meant for development.
+   * @param {object} [options.errorReporting] - Error reporting: { channelId, throttle, channelRate, maxRecent, captureRejections }
+   *   (default: { channelId: BOT_LOG_CHANNEL, throttle: '10m', channelRate: { burst: 5, refill: '1m' }, maxRecent: 100 }).
+   * @param {string|object} [options.record] - Record gateway events to a JSONL file: a path or { file, content, events, append }
+   *   (default: off). What users write is redacted unless content: true; tokens are always redacted.
    */
   this.slashMode = options.slashMode || (options.devGuild ? 'dev' : 'global');
   this.autoRegisterSlash = options.autoRegisterSlash !== false;
+  this.slashDryRun = !!options.slashDryRun;
+  this.builtinCommands = options.builtinCommands ?? true;
+  this.prefixHelp = !!options.prefixHelp;
+  this.rateLimit = options.rateLimit ?? { burst: 5, refill: '1s' };
+  this.localesDir = options.localesDir || null;
+  if (options.defaultLocale) i18n.setDefaultLocale(options.defaultLocale);
+  this.suggestions = {
+    mode: 'on',
+    cooldown: '10s',
+    max: 3,
+    ...(options.suggestions === false ? { mode: 'off' } : typeof options.suggestions === 'string' ? { mode: options.suggestions } : options.suggestions)
+  };
+  this.analytics = options.analytics ?? {};
+  this.shutdownTimeout = time.parseDuration(options.shutdownTimeout ?? '10s') ?? 10000;
+  this.handleSignals = options.handleSignals !== false;
+  if (options.logger) logger.configure(options.logger);
+  /** The framework's logger (see utils/logger) */
+  this.logger = logger;
+  /** Error IDs, grouping and the log channel (see utils/errors) */
+  this.errors = new ErrorReporter(this, options.errorReporting);
+  this.hotReload = options.hotReload ?? false;
+  this.hotReloader = null;
+  this.recordOptions = typeof options.record === 'string' ? { file: options.record } : options.record || null;
+  this.recorder = null;
+  this._shutdownHooks = [];
   this.presence = options.presence || null;
     /**
      * Creates an instance of the Bot.
@@ -194,24 +351,37 @@ class Bot {
      * @param {string} [options.eventsDir] - The directory for event files.
      * @param {string} [options.devGuild] - The developer guild ID for testing.
      * @param {string} [options.clientId] - The bot's client ID.
-     * @param {string} [options.prefix] - The default command prefix (default: "!").
+     * @param {string|RegExp|Array<string|RegExp>} [options.prefix] - The default command prefix, or several;
+     *   '@mention' matches a mention of the bot (default: "!").
+     * @param {boolean} [options.caseInsensitivePrefix] - Match prefixes case-insensitively (default: false).
+     * @param {Array<string|number>|number} [options.intents] - Gateway intents to always request (default: []).
+     * @param {Array<string|number>} [options.partials] - Partials to always enable (default: []).
+     * @param {boolean} [options.autoIntents] - Add the intents and partials that listeners, prefix commands and
+     *   plugins need (default: true); with false, only `intents` and `partials` are used.
      */
     this.token = token || process.env.DISCORD_TOKEN;
     if (!this.token) throw new Error("[betterdiscordjs] No token provided!");
 
+    // The intents and partials needed are added in start(), once everything is registered
+    this.intents = options.intents ?? [];
+    this.partials = options.partials ?? [];
+    this.autoIntents = options.autoIntents !== false;
     this.client = new Client({
-      intents: [
-        GatewayIntentBits.Guilds,
-        GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent,
-        GatewayIntentBits.GuildMembers
-      ],
-      partials: [Partials.Message, Partials.Channel, Partials.Reaction]
+      intents: intents.resolveIntents(this.intents),
+      partials: intents.resolvePartials(this.partials)
     });
 
-    this.commands = new Collection();
-    this.aliases = new Collection();
-    this.cooldowns = new Collection();
+    // Single registries for commands, events and interactions
+    this.commandManager = new CommandManager(this);
+    this.eventManager = new EventManager(this);
+    this.interactionManager = new InteractionManager(this, { listen: false });
+
+    // Shortcuts to the command registry
+    this.commands = this.commandManager.commands;
+    this.aliases = this.commandManager.aliases;
+    this.cooldowns = this.commandManager.cooldowns;
+    /** Application command IDs by name, filled in by slash sync */
+    this.commandIds = new Map();
     
     // Initialize plugin system
     this.pluginManager = new PluginManager(this);
@@ -221,93 +391,93 @@ class Bot {
     this.devGuild = options.devGuild || null;
     this.clientId = options.clientId || process.env.CLIENT_ID || null;
 
-    this.prefix = typeof options.prefix === "string" ? options.prefix : "!";
+    /** The default prefixes (strings, regular expressions or '@mention') */
+    this.prefixes = prefixes.normalize(options.prefix ?? "!");
+    /** The first string prefix, shown in usage messages */
+    this.prefix = this.prefixes.find(p => typeof p === "string" && p !== prefixes.MENTION) ?? "";
+    this.caseInsensitivePrefix = !!options.caseInsensitivePrefix;
 
-    /** Change the bot's prefix at runtime and persist it for a guild */
+    /**
+     * Change the prefixes for a guild at runtime and persist them. Accepts a string, a RegExp
+     * or an array (including '@mention'); null goes back to the bot's prefixes.
+     */
     this.setPrefix = async (guildId, newPrefix) => {
-      await db.setGuildConfig(guildId, 'prefix', newPrefix);
-      logger.info(`Prefix for guild ${guildId} changed to: ${newPrefix}`);
+      if (newPrefix === null || newPrefix === undefined) {
+        await db.delete(`guilds.${guildId}.prefix`);
+        logger.info(`Prefix for guild ${guildId} reset to the default`);
+        return;
+      }
+      await db.setGuildConfig(guildId, 'prefix', prefixes.serialize(newPrefix));
+      logger.info(`Prefix for guild ${guildId} changed to: ${[].concat(newPrefix).join(', ')}`);
     };
   }
 
-  /** Inline command, supports { slash: true } for slash command registration */
+  /** Inline command, supports { slash: true } for slash command registration (slash-only) */
   command(name, handler, descriptionOrOptions = "No description") {
     let description = typeof descriptionOrOptions === "string" ? descriptionOrOptions : (descriptionOrOptions.description || "No description");
     let options = typeof descriptionOrOptions === "object" ? descriptionOrOptions : {};
-    // Wrap handler for slash-only commands to provide default error handling
-    let run = handler;
-    if (options.slash) {
-      run = async function(ctx, ...args) {
-        if (!ctx.isInteraction) {
-          return ctx.reply("❌ This command is only available as a slash command. Please use the / version.");
-        }
-        return handler(ctx, ...args);
-      };
+    const cmd = { name, run: handler, description, slashOnly: !!options.slash, ...options };
+    return this.commandManager.register(name, cmd);
+  }
+
+  /**
+   * Syncs slash and context menu commands with Discord, only creating, editing or deleting
+   * what changed. Uses the dev guild when `slashMode` is 'dev', otherwise global commands.
+   * @param {object} [options] - `{ dryRun, force }`, see utils/slashSync.
+   */
+  async syncSlashCommands(options = {}) {
+    const guildId = this.slashMode === 'dev' ? this.devGuild : null;
+    if (this.slashMode === 'dev' && !guildId) {
+      logger.warn('slashMode is "dev" but no devGuild is set, cannot register slash commands.');
+      return null;
     }
-    const cmd = { name, run, description, ...options };
-    this.commands.set(name, cmd);
+    return syncCommands(this, { guildId, ...options });
+  }
+
+  /**
+   * Renders a clickable mention for a slash command, e.g. `</filter add:123>`.
+   * Falls back to plain `/name` text if the command has not been synced.
+   * @param {string} name - The command name, optionally followed by a subcommand path.
+   * @returns {string}
+   */
+  commandMention(name) {
+    const id = this.commandIds.get(name.split(' ')[0]);
+    return id ? `</${name}:${id}>` : `/${name}`;
   }
 
   /** Inline event, supports event groups and middleware */
   on(eventName, handler, once = false) {
-    const wrapped = (...args) => {
-      const ctx = new Ctx(args[0], this);
-      // Event middleware
-      if (this._beforeEvent) this._beforeEvent(eventName, ctx, ...args);
-      // Event group logging
-      const group = eventName.includes('/') ? eventName.split('/')[0] : null;
-      if (group) logger.info(`[${group}] Event: ${eventName}`);
-      // Wildcard listeners
-      if (this._wildcardListeners) {
-        for (const fn of this._wildcardListeners) fn(eventName, ctx, ...args);
-      }
-      return handler(ctx, ...args);
-    };
-    if (once) this.client.once(eventName, wrapped);
-    else this.client.on(eventName, wrapped);
+    const group = eventName.includes('/') ? eventName.split('/')[0] : null;
+    return this.eventManager.register(eventName, handler, { once, group });
   }
 
-  async start() {
-    // Register slash commands with Discord (if enabled)
-    if (this.autoRegisterSlash) {
-      const slashCommands = [];
-      for (const cmd of this.commands.values()) {
-        if (cmd.slash) {
-          slashCommands.push({
-            name: cmd.name,
-            description: cmd.description || 'No description',
-            options: cmd.options || [],
-          });
-        }
-      }
-      if (slashCommands.length) {
-        const { REST, Routes } = require('discord.js');
-        const rest = new REST({ version: '10' }).setToken(this.token);
-        try {
-          if (this.slashMode === 'dev' && this.devGuild && this.clientId) {
-            await rest.put(
-              Routes.applicationGuildCommands(this.clientId, this.devGuild),
-              { body: slashCommands }
-            );
-            logger.info(`Registered ${slashCommands.length} slash commands in dev guild.`);
-          } else if (this.slashMode === 'global' && this.clientId) {
-            await rest.put(
-              Routes.applicationCommands(this.clientId),
-              { body: slashCommands }
-            );
-            logger.info(`Registered ${slashCommands.length} global slash commands.`);
-          } else {
-            logger.warn('clientId or devGuild not set, cannot register slash commands.');
-          }
-        } catch (err) {
-          logger.error('Failed to register slash commands:', err);
-        }
-      }
+  /**
+   * Registers the built-in commands (help, commandperms) unless disabled in the options.
+   * With `missingOnly`, commands already registered under their names are kept. They are only
+   * deployed as slash commands with `builtinCommands: { slash: true }`, so upgrading doesn't
+   * publish new global commands.
+   */
+  _registerBuiltinCommands(options = {}) {
+    if (!this.builtinCommands) return;
+    for (const cmd of createBuiltinCommands(this)) {
+      if (this.builtinCommands[cmd.name] === false) continue;
+      if (options.missingOnly && this.commandManager.commands.has(cmd.name)) continue;
+      const slash = !!cmd.slash && this.builtinCommands.slash === true;
+      this.commandManager.register(cmd.name, { ...cmd, slash }, { builtin: true });
     }
-    // Hot-reload safety: clear listeners if restarting
-    this.client.removeAllListeners();
+  }
 
-    await db.init();
+  async start() {
+    if (this.handleSignals && !this._signalHandlers) this._hookSignals();
+    this.errors.start();
+    // lowdb rewrites the whole file on every write, so each shard needs a file of its own
+    await db.init(this.client.shard ? { file: `botdata.shard-${this.client.shard.ids[0]}.json` } : {});
+    if (this.localesDir) i18n.load(this.localesDir);
+    // A shard's file starts as a copy of botdata.json, so it reads only its own rollups and
+    // analytics copied from an unsharded run are not counted once per shard
+    stats.start(this.analytics, this.client.shard ? `shards.${this.client.shard.ids[0]}.analytics` : 'analytics');
+    // Built-in commands first, so command files and plugins can replace them
+    this._registerBuiltinCommands();
     if (this.commandsDir) await loadCommands(this);
     if (this.eventsDir) {
       const fs = require('fs');
@@ -340,19 +510,22 @@ class Bot {
       this._pendingPlugins = [];
     }
 
-    // Global event hook
-    this.client.on('raw', (...args) => {
-      if (this._allEventHandler) {
+    // Everything is registered now, so work out what to ask Discord for
+    this._applyIntents();
+    if (this.hotReload) this.watch(this.hotReload === true ? {} : this.hotReload);
+
+    // The framework's own listeners, owned by 'core' so clearing or reloading events keeps them
+    this.eventManager.listen('raw', (...args) => {
+      if (this.eventManager.allEventHandler) {
         const ctx = new Ctx(args[0], this);
-        this._allEventHandler(ctx, ...args);
+        this.eventManager.allEventHandler(ctx, ...args);
       }
     });
 
-    this.client.once("clientReady", () => {
+    this.eventManager.listen("clientReady", async () => {
       logger.info(`✅ Logged in as ${this.client.user.tag}`);
       // Pretty dashboard
       logger.info(`Commands loaded: ${this.commands.size}`);
-      logger.info(`Events loaded: ...`); // Could count events
       // Set initial presence if provided
       if (this.presence) {
         this.setPresence(this.presence);
@@ -360,145 +533,118 @@ class Bot {
         this.setPresence(this._pendingPresence);
         this._pendingPresence = null;
       }
-    });
+      // Register slash commands with Discord (if enabled), once for all shards
+      if (this.autoRegisterSlash && this.isPrimaryShard()) {
+        try {
+          await this.syncSlashCommands({ dryRun: this.slashDryRun });
+        } catch (err) {
+          logger.error('Failed to sync slash commands:', err);
+        }
+      }
+    }, { once: true });
 
-    // Slash command handler
-    this.client.on("interactionCreate", async interaction => {
-      if (!interaction.isCommand()) return;
-      const cmd = this.commands.get(interaction.commandName);
-      if (!cmd) return;
-      const ctx = new Ctx(interaction, this);
-      this._runCommand(cmd, ctx);
-    });
+    // Slash command, context menu and component handler
+    this.eventManager.listen("interactionCreate", interaction => this.interactionManager.handle(interaction));
 
     // Prefix command handler
-    this.client.on("messageCreate", async msg => {
-      if (msg.author.bot || !msg.guild) return;
-  const prefix = await db.getGuildConfig(msg.guild.id, 'prefix', this.prefix);
-      if (!msg.content.startsWith(prefix)) return;
-      const args = msg.content.slice(prefix.length).trim().split(/\s+/);
-      const cmdName = args.shift().toLowerCase();
-
-      const cmd =
-        this.commands.get(cmdName) ||
-        this.commands.get(this.aliases.get(cmdName));
-      if (!cmd) return;
-
-      const ctx = new Ctx(msg, this, args);
-      // Rate limit
-      const rateLimit = require('./utils/rateLimit');
-      if (!rateLimit.check(ctx.user.id, cmdName)) {
-        return ctx.reply('⏳ You are being rate limited.');
-      }
-      // Command logging middleware
-      require('./utils/stats').logCommand(cmdName, ctx.user.id);
-      // Pre-command hook
-      if (this._beforeCommand) await this._beforeCommand(cmd, ctx);
-      await this._runCommand(cmd, ctx);
-      // Post-command hook
-      if (this._afterCommand) await this._afterCommand(cmd, ctx);
-    });
+    this.eventManager.listen("messageCreate", msg => this.commandManager.handleMessage(msg));
+
+    // Recording starts before login, so READY and GUILD_CREATE are in the file
+    if (this.recordOptions) {
+      const { file, ...recordOptions } = this.recordOptions;
+      this.startRecording(file, recordOptions);
+    }
 
     this.client.login(this.token);
   }
 
-  async stop() {
-    // Graceful shutdown
-    await this.client.destroy();
-    logger.info('Bot stopped gracefully.');
+  /**
+   * Sets the client's intents and partials before login (see utils/intents) and warns about
+   * listeners that can never fire.
+   * @private
+   */
+  _applyIntents() {
+    const { intents: bits, partials, warnings } = intents.derive(this, {
+      intents: this.intents,
+      partials: this.partials,
+      auto: this.autoIntents
+    });
+    this.client.options.intents = new IntentsBitField(bits).freeze();
+    this.client.options.partials = partials;
+    this._intentsApplied = true;
+
+    const enabled = intents.names(bits);
+    logger.info(`Gateway intents: ${enabled.join(', ') || 'none'}`);
+    const privileged = enabled.filter(name => intents.PRIVILEGED.includes(name));
+    if (privileged.length) logger.info(`Privileged intents (enable them in the Developer Portal): ${privileged.join(', ')}`);
+    for (const warning of warnings) logger.warn(warning);
   }
 
-  async _runCommand(cmd, ctx) {
-    if (this._onCommandRun) {
-      try { await this._onCommandRun(cmd, ctx); } catch (e) { /* ignore */ }
-    }
-    // Dynamic enable/disable per guild
-    if (ctx.guild && !this.isCommandEnabled(ctx.guild.id, cmd.name)) {
-      return ctx.reply("❌ This command is disabled in this server.");
-    }
+  /**
+   * Shuts the bot down gracefully: stops accepting commands, waits for the running ones (up to
+   * `shutdownTimeout`), runs the onShutdown hooks, unloads plugins (dependents first), stops
+   * scheduled jobs and queues, writes pending data, then destroys the client. Calling it again
+   * returns the same promise.
+   * @param {object} [options] - `{ reason }`, passed to the onShutdown hooks (default: 'stop').
+   * @returns {Promise<void>}
+   */
+  stop(options = {}) {
+    this._stopping ||= this._shutdown(options.reason || 'stop');
+    return this._stopping;
+  }
 
-    // Command inhibitors
-    if (this._inhibitors) {
-      for (const inhibitor of this._inhibitors) {
-        const result = await inhibitor(cmd, ctx);
-        if (result === false) return;
-        if (typeof result === "string") return ctx.reply(result);
-      }
-    }
+  /** @private */
+  async _shutdown(reason) {
+    logger.info(`Shutting down (${reason})...`);
+    const running = await this.commandManager.drain(this.shutdownTimeout);
+    if (running) logger.warn(`${running} command(s) still running after ${this.shutdownTimeout}ms, shutting down anyway.`);
 
-    // Command overloads
-    if (cmd.overload && cmd.patterns) {
-      for (const pattern of cmd.patterns) {
-        if (pattern.match(ctx.args)) {
-          return await pattern.run(ctx, ctx.args);
-        }
-      }
-      return ctx.reply("❌ No matching overload for arguments.");
-    }
-    // Per-command before middleware
-    if (cmd.before) {
-      try { await cmd.before(ctx); } catch (err) { /* ignore */ }
+    for (const fn of this._shutdownHooks) {
+      try { await fn(reason); } catch (err) { logger.error('Error in onShutdown hook:', err); }
     }
 
-    // Built-in inhibitors
-    if (cmd.guildOnly && ctx.isDM) {
-      return ctx.reply("❌ This command can only be used in servers.");
-    }
-    if (cmd.nsfwOnly && !ctx.channel.nsfw) {
-      return ctx.reply("❌ This command can only be used in NSFW channels.");
-    }
-    if (cmd.devOnly && ctx.user.id !== process.env.BOT_OWNER_ID) {
-      return ctx.reply("❌ This command is only for bot developers.");
-    }
-    if (cmd.permissions && !ctx.hasPerms(cmd.permissions)) {
-      return ctx.reply("❌ You don’t have permission to use this.");
-    }
-    // Cooldown
-    const cooldown = cmd.cooldown;
-    if (cooldown) {
-      const now = Date.now();
-      const timestamps = this.cooldowns.get(cmd.name) || new Map();
-      const cooldownMs = require("./utils/time").parse(cooldown);
-      const expire = timestamps.get(ctx.user.id) || 0;
-      if (now < expire) {
-        const left = Math.ceil((expire - now) / 1000);
-        return ctx.reply(`⏳ Please wait ${left}s before using \`${cmd.name}\` again.`);
-      }
-      timestamps.set(ctx.user.id, now + cooldownMs);
-      this.cooldowns.set(cmd.name, timestamps);
+    await this.pluginManager.unloadAll();
+
+    require('./utils/scheduler').stopAll();
+    for (const [name, queue] of Object.entries(this._queues || {})) {
+      if (queue.length) logger.warn(`Dropping ${queue.length} pending item(s) in queue "${name}".`);
+      queue.clear();
     }
 
-    try {
-      await cmd.run(ctx);
-      // Per-command after middleware
-      if (cmd.after) {
-        try { await cmd.after(ctx); } catch (err) { /* ignore */ }
-      }
-    } catch (err) {
-      logger.error(`Error in command ${cmd.name}: ${err.stack}`);
-      let errorSent = false;
-      // Per-command error middleware
-      if (cmd.onError) {
-        try { await cmd.onError(err, ctx); errorSent = true; } catch (e) { /* ignore */ }
-      }
-      // Global command error hook
-      if (this._onCommandError) {
-        try { await this._onCommandError(err, cmd, ctx); errorSent = true; } catch (e) { /* ignore */ }
-      }
-      // Error hook
-      if (this._errorHandler) {
-        try { this._errorHandler(err, cmd, ctx); errorSent = true; } catch (e) { /* ignore */ }
-      }
-      // Always send default error message if not sent
-      if (!errorSent) {
-        await ctx.reply("⚠️ Something went wrong.");
-      }
-      // Error reporting to channel
-      const logChannelId = process.env.BOT_LOG_CHANNEL;
-      if (logChannelId) {
-        const logChannel = this.client.channels.cache.get(logChannelId);
-        if (logChannel) logChannel.send(`Error in command ${cmd.name}: ${err.stack}`);
-      }
+    await stats.stop();
+    await db.flush();
+
+    for (const [signal, handler] of Object.entries(this._signalHandlers || {})) process.off(signal, handler);
+    this._signalHandlers = null;
+    this.errors.stop();
+    this.unwatch();
+    await this.stopRecording();
+    await this.client.destroy();
+    logger.info('Bot stopped gracefully.');
+  }
+
+  /**
+   * Runs stop() on SIGINT and SIGTERM, then exits. A second signal exits right away.
+   * @private
+   */
+  _hookSignals() {
+    this._signalHandlers = {};
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      const handler = () => {
+        if (this._stopping) {
+          logger.warn(`${signal} received again, exiting now.`);
+          process.exit(1);
+        }
+        this.stop({ reason: signal }).then(
+          () => process.exit(0),
+          err => {
+            logger.error('Shutdown failed:', err);
+            process.exit(1);
+          }
+        );
+      };
+      process.on(signal, handler);
+      this._signalHandlers[signal] = handler;
     }
   }
 }
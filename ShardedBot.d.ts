@@ -0,0 +1,57 @@
+import { ChildProcess } from 'child_process';
+import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+import { Client, Shard, ShardingManager } from 'discord.js';
+import { AnalyticsFilter } from './utils/stats';
+import { ShardCounts, ShardedStats } from './utils/sharding';
+
+export interface ShardedBotOptions {
+  /** Default: DISCORD_TOKEN */
+  token?: string;
+  /** Default: 'auto' */
+  totalShards?: number | 'auto';
+  /** Default: 'auto' */
+  shardList?: number[] | 'auto';
+  /** Default: 'process' */
+  mode?: 'process' | 'worker';
+  /** Respawn shards that die (default: true) */
+  respawn?: boolean;
+  shardArgs?: string[];
+  execArgv?: string[];
+}
+
+export interface ShardedBotEvents {
+  shardSpawn: [shard: Shard, child: ChildProcess | Worker];
+  shardRespawn: [shard: Shard, child: ChildProcess | Worker];
+  shardReady: [shard: Shard];
+  shardDeath: [shard: Shard, child: ChildProcess | Worker];
+  shardDisconnect: [shard: Shard];
+  shardReconnecting: [shard: Shard];
+  shardError: [error: Error, shard: Shard];
+}
+
+/**
+ * Launches a bot script once per shard. utils/db is single-writer, so each shard uses its own
+ * data file (data/botdata.shard-<id>.json); keep data every shard must see in your own database.
+ */
+export declare class ShardedBot extends EventEmitter {
+  /** Absolute path of the bot script each shard runs */
+  file: string;
+  token: string;
+  manager: ShardingManager;
+
+  constructor(file: string, options?: ShardedBotOptions);
+
+  on<K extends keyof ShardedBotEvents>(event: K, listener: (...args: ShardedBotEvents[K]) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once<K extends keyof ShardedBotEvents>(event: K, listener: (...args: ShardedBotEvents[K]) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  start(options?: { amount?: number | 'auto'; delay?: number; timeout?: number }): Promise<this>;
+  broadcastEval<T>(fn: (client: Client, context: any) => T | Promise<T>, options?: { context?: any; shard?: number }): Promise<T[]>;
+  fetchCounts(): Promise<ShardCounts>;
+  fetchStats(filter?: AnalyticsFilter & { limit?: number }): Promise<ShardedStats>;
+  stop(): Promise<void>;
+}
+
+export default ShardedBot;
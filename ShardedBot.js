@@ -0,0 +1,119 @@
+const { ShardingManager } = require("discord.js");
+const { EventEmitter } = require("events");
+const path = require("path");
+const sharding = require("./utils/sharding");
+const logger = require("./utils/logger");
+
+/**
+ * Launches a bot across several shards with discord.js's `ShardingManager`. Every shard runs
+ * the same bot script (the one that creates a `Bot` and calls `start()`), so commands, events
+ * and plugins are loaded from the same directories; the bot notices it runs in a shard and only
+ * syncs slash commands and runs scheduled jobs on shard 0. The database allows only one writer
+ * per file, so each shard keeps its data in `data/botdata.shard-<id>.json`.
+ *
+ * Shard lifecycle events are emitted on the launcher: `shardSpawn`, `shardRespawn`,
+ * `shardReady`, `shardDeath`, `shardDisconnect`, `shardReconnecting` and `shardError`.
+ */
+class ShardedBot extends EventEmitter {
+  /**
+   * Creates the launcher. Nothing is spawned until {@link ShardedBot#start}.
+   * @param {string} file - The bot script each shard runs.
+   * @param {object} [options={}] - The launcher options.
+   * @param {string} [options.token] - The Discord bot token (default: DISCORD_TOKEN), passed on to the shards.
+   * @param {number|string} [options.totalShards] - The number of shards, or 'auto' for Discord's recommendation (default: 'auto').
+   * @param {Array<number>|string} [options.shardList] - The shard IDs this launcher spawns (default: 'auto', all of them).
+   * @param {string} [options.mode] - 'process' or 'worker' (default: 'process').
+   * @param {boolean} [options.respawn] - Respawn shards that die (default: true).
+   * @param {Array<string>} [options.shardArgs] - Arguments passed to the shard script.
+   * @param {Array<string>} [options.execArgv] - Node arguments for the shard processes.
+   */
+  constructor(file, options = {}) {
+    super();
+    this.file = path.resolve(file);
+    this.token = options.token || process.env.DISCORD_TOKEN;
+    this.manager = new ShardingManager(this.file, {
+      token: this.token,
+      totalShards: options.totalShards ?? 'auto',
+      shardList: options.shardList ?? 'auto',
+      mode: options.mode || 'process',
+      respawn: options.respawn !== false,
+      shardArgs: options.shardArgs || [],
+      execArgv: options.execArgv || []
+    });
+    this._spawned = new Set();
+    this.manager.on('shardCreate', shard => this._track(shard));
+  }
+
+  /**
+   * Forwards a shard's lifecycle events.
+   * @param {Shard} shard - The shard that was created.
+   * @private
+   */
+  _track(shard) {
+    shard.on('spawn', child => {
+      // A shard spawning again after a death is a respawn
+      const respawned = this._spawned.has(shard.id);
+      this._spawned.add(shard.id);
+      logger.info(`Shard ${shard.id} ${respawned ? 'respawned' : 'spawned'}.`);
+      this.emit(respawned ? 'shardRespawn' : 'shardSpawn', shard, child);
+    });
+    shard.on('ready', () => this.emit('shardReady', shard));
+    shard.on('death', child => {
+      logger.warn(`Shard ${shard.id} died${child?.exitCode != null ? ` (exit code ${child.exitCode})` : ''}.`);
+      this.emit('shardDeath', shard, child);
+    });
+    shard.on('disconnect', () => this.emit('shardDisconnect', shard));
+    shard.on('reconnecting', () => this.emit('shardReconnecting', shard));
+    shard.on('error', err => {
+      logger.error(`Shard ${shard.id} error:`, err);
+      this.emit('shardError', err, shard);
+    });
+  }
+
+  /**
+   * Spawns the shards.
+   * @param {object} [options] - `{ amount, delay, timeout }`, as for `ShardingManager#spawn`.
+   * @returns {Promise<ShardedBot>}
+   */
+  async start(options = {}) {
+    if (!this.token) throw new Error('No token provided. Pass options.token or set DISCORD_TOKEN.');
+    await this.manager.spawn(options);
+    logger.info(`✅ Spawned ${this.manager.shards.size} shard(s)`);
+    return this;
+  }
+
+  /**
+   * Runs a function on every shard (or one, with `options.shard`).
+   * @param {Function} fn - `(client, context) => value`; it is serialized, so it can only use `context`.
+   * @param {object} [options] - `{ context, shard }`.
+   * @returns {Promise<Array<*>|*>}
+   */
+  broadcastEval(fn, options) {
+    return this.manager.broadcastEval(fn, options);
+  }
+
+  /**
+   * Guild and member counts over all shards.
+   * @returns {Promise<{ guilds: number, users: number, shards: number }>}
+   */
+  fetchCounts() {
+    return sharding.fetchCounts((fn, options) => this.manager.broadcastEval(fn, options));
+  }
+
+  /**
+   * Command analytics over all shards (see utils/stats).
+   * @param {object} [filter] - `{ guildId, command, since, until, granularity, limit }`.
+   * @returns {Promise<object>}
+   */
+  fetchStats(filter) {
+    return sharding.fetchStats((fn, options) => this.manager.broadcastEval(fn, options), filter);
+  }
+
+  /** Kills every shard; they are not respawned. */
+  async stop() {
+    for (const shard of this.manager.shards.values()) shard.kill();
+    logger.info('All shards stopped.');
+  }
+}
+
+module.exports = ShardedBot;
@@ -29,6 +29,7 @@ function showHelp() {
   
 ${colors.bright}Commands:${colors.reset}
   create <name>     Create a new bot project
+  console           Run the bot in this directory in the terminal, offline
   
 ${colors.bright}Options:${colors.reset}
   --template, -t    Template to use (basic|advanced|minimal)
@@ -37,6 +38,12 @@ ${colors.bright}Options:${colors.reset}
   --yes, -y         Skip prompts and use defaults
   --no-install      Don't install dependencies automatically
   --help, -h        Show this help message
+
+${colors.bright}Console options:${colors.reset}
+  --commands <dir>  Commands directory (default: ./commands)
+  --events <dir>    Events directory (default: ./events)
+  --plugins <dir>   Load plugins from this directory (default: none)
+  --prefix <prefix> Command prefix (default: !)
   
 ${colors.bright}Examples:${colors.reset}
   ${colors.dim}# Interactive setup${colors.reset}
@@ -53,6 +60,9 @@ ${colors.bright}Examples:${colors.reset}
   
   ${colors.dim}# TypeScript with advanced template${colors.reset}
   npx @axrxvm/betterdiscordjs create my-bot --typescript -t advanced
+
+  ${colors.dim}# Try your commands in the terminal (or pipe a script of command lines)${colors.reset}
+  betterdjs console --prefix !
   
 ${colors.bright}Templates:${colors.reset}
   ${colors.cyan}basic${colors.reset}     - Complete setup with example commands and events
@@ -221,6 +231,31 @@ function showSuccessMessage(projectName, config) {
   console.log(`  ${colors.dim}Discord API:${colors.reset} https://discord.com/developers/docs\n`);
 }
 
+/**
+ * Runs the bot in the current directory in the terminal, without connecting to Discord.
+ * Exits with 1 when a line failed or the bot reported errors, for scripts.
+ */
+async function runConsole(args) {
+  // The prompts' readline would take the lines meant for the console
+  prompts.close();
+  const fs = require('fs');
+  const { runConsole } = require('../testing/console');
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+  const ifExists = dir => (fs.existsSync(path.resolve(dir)) ? dir : null);
+
+  const { failures } = await runConsole({
+    commandsDir: option('--commands', ifExists('./commands')),
+    eventsDir: option('--events', ifExists('./events')),
+    pluginsDir: option('--plugins', null),
+    prefix: option('--prefix', '!')
+  });
+  process.exit(failures ? 1 : 0);
+}
+
+
 // CLI Entry Point
 async function main() {
   const args = process.argv.slice(2);
@@ -266,6 +301,8 @@ async function main() {
       }
       process.exit(1);
     }
+  } else if (command === 'console') {
+    await runConsole(args.slice(1));
   } else {
     log.error(`Unknown command: ${command}`);
     console.log(`\n${colors.dim}Run with --help for usage information${colors.reset}\n`);
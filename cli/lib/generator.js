@@ -246,7 +246,8 @@ function createCommands(projectPath, language, template, prefix) {
   const commandsDir = path.join(projectPath, isTypescript ? 'src' : '', 'commands');
   const ext = isTypescript ? 'ts' : 'js';
   
-  const commands = ['ping', 'help', 'userinfo'];
+  // help is built in
+  const commands = ['ping', 'userinfo'];
   if (template === 'advanced') {
     commands.push('poll', 'remind');
   }
@@ -15,7 +15,7 @@ bot.onCommandRun((cmd, ctx) => {
 });
 
 bot.on('ready', (ctx) => {
-  console.log(`✓ Bot is ready! Logged in as ${ctx.user.tag}`);
+  console.log(`✓ Bot is ready! Logged in as ${ctx.client.user.tag}`);
   ctx.client.user.setActivity('{{PREFIX}}help', { type: 'LISTENING' });
 });
 
@@ -11,7 +11,7 @@ bot.command('ping', async (ctx) => {
 });
 
 bot.on('ready', (ctx) => {
-  console.log(`✓ ${ctx.user.tag} is ready!`);
+  console.log(`✓ ${ctx.client.user.tag} is ready!`);
 });
 
 bot.start();
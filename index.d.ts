@@ -1,4 +1,5 @@
 import { Bot, BotConfig, Command, CommandContext, EventHandler, Event } from './Bot';
+import { ShardedBot, ShardedBotOptions } from './ShardedBot';
 import { BasePlugin, PluginManager } from './plugins/BasePlugin';
 import { Database } from './utils/db';
 import { logger } from './utils/logger';
@@ -12,7 +13,7 @@ import { CommandManager } from './utils/managers/CommandManager';
 import { EventManager } from './utils/managers/EventManager';
 import { InteractionManager } from './utils/managers/InteractionManager';
 import { ComponentBuilder, BetterButton, BetterSelectMenu, BetterRow } from './utils/components';
-import { Context as Ctx } from './utils/ctx';
+import { Context as Ctx, EventContext, EventContexts } from './utils/ctx';
 
 // Built-in plugins
 export { default as WelcomePlugin } from './plugins/welcome';
@@ -22,6 +23,8 @@ export { default as AutoModPlugin } from './plugins/automod';
 // Main exports
 export {
   Bot,
+  ShardedBot,
+  ShardedBotOptions,
   BotConfig,
   Command,
   CommandContext,
@@ -45,11 +48,14 @@ export {
   BetterSelectMenu,
   BetterRow,
   Ctx,
+  EventContext,
+  EventContexts,
 };
 
 // Default export
 declare const betterdiscordjs: {
   Bot: typeof Bot;
+  ShardedBot: typeof ShardedBot;
   time: typeof time;
   colors: typeof colors;
   logger: typeof logger;
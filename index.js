@@ -5,6 +5,7 @@
  */
 
 const Bot = require("./Bot");
+const ShardedBot = require("./ShardedBot");
 const time = require("./utils/time");
 const colors = require("./utils/colors");
 const logger = require("./utils/logger");
@@ -31,6 +32,7 @@ const Ctx = require("./utils/ctx");
  * The main export of the betterdiscordjs framework.
  * @module betterdiscordjs
  * @property {Bot} Bot - The main Bot class.
+ * @property {ShardedBot} ShardedBot - Launches a bot across several shards.
  * @property {object} time - Time and duration utilities.
  * @property {object} colors - Color definitions for logging.
  * @property {object} logger - The logging utility.
@@ -43,6 +45,7 @@ const Ctx = require("./utils/ctx");
  */
 module.exports = { 
   Bot, 
+  ShardedBot,
   time, 
   colors, 
   logger,
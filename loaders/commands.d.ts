@@ -1,4 +1,8 @@
-import { Bot } from '../Bot';
+import { Bot, Command } from '../Bot';
 
 export declare function loadCommands(bot: Bot): Promise<void>;
+/** Requires and validates a command file; null if it does not export a command */
+export declare function readCommandFile(filePath: string): Command | null;
+/** Loads and registers one command file */
+export declare function loadCommandFile(bot: Bot, filePath: string): Command | null;
 export default loadCommands;
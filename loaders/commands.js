@@ -1,16 +1,52 @@
 const fs = require("fs");
 const path = require("path");
-const { REST, Routes, SlashCommandBuilder } = require("discord.js");
 const logger = require("../utils/logger");
+const { toSlashJSON } = require("../utils/slash");
 
 /**
- * Loads all command files from the specified directory, registers them with the bot,
- * and syncs slash commands with Discord.
+ * Requires a command file and validates it, without registering it. Slash command schemas
+ * are validated here; syncing with Discord happens once the bot is ready.
+ * @param {string} filePath - The absolute path of the command file.
+ * @returns {object|null} The command, or null if the file does not export a command.
+ * @throws {Error} If the file fails to load or its slash command schema is invalid.
+ */
+function readCommandFile(filePath) {
+  const cmd = require(filePath);
+  if (!cmd.name || (!cmd.run && !cmd.subcommands)) return null;
+  if (cmd.slash) {
+    try {
+      toSlashJSON(cmd);
+    } catch (err) {
+      throw new Error(`${err.message} (in ${path.relative(process.cwd(), filePath)})`);
+    }
+  }
+  return cmd;
+}
+
+/**
+ * Loads one command file and registers its command, remembering the file it came from
+ * (`command.file`) for reloads.
+ * @param {Bot} bot - The bot instance.
+ * @param {string} filePath - The absolute path of the command file.
+ * @returns {object|null} The registered command, or null if the file was skipped.
+ */
+function loadCommandFile(bot, filePath) {
+  const cmd = readCommandFile(filePath);
+  if (!cmd) {
+    logger.warn(`Skipped invalid command: ${path.basename(filePath)}`);
+    return null;
+  }
+  const command = bot.commandManager.register(cmd.name, cmd, { file: filePath });
+  logger.info(`Loaded ${cmd.slash ? 'slash' : 'message'} command: ${cmd.name}`);
+  return command;
+}
+
+/**
+ * Loads all command files from the specified directory and registers them with the bot.
  * @param {Bot} bot - The bot instance.
  * @returns {Promise<void>}
  */
 async function loadCommands(bot) {
-  const commands = [];
   const commandsPath = path.resolve(process.cwd(), bot.commandsDir);
 
   // Check if commands directory exists
@@ -28,65 +64,13 @@ async function loadCommands(bot) {
       const filePath = path.join(dir, file.name);
       if (file.isDirectory()) return walk(filePath);
       if (!file.name.endsWith(".js")) return;
-
-      const cmd = require(filePath);
-      if (!cmd.name || !cmd.run) {
-        logger.warn(`Skipped invalid command: ${file.name}`);
-        return;
-      }
-
-      bot.commands.set(cmd.name, cmd);
-      if (cmd.aliases) {
-        for (const alias of cmd.aliases) bot.aliases.set(alias, cmd.name);
-      }
-
-      if (cmd.slash) {
-        const slash = new SlashCommandBuilder()
-          .setName(cmd.name)
-          .setDescription(cmd.description || "No description");
-
-        if (cmd.args) {
-          for (const arg of cmd.args) {
-            if (arg.type === "string") slash.addStringOption(o => o.setName(arg.name).setDescription(arg.name).setRequired(true));
-            if (arg.type === "user") slash.addUserOption(o => o.setName(arg.name).setDescription(arg.name).setRequired(true));
-            if (arg.type === "number") slash.addNumberOption(o => o.setName(arg.name).setDescription(arg.name).setRequired(true));
-          }
-        }
-
-        commands.push(slash.toJSON());
-        logger.info(`Loaded slash command: ${cmd.name}`);
-      } else {
-        logger.info(`Loaded message command: ${cmd.name}`);
-      }
+      loadCommandFile(bot, filePath);
     });
   }
 
   walk(commandsPath);
-
-  bot.client.once("clientReady", async () => {
-    const rest = new REST({ version: "10" }).setToken(bot.token);
-    try {
-      if (bot.devGuild) {
-        await rest.put(
-          Routes.applicationGuildCommands(bot.client.user.id, bot.devGuild),
-          { body: commands }
-        );
-        logger.info("Synced slash commands (dev guild)");
-      } else {
-        await rest.put(
-          Routes.applicationCommands(bot.client.user.id),
-          { body: commands }
-        );
-        logger.info("Synced slash commands (global)");
-      }
-    } catch (err) {
-      logger.error(`Failed to sync slash commands: ${err}`);
-    }
-  });
 }
 
 module.exports = loadCommands;
-
-
-
-
+module.exports.readCommandFile = readCommandFile;
+module.exports.loadCommandFile = loadCommandFile;
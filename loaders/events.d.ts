@@ -1,4 +1,38 @@
+import { ClientEvents } from 'discord.js';
 import { Bot } from '../Bot';
+import { EventContext } from '../utils/ctx';
+import { Event } from '../utils/managers/EventManager';
 
+type EventArgs<K extends string> = K extends keyof ClientEvents ? ClientEvents[K] : any[];
+
+/** What an event file exports: `module.exports = { name, once, group, filter, run }` */
+export interface EventModule<K extends string = string> {
+  /** The event (default: the file name) */
+  name?: K;
+  /** Run once (default: false, or true with a `once_` file name) */
+  once?: boolean;
+  /** The group (default: the subdirectory of eventsDir the file is in) */
+  group?: string | null;
+  /** The handler only runs when this returns true */
+  filter?: (ctx: EventContext<K>, ...args: EventArgs<K>) => boolean | Promise<boolean>;
+  run: (ctx: EventContext<K>, ...args: EventArgs<K>) => any;
+}
+
+/** An event file as the loader reads it */
+export interface EventFile {
+  name: string;
+  once: boolean;
+  group: string | null;
+  filter: Function | null;
+  run: Function;
+  /** Exported as a function, which also gets the bot after the event's arguments */
+  legacy: boolean;
+}
+
+/** Loads every event file in eventsDir and its subdirectories and logs how many were loaded */
 export declare function loadEvents(bot: Bot): Promise<void>;
+/** Requires and normalizes an event file without registering it; null if it exports no event */
+export declare function readEventFile(filePath: string): EventFile | null;
+/** Loads and registers one event file */
+export declare function loadEventFile(bot: Bot, filePath: string): Event | null;
 export default loadEvents;
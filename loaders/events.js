@@ -1,43 +1,102 @@
 const fs = require("fs");
 const path = require("path");
-const Ctx = require("../utils/ctx");
 const logger = require("../utils/logger");
 
 /**
- * Loads all event files from the specified directory and registers them with the bot's client.
- * @param {Bot} bot - The bot instance.
- * @returns {Promise<void>}
+ * Requires an event file and normalizes it, without registering it. An event file exports
+ * either `{ name, once, group, filter, run }` or a function (called with the context, the
+ * event's arguments and the bot). The name defaults to the file name, where a `once_` prefix
+ * makes a one-time listener.
+ * @param {string} filePath - The absolute path of the event file.
+ * @returns {{ name: string, once: boolean, group: string|null, filter: Function|null, run: Function, legacy: boolean }|null}
+ *   The event, or null if the file does not export one.
  */
-async function loadEvents(bot) {
-  const eventsPath = path.resolve(process.cwd(), bot.eventsDir);
-
-  fs.readdirSync(eventsPath).forEach(file => {
-    if (!file.endsWith(".js")) return;
+function readEventFile(filePath) {
+  const fileName = path.basename(filePath, ".js");
+  const once = fileName.startsWith("once_");
+  const name = once ? fileName.replace("once_", "") : fileName;
 
-    const eventName = file.replace(".js", "");
-    const once = eventName.startsWith("once_");
-    const cleanName = once ? eventName.replace("once_", "") : eventName;
+  const exported = require(filePath);
+  // Compiled TypeScript and ES modules export it as `default`
+  const handler = exported?.__esModule && exported.default ? exported.default : exported;
+  if (typeof handler === "function") return { name, once, group: null, filter: null, run: handler, legacy: true };
+  if (!handler || typeof handler.run !== "function") return null;
+  return {
+    name: handler.name || name,
+    once: handler.once ?? once,
+    group: handler.group ?? null,
+    filter: typeof handler.filter === "function" ? handler.filter : null,
+    run: handler.run,
+    legacy: false
+  };
+}
 
-    const handler = require(path.join(eventsPath, file));
+/**
+ * The group of an event file: the subdirectory of eventsDir it is in, if any.
+ * @private
+ */
+function groupOf(bot, filePath) {
+  if (!bot.eventsDir) return null;
+  const relative = path.relative(path.resolve(process.cwd(), bot.eventsDir), path.dirname(filePath));
+  if (!relative || relative.startsWith("..")) return null;
+  return relative.split(path.sep)[0];
+}
 
-    const wrapped = (...args) => {
-      // For events like 'ready' that don't have a message/interaction, pass null
-      const firstArg = args[0];
-      const ctx = firstArg && (firstArg.author || firstArg.user || firstArg.isCommand) 
-        ? new Ctx(firstArg, bot) 
-        : { bot, client: bot.client };
-      return handler(ctx, ...args, bot);
-    };
+/**
+ * Loads one event file and registers its handler, remembering the file it came from
+ * (`event.file`) for reloads. Handlers get a context typed for the event (see Ctx.forEvent);
+ * when a `filter` is exported, it is called with the same arguments and the handler only
+ * runs if it returns true.
+ * @param {Bot} bot - The bot instance.
+ * @param {string} filePath - The absolute path of the event file.
+ * @returns {object|null} The registered event, or null if the file was skipped.
+ */
+function loadEventFile(bot, filePath) {
+  const evt = readEventFile(filePath);
+  if (!evt) {
+    logger.warn(`Skipped invalid event: ${path.basename(filePath)}`);
+    return null;
+  }
+  const group = evt.group ?? groupOf(bot, filePath);
 
-    if (once) bot.client.once(cleanName, wrapped);
-    else bot.client.on(cleanName, wrapped);
+  const wrapped = async (ctx, ...args) => {
+    if (evt.filter && !(await evt.filter(ctx, ...args))) return;
+    return evt.legacy ? evt.run(ctx, ...args, bot) : evt.run(ctx, ...args);
+  };
 
-    logger.info(`Loaded event: ${cleanName}`);
-  });
+  const event = bot.eventManager.register(evt.name, wrapped, { once: evt.once, group, file: filePath });
+  logger.info(`Loaded event: ${group ? `${group}/` : ""}${evt.name}${evt.once ? " (once)" : ""}`);
+  return event;
 }
 
-module.exports = loadEvents;
-
+/**
+ * Loads all event files from the specified directory and its subdirectories (event groups)
+ * and registers them with the bot's client, logging how many were loaded. Also used by
+ * reloads, so the count is logged each time.
+ * @param {Bot} bot - The bot instance.
+ * @returns {Promise<void>}
+ */
+async function loadEvents(bot) {
+  const eventsPath = path.resolve(process.cwd(), bot.eventsDir);
+  let count = 0;
 
+  /**
+   * Recursively walks through a directory and loads all event files.
+   * @param {string} dir - The directory to walk through.
+   */
+  function walk(dir) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(file => {
+      const filePath = path.join(dir, file.name);
+      if (file.isDirectory()) return walk(filePath);
+      if (!file.name.endsWith(".js")) return;
+      if (loadEventFile(bot, filePath)) count++;
+    });
+  }
 
+  walk(eventsPath);
+  logger.info(`Loaded ${count} event(s) from ${path.relative(process.cwd(), eventsPath) || eventsPath}`);
+}
 
+module.exports = loadEvents;
+module.exports.readEventFile = readEventFile;
+module.exports.loadEventFile = loadEventFile;
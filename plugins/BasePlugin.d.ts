@@ -1,4 +1,6 @@
 import { Bot } from '../Bot';
+import { IntentsInput, PartialInput } from '../utils/intents';
+import { Logger, LogLevel } from '../utils/logger';
 
 export interface PluginConfig {
   [key: string]: any;
@@ -12,7 +14,14 @@ export declare class BasePlugin {
   description?: string;
   author?: string;
   dependencies?: string[];
+  /** Gateway intents the plugin needs beyond those of its events */
+  intents: IntentsInput;
+  partials: PartialInput[];
   config?: PluginConfig;
+  /** The commands added with addCommand(), by name */
+  commands: Map<string, any>;
+  /** The client listeners attached with addEvent(), by event name */
+  events: Map<string, (...args: any[]) => any>;
 
   constructor(bot: Bot, manager: PluginManager);
 
@@ -56,10 +65,41 @@ export declare class BasePlugin {
    */
   registerEvent(event: string, handler: (...args: any[]) => void): void;
 
+  /**
+   * Register an event listener; it gets the raw event arguments and is removed automatically
+   * when the plugin unloads. Returns the listener attached to the client, which
+   * `bot.eventManager.unregister(eventName, listener)` accepts.
+   */
+  addEvent(eventName: string, handler: (...args: any[]) => any, once?: boolean): (...args: any[]) => any;
+
+  /**
+   * Register command middleware; removed automatically when the plugin unloads.
+   * Pass `{ plugin: this.name }` to only run it for this plugin's commands.
+   */
+  addMiddleware(fn: (ctx: any, next: () => Promise<any>) => any, options?: object): any;
+
+  /** Register a prefix resolver; removed automatically when the plugin unloads */
+  addPrefixResolver(fn: (message: any, bot: any) => any): any;
+
+  /**
+   * Translate a key under `plugins.<name>.`, for a context, a locale, or anything with a `guild`
+   */
+  t(target: any, key: string, vars?: Record<string, any>): string;
+
+  /**
+   * Add translations for this plugin (available to t() under `plugins.<name>.`)
+   */
+  addTranslations(locale: string, messages: object): void;
+
+  /**
+   * The plugin's logger, tagging every record with `{ plugin: name }`
+   */
+  readonly logger: Logger;
+
   /**
    * Log a message from the plugin
    */
-  log(message: string, level?: 'info' | 'warn' | 'error' | 'debug'): void;
+  log(message: string, level?: LogLevel, ...args: any[]): void;
 }
 
 export declare class PluginManager {
@@ -67,6 +107,10 @@ export declare class PluginManager {
   plugins: Map<string, BasePlugin>;
   pluginStates: Map<string, boolean>;
   configPath: string;
+  /** Where loadAll() looks for plugins; null loads none */
+  pluginsDir: string | null;
+  /** Where the enabled state is saved; null keeps it in memory */
+  configFile: string | null;
 
   constructor(bot: Bot);
 
@@ -80,6 +124,11 @@ export declare class PluginManager {
    */
   unload(pluginName: string): Promise<boolean>;
 
+  /**
+   * Unload every plugin for shutdown, dependents first, keeping their enabled state
+   */
+  unloadAll(): Promise<void>;
+
   /**
    * Reload a plugin
    */
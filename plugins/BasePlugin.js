@@ -16,6 +16,9 @@ class BasePlugin {
     this.description = "Base plugin class";
     this.author = "Unknown";
     this.dependencies = [];
+    // Gateway intents and partials the plugin needs beyond those of its events (see utils/intents)
+    this.intents = [];
+    this.partials = [];
   }
 
   /**
@@ -31,13 +34,14 @@ class BasePlugin {
   async onUnload() {
     // Cleanup commands
     for (const [name] of this.commands) {
-      this.bot.commands.delete(name);
+      this.bot.commandManager.unregister(name);
     }
     
-    // Cleanup events
-    for (const [event, handler] of this.events) {
-      this.bot.client.removeListener(event, handler);
-    }
+    // Cleanup events: every listener the plugin added
+    this.bot.eventManager.removeOwner(`plugin:${this.name}`);
+    
+    // Cleanup middleware
+    this.bot.commandManager.removeOwned(this.name);
     
     // Cleanup intervals
     for (const interval of this.intervals) {
@@ -65,52 +69,49 @@ class BasePlugin {
     };
     
     this.commands.set(name, command);
-    this.bot.commands.set(name, command);
-    
-    // Register aliases
-    if (options.aliases) {
-      for (const alias of options.aliases) {
-        this.bot.aliases.set(alias, name);
-      }
-    }
+    this.bot.commandManager.register(name, command);
     
     return command;
   }
 
   /**
-   * Register an event listener with the plugin
+   * Register an event listener with the plugin. The handler gets the raw event arguments.
+   * Returns the listener attached to the client, as kept in `this.events` under the event name.
    */
   addEvent(eventName, handler, once = false) {
-    const wrappedHandler = (...args) => {
-      try {
-        return handler(...args);
-      } catch (error) {
-        this.log(`Error in event ${eventName}: ${error.message}`, 'error');
-      }
-    };
-    
-    this.events.set(eventName, wrappedHandler);
+    const wrappedHandler = this.bot.errors.wrap(handler, { source: 'event', event: eventName, plugin: this.name });
     
-    if (once) {
-      this.bot.client.once(eventName, wrappedHandler);
-    } else {
-      this.bot.client.on(eventName, wrappedHandler);
-    }
+    // Plugin handlers receive the raw event arguments, not the event context
+    const event = this.bot.eventManager.register(eventName, (ctx, ...args) => wrappedHandler(...args), {
+      once,
+      plugin: this.name
+    });
+    this.events.set(eventName, event.listener);
     
-    return wrappedHandler;
+    return event.listener;
+  }
+
+  /**
+   * Register command middleware with the plugin. Pass `{ plugin: this.name }` to only
+   * run it for this plugin's commands. Removed automatically when the plugin unloads.
+   */
+  addMiddleware(fn, options = {}) {
+    return this.bot.commandManager.use(fn, { ...options, owner: this.name });
+  }
+
+  /**
+   * Register a prefix resolver: `(message, bot) => prefixes`. Removed automatically when the
+   * plugin unloads.
+   */
+  addPrefixResolver(fn) {
+    return this.bot.commandManager.addPrefixResolver(fn, { owner: this.name });
   }
 
   /**
    * Add a scheduled task
    */
   addInterval(callback, ms) {
-    const interval = setInterval(() => {
-      try {
-        callback();
-      } catch (error) {
-        this.log(`Error in interval: ${error.message}`, 'error');
-      }
-    }, ms);
+    const interval = setInterval(this.bot.errors.wrap(callback, { source: 'interval', plugin: this.name }), ms);
     
     this.intervals.add(interval);
     return interval;
@@ -120,13 +121,7 @@ class BasePlugin {
    * Add a cron job
    */
   addCron(expression, callback) {
-    return this.bot.cron(expression, () => {
-      try {
-        callback();
-      } catch (error) {
-        this.log(`Error in cron job: ${error.message}`, 'error');
-      }
-    });
+    return this.bot.cron(expression, this.bot.errors.wrap(callback, { source: 'cron', name: expression, plugin: this.name }));
   }
 
   /**
@@ -173,11 +168,38 @@ class BasePlugin {
   }
 
   /**
-   * Plugin-specific logging
+   * The plugin's logger: a child logger that tags every record with `{ plugin: name }`
+   */
+  get logger() {
+    // Plugins set their name after super(), so create it on first use
+    if (this._logger?.context.plugin !== this.name) {
+      this._logger = require('../utils/logger').child({ plugin: this.name });
+    }
+    return this._logger;
+  }
+
+  /**
+   * Plugin-specific logging, through the plugin's logger
+   */
+  log(message, level = 'info', ...args) {
+    this.logger[level](message, ...args);
+  }
+
+  /**
+   * Translate a key under `plugins.<name>.` for a context, or for anything with a `guild`
+   * (a member, a message...), which uses the guild's locale
+   */
+  t(target, key, vars = {}) {
+    const i18n = require('../utils/i18n');
+    const locale = typeof target === 'string' ? target : i18n.localeFor(target || {});
+    return i18n.t(locale, `plugins.${this.name}.${key}`, vars);
+  }
+
+  /**
+   * Add translations for this plugin (available to t() under `plugins.<name>.`)
    */
-  log(message, level = 'info') {
-    const logger = require('../utils/logger');
-    logger[level](`[${this.name}] ${message}`);
+  addTranslations(locale, messages) {
+    require('../utils/i18n').addCatalog(locale, { plugins: { [this.name]: messages } });
   }
 
   /**
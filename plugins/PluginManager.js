@@ -2,6 +2,7 @@ const fs = require("fs");
 const path = require("path");
 const logger = require("../utils/logger");
 const db = require("../utils/db");
+const hotReload = require("../utils/hotReload");
 
 /**
  * Plugin Manager - Handles loading, unloading, and managing plugins
@@ -27,7 +28,7 @@ class PluginManager {
    */
   loadConfig() {
     try {
-      if (fs.existsSync(this.configFile)) {
+      if (this.configFile && fs.existsSync(this.configFile)) {
         const config = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
         this.pluginConfigs = new Map(Object.entries(config));
       }
@@ -37,9 +38,10 @@ class PluginManager {
   }
 
   /**
-   * Save plugin configuration to config.json
+   * Save plugin configuration to config.json (kept in memory when configFile is null)
    */
   saveConfig() {
+    if (!this.configFile) return;
     try {
       const config = Object.fromEntries(this.pluginConfigs);
       fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
@@ -49,9 +51,10 @@ class PluginManager {
   }
 
   /**
-   * Load all enabled plugins
+   * Load all enabled plugins (none when pluginsDir is null)
    */
   async loadAll() {
+    if (!this.pluginsDir) return;
     const pluginDirs = fs.readdirSync(this.pluginsDir, { withFileTypes: true })
       .filter(dirent => dirent.isDirectory())
       .map(dirent => dirent.name);
@@ -156,13 +159,51 @@ class PluginManager {
   }
 
   /**
-   * Reload a specific plugin
+   * Unload every plugin for shutdown, plugins that depend on others first. Unlike unload(),
+   * this leaves their enabled state alone, so they load again on the next start.
+   */
+  async unloadAll() {
+    const remaining = new Map(this.plugins);
+    while (remaining.size) {
+      // Plugins no remaining plugin depends on; on a dependency cycle, take them in load order
+      const free = [...remaining.keys()].filter(name =>
+        ![...remaining.values()].some(p => p.dependencies?.includes(name)));
+      const batch = free.length ? free : [...remaining.keys()].slice(-1);
+
+      for (const name of batch.reverse()) {
+        try {
+          await remaining.get(name).onUnload();
+        } catch (error) {
+          logger.error(`❌ Failed to unload plugin ${name}: ${error.message}`);
+        }
+        remaining.delete(name);
+        this.plugins.delete(name);
+        logger.info(`🔄 Unloaded plugin: ${name}`);
+      }
+    }
+  }
+
+  /**
+   * Reload a specific plugin from disk, with all of its files. If the new version fails to
+   * load, the previous one is loaded again and the error is thrown.
    */
   async reload(pluginName) {
-    if (this.plugins.has(pluginName)) {
-      await this.unload(pluginName);
+    const previous = this.plugins.get(pluginName);
+    if (!previous) return await this.load(pluginName);
+
+    const removed = hotReload.invalidate(hotReload.filesUnder(path.join(this.pluginsDir, pluginName)));
+    // Unlike unload(), this keeps the plugin enabled and lets dependents stay loaded
+    await previous.onUnload();
+    this.plugins.delete(pluginName);
+    try {
+      return await this.load(pluginName);
+    } catch (error) {
+      hotReload.restore(removed);
+      await previous.onLoad();
+      this.plugins.set(pluginName, previous);
+      logger.warn(`Kept the previous version of plugin ${pluginName}.`);
+      throw error;
     }
-    return await this.load(pluginName);
   }
 
   /**
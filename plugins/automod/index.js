@@ -12,6 +12,7 @@ class AutoModPlugin extends BasePlugin {
     this.description = "Automatic moderation with spam detection and word filtering";
     this.author = "axrxvm";
     this.dependencies = ["moderation"]; // Requires moderation plugin
+    this.intents = ["MessageContent"]; // Reads message content
     
     this.spamTracker = new Map();
   }
@@ -29,12 +30,27 @@ class AutoModPlugin extends BasePlugin {
       ]
     });
 
-    this.addCommand('filter', this.filterCommand.bind(this), {
+    this.addCommand('filter', null, {
       description: 'Manage word filters',
       permissions: ['ManageMessages'],
-      args: [
-        { name: 'action', type: 'string', required: true },
-        { name: 'word', type: 'string', required: false }
+      subcommands: [
+        {
+          name: 'add',
+          description: 'Add a banned word',
+          args: [{ name: 'word', type: 'string', required: true, rest: true }],
+          run: this.filterAddCommand.bind(this)
+        },
+        {
+          name: 'remove',
+          description: 'Remove a banned word',
+          args: [{ name: 'word', type: 'string', required: true, rest: true }],
+          run: this.filterRemoveCommand.bind(this)
+        },
+        {
+          name: 'list',
+          description: 'List banned words',
+          run: this.filterListCommand.bind(this)
+        }
       ]
     });
 
@@ -100,7 +116,7 @@ class AutoModPlugin extends BasePlugin {
     this.spamTracker.set(key, filtered);
     
     if (filtered.length >= maxMessages) {
-      await this.handleViolation(message, 'spam', `Sent ${filtered.length} messages in ${timeWindow/1000} seconds`);
+      await this.handleViolation(message, 'spam', this.t(message, 'details.spam', { count: filtered.length, seconds: timeWindow / 1000 }));
       
       // Clear tracker for this user
       this.spamTracker.set(key, []);
@@ -119,7 +135,7 @@ class AutoModPlugin extends BasePlugin {
     
     for (const word of bannedWords) {
       if (content.includes(word.toLowerCase())) {
-        await this.handleViolation(message, 'word_filter', `Used banned word: ${word}`);
+        await this.handleViolation(message, 'word_filter', this.t(message, 'details.word_filter', { word }));
         return true;
       }
     }
@@ -139,7 +155,7 @@ class AutoModPlugin extends BasePlugin {
     const letterCount = (content.match(/[A-Za-z]/g) || []).length;
     
     if (letterCount > 0 && (upperCount / letterCount) * 100 > capsPercentage) {
-      await this.handleViolation(message, 'excessive_caps', `${Math.round((upperCount / letterCount) * 100)}% caps`);
+      await this.handleViolation(message, 'excessive_caps', this.t(message, 'details.excessive_caps', { percent: Math.round((upperCount / letterCount) * 100) }));
       return true;
     }
     
@@ -154,7 +170,7 @@ class AutoModPlugin extends BasePlugin {
     const mentions = message.mentions.users.size + message.mentions.roles.size;
     
     if (mentions > maxMentions) {
-      await this.handleViolation(message, 'excessive_mentions', `${mentions} mentions (max: ${maxMentions})`);
+      await this.handleViolation(message, 'excessive_mentions', this.t(message, 'details.excessive_mentions', { count: mentions, max: maxMentions }));
       return true;
     }
     
@@ -198,7 +214,7 @@ class AutoModPlugin extends BasePlugin {
       if (notifyUser) {
         const channel = message.channel;
         const notification = await channel.send(
-          `⚠️ ${message.author}, your message was removed for: **${type.replace('_', ' ')}** (${details})`
+          this.t(message, 'notification', { user: `${message.author}`, violation: this.t(message, `violations.${type}`), details })
         );
         
         // Delete notification after 10 seconds
@@ -222,14 +238,14 @@ class AutoModPlugin extends BasePlugin {
 
     const embed = {
       color: 0xffa500,
-      title: '🤖 AutoMod Action',
+      title: this.t(message, 'logTitle'),
       fields: [
-        { name: 'User', value: `<@${message.author.id}>`, inline: true },
-        { name: 'Channel', value: `<#${message.channel.id}>`, inline: true },
-        { name: 'Violation', value: type.replace('_', ' '), inline: true },
-        { name: 'Details', value: details, inline: false },
-        { name: 'Action', value: action, inline: true },
-        { name: 'Message Content', value: message.content.slice(0, 1000) || 'No content', inline: false }
+        { name: this.t(message, 'logUser'), value: `<@${message.author.id}>`, inline: true },
+        { name: this.t(message, 'logChannel'), value: `<#${message.channel.id}>`, inline: true },
+        { name: this.t(message, 'logViolation'), value: this.t(message, `violations.${type}`), inline: true },
+        { name: this.t(message, 'logDetails'), value: details, inline: false },
+        { name: this.t(message, 'logAction'), value: action, inline: true },
+        { name: this.t(message, 'logContent'), value: message.content.slice(0, 1000) || this.t(message, 'noContent'), inline: false }
       ],
       timestamp: new Date().toISOString()
     };
@@ -242,8 +258,8 @@ class AutoModPlugin extends BasePlugin {
   }
 
   async automodCommand(ctx) {
-    const setting = ctx.args[0];
-    const value = ctx.args[1];
+    const setting = ctx.getOption('setting');
+    const value = ctx.getOption('value');
 
     const validSettings = [
       'enabled', 'spam.enabled', 'filter.enabled', 'caps.enabled', 'mentions.enabled',
@@ -252,12 +268,12 @@ class AutoModPlugin extends BasePlugin {
     ];
 
     if (!validSettings.includes(setting)) {
-      return ctx.reply(`❌ Invalid setting. Valid options: ${validSettings.join(', ')}`);
+      return ctx.reply(this.t(ctx, 'invalidSetting', { settings: validSettings.join(', ') }));
     }
 
     if (!value) {
       const current = await this.getGuildConfig(ctx.guild.id, setting);
-      return ctx.reply(`📋 Current value for \`${setting}\`: ${current}`);
+      return ctx.reply(this.t(ctx, 'currentValue', { setting, value: String(current) }));
     }
 
     let parsedValue = value;
@@ -266,46 +282,41 @@ class AutoModPlugin extends BasePlugin {
     else if (!isNaN(value)) parsedValue = parseInt(value);
 
     await this.setGuildConfig(ctx.guild.id, setting, parsedValue);
-    ctx.reply(`✅ Set \`${setting}\` to \`${parsedValue}\``);
+    ctx.reply(this.t(ctx, 'settingSet', { setting, value: String(parsedValue) }));
   }
 
-  async filterCommand(ctx) {
-    const action = ctx.args[0];
-    const word = ctx.args.slice(1).join(' ');
+  async filterAddCommand(ctx) {
+    const word = ctx.getOption('word');
+    const bannedWords = await this.getGuildConfig(ctx.guild.id, 'filter.words', []);
 
-    if (!['add', 'remove', 'list'].includes(action)) {
-      return ctx.reply('❌ Valid actions: add, remove, list');
+    if (bannedWords.includes(word)) {
+      return ctx.reply(this.t(ctx, 'wordExists'));
     }
+    bannedWords.push(word);
+    await this.setGuildConfig(ctx.guild.id, 'filter.words', bannedWords);
+    ctx.reply(this.t(ctx, 'wordAdded', { word }));
+  }
 
+  async filterRemoveCommand(ctx) {
+    const word = ctx.getOption('word');
     const bannedWords = await this.getGuildConfig(ctx.guild.id, 'filter.words', []);
 
-    if (action === 'list') {
-      if (bannedWords.length === 0) {
-        return ctx.reply('📋 No banned words configured.');
-      }
-      return ctx.reply(`📋 Banned words: ${bannedWords.map(w => `\`${w}\``).join(', ')}`);
+    const index = bannedWords.indexOf(word);
+    if (index === -1) {
+      return ctx.reply(this.t(ctx, 'wordMissing'));
     }
+    bannedWords.splice(index, 1);
+    await this.setGuildConfig(ctx.guild.id, 'filter.words', bannedWords);
+    ctx.reply(this.t(ctx, 'wordRemoved', { word }));
+  }
 
-    if (!word) {
-      return ctx.reply('❌ Please provide a word to add/remove.');
-    }
+  async filterListCommand(ctx) {
+    const bannedWords = await this.getGuildConfig(ctx.guild.id, 'filter.words', []);
 
-    if (action === 'add') {
-      if (bannedWords.includes(word)) {
-        return ctx.reply('❌ Word is already banned.');
-      }
-      bannedWords.push(word);
-      await this.setGuildConfig(ctx.guild.id, 'filter.words', bannedWords);
-      ctx.reply(`✅ Added \`${word}\` to banned words.`);
-    } else if (action === 'remove') {
-      const index = bannedWords.indexOf(word);
-      if (index === -1) {
-        return ctx.reply('❌ Word is not in the banned list.');
-      }
-      bannedWords.splice(index, 1);
-      await this.setGuildConfig(ctx.guild.id, 'filter.words', bannedWords);
-      ctx.reply(`✅ Removed \`${word}\` from banned words.`);
+    if (bannedWords.length === 0) {
+      return ctx.reply(this.t(ctx, 'noWords'));
     }
+    return ctx.reply(this.t(ctx, 'wordList', { words: bannedWords.map(w => `\`${w}\``).join(', ') }));
   }
 
   cleanSpamTracker() {
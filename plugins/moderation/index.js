@@ -1,4 +1,6 @@
 const BasePlugin = require('../BasePlugin');
+const time = require('../../utils/time');
+const i18n = require('../../utils/i18n');
 
 /**
  * Moderation Plugin - Basic moderation commands
@@ -21,8 +23,8 @@ class ModerationPlugin extends BasePlugin {
       description: 'Kick a member from the server',
       permissions: ['KickMembers'],
       args: [
-        { name: 'user', type: 'user', required: true },
-        { name: 'reason', type: 'string', required: false }
+        { name: 'user', type: 'member', required: true },
+        { name: 'reason', type: 'string', required: false, rest: true }
       ]
     });
 
@@ -31,7 +33,7 @@ class ModerationPlugin extends BasePlugin {
       permissions: ['BanMembers'],
       args: [
         { name: 'user', type: 'user', required: true },
-        { name: 'reason', type: 'string', required: false }
+        { name: 'reason', type: 'string', required: false, rest: true }
       ]
     });
 
@@ -39,9 +41,9 @@ class ModerationPlugin extends BasePlugin {
       description: 'Timeout a member',
       permissions: ['ModerateMembers'],
       args: [
-        { name: 'user', type: 'user', required: true },
-        { name: 'duration', type: 'string', required: true },
-        { name: 'reason', type: 'string', required: false }
+        { name: 'user', type: 'member', required: true },
+        { name: 'duration', type: 'duration', required: true },
+        { name: 'reason', type: 'string', required: false, rest: true }
       ]
     });
 
@@ -49,7 +51,7 @@ class ModerationPlugin extends BasePlugin {
       description: 'Delete multiple messages',
       permissions: ['ManageMessages'],
       args: [
-        { name: 'amount', type: 'number', required: true }
+        { name: 'amount', type: 'integer', required: true, minValue: 1, maxValue: 100 }
       ]
     });
 
@@ -57,8 +59,8 @@ class ModerationPlugin extends BasePlugin {
       description: 'Warn a member',
       permissions: ['ModerateMembers'],
       args: [
-        { name: 'user', type: 'user', required: true },
-        { name: 'reason', type: 'string', required: true }
+        { name: 'user', type: 'member', required: true },
+        { name: 'reason', type: 'string', required: true, rest: true }
       ]
     });
 
@@ -66,7 +68,7 @@ class ModerationPlugin extends BasePlugin {
       description: 'View warnings for a member',
       permissions: ['ModerateMembers'],
       args: [
-        { name: 'user', type: 'user', required: true }
+        { name: 'user', type: 'member', required: true }
       ]
     });
     
@@ -74,131 +76,78 @@ class ModerationPlugin extends BasePlugin {
   }
 
   async kickCommand(ctx) {
-    const userMention = ctx.args[0];
-    const reason = ctx.args.slice(1).join(' ') || 'No reason provided';
-
-    if (!userMention || !userMention.startsWith('<@')) {
-      return ctx.reply('❌ Please mention a valid user to kick.');
-    }
-
-    const userId = userMention.replace(/[<@!>]/g, '');
-    const member = ctx.guild.members.cache.get(userId);
-
-    if (!member) {
-      return ctx.reply('❌ User not found in this server.');
-    }
+    const member = ctx.getMember('user');
+    const reason = ctx.getOption('reason') || this.t(ctx, 'noReason');
 
     if (!member.kickable) {
-      return ctx.reply('❌ I cannot kick this user.');
+      return ctx.reply(this.t(ctx, 'cannotKick'));
     }
 
     try {
       await member.kick(reason);
-      ctx.reply(`✅ Kicked ${member.user.tag} for: ${reason}`);
+      ctx.reply(this.t(ctx, 'kicked', { user: member.user.tag, reason }));
       this.logAction('kick', ctx.user, member.user, reason);
     } catch (error) {
-      ctx.reply('❌ Failed to kick the user.');
+      ctx.reply(this.t(ctx, 'kickFailed'));
       this.log(`Failed to kick ${member.user.tag}: ${error.message}`, 'error');
     }
   }
 
   async banCommand(ctx) {
-    const userMention = ctx.args[0];
-    const reason = ctx.args.slice(1).join(' ') || 'No reason provided';
-
-    if (!userMention || !userMention.startsWith('<@')) {
-      return ctx.reply('❌ Please mention a valid user to ban.');
-    }
-
-    const userId = userMention.replace(/[<@!>]/g, '');
-    const member = ctx.guild.members.cache.get(userId);
+    const user = ctx.getUser('user');
+    const member = ctx.getMember('user');
+    const reason = ctx.getOption('reason') || this.t(ctx, 'noReason');
 
     if (member && !member.bannable) {
-      return ctx.reply('❌ I cannot ban this user.');
+      return ctx.reply(this.t(ctx, 'cannotBan'));
     }
 
     try {
-      await ctx.guild.members.ban(userId, { reason });
-      const user = member ? member.user : await this.bot.client.users.fetch(userId);
-      ctx.reply(`✅ Banned ${user.tag} for: ${reason}`);
+      await ctx.guild.members.ban(user.id, { reason });
+      ctx.reply(this.t(ctx, 'banned', { user: user.tag, reason }));
       this.logAction('ban', ctx.user, user, reason);
     } catch (error) {
-      ctx.reply('❌ Failed to ban the user.');
-      this.log(`Failed to ban user ${userId}: ${error.message}`, 'error');
+      ctx.reply(this.t(ctx, 'banFailed'));
+      this.log(`Failed to ban user ${user.id}: ${error.message}`, 'error');
     }
   }
 
   async timeoutCommand(ctx) {
-    const userMention = ctx.args[0];
-    const duration = ctx.args[1];
-    const reason = ctx.args.slice(2).join(' ') || 'No reason provided';
-
-    if (!userMention || !userMention.startsWith('<@')) {
-      return ctx.reply('❌ Please mention a valid user to timeout.');
-    }
-
-    const userId = userMention.replace(/[<@!>]/g, '');
-    const member = ctx.guild.members.cache.get(userId);
-
-    if (!member) {
-      return ctx.reply('❌ User not found in this server.');
-    }
-
-    // Parse duration (simple implementation)
-    const timeMs = this.parseDuration(duration);
-    if (!timeMs) {
-      return ctx.reply('❌ Invalid duration format. Use: 1m, 1h, 1d');
-    }
+    const member = ctx.getMember('user');
+    const duration = time.format(ctx.getOption('duration'));
+    const reason = ctx.getOption('reason') || this.t(ctx, 'noReason');
 
     try {
-      await member.timeout(timeMs, reason);
-      ctx.reply(`✅ Timed out ${member.user.tag} for ${duration}. Reason: ${reason}`);
+      await member.timeout(ctx.getOption('duration'), reason);
+      ctx.reply(this.t(ctx, 'timedOut', { user: member.user.tag, duration, reason }));
       this.logAction('timeout', ctx.user, member.user, `${duration} - ${reason}`);
     } catch (error) {
-      ctx.reply('❌ Failed to timeout the user.');
+      ctx.reply(this.t(ctx, 'timeoutFailed'));
       this.log(`Failed to timeout ${member.user.tag}: ${error.message}`, 'error');
     }
   }
 
   async purgeCommand(ctx) {
-    const amount = parseInt(ctx.args[0]);
-
-    if (isNaN(amount) || amount < 1 || amount > 100) {
-      return ctx.reply('❌ Please provide a number between 1 and 100.');
-    }
+    const amount = ctx.getOption('amount');
 
     try {
       const messages = await ctx.channel.bulkDelete(amount, true);
-      const reply = await ctx.reply(`✅ Deleted ${messages.size} messages.`);
+      const reply = await ctx.reply(this.t(ctx, 'purged', { count: messages.size }));
       
       // Delete the confirmation message after 5 seconds
       setTimeout(() => reply.delete().catch(() => {}), 5000);
       
       this.logAction('purge', ctx.user, null, `${messages.size} messages`);
     } catch (error) {
-      ctx.reply('❌ Failed to delete messages.');
+      ctx.reply(this.t(ctx, 'purgeFailed'));
       this.log(`Failed to purge messages: ${error.message}`, 'error');
     }
   }
 
   async warnCommand(ctx) {
-    const userMention = ctx.args[0];
-    const reason = ctx.args.slice(1).join(' ');
-
-    if (!userMention || !userMention.startsWith('<@')) {
-      return ctx.reply('❌ Please mention a valid user to warn.');
-    }
-
-    if (!reason) {
-      return ctx.reply('❌ Please provide a reason for the warning.');
-    }
-
-    const userId = userMention.replace(/[<@!>]/g, '');
-    const member = ctx.guild.members.cache.get(userId);
-
-    if (!member) {
-      return ctx.reply('❌ User not found in this server.');
-    }
+    const member = ctx.getMember('user');
+    const reason = ctx.getOption('reason');
+    const userId = member.id;
 
     // Store warning in database
     const db = this.getDB();
@@ -214,53 +163,32 @@ class ModerationPlugin extends BasePlugin {
     warnings.push(warning);
     db.set(`warnings.${ctx.guild.id}.${userId}`, warnings);
 
-    ctx.reply(`✅ Warned ${member.user.tag} for: ${reason}\n📊 Total warnings: ${warnings.length}`);
+    ctx.reply(this.t(ctx, 'warned', { user: member.user.tag, reason, count: warnings.length }));
     this.logAction('warn', ctx.user, member.user, reason);
 
     // DM the user
     try {
-      await member.send(`⚠️ You have been warned in **${ctx.guild.name}** for: ${reason}`);
+      await member.send(this.t(ctx, 'warnedDM', { guild: ctx.guild.name, reason }));
     } catch (error) {
       // User has DMs disabled
     }
   }
 
   async warningsCommand(ctx) {
-    const userMention = ctx.args[0];
-
-    if (!userMention || !userMention.startsWith('<@')) {
-      return ctx.reply('❌ Please mention a valid user to check warnings.');
-    }
-
-    const userId = userMention.replace(/[<@!>]/g, '');
-    const member = ctx.guild.members.cache.get(userId);
-
-    if (!member) {
-      return ctx.reply('❌ User not found in this server.');
-    }
+    const member = ctx.getMember('user');
 
     const db = this.getDB();
-    const warnings = db.get(`warnings.${ctx.guild.id}.${userId}`) || [];
+    const warnings = db.get(`warnings.${ctx.guild.id}.${member.id}`) || [];
 
     if (warnings.length === 0) {
-      return ctx.reply(`✅ ${member.user.tag} has no warnings.`);
+      return ctx.reply(this.t(ctx, 'noWarnings', { user: member.user.tag }));
     }
 
     const warningList = warnings.slice(-5).map((w, i) => 
-      `${i + 1}. **${w.reason}** - <@${w.moderator}> (${new Date(w.timestamp).toLocaleDateString()})`
+      `${i + 1}. **${w.reason}** - <@${w.moderator}> (${i18n.formatDate(ctx.locale, new Date(w.timestamp))})`
     ).join('\n');
 
-    ctx.reply(`⚠️ **Warnings for ${member.user.tag}** (${warnings.length} total):\n${warningList}`);
-  }
-
-  parseDuration(duration) {
-    const match = duration.match(/^(\d+)([mhd])$/);
-    if (!match) return null;
-
-    const [, amount, unit] = match;
-    const multipliers = { m: 60000, h: 3600000, d: 86400000 };
-    
-    return parseInt(amount) * multipliers[unit];
+    ctx.reply(`${this.t(ctx, 'warningsHeader', { user: member.user.tag, count: warnings.length })}\n${warningList}`);
   }
 
   async logAction(action, moderator, target, details) {
@@ -272,11 +200,11 @@ class ModerationPlugin extends BasePlugin {
 
     const embed = {
       color: 0xff6b6b,
-      title: `🔨 Moderation Action: ${action.toUpperCase()}`,
+      title: this.t(logChannel, 'logTitle', { action: action.toUpperCase() }),
       fields: [
-        { name: 'Moderator', value: `<@${moderator.id}>`, inline: true },
-        { name: 'Target', value: target ? `<@${target.id}>` : 'N/A', inline: true },
-        { name: 'Details', value: details, inline: false }
+        { name: this.t(logChannel, 'logModerator'), value: `<@${moderator.id}>`, inline: true },
+        { name: this.t(logChannel, 'logTarget'), value: target ? `<@${target.id}>` : this.t(logChannel, 'none'), inline: true },
+        { name: this.t(logChannel, 'logDetails'), value: details, inline: false }
       ],
       timestamp: new Date().toISOString()
     };
@@ -21,8 +21,8 @@ class WelcomePlugin extends BasePlugin {
       description: 'Set the welcome channel and message',
       permissions: ['ManageGuild'],
       args: [
-        { name: 'channel', type: 'channel', required: true },
-        { name: 'message', type: 'string', required: false }
+        { name: 'channel', type: 'channel', required: true, channelTypes: [0, 5] },
+        { name: 'message', type: 'string', required: false, rest: true }
       ]
     });
 
@@ -45,7 +45,7 @@ class WelcomePlugin extends BasePlugin {
     if (!channel) return;
 
     const customMessage = await this.getGuildConfig(member.guild.id, 'message');
-    const message = customMessage || `Welcome to **${member.guild.name}**, {user}! 🎉`;
+    const message = customMessage || this.t(member, 'defaultMessage', { guild: member.guild.name });
     
     const welcomeText = message
       .replace('{user}', `<@${member.id}>`)
@@ -62,38 +62,28 @@ class WelcomePlugin extends BasePlugin {
   }
 
   async setWelcomeCommand(ctx) {
-    const channel = ctx.args[0];
-    const message = ctx.args.slice(1).join(' ');
+    const targetChannel = ctx.getChannel('channel');
+    const message = ctx.getOption('message');
 
-    if (!channel || !channel.startsWith('<#')) {
-      return ctx.reply('❌ Please provide a valid channel mention.');
-    }
-
-    const channelId = channel.slice(2, -1);
-    const targetChannel = ctx.guild.channels.cache.get(channelId);
-    
-    if (!targetChannel) {
-      return ctx.reply('❌ Channel not found.');
-    }
-
-    await this.setGuildConfig(ctx.guild.id, 'channel', channelId);
+    await this.setGuildConfig(ctx.guild.id, 'channel', targetChannel.id);
     
     if (message) {
       await this.setGuildConfig(ctx.guild.id, 'message', message);
     }
 
-    ctx.reply(`✅ Welcome channel set to ${targetChannel}${message ? `\n📝 Custom message: ${message}` : ''}`);
+    const reply = this.t(ctx, 'channelSet', { channel: `${targetChannel}` });
+    ctx.reply(message ? `${reply}\n${this.t(ctx, 'customMessage', { message })}` : reply);
   }
 
   async testWelcomeCommand(ctx) {
     const channelId = await this.getGuildConfig(ctx.guild.id, 'channel');
     if (!channelId) {
-      return ctx.reply('❌ No welcome channel configured. Use `setwelcome` first.');
+      return ctx.reply(this.t(ctx, 'notConfigured'));
     }
 
     // Simulate member join
     await this.onMemberJoin(ctx.member);
-    ctx.reply('✅ Test welcome message sent!');
+    ctx.reply(this.t(ctx, 'testSent'));
   }
 }
 
@@ -42,6 +42,7 @@ function buildEsm() {
   createDir(path.join(esmDir, 'plugins/moderation'));
   createDir(path.join(esmDir, 'plugins/automod'));
   createDir(path.join(esmDir, 'loaders'));
+  createDir(path.join(esmDir, 'testing'));
 
   // Main entry point
   generateEsmWrapper(
@@ -56,8 +57,14 @@ function buildEsm() {
     path.join(esmDir, 'Bot.mjs')
   );
 
+  // Sharding launcher
+  generateEsmWrapper(
+    path.join(__dirname, '../ShardedBot.js'),
+    path.join(esmDir, 'ShardedBot.mjs')
+  );
+
   // Utilities
-  const utils = ['cache', 'colors', 'ctx', 'db', 'logger', 'queue', 'rateLimit', 'scheduler', 'session', 'stats', 'time'];
+  const utils = ['args', 'builtinCommands', 'cache', 'colors', 'cooldowns', 'ctx', 'db', 'errors', 'hotReload', 'i18n', 'intents', 'logger', 'middleware', 'overrides', 'prefixes', 'prompt', 'queue', 'rateLimit', 'recorder', 'scheduler', 'session', 'sharding', 'slash', 'slashSync', 'stats', 'subcommands', 'suggestions', 'time'];
   utils.forEach(util => {
     generateEsmWrapper(
       path.join(__dirname, `../utils/${util}.js`),
@@ -102,6 +109,13 @@ function buildEsm() {
     path.join(esmDir, 'loaders/events.mjs')
   );
 
+  // Test harness
+  generateEsmWrapper(
+    path.join(__dirname, '../testing/index.js'),
+    path.join(esmDir, 'testing/index.mjs'),
+    'named'
+  );
+
   console.log('\n✓ ESM build complete!');
 }
 
@@ -0,0 +1,115 @@
+import { Guild, GuildChannel, GuildMember, Interaction, Message, Role, TextChannel, User } from 'discord.js';
+import { Bot } from '../Bot';
+import { ErrorReport } from '../utils/errors';
+import { TestClient } from './TestClient';
+import { TestReply, TestREST, TestRequest } from './TestREST';
+import { PlayOptions, ReplayResult } from './replay';
+import { Recording } from '../utils/recorder';
+
+export interface TestBotOptions {
+  /** A Bot to use, not started yet, instead of making one from the options */
+  bot?: Bot;
+  /** The token (default: 'test-token') */
+  token?: string;
+  /** Milliseconds to wait for handlers (default: 5000) */
+  timeout?: number;
+  /** Load plugins from this directory (default: none) */
+  pluginsDir?: string | null;
+  /** Plugin classes to load, as with bot.use() */
+  plugins?: any[];
+  /** The default guild, or false for none */
+  guild?: { name?: string; locale?: string } | false;
+  /** The bot's permissions in the default guild (default: Administrator) */
+  botPermissions?: any;
+  /** The bot's user */
+  user?: { id?: string; username?: string };
+  /** The database to start from (default: empty) */
+  data?: object;
+  /** Any other Bot option */
+  [key: string]: any;
+}
+
+type UserLike = User | GuildMember | string;
+
+export interface ActionOptions {
+  /** Who acts (default: the TestBot's member) */
+  user?: UserLike;
+  member?: UserLike;
+  /** Where (default: #general) */
+  channel?: GuildChannel | string;
+  /** In the user's DMs with the bot */
+  dm?: boolean;
+  /** Milliseconds to wait for handlers */
+  timeout?: number;
+}
+
+export interface TestResult {
+  /** Whether the bot's intents let the event through */
+  delivered: boolean;
+  /** What the bot sent while handling it */
+  replies: TestReply[];
+  /** The first reply carrying a message (for interactions, to that interaction) */
+  reply: TestReply | null;
+  /** Errors reported while handling it */
+  errors: ErrorReport[];
+}
+
+export interface MessageResult extends TestResult {
+  message: Message | null;
+}
+
+export interface InteractionResult extends TestResult {
+  interaction: Interaction | null;
+}
+
+export interface JoinResult extends TestResult {
+  member: GuildMember | null;
+}
+
+/** A Bot wired to a TestClient, with a guild, channel and member to test with */
+export declare class TestBot {
+  bot: Bot;
+  client: TestClient;
+  rest: TestREST;
+  /** The default guild and its fixtures; null with `guild: false` */
+  guild: Guild | null;
+  channel: TextChannel | null;
+  member: GuildMember | null;
+  user: User | null;
+  owner: GuildMember | null;
+  constructor(options?: TestBotOptions);
+  start(): Promise<this>;
+  stop(): Promise<void>;
+  readonly replies: TestReply[];
+  readonly lastReply: TestReply | null;
+  readonly requests: TestRequest[];
+  /** The names of the intents the bot asked for, as worked out in start() */
+  readonly intents: string[];
+  clearReplies(): void;
+
+  createGuild(options?: { name?: string; locale?: string; owner?: UserLike; botPermissions?: any }): Guild;
+  createRole(options?: { guild?: Guild | string; name?: string; permissions?: any; position?: number; color?: number; hoist?: boolean; mentionable?: boolean; managed?: boolean }): Role;
+  createChannel(options?: { guild?: Guild | string; name?: string; type?: number | string; parent?: GuildChannel | string; topic?: string; nsfw?: boolean; rateLimitPerUser?: number; permissionOverwrites?: Array<{ id: any; type?: 'role' | 'member'; allow?: any; deny?: any }> }): GuildChannel;
+  /** `dms: false` makes DMs to them fail */
+  createUser(options?: { username?: string; globalName?: string; bot?: boolean; dms?: boolean }): User;
+  /** `permissions` gives them a role of their own */
+  createMember(options?: { guild?: Guild | string; user?: UserLike; username?: string; bot?: boolean; dms?: boolean; roles?: Array<Role | string>; permissions?: any; nick?: string; timeoutUntil?: number | Date }): GuildMember;
+
+  message(content: string, options?: ActionOptions & { reference?: Message | MessageResult | string; attachments?: any[]; embeds?: any[] }): Promise<MessageResult>;
+  edit(message: Message | MessageResult | string, content: string, options?: { timeout?: number }): Promise<MessageResult>;
+  /** Runs a slash command, e.g. `slash('config set', { key: 'x' })` */
+  slash(command: string, values?: Record<string, any>, options?: ActionOptions & { locale?: string }): Promise<InteractionResult>;
+  button(customId: string, options?: ActionOptions & { message?: Message | MessageResult | string }): Promise<InteractionResult>;
+  select(customId: string, values: any | any[], options?: ActionOptions & { message?: Message | MessageResult | string }): Promise<InteractionResult>;
+  modal(customId: string, fields?: Record<string, string>, options?: ActionOptions): Promise<InteractionResult>;
+  join(options?: { guild?: Guild | string; user?: UserLike; username?: string; bot?: boolean; roles?: Array<Role | string>; timeout?: number }): Promise<JoinResult>;
+  leave(member: GuildMember | string, options?: { guild?: Guild | string; timeout?: number }): Promise<TestResult>;
+  /** Sends any gateway event */
+  dispatch(t: string, d: any, options?: { timeout?: number }): Promise<TestResult>;
+  /** Waits for the bot's next reply */
+  nextReply(options?: { filter?: (reply: TestReply) => boolean; timeout?: number }): Promise<TestReply>;
+  /** Feeds a gateway recording into the bot */
+  replay(recording: string | Recording, options?: PlayOptions): Promise<ReplayResult>;
+}
+
+export default TestBot;
@@ -0,0 +1,708 @@
+const path = require('path');
+const crypto = require('crypto');
+const { ChannelType, Events, InteractionType, ComponentType, ApplicationCommandOptionType: OptionType, PermissionsBitField, IntentsBitField } = require('discord.js');
+const Bot = require('../Bot');
+const db = require('../utils/db');
+const { toSlashJSON } = require('../utils/slash');
+const TestClient = require('./TestClient');
+const payloads = require('./payloads');
+
+/** Reply types that carry a message, for `result.reply`. */
+const MESSAGE_REPLIES = ['send', 'reply', 'edit', 'update', 'followUp', 'editReply'];
+
+/** Select menu component types and what their values are. */
+const SELECTS = {
+  [ComponentType.StringSelect]: 'string',
+  [ComponentType.UserSelect]: 'user',
+  [ComponentType.RoleSelect]: 'role',
+  [ComponentType.MentionableSelect]: 'mentionable',
+  [ComponentType.ChannelSelect]: 'channel'
+};
+
+/**
+ * The text inputs of a modal, in order, whether they sit in action rows or labels.
+ * @private
+ */
+function textInputs(components = []) {
+  return components.flatMap(component => {
+    if (component.type === ComponentType.TextInput) return [component];
+    return textInputs([...(component.components || []), ...(component.component ? [component.component] : [])]);
+  });
+}
+
+/**
+ * A {@link Bot} wired to a {@link TestClient}, for testing commands, events and plugins without
+ * Discord. It comes with a guild (`guild`) holding a #general channel (`channel`), an owner, the
+ * bot (with a managed role at the top, Administrator by default) and a member to act as
+ * (`member`, `user`). Data is kept in memory and plugins are only loaded from `pluginsDir` when
+ * given, so tests never touch the bot's files.
+ *
+ * `message()`, `slash()`, `button()`, `select()`, `modal()`, `join()` and `leave()` send the
+ * matching gateway event, wait until the bot is done with it and return what it did:
+ * `{ replies, reply, errors, delivered }` plus the message, interaction or member.
+ */
+class TestBot {
+  /**
+   * @param {object} [options] - Bot options, plus:
+   * @param {Bot} [options.bot] - A Bot to use, not started yet, instead of making one from the options.
+   * @param {string} [options.token] - The token (default: 'test-token').
+   * @param {number} [options.timeout] - Milliseconds to wait for handlers (default: 5000).
+   * @param {string} [options.pluginsDir] - Load plugins from this directory (default: none).
+   * @param {Array<Function>} [options.plugins] - Plugin classes to load, as with `bot.use()`.
+   * @param {object|false} [options.guild] - `{ name, locale }` of the default guild, or false for none.
+   * @param {*} [options.botPermissions] - The bot's permissions there (default: Administrator).
+   * @param {object} [options.user] - `{ username, id }` of the bot's user.
+   * @param {object} [options.data] - The database to start from (default: empty).
+   */
+  constructor(options = {}) {
+    const {
+      token = 'test-token', timeout, pluginsDir = null, plugins = [], guild = {},
+      botPermissions = ['Administrator'], user, data, bot, ...botOptions
+    } = options;
+    this.options = { token, data };
+
+    this.bot = bot || new Bot(token, {
+      handleSignals: false,
+      logger: { level: process.env.LOG_LEVEL || 'warn' },
+      ...botOptions
+    });
+    const original = this.bot.client;
+    /** @type {TestClient} */
+    this.client = new TestClient({ intents: original.options.intents, partials: original.options.partials, user, timeout });
+    this.bot.client = this.client;
+    original.destroy().catch(() => {});
+    this.rest = this.client.rest;
+
+    // Keep the bot's plugins folder and config.json out of tests
+    this.bot.pluginManager.pluginsDir = pluginsDir ? path.resolve(pluginsDir) : null;
+    this.bot.pluginManager.configFile = null;
+    this.bot.pluginManager.pluginConfigs.clear();
+    for (const PluginClass of plugins) this.bot.use(PluginClass);
+
+    /** The default guild */
+    this.guild = null;
+    /** Its #general channel, where messages and interactions happen by default */
+    this.channel = null;
+    /** The guild owner */
+    this.owner = null;
+    /** The member messages and interactions come from by default (no roles) */
+    this.member = null;
+    /** The default member's user */
+    this.user = null;
+    if (guild === false) return;
+
+    this.guild = this.createGuild({ name: guild.name, locale: guild.locale, botPermissions });
+    this.channel = this.guild.channels.cache.find(channel => channel.name === 'general');
+    this.owner = this.guild.members.cache.get(this.guild.ownerId);
+    this.member = this.createMember({ username: 'tester' });
+    this.user = this.member.user;
+  }
+
+  /**
+   * Starts the bot (loading commands, events and plugins, and syncing slash commands when
+   * enabled) with an in-memory database, and waits for clientReady to be handled.
+   * @returns {Promise<TestBot>}
+   */
+  async start() {
+    await db.useMemory(this.options.data);
+    await this.bot.start();
+    await this.client.settle();
+    return this;
+  }
+
+  /**
+   * Stops the bot.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return this.bot.stop({ reason: 'test' });
+  }
+
+  /** Everything the bot sent, edited, deferred or deleted (see TestREST). */
+  get replies() {
+    return this.rest.replies;
+  }
+
+  /** The last thing the bot sent. */
+  get lastReply() {
+    return this.rest.replies[this.rest.replies.length - 1] || null;
+  }
+
+  /** Every REST request the bot made. */
+  get requests() {
+    return this.rest.requests;
+  }
+
+  /** The names of the gateway intents the bot asked for, as worked out in start(). */
+  get intents() {
+    return new IntentsBitField(this.client.options.intents).toArray();
+  }
+
+  /**
+   * Forgets the recorded replies and requests.
+   */
+  clearReplies() {
+    this.rest.replies.length = 0;
+    this.rest.requests.length = 0;
+  }
+
+  // ---- Fixtures (added quietly, without gateway events) ----
+
+  /**
+   * Adds a guild, with an @everyone role, a #general channel and the bot.
+   * @param {object} [options] - `{ name, locale, owner, botPermissions }`; `owner` is a user (default: a new one).
+   * @returns {import('discord.js').Guild}
+   */
+  createGuild(options = {}) {
+    const id = payloads.snowflake();
+    const owner = options.owner ? this.rest.state.users.get(payloads.idOf(options.owner)) : payloads.user({ username: 'owner' });
+    const botRole = payloads.role({ name: this.client.user.username, position: 100, permissions: options.botPermissions ?? ['Administrator'], managed: true, botId: this.client.user.id });
+    this.rest.addGuild(payloads.guild({
+      id,
+      name: options.name,
+      locale: options.locale,
+      ownerId: owner.id,
+      roles: [payloads.role({ id, name: '@everyone', position: 0, permissions: PermissionsBitField.Default }), botRole],
+      channels: [payloads.channel({ guildId: id, name: 'general' })],
+      members: [payloads.member(owner), payloads.member(this.rest.state.users.get(this.client.user.id), { roles: [botRole.id] })]
+    }));
+    this._ensureUser(owner.id);
+    return this.client.guilds._add({ ...this.rest.guildPayload(id), shardId: 0 });
+  }
+
+  /**
+   * Adds a role.
+   * @param {object} [options] - `{ guild, name, permissions, position, color, hoist, mentionable, managed }`.
+   * @returns {import('discord.js').Role}
+   */
+  createRole(options = {}) {
+    const guildId = payloads.idOf(options.guild) || this.guild.id;
+    const role = this.rest.addRole(guildId, payloads.role(options));
+    return this._guild(guildId).roles._add(role);
+  }
+
+  /**
+   * Adds a channel.
+   * @param {object} [options] - `{ guild, name, type, parent, topic, nsfw, rateLimitPerUser, permissionOverwrites }`.
+   * @returns {import('discord.js').GuildChannel}
+   */
+  createChannel(options = {}) {
+    const guildId = payloads.idOf(options.guild) || this.guild.id;
+    const channel = this.rest.addChannel(payloads.channel({ ...options, guildId, parentId: payloads.idOf(options.parent) }));
+    return this.client.channels._add(channel, this._guild(guildId));
+  }
+
+  /**
+   * Adds a user.
+   * @param {object} [options] - `{ username, globalName, bot, dms }`; `dms: false` makes DMs to them fail.
+   * @returns {import('discord.js').User}
+   */
+  createUser(options = {}) {
+    const user = this.rest.addUser(payloads.user(options));
+    if (options.dms === false) this.rest.state.closedDMs.add(user.id);
+    return this.client.users._add(user);
+  }
+
+  /**
+   * Adds a member. `permissions` gives them a role of their own with those permissions.
+   * @param {object} [options] - `{ guild, user, username, bot, dms, roles, permissions, nick, timeoutUntil }`.
+   * @returns {import('discord.js').GuildMember}
+   */
+  createMember(options = {}) {
+    const guildId = payloads.idOf(options.guild) || this.guild.id;
+    const user = options.user ? this._ensureUser(payloads.idOf(options.user)) : this.createUser(options);
+    const roles = (options.roles || []).map(payloads.idOf);
+    if (options.permissions) {
+      roles.push(this.createRole({ guild: guildId, name: `${user.username} permissions`, permissions: options.permissions }).id);
+    }
+    const member = this.rest.addMember(guildId, payloads.member(this.rest.state.users.get(user.id), { ...options, roles }));
+    return this._guild(guildId).members._add(member);
+  }
+
+  // ---- Simulation ----
+
+  /**
+   * A member (or user, in DMs) sends a message.
+   * @param {string} content - The content.
+   * @param {object} [options] - `{ user, channel, dm, reference, attachments, embeds, timeout }`;
+   *   `user` is a member, user or ID (default: `member`), `dm` sends it in their DMs with the bot,
+   *   `reference` replies to a message.
+   * @returns {Promise<object>} `{ message, delivered, replies, reply, errors }`.
+   */
+  async message(content, options = {}) {
+    const userId = payloads.idOf(options.user || options.member) || this.member.id;
+    const channel = this._channelFor(options, userId);
+    const guildId = channel.guild_id || null;
+    if (guildId && !this.rest.permissionsOf(guildId, userId, channel.id).has(['ViewChannel', 'SendMessages'])) {
+      throw new Error(`${this.rest.state.users.get(userId)?.username ?? userId} cannot send messages in #${channel.name}`);
+    }
+    const reference = options.reference ? this.rest.getMessage(payloads.idOf(options.reference)) : null;
+    const mentions = [...new Set([...content.matchAll(/<@!?(\d+)>/g)].map(match => match[1]))]
+      .filter(id => this.rest.state.users.has(id))
+      .map(id => ({ ...this.rest.state.users.get(id), ...(guildId && this.rest._partialMember(guildId, id) ? { member: this.rest._partialMember(guildId, id) } : {}) }));
+    const message = this.rest.addMessage(payloads.message({
+      channelId: channel.id,
+      guildId,
+      author: this.rest._user(userId),
+      member: guildId ? this.rest._partialMember(guildId, userId) : null,
+      content,
+      mentions,
+      embeds: options.embeds,
+      attachments: (options.attachments || []).map(payloads.attachment),
+      reference: reference ? { message_id: reference.id, channel_id: reference.channel_id, ...(guildId ? { guild_id: guildId } : {}) } : null
+    }));
+    return this._run(() => this.client.dispatch('MESSAGE_CREATE', message), options, () => ({
+      message: this.client.channels.cache.get(channel.id)?.messages.cache.get(message.id) ?? null
+    }));
+  }
+
+  /**
+   * The author edits a message sent with {@link TestBot#message}.
+   * @param {*} message - The message, a {@link TestBot#message} result or its ID.
+   * @param {string} content - The new content.
+   * @param {object} [options] - `{ timeout }`.
+   * @returns {Promise<object>} `{ message, delivered, replies, reply, errors }`.
+   */
+  async edit(message, content, options = {}) {
+    const data = this.rest.getMessage(payloads.idOf(message?.message ?? message));
+    if (!data) throw new Error('Unknown message');
+    data.content = content;
+    data.edited_timestamp = new Date().toISOString();
+    return this._run(() => this.client.dispatch('MESSAGE_UPDATE', data), options, () => ({
+      message: this.client.channels.cache.get(data.channel_id)?.messages.cache.get(data.id) ?? null
+    }));
+  }
+
+  /**
+   * Runs a slash command. The options are checked against the command's schema (required,
+   * choices, ranges and types) like Discord does before sending the interaction.
+   * @param {string} command - The command, with its subcommand (group), e.g. 'config set'.
+   * @param {object} [values] - Option values by name; users, members, roles and channels may
+   *   be structures or IDs, attachments file names or `{ name, size, contentType }`.
+   * @param {object} [options] - `{ user, channel, dm, locale, timeout }`.
+   * @returns {Promise<object>} `{ interaction, delivered, replies, reply, errors }`.
+   */
+  async slash(command, values = {}, options = {}) {
+    const [name, ...subcommands] = command.trim().replace(/^\//, '').split(/\s+/);
+    const schema = this._slashSchema(name);
+    const resolved = {};
+    let list = schema.options || [];
+    const path = [];
+    const root = [];
+    let target = root;
+    for (const sub of subcommands) {
+      const option = list.find(o => o.name === sub && (o.type === OptionType.Subcommand || o.type === OptionType.SubcommandGroup));
+      if (!option) throw new Error(`/${name} has no subcommand "${[...path, sub].join(' ')}"`);
+      path.push(sub);
+      const entry = { name: sub, type: option.type, options: [] };
+      target.push(entry);
+      target = entry.options;
+      list = option.options || [];
+    }
+    if (list.some(o => o.type === OptionType.Subcommand || o.type === OptionType.SubcommandGroup)) {
+      throw new Error(`/${[name, ...path].join(' ')} needs a subcommand`);
+    }
+    target.push(...this._slashOptions(`/${[name, ...path].join(' ')}`, list, values, resolved, this._channelFor(options)));
+
+    const commandId = this.bot.commandIds.get(name)
+      || [...this.rest.state.commands.values()].flatMap(commands => [...commands.values()]).find(c => c.name === name)?.id
+      || payloads.snowflake();
+    const data = {
+      id: commandId,
+      name,
+      type: 1,
+      options: root,
+      ...(Object.keys(resolved).length ? { resolved } : {})
+    };
+    return this._interact(InteractionType.ApplicationCommand, data, options);
+  }
+
+  /**
+   * Clicks a button: the latest message with that custom ID, or a message made up for it.
+   * @param {string} customId - The button's custom ID.
+   * @param {object} [options] - `{ user, channel, message, timeout }`; `message` picks the message.
+   * @returns {Promise<object>} `{ interaction, delivered, replies, reply, errors }`.
+   */
+  async button(customId, options = {}) {
+    const { message, component } = this._component(customId, options, { type: ComponentType.Button, style: 1, label: customId, custom_id: customId });
+    if (component.type !== ComponentType.Button) throw new Error(`"${customId}" is not a button`);
+    if (component.disabled) throw new Error(`Button "${customId}" is disabled`);
+    return this._interact(InteractionType.MessageComponent, { custom_id: customId, component_type: ComponentType.Button }, options, message);
+  }
+
+  /**
+   * Picks values in a select menu: the latest message with that custom ID, or a string select
+   * made up for it. Values are checked against the menu's options and limits.
+   * @param {string} customId - The select menu's custom ID.
+   * @param {Array<*>} values - The picked values; users, roles and channels may be structures or IDs.
+   * @param {object} [options] - `{ user, channel, message, timeout }`.
+   * @returns {Promise<object>} `{ interaction, delivered, replies, reply, errors }`.
+   */
+  async select(customId, values, options = {}) {
+    const picked = [].concat(values).map(payloads.idOf);
+    const { message, component } = this._component(customId, options, {
+      type: ComponentType.StringSelect,
+      custom_id: customId,
+      options: picked.map(value => ({ label: value, value })),
+      min_values: 1,
+      max_values: picked.length
+    });
+    const kind = SELECTS[component.type];
+    if (!kind) throw new Error(`"${customId}" is not a select menu`);
+    if (component.disabled) throw new Error(`Select menu "${customId}" is disabled`);
+    const min = component.min_values ?? 1;
+    const max = component.max_values ?? 1;
+    if (picked.length < min || picked.length > max) {
+      throw new Error(`Select menu "${customId}" takes ${min === max ? min : `${min} to ${max}`} value(s), got ${picked.length}`);
+    }
+
+    const data = { custom_id: customId, component_type: component.type, values: picked };
+    const guildId = message.guild_id || null;
+    if (kind === 'string') {
+      const unknown = picked.find(value => !component.options.some(o => o.value === value));
+      if (unknown !== undefined) throw new Error(`Select menu "${customId}" has no option "${unknown}"`);
+    } else {
+      data.resolved = {};
+      for (const id of picked) {
+        if ((kind === 'role' || kind === 'mentionable') && guildId && this.rest.state.guilds.get(guildId).roles.has(id)) {
+          this._resolve(data.resolved, 'roles', id, this.rest.state.guilds.get(guildId).roles.get(id));
+        } else if ((kind === 'user' || kind === 'mentionable') && this.rest.state.users.has(id)) {
+          this._resolveUser(data.resolved, id, guildId, message.channel_id);
+        } else if (kind === 'channel' && this.rest.state.channels.has(id)) {
+          this._resolveChannel(data.resolved, id);
+        } else {
+          throw new Error(`Select menu "${customId}" cannot pick "${id}"`);
+        }
+      }
+    }
+    return this._interact(InteractionType.MessageComponent, data, options, message);
+  }
+
+  /**
+   * Submits a modal. When the bot showed it, the fields are checked against its text inputs
+   * (unknown, missing required and length limits).
+   * @param {string} customId - The modal's custom ID.
+   * @param {object} [fields] - Text input values by custom ID.
+   * @param {object} [options] - `{ user, channel, timeout }`.
+   * @returns {Promise<object>} `{ interaction, delivered, replies, reply, errors }`.
+   */
+  async modal(customId, fields = {}, options = {}) {
+    const shown = [...this.rest.replies].reverse().find(reply => reply.type === 'modal' && reply.customId === customId);
+    let inputs = Object.keys(fields).map(id => ({ custom_id: id }));
+    let message = null;
+    if (shown) {
+      inputs = textInputs(shown.components);
+      for (const id of Object.keys(fields)) {
+        if (!inputs.some(input => input.custom_id === id)) throw new Error(`Modal "${customId}" has no field "${id}"`);
+      }
+      for (const input of inputs) {
+        const value = String(fields[input.custom_id] ?? '');
+        if (input.required !== false && !value) throw new Error(`Modal "${customId}": field "${input.custom_id}" is required`);
+        if (value && value.length < (input.min_length ?? 0)) throw new Error(`Modal "${customId}": field "${input.custom_id}" is shorter than ${input.min_length}`);
+        if (value.length > (input.max_length ?? 4000)) throw new Error(`Modal "${customId}": field "${input.custom_id}" is longer than ${input.max_length ?? 4000}`);
+      }
+      // Modals shown from a component carry its message
+      const source = [...this.rest.state.interactions.values()].find(i => i.id === shown.interactionId);
+      if (source?.messageId) message = this.rest.getMessage(source.messageId);
+    }
+    const data = {
+      custom_id: customId,
+      components: inputs.map(input => ({
+        type: ComponentType.ActionRow,
+        components: [{ type: ComponentType.TextInput, custom_id: input.custom_id, value: String(fields[input.custom_id] ?? '') }]
+      }))
+    };
+    return this._interact(InteractionType.ModalSubmit, data, options, message);
+  }
+
+  /**
+   * A user joins a guild.
+   * @param {object} [options] - `{ guild, user, username, bot, roles, timeout }`.
+   * @returns {Promise<object>} `{ member, delivered, replies, reply, errors }`.
+   */
+  async join(options = {}) {
+    const guildId = payloads.idOf(options.guild) || this.guild.id;
+    const user = options.user ? this._ensureUser(payloads.idOf(options.user)) : this.createUser(options);
+    const member = this.rest.addMember(guildId, payloads.member(this.rest.state.users.get(user.id), { roles: (options.roles || []).map(payloads.idOf) }));
+    return this._run(() => this.client.dispatch('GUILD_MEMBER_ADD', { ...member, guild_id: guildId }), options, () => ({
+      member: this._guild(guildId).members.cache.get(user.id) ?? null
+    }));
+  }
+
+  /**
+   * A member leaves their guild.
+   * @param {*} member - The member or user ID (default guild).
+   * @param {object} [options] - `{ guild, timeout }`.
+   * @returns {Promise<object>} `{ delivered, replies, reply, errors }`.
+   */
+  async leave(member, options = {}) {
+    const guildId = member?.guild?.id || payloads.idOf(options.guild) || this.guild.id;
+    const removed = this.rest.removeMember(guildId, payloads.idOf(member));
+    if (!removed) throw new Error('Unknown member');
+    return this._run(() => this.client.dispatch('GUILD_MEMBER_REMOVE', { guild_id: guildId, user: removed.user }), options);
+  }
+
+  /**
+   * Sends any gateway event and waits for the bot to handle it.
+   * @param {string} t - The event, e.g. 'GUILD_ROLE_CREATE'.
+   * @param {object} d - The payload.
+   * @param {object} [options] - `{ timeout }`.
+   * @returns {Promise<object>} `{ delivered, replies, reply, errors }`.
+   */
+  dispatch(t, d, options = {}) {
+    return this._run(() => this.client.dispatch(t, d), options);
+  }
+
+  /**
+   * Replays a gateway recording (see utils/recorder) into the bot, event by event.
+   * @param {string|object} recording - The JSONL file, or what readRecording() returned.
+   * @param {object} [options] - `{ speed, filter }`, see testing/replay.
+   * @returns {Promise<object>} `{ events, skipped, failures, replies, errors }`.
+   */
+  replay(recording, options = {}) {
+    return require('./replay').play(this, recording, options);
+  }
+
+  /**
+   * Waits for the bot's next reply, e.g. one it sends from a timer.
+   * @param {object} [options] - `{ filter, timeout }`; `filter` is called with each reply.
+   * @returns {Promise<object>} The reply.
+   */
+  nextReply(options = {}) {
+    const { filter = () => true, timeout = this.client.timeout } = options;
+    return new Promise((resolve, reject) => {
+      const onReply = reply => {
+        if (!filter(reply)) return;
+        clearTimeout(timer);
+        this.rest.off('reply', onReply);
+        resolve(reply);
+      };
+      const timer = setTimeout(() => {
+        this.rest.off('reply', onReply);
+        reject(new Error(`No reply within ${timeout}ms`));
+      }, timeout);
+      this.rest.on('reply', onReply);
+    });
+  }
+
+  // ---- Internals ----
+
+  /** @private */
+  _guild(guildId) {
+    const guild = this.client.guilds.cache.get(guildId);
+    if (!guild) throw new Error(`Unknown guild ${guildId}`);
+    return guild;
+  }
+
+  /**
+   * The user's cached structure, known to the REST stand-in.
+   * @private
+   */
+  _ensureUser(userId) {
+    return this.client.users._add(this.rest._user(userId));
+  }
+
+  /**
+   * The channel payload an action happens in: `channel`, the user's DMs with `dm`, or #general.
+   * @private
+   */
+  _channelFor(options = {}, userId = payloads.idOf(options.user) || this.member.id) {
+    if (options.dm) {
+      const channel = this.rest.dmChannel(userId);
+      this.client.channels._add(channel);
+      return channel;
+    }
+    return this.rest._channel(payloads.idOf(options.channel) || this.channel.id);
+  }
+
+  /**
+   * Runs an action that dispatches an event, waits for the bot and collects what it did.
+   * @private
+   */
+  async _run(action, options, extra = () => ({}), interactionId = null) {
+    const start = this.rest.replies.length;
+    const since = Date.now();
+    const delivered = action();
+    await this.client.settle(options.timeout);
+    const replies = this.rest.replies.slice(start);
+    const scoped = interactionId ? replies.filter(reply => reply.interactionId === interactionId) : replies;
+    return {
+      ...extra(),
+      delivered,
+      replies,
+      reply: scoped.find(reply => MESSAGE_REPLIES.includes(reply.type)) || null,
+      errors: this.bot.errors.reports.filter(report => report.time >= since)
+    };
+  }
+
+  /**
+   * Sends an interaction from a member (or user, in DMs) and waits for the bot.
+   * @private
+   */
+  async _interact(type, data, options, message = null) {
+    const userId = payloads.idOf(options.user || options.member) || this.member.id;
+    const channel = message ? this.rest._channel(message.channel_id) : this._channelFor(options, userId);
+    const guildId = channel.guild_id || null;
+    const id = payloads.snowflake();
+    const token = crypto.randomBytes(24).toString('hex');
+    const user = this.rest._user(userId);
+    const member = guildId && this.rest._partialMember(guildId, userId);
+    if (guildId && !member) throw new Error(`${user.username} is not a member of that guild`);
+    const guildData = guildId && this.rest.state.guilds.get(guildId).data;
+    const payload = {
+      id,
+      application_id: this.client.application.id,
+      type,
+      data: { ...data, ...(guildId && type === InteractionType.ApplicationCommand ? { guild_id: guildId } : {}) },
+      ...(guildId
+        ? { guild_id: guildId, member: { ...member, user, permissions: String(this.rest.permissionsOf(guildId, userId, channel.id).bitfield) }, guild_locale: guildData.preferred_locale }
+        : { user }),
+      channel_id: channel.id,
+      channel: guildId ? { ...channel, permissions: String(this.rest.permissionsOf(guildId, userId, channel.id).bitfield) } : channel,
+      ...(message ? { message } : {}),
+      token,
+      version: 1,
+      app_permissions: String(guildId ? this.rest.permissionsOf(guildId, this.client.user.id, channel.id).bitfield : PermissionsBitField.Default),
+      locale: options.locale || 'en-US',
+      entitlements: [],
+      authorizing_integration_owners: { 0: guildId || userId },
+      context: guildId ? 0 : channel.type === ChannelType.DM ? 1 : 2
+    };
+    this.rest.addInteraction({ id, token, type, channelId: channel.id, guildId, userId, messageId: message?.id ?? null });
+
+    let interaction = null;
+    const capture = created => { if (created.id === id) interaction = created; };
+    this.client.prependListener(Events.InteractionCreate, capture);
+    try {
+      return await this._run(() => this.client.dispatch('INTERACTION_CREATE', payload), options, () => ({ interaction }), id);
+    } finally {
+      this.client.off(Events.InteractionCreate, capture);
+    }
+  }
+
+  /**
+   * The application command JSON for a command name.
+   * @private
+   */
+  _slashSchema(name) {
+    const registered = this.bot.interactionManager.slashCommands.get(name);
+    if (registered) return { options: registered.options || registered.data?.options || [] };
+    const cmd = this.bot.commandManager.commands.get(name);
+    if (!cmd) throw new Error(`There is no command named "${name}"`);
+    if (!cmd.slash) throw new Error(`"${name}" is not a slash command (set slash: true)`);
+    return toSlashJSON(cmd);
+  }
+
+  /**
+   * Checks option values against a schema and builds the interaction's options and resolved data.
+   * @private
+   */
+  _slashOptions(path, schema, values, resolved, channel) {
+    for (const key of Object.keys(values)) {
+      if (!schema.some(option => option.name === key)) throw new Error(`${path} has no option "${key}"`);
+    }
+    const guildId = channel.guild_id || null;
+    const options = [];
+    for (const option of schema) {
+      let value = values[option.name];
+      if (value === undefined || value === null) {
+        if (option.required) throw new Error(`${path}: option "${option.name}" is required`);
+        continue;
+      }
+      const fail = reason => { throw new Error(`${path}: option "${option.name}" ${reason}`); };
+      switch (option.type) {
+        case OptionType.String:
+          value = String(value);
+          if (value.length < (option.min_length ?? 0)) fail(`must be at least ${option.min_length} characters`);
+          if (value.length > (option.max_length ?? 6000)) fail(`must be at most ${option.max_length} characters`);
+          break;
+        case OptionType.Integer:
+        case OptionType.Number:
+          value = Number(value);
+          if (!Number.isFinite(value) || (option.type === OptionType.Integer && !Number.isInteger(value))) fail(`must be ${option.type === OptionType.Integer ? 'an integer' : 'a number'}`);
+          if (option.min_value !== undefined && value < option.min_value) fail(`must be at least ${option.min_value}`);
+          if (option.max_value !== undefined && value > option.max_value) fail(`must be at most ${option.max_value}`);
+          break;
+        case OptionType.Boolean:
+          value = !!value;
+          break;
+        case OptionType.User:
+        case OptionType.Mentionable:
+          value = payloads.idOf(value);
+          if (option.type === OptionType.Mentionable && guildId && this.rest.state.guilds.get(guildId).roles.has(value)) {
+            this._resolve(resolved, 'roles', value, this.rest.state.guilds.get(guildId).roles.get(value));
+          } else if (this.rest.state.users.has(value)) {
+            this._resolveUser(resolved, value, guildId, channel.id);
+          } else {
+            fail(`is not a known ${option.type === OptionType.User ? 'user' : 'user or role'}`);
+          }
+          break;
+        case OptionType.Role:
+          value = payloads.idOf(value);
+          if (!guildId || !this.rest.state.guilds.get(guildId).roles.has(value)) fail('is not a role of this guild');
+          this._resolve(resolved, 'roles', value, this.rest.state.guilds.get(guildId).roles.get(value));
+          break;
+        case OptionType.Channel: {
+          value = payloads.idOf(value);
+          const target = this.rest.state.channels.get(value);
+          if (!target || target.guild_id !== guildId) fail('is not a channel of this guild');
+          if (option.channel_types?.length && !option.channel_types.includes(target.type)) fail(`must be a channel of type ${option.channel_types.join(' or ')}`);
+          this._resolveChannel(resolved, value);
+          break;
+        }
+        case OptionType.Attachment: {
+          const file = payloads.attachment(value);
+          this._resolve(resolved, 'attachments', file.id, file);
+          value = file.id;
+          break;
+        }
+        default:
+          fail(`has an unsupported type ${option.type}`);
+      }
+      if (option.choices?.length && !option.choices.some(choice => choice.value === value)) {
+        fail(`must be one of ${option.choices.map(choice => JSON.stringify(choice.value)).join(', ')}`);
+      }
+      options.push({ name: option.name, type: option.type, value });
+    }
+    return options;
+  }
+
+  /** @private */
+  _resolve(resolved, kind, id, data) {
+    (resolved[kind] ||= {})[id] = data;
+  }
+
+  /** @private */
+  _resolveUser(resolved, userId, guildId, channelId) {
+    this._resolve(resolved, 'users', userId, this.rest.state.users.get(userId));
+    const member = guildId && this.rest._partialMember(guildId, userId);
+    if (member) this._resolve(resolved, 'members', userId, { ...member, permissions: String(this.rest.permissionsOf(guildId, userId, channelId).bitfield) });
+  }
+
+  /** @private */
+  _resolveChannel(resolved, channelId) {
+    const channel = this.rest.state.channels.get(channelId);
+    const permissions = channel.guild_id ? String(this.rest.permissionsOf(channel.guild_id, this.client.user.id, channelId).bitfield) : undefined;
+    this._resolve(resolved, 'channels', channelId, { id: channel.id, name: channel.name, type: channel.type, parent_id: channel.parent_id ?? null, permissions });
+  }
+
+  /**
+   * The message holding a component, or a message from the bot made up with `fallback`.
+   * @private
+   */
+  _component(customId, options, fallback) {
+    const found = this.rest.findComponent(customId, payloads.idOf(options.message?.message ?? options.message));
+    if (found) return found;
+    if (options.message) throw new Error(`That message has no component "${customId}"`);
+    const channel = this._channelFor(options);
+    const message = this.rest.addMessage(payloads.message({
+      channelId: channel.id,
+      guildId: channel.guild_id || null,
+      author: this.rest._user(this.client.user.id),
+      components: [{ type: ComponentType.ActionRow, components: [fallback] }]
+    }));
+    return { message, component: fallback };
+  }
+}
+
+module.exports = TestBot;
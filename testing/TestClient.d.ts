@@ -0,0 +1,30 @@
+import { Client, ClientOptions } from 'discord.js';
+import { TestREST } from './TestREST';
+
+export interface TestClientOptions extends Partial<ClientOptions> {
+  /** The REST stand-in (default: a new TestREST) */
+  rest?: TestREST;
+  /** The bot's user payload options */
+  user?: { id?: string; username?: string; globalName?: string | null };
+  /** How long settle() waits, in milliseconds (default: 5000) */
+  timeout?: number;
+}
+
+/** A discord.js Client that never connects; gateway events are handed to it with dispatch() */
+export declare class TestClient extends Client {
+  rest: TestREST;
+  timeout: number;
+  /** Errors thrown by listeners since the last settle() */
+  listenerErrors: any[];
+  constructor(options?: TestClientOptions);
+  /** Becomes ready without connecting */
+  login(token?: string): Promise<string>;
+  /** Hands a gateway event to discord.js; false when the intents do not cover it */
+  dispatch(t: string, d: any): boolean;
+  /** Makes settle() wait for a promise */
+  track(promise: Promise<any>): void;
+  /** Waits until listeners and requests are done, then throws the first listener error */
+  settle(timeout?: number): Promise<void>;
+}
+
+export default TestClient;
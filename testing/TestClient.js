@@ -0,0 +1,173 @@
+const { Client, ClientUser, ClientApplication, Events, Status } = require('discord.js');
+const TestREST = require('./TestREST');
+const payloads = require('./payloads');
+
+/**
+ * The intents a gateway event needs, in a guild and in DMs. Events not listed are always sent.
+ * @private
+ */
+const DISPATCH_INTENTS = {
+  GUILD_CREATE: ['Guilds'],
+  GUILD_UPDATE: ['Guilds'],
+  GUILD_DELETE: ['Guilds'],
+  GUILD_ROLE_CREATE: ['Guilds'],
+  GUILD_ROLE_UPDATE: ['Guilds'],
+  GUILD_ROLE_DELETE: ['Guilds'],
+  CHANNEL_CREATE: ['Guilds'],
+  CHANNEL_UPDATE: ['Guilds'],
+  CHANNEL_DELETE: ['Guilds'],
+  GUILD_MEMBER_ADD: ['GuildMembers'],
+  GUILD_MEMBER_UPDATE: ['GuildMembers'],
+  GUILD_MEMBER_REMOVE: ['GuildMembers'],
+  GUILD_BAN_ADD: ['GuildModeration'],
+  GUILD_BAN_REMOVE: ['GuildModeration'],
+  MESSAGE_CREATE: ['GuildMessages', 'DirectMessages'],
+  MESSAGE_UPDATE: ['GuildMessages', 'DirectMessages'],
+  MESSAGE_DELETE: ['GuildMessages', 'DirectMessages'],
+  MESSAGE_DELETE_BULK: ['GuildMessages'],
+  MESSAGE_REACTION_ADD: ['GuildMessageReactions', 'DirectMessageReactions'],
+  MESSAGE_REACTION_REMOVE: ['GuildMessageReactions', 'DirectMessageReactions'],
+  TYPING_START: ['GuildMessageTyping', 'DirectMessageTyping']
+};
+
+/**
+ * A discord.js Client that never connects. Its REST manager is a {@link TestREST}, login()
+ * makes it ready at once with the guilds the REST stand-in knows, and gateway events are
+ * handed to it with {@link TestClient#dispatch}, which goes through discord.js's own packet
+ * handlers (so caches and events behave as with a real connection).
+ *
+ * Listener promises and REST requests are tracked, so {@link TestClient#settle} can wait until
+ * the bot has finished reacting to an event.
+ */
+class TestClient extends Client {
+  /**
+   * @param {object} [options] - Client options, plus `{ rest, user, timeout }`: the TestREST to
+   *   use, options for the bot's user payload and how long settle() waits (default: 5000ms).
+   */
+  constructor(options = {}) {
+    const { rest, user, timeout, ...clientOptions } = options;
+    super({ intents: [], ...clientOptions });
+    this.rest.clearHashSweeper();
+    this.rest.clearHandlerSweeper();
+    /** @type {TestREST} */
+    this.rest = rest || new TestREST();
+    this.rest.client = this;
+    this.timeout = timeout ?? 5000;
+    /** Errors thrown by listeners since the last settle() */
+    this.listenerErrors = [];
+    this._pending = new Set();
+
+    // The bot's user and application exist before login, so fixtures can be set up first
+    const botUser = this.rest.addUser(payloads.user({ username: 'TestBot', ...user, bot: true }));
+    this.user = new ClientUser(this, botUser);
+    this.users.cache.set(this.user.id, this.user);
+    this.application = new ClientApplication(this, { id: botUser.id, name: botUser.username, flags: 0, bot_public: true });
+  }
+
+  /**
+   * Becomes ready without connecting: adds the guilds the REST stand-in knows and emits clientReady.
+   * @param {string} [token] - The token (default: 'test-token').
+   * @returns {Promise<string>}
+   */
+  async login(token = 'test-token') {
+    this.token = token;
+    this.rest.setToken(token);
+    this.ws.destroyed = false;
+    this.ws.status = Status.Ready;
+    for (const guildId of this.rest.state.guilds.keys()) {
+      if (!this.guilds.cache.has(guildId)) this.guilds._add({ ...this.rest.guildPayload(guildId), shardId: 0 });
+    }
+    this.readyTimestamp = Date.now();
+    this.emit(Events.ClientReady, this);
+    return token;
+  }
+
+  /**
+   * Hands a gateway event to discord.js, as if Discord had sent it. Like Discord, events the
+   * client's intents do not cover are dropped, and without the MessageContent intent other
+   * users' guild messages arrive without content unless they mention the bot.
+   * @param {string} t - The event, e.g. 'MESSAGE_CREATE'.
+   * @param {object} d - The payload (see testing/payloads).
+   * @returns {boolean} Whether the event was delivered.
+   */
+  dispatch(t, d) {
+    const intents = this.options.intents;
+    // Guild events (GUILD_CREATE...) carry the guild itself rather than a guild_id
+    const [guildIntent, dmIntent = guildIntent] = DISPATCH_INTENTS[t] || [];
+    const needed = d.guild_id ? guildIntent : dmIntent;
+    const self = d.user?.id === this.user.id || d.user_id === this.user.id;
+    if (DISPATCH_INTENTS[t] && !(needed && intents.has(needed)) && !(t === 'GUILD_MEMBER_UPDATE' && self)) return false;
+
+    let data = structuredClone(d);
+    if ((t === 'MESSAGE_CREATE' || t === 'MESSAGE_UPDATE') && data.guild_id && data.author && !intents.has('MessageContent')
+      && data.author.id !== this.user.id && !data.mentions?.some(u => u.id === this.user.id)) {
+      data = { ...data, content: '', embeds: [], attachments: [], components: [] };
+    }
+
+    const packet = { op: 0, t, d: data, s: null };
+    this.emit(Events.Raw, packet, 0);
+    this.ws.handlePacket(packet, { id: 0, status: Status.Ready, checkReady() {} });
+    return true;
+  }
+
+  /**
+   * Calls the listeners like EventEmitter#emit, but keeps track of the promises they return and
+   * collects what they throw in `listenerErrors` instead of letting it escape.
+   * @param {string|symbol} event - The event.
+   * @param {...*} args - The arguments.
+   * @returns {boolean}
+   */
+  emit(event, ...args) {
+    const listeners = this.rawListeners(event);
+    if (!listeners.length) {
+      if (event === 'error') throw args[0];
+      return false;
+    }
+    for (const listener of listeners) {
+      try {
+        const result = listener.apply(this, args);
+        if (result && typeof result.then === 'function') {
+          this.track(Promise.resolve(result).catch(err => { this.listenerErrors.push(err); }));
+        }
+      } catch (err) {
+        this.listenerErrors.push(err);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Makes settle() wait for a promise. Its outcome is ignored.
+   * @param {Promise<*>} promise - The promise.
+   */
+  track(promise) {
+    const tracked = Promise.resolve(promise).catch(() => {}).finally(() => this._pending.delete(tracked));
+    this._pending.add(tracked);
+  }
+
+  /**
+   * Waits until no listener or REST request is still running, then throws the first error a
+   * listener threw, if any.
+   * @param {number} [timeout] - Milliseconds to wait (default: the client's `timeout`).
+   * @returns {Promise<void>}
+   */
+  async settle(timeout = this.timeout) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      // Let queued packets and pending callbacks run before looking
+      await new Promise(resolve => setImmediate(resolve));
+      if (!this._pending.size) break;
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw new Error(`Handlers still running after ${timeout}ms`);
+      let timer;
+      await Promise.race([
+        Promise.all([...this._pending]),
+        new Promise(resolve => { timer = setTimeout(resolve, remaining); })
+      ]);
+      clearTimeout(timer);
+    }
+    if (this.listenerErrors.length) throw this.listenerErrors.splice(0)[0];
+  }
+}
+
+module.exports = TestClient;
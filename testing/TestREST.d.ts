@@ -0,0 +1,110 @@
+import { DiscordAPIError, PermissionsBitField, REST } from 'discord.js';
+import { TestClient } from './TestClient';
+
+export type TestReplyType =
+  | 'send' | 'reply' | 'edit' | 'delete' | 'bulkDelete' | 'react'
+  | 'defer' | 'deferUpdate' | 'update' | 'autocomplete' | 'modal'
+  | 'followUp' | 'editReply' | 'deleteReply';
+
+/** Something the bot sent, edited, deferred or deleted */
+export interface TestReply {
+  type: TestReplyType;
+  channelId: string | null;
+  guildId: string | null;
+  messageId: string | null;
+  interactionId: string | null;
+  content: string | null;
+  embeds: any[];
+  components: any[];
+  /** Names of the attached files */
+  files: string[];
+  ephemeral: boolean;
+  time: number;
+  /** The recipient of a DM */
+  userId?: string;
+  /** The author of a deleted message */
+  authorId?: string;
+  /** Deleted messages (bulkDelete) */
+  messageIds?: string[];
+  /** The reaction (react) */
+  emoji?: string;
+  /** Autocomplete choices */
+  choices?: any[];
+  /** The modal's custom ID and title */
+  customId?: string;
+  title?: string;
+}
+
+export interface TestRequest {
+  method: string;
+  route: string;
+  body: any;
+  /** Names of the attached files */
+  files: string[];
+  query: Record<string, string>;
+  reason: string | null;
+  time: number;
+}
+
+export interface TestGuildState {
+  data: any;
+  roles: Map<string, any>;
+  members: Map<string, any>;
+  bans: Map<string, any>;
+}
+
+export interface TestInteractionState {
+  id: string;
+  token: string;
+  type: number;
+  channelId: string;
+  guildId: string | null;
+  userId: string;
+  messageId: string | null;
+  originalId: string | null;
+  messageIds: string[];
+  acknowledged: boolean;
+}
+
+/** An in-memory stand-in for Discord's REST API */
+export declare class TestREST extends REST {
+  client: TestClient | null;
+  state: {
+    users: Map<string, any>;
+    guilds: Map<string, TestGuildState>;
+    channels: Map<string, any>;
+    messages: Map<string, Map<string, any>>;
+    interactions: Map<string, TestInteractionState>;
+    commands: Map<string, Map<string, any>>;
+    closedDMs: Set<string>;
+  };
+  requests: TestRequest[];
+  replies: TestReply[];
+  readonly botId: string;
+  constructor();
+  request(options: any): Promise<unknown>;
+  /** Answers a route (`:name` parameters) before the built-in routes */
+  route(method: string, path: string, handler: (request: TestRequest & { files: any[] }, params: Record<string, string>) => any): this;
+  /** An error as Discord's API returns it */
+  error(status: number, code: number, message: string): DiscordAPIError;
+  addUser(user: any): any;
+  addGuild(guild: any): void;
+  addRole(guildId: string, role: any): any;
+  addChannel(channel: any): any;
+  addMember(guildId: string, member: any): any;
+  removeMember(guildId: string, userId: string): any | null;
+  addMessage(message: any): any;
+  getMessage(messageId: string): any | null;
+  addInteraction(interaction: Partial<TestInteractionState> & { id: string; token: string }): TestInteractionState;
+  guildPayload(guildId: string): any;
+  /** Updates the state from a gateway event, as Discord's would have been */
+  sync(t: string, d: any): void;
+  dmChannel(userId: string): any;
+  findComponent(customId: string, messageId?: string | null): { message: any; component: any } | null;
+  /** A user's permissions in a guild or channel, from its roles and overwrites */
+  permissionsOf(guildId: string, userId: string, channelId?: string | null): Readonly<PermissionsBitField>;
+  on(event: 'reply', listener: (reply: TestReply) => void): this;
+  on(event: string, listener: (...args: any[]) => void): this;
+}
+
+export default TestREST;
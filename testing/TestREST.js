@@ -0,0 +1,1054 @@
+const { REST, DiscordAPIError, PermissionsBitField, MessageFlags, MessageType, ChannelType, InteractionType, RESTJSONErrorCodes: Codes } = require('discord.js');
+const payloads = require('./payloads');
+
+const { Flags } = PermissionsBitField;
+
+/** Interaction callback types (InteractionResponseType) and the reply they are recorded as. */
+const CALLBACKS = { 4: 'reply', 5: 'defer', 6: 'deferUpdate', 7: 'update', 8: 'autocomplete', 9: 'modal' };
+
+/**
+ * Compiles a route such as `/guilds/:guild/bans/:user` to a regular expression with named groups.
+ * @private
+ */
+function compile(path) {
+  const source = path
+    .split('/')
+    .map(part => (part.startsWith(':') ? `(?<${part.slice(1)}>[^/]+)` : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * The reply fields of a message body: content, embeds, components, files and whether it is ephemeral.
+ * @private
+ */
+function messageFields(body = {}, files = []) {
+  return {
+    content: body.content ?? null,
+    embeds: body.embeds || [],
+    components: body.components || [],
+    files: files.map(file => file.name),
+    ephemeral: ((Number(body.flags) || 0) & MessageFlags.Ephemeral) !== 0
+  };
+}
+
+/**
+ * A stand-in for discord.js's REST manager that answers from an in-memory copy of Discord
+ * (users, guilds, roles, members, channels, messages, bans, interactions and application
+ * commands) instead of the network. Like Discord, it checks the bot's permissions and role
+ * hierarchy, and sends the gateway events a change causes (MESSAGE_CREATE after a send,
+ * GUILD_MEMBER_REMOVE after a kick...) through its client.
+ *
+ * Every request is recorded in `requests`, and everything the bot sends, edits, defers or
+ * deletes in `replies`. Routes it does not know fail with a 404; add them with {@link TestREST#route}.
+ */
+class TestREST extends REST {
+  constructor() {
+    super({ version: '10' });
+    /** The TestClient that receives the gateway events, set by the client */
+    this.client = null;
+    this.state = {
+      users: new Map(),
+      // id → { data, roles: Map, members: Map, bans: Map }
+      guilds: new Map(),
+      channels: new Map(),
+      // channel ID → Map of messages
+      messages: new Map(),
+      // token → { id, token, type, channelId, guildId, userId, messageId, originalId, messageIds, acknowledged }
+      interactions: new Map(),
+      // 'global' or a guild ID → Map of application commands
+      commands: new Map(),
+      // Users that do not accept DMs
+      closedDMs: new Set()
+    };
+    /** Every request: `{ method, route, body, files, query, reason, time }` */
+    this.requests = [];
+    /** What the bot sent: `{ type, channelId, guildId, messageId, interactionId, content, embeds, components, files, ephemeral, time }` */
+    this.replies = [];
+    this.routes = [];
+    this._defaultRoutes();
+  }
+
+  get botId() {
+    return this.client.user.id;
+  }
+
+  /**
+   * Answers a request from the in-memory state (or a route added with {@link TestREST#route}).
+   * @param {object} options - The discord.js request options.
+   * @returns {Promise<*>}
+   */
+  request(options) {
+    const result = this._answer(options);
+    // settle() waits for requests still on their way too
+    this.client?.track(result);
+    return result;
+  }
+
+  /** @private */
+  async _answer(options) {
+    const request = {
+      method: options.method,
+      route: options.fullRoute,
+      body: options.body ?? null,
+      files: (options.files || []).map(file => file.name),
+      query: options.query ? Object.fromEntries(options.query) : {},
+      reason: options.reason ?? null,
+      time: Date.now()
+    };
+    this.requests.push(request);
+    try {
+      for (const route of this.routes) {
+        if (route.method !== request.method) continue;
+        const match = route.pattern.exec(request.route);
+        if (!match) continue;
+        const params = Object.fromEntries(Object.entries(match.groups || {}).map(([key, value]) => [key, decodeURIComponent(value)]));
+        const result = await route.handler({ ...request, files: options.files || [] }, params);
+        return result === undefined || result === null ? null : structuredClone(result);
+      }
+      throw this.error(404, 0, `404: Not Found (the test REST has no route for ${request.method} ${request.route})`);
+    } catch (err) {
+      if (err instanceof DiscordAPIError) {
+        err.method = request.method;
+        err.url = `https://discord.com/api/v10${request.route}`;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Answers a route with a function, before the built-in routes. Handlers receive the request
+   * and the route parameters, and return the response body or throw {@link TestREST#error}.
+   * @param {string} method - GET, POST, PUT, PATCH or DELETE.
+   * @param {string} path - The route, with `:name` parameters, e.g. `/guilds/:guild/invites`.
+   * @param {Function} handler - `(request, params) => body`.
+   * @returns {TestREST}
+   */
+  route(method, path, handler) {
+    this.routes.unshift({ method: method.toUpperCase(), pattern: compile(path), handler });
+    return this;
+  }
+
+  /**
+   * An error as Discord's API returns it.
+   * @param {number} status - The HTTP status.
+   * @param {number} code - The JSON error code (see RESTJSONErrorCodes).
+   * @param {string} message - The message.
+   * @returns {DiscordAPIError}
+   */
+  error(status, code, message) {
+    return new DiscordAPIError({ code, message }, code, status, '', '', {});
+  }
+
+  /** @private */
+  _route(method, path, handler) {
+    this.routes.push({ method, pattern: compile(path), handler: handler.bind(this) });
+  }
+
+  /** @private */
+  _defaultRoutes() {
+    // Channels and messages
+    this._route('GET', '/channels/:channel', (req, p) => this._channel(p.channel));
+    this._route('POST', '/channels/:channel/messages', (req, p) => this._send(req, p.channel));
+    this._route('GET', '/channels/:channel/messages', (req, p) => this._listMessages(p.channel, req.query));
+    this._route('POST', '/channels/:channel/messages/bulk-delete', (req, p) => this._bulkDelete(req, p.channel));
+    this._route('GET', '/channels/:channel/messages/:message', (req, p) => this._fetchMessage(p.channel, p.message));
+    this._route('PATCH', '/channels/:channel/messages/:message', (req, p) => this._edit(req, p.channel, p.message));
+    this._route('DELETE', '/channels/:channel/messages/:message', (req, p) => this._delete(p.channel, p.message));
+    this._route('PUT', '/channels/:channel/messages/:message/reactions/:emoji/@me', (req, p) => this._react(p.channel, p.message, p.emoji, true));
+    this._route('DELETE', '/channels/:channel/messages/:message/reactions/:emoji/@me', (req, p) => this._react(p.channel, p.message, p.emoji, false));
+    this._route('POST', '/channels/:channel/typing', () => null);
+
+    // Users
+    this._route('GET', '/users/:user', (req, p) => this._user(p.user === '@me' ? this.botId : p.user));
+    this._route('POST', '/users/@me/channels', req => this.dmChannel(this._user(req.body?.recipient_id).id));
+
+    // Guilds, members and bans
+    this._route('GET', '/guilds/:guild', (req, p) => {
+      const { channels, members, ...data } = this.guildPayload(p.guild);
+      return data;
+    });
+    this._route('GET', '/guilds/:guild/channels', (req, p) => this.guildPayload(p.guild).channels);
+    this._route('GET', '/guilds/:guild/roles', (req, p) => [...this._guild(p.guild).roles.values()]);
+    this._route('GET', '/guilds/:guild/members', (req, p) => this._listMembers(p.guild, req.query));
+    this._route('GET', '/guilds/:guild/members/:user', (req, p) => this._member(p.guild, this._userId(p.user)));
+    this._route('PATCH', '/guilds/:guild/members/:user', (req, p) => this._editMember(req, p.guild, this._userId(p.user)));
+    this._route('DELETE', '/guilds/:guild/members/:user', (req, p) => this._kick(p.guild, p.user));
+    this._route('PUT', '/guilds/:guild/members/:user/roles/:role', (req, p) => this._memberRole(p.guild, p.user, p.role, true));
+    this._route('DELETE', '/guilds/:guild/members/:user/roles/:role', (req, p) => this._memberRole(p.guild, p.user, p.role, false));
+    this._route('GET', '/guilds/:guild/bans', (req, p) => {
+      this._require(p.guild, ['BanMembers']);
+      return [...this._guild(p.guild).bans.values()];
+    });
+    this._route('GET', '/guilds/:guild/bans/:user', (req, p) => {
+      this._require(p.guild, ['BanMembers']);
+      const ban = this._guild(p.guild).bans.get(p.user);
+      if (!ban) throw this.error(404, Codes.UnknownBan, 'Unknown Ban');
+      return ban;
+    });
+    this._route('PUT', '/guilds/:guild/bans/:user', (req, p) => this._ban(req, p.guild, p.user));
+    this._route('DELETE', '/guilds/:guild/bans/:user', (req, p) => this._unban(p.guild, p.user));
+
+    // Interaction responses
+    this._route('POST', '/interactions/:id/:token/callback', (req, p) => this._callback(req, p.id, p.token));
+    this._route('POST', '/webhooks/:app/:token', (req, p) => this._followUp(req, p.app, p.token));
+    this._route('GET', '/webhooks/:app/:token/messages/:message', (req, p) => this._webhookMessage(p.app, p.token, p.message));
+    this._route('PATCH', '/webhooks/:app/:token/messages/:message', (req, p) => this._editReply(req, p.app, p.token, p.message));
+    this._route('DELETE', '/webhooks/:app/:token/messages/:message', (req, p) => this._deleteReply(p.app, p.token, p.message));
+
+    // Application commands, global and per guild
+    for (const base of ['/applications/:app/commands', '/applications/:app/guilds/:guild/commands']) {
+      this._route('GET', base, (req, p) => [...this._commands(p.guild).values()]);
+      this._route('POST', base, (req, p) => this._createCommand(p.guild, req.body));
+      this._route('PUT', base, (req, p) => this._overwriteCommands(p.guild, req.body || []));
+      this._route('GET', `${base}/:command`, (req, p) => this._command(p.guild, p.command));
+      this._route('PATCH', `${base}/:command`, (req, p) => Object.assign(this._command(p.guild, p.command), req.body, { version: payloads.snowflake() }));
+      this._route('DELETE', `${base}/:command`, (req, p) => {
+        this._command(p.guild, p.command);
+        this._commands(p.guild).delete(p.command);
+      });
+    }
+  }
+
+  // ---- State ----
+
+  /**
+   * Adds a user.
+   * @param {object} user - The user payload.
+   * @returns {object}
+   */
+  addUser(user) {
+    this.state.users.set(user.id, user);
+    return user;
+  }
+
+  /**
+   * Adds a guild from a GUILD_CREATE payload, with its roles, channels and members.
+   * @param {object} guild - The guild payload.
+   */
+  addGuild(guild) {
+    const { roles, channels, members, ...data } = guild;
+    this.state.guilds.set(guild.id, { data, roles: new Map(), members: new Map(), bans: new Map() });
+    roles.forEach(role => this.addRole(guild.id, role));
+    channels.forEach(channel => this.addChannel({ ...channel, guild_id: guild.id }));
+    members.forEach(member => this.addMember(guild.id, member));
+  }
+
+  /**
+   * Adds a role to a guild.
+   * @param {string} guildId - The guild ID.
+   * @param {object} role - The role payload.
+   * @returns {object}
+   */
+  addRole(guildId, role) {
+    this._guild(guildId).roles.set(role.id, role);
+    return role;
+  }
+
+  /**
+   * Adds a channel (guild channels have a `guild_id`).
+   * @param {object} channel - The channel payload.
+   * @returns {object}
+   */
+  addChannel(channel) {
+    this.state.channels.set(channel.id, channel);
+    return channel;
+  }
+
+  /**
+   * Adds a member to a guild, and its user.
+   * @param {string} guildId - The guild ID.
+   * @param {object} member - The member payload, with its `user`.
+   * @returns {object}
+   */
+  addMember(guildId, member) {
+    const guild = this._guild(guildId);
+    this.addUser(member.user);
+    guild.members.set(member.user.id, member);
+    guild.data.member_count = guild.members.size;
+    return member;
+  }
+
+  /**
+   * Removes a member from a guild.
+   * @param {string} guildId - The guild ID.
+   * @param {string} userId - The user ID.
+   * @returns {object|null} The removed member.
+   */
+  removeMember(guildId, userId) {
+    const guild = this._guild(guildId);
+    const member = guild.members.get(userId) || null;
+    guild.members.delete(userId);
+    guild.data.member_count = guild.members.size;
+    return member;
+  }
+
+  /**
+   * Stores a message in its channel.
+   * @param {object} message - The message payload.
+   * @returns {object}
+   */
+  addMessage(message) {
+    if (!this.state.messages.has(message.channel_id)) this.state.messages.set(message.channel_id, new Map());
+    this.state.messages.get(message.channel_id).set(message.id, message);
+    const channel = this.state.channels.get(message.channel_id);
+    if (channel) channel.last_message_id = message.id;
+    return message;
+  }
+
+  /**
+   * A stored message.
+   * @param {string} messageId - The message ID.
+   * @returns {object|null}
+   */
+  getMessage(messageId) {
+    for (const messages of this.state.messages.values()) {
+      if (messages.has(messageId)) return messages.get(messageId);
+    }
+    return null;
+  }
+
+  /**
+   * Records an interaction, so its callback and webhook routes answer.
+   * @param {object} interaction - `{ id, token, type, channelId, guildId, userId, messageId }`.
+   * @returns {object}
+   */
+  addInteraction(interaction) {
+    const record = { originalId: null, messageIds: [], acknowledged: false, ...interaction };
+    this.state.interactions.set(record.token, record);
+    return record;
+  }
+
+  /**
+   * Updates the state from a gateway event Discord sent, so a replayed recording's guilds,
+   * channels, members, messages and interactions are known (see testing/replay).
+   * @param {string} t - The event, e.g. 'GUILD_CREATE'.
+   * @param {object} d - The payload.
+   */
+  sync(t, d) {
+    const guild = d.guild_id ? this.state.guilds.get(d.guild_id) : null;
+    const withoutGuild = ({ guild_id, ...rest }) => rest;
+    switch (t) {
+      case 'GUILD_CREATE':
+        if (!d.unavailable) this.addGuild({ roles: [], channels: [], members: [], ...d, channels: [...(d.channels || []), ...(d.threads || [])] });
+        break;
+      case 'GUILD_UPDATE':
+        if (this.state.guilds.has(d.id)) Object.assign(this.state.guilds.get(d.id).data, withoutGuild(d));
+        break;
+      case 'GUILD_DELETE':
+        if (!d.unavailable) this.state.guilds.delete(d.id);
+        break;
+      case 'GUILD_ROLE_CREATE':
+      case 'GUILD_ROLE_UPDATE':
+        if (guild) this.addRole(d.guild_id, d.role);
+        break;
+      case 'GUILD_ROLE_DELETE':
+        guild?.roles.delete(d.role_id);
+        break;
+      case 'CHANNEL_CREATE':
+      case 'CHANNEL_UPDATE':
+      case 'THREAD_CREATE':
+      case 'THREAD_UPDATE':
+        this.addChannel(d);
+        break;
+      case 'CHANNEL_DELETE':
+      case 'THREAD_DELETE':
+        this.state.channels.delete(d.id);
+        break;
+      case 'GUILD_MEMBER_ADD':
+        if (guild) this.addMember(d.guild_id, withoutGuild(d));
+        break;
+      case 'GUILD_MEMBER_UPDATE':
+        if (guild) this.addMember(d.guild_id, { ...guild.members.get(d.user.id), ...withoutGuild(d) });
+        break;
+      case 'GUILD_MEMBER_REMOVE':
+        if (guild) this.removeMember(d.guild_id, d.user.id);
+        break;
+      case 'GUILD_BAN_ADD':
+        guild?.bans.set(d.user.id, { user: d.user, reason: null });
+        break;
+      case 'GUILD_BAN_REMOVE':
+        guild?.bans.delete(d.user.id);
+        break;
+      case 'MESSAGE_CREATE':
+        this._syncAuthor(d.author, d.guild_id, d.member, d.channel_id);
+        this.addMessage(d);
+        break;
+      case 'MESSAGE_UPDATE': {
+        const message = this.getMessage(d.id);
+        if (message) Object.assign(message, d);
+        break;
+      }
+      case 'MESSAGE_DELETE':
+        this._messages(d.channel_id).delete(d.id);
+        break;
+      case 'MESSAGE_DELETE_BULK':
+        d.ids.forEach(id => this._messages(d.channel_id).delete(id));
+        break;
+      case 'INTERACTION_CREATE': {
+        const user = d.member?.user || d.user;
+        const channelId = d.channel?.id ?? d.channel_id;
+        this._syncAuthor(user, d.guild_id, d.member, channelId);
+        if (d.channel && !this.state.channels.has(channelId)) {
+          const { permissions, ...channel } = d.channel;
+          this.addChannel({ ...channel, ...(d.guild_id ? { guild_id: d.guild_id } : {}) });
+        }
+        if (d.message && !this.getMessage(d.message.id)) this.addMessage(d.message);
+        this.addInteraction({ id: d.id, token: d.token, type: d.type, channelId, guildId: d.guild_id || null, userId: user.id, messageId: d.message?.id ?? null });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Makes the author of a replayed message or interaction known, with their DM channel.
+   * @private
+   */
+  _syncAuthor(user, guildId, member, channelId) {
+    if (!user) return;
+    if (user.id !== this.client?.user.id) this.addUser(user);
+    const guild = guildId && this.state.guilds.get(guildId);
+    if (guild && member && !guild.members.has(user.id)) {
+      const { permissions, ...rest } = member;
+      this.addMember(guildId, { ...rest, user });
+    }
+    if (!guildId && channelId && !this.state.channels.has(channelId)) {
+      this.addChannel(payloads.channel({ id: channelId, type: ChannelType.DM, recipients: [user] }));
+    }
+  }
+
+  /**
+   * A guild as in GUILD_CREATE: its data with roles, channels and members.
+   * @param {string} guildId - The guild ID.
+   * @returns {object}
+   */
+  guildPayload(guildId) {
+    const guild = this._guild(guildId);
+    return {
+      ...guild.data,
+      roles: [...guild.roles.values()],
+      channels: [...this.state.channels.values()].filter(channel => channel.guild_id === guildId),
+      members: [...guild.members.values()]
+    };
+  }
+
+  /**
+   * The DM channel with a user, created the first time.
+   * @param {string} userId - The user ID.
+   * @returns {object}
+   */
+  dmChannel(userId) {
+    for (const channel of this.state.channels.values()) {
+      if (channel.type === ChannelType.DM && channel.recipients[0]?.id === userId) return channel;
+    }
+    return this.addChannel(payloads.channel({ type: ChannelType.DM, recipients: [this._user(userId)] }));
+  }
+
+  /**
+   * The most recent message with a component (button or select menu) with a custom ID.
+   * @param {string} customId - The custom ID.
+   * @param {string} [messageId] - Only look in this message.
+   * @returns {{ message: object, component: object }|null}
+   */
+  findComponent(customId, messageId = null) {
+    const search = components => {
+      for (const component of components || []) {
+        if (component.custom_id === customId) return component;
+        const nested = search(component.components) || (component.accessory && search([component.accessory]));
+        if (nested) return nested;
+      }
+      return null;
+    };
+    const messages = [...this.state.messages.values()]
+      .flatMap(channel => [...channel.values()])
+      .filter(message => !messageId || message.id === messageId)
+      .sort((a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1));
+    for (const message of messages) {
+      const component = search(message.components);
+      if (component) return { message, component };
+    }
+    return null;
+  }
+
+  /**
+   * A user's permissions in a guild, or in a channel when given, worked out from the roles
+   * and permission overwrites like Discord does.
+   * @param {string} guildId - The guild ID.
+   * @param {string} userId - The user ID.
+   * @param {string} [channelId] - A channel of the guild.
+   * @returns {PermissionsBitField}
+   */
+  permissionsOf(guildId, userId, channelId = null) {
+    const guild = this._guild(guildId);
+    const member = guild.members.get(userId);
+    if (guild.data.owner_id === userId) return new PermissionsBitField(PermissionsBitField.All).freeze();
+    if (!member) return new PermissionsBitField(0n).freeze();
+
+    let bits = BigInt(guild.roles.get(guildId)?.permissions ?? 0);
+    for (const id of member.roles) bits |= BigInt(guild.roles.get(id)?.permissions ?? 0);
+    if (bits & Flags.Administrator) return new PermissionsBitField(PermissionsBitField.All).freeze();
+
+    const overwrites = this.state.channels.get(channelId)?.permission_overwrites;
+    if (overwrites) {
+      const apply = (allow, deny) => { bits = (bits & ~BigInt(deny)) | BigInt(allow); };
+      const everyone = overwrites.find(o => o.id === guildId);
+      if (everyone) apply(everyone.allow, everyone.deny);
+      let allow = 0n;
+      let deny = 0n;
+      for (const o of overwrites) {
+        if (o.type === 0 && member.roles.includes(o.id)) {
+          allow |= BigInt(o.allow);
+          deny |= BigInt(o.deny);
+        }
+      }
+      apply(allow, deny);
+      const own = overwrites.find(o => o.type === 1 && o.id === userId);
+      if (own) apply(own.allow, own.deny);
+    }
+
+    // Timed out members can only read
+    if (member.communication_disabled_until && Date.parse(member.communication_disabled_until) > Date.now()) {
+      bits &= Flags.ViewChannel | Flags.ReadMessageHistory;
+    }
+    return new PermissionsBitField(bits).freeze();
+  }
+
+  // ---- Lookups ----
+
+  /** @private */
+  _guild(guildId) {
+    const guild = this.state.guilds.get(guildId);
+    if (!guild) throw this.error(404, Codes.UnknownGuild, 'Unknown Guild');
+    return guild;
+  }
+
+  /** @private */
+  _channel(channelId) {
+    const channel = this.state.channels.get(channelId);
+    if (!channel) throw this.error(404, Codes.UnknownChannel, 'Unknown Channel');
+    return channel;
+  }
+
+  /** @private */
+  _user(userId) {
+    const user = this.state.users.get(userId);
+    if (!user) throw this.error(404, Codes.UnknownUser, 'Unknown User');
+    return user;
+  }
+
+  /** @private */
+  _userId(userId) {
+    return userId === '@me' ? this.botId : userId;
+  }
+
+  /** @private */
+  _member(guildId, userId) {
+    const member = this._guild(guildId).members.get(userId);
+    if (!member) throw this.error(404, Codes.UnknownMember, 'Unknown Member');
+    return member;
+  }
+
+  /** @private */
+  _messages(channelId) {
+    return this.state.messages.get(channelId) || new Map();
+  }
+
+  /** @private */
+  _message(channelId, messageId) {
+    const message = this._messages(this._channel(channelId).id).get(messageId);
+    // Ephemeral messages can only be reached through their interaction
+    if (!message || message.flags & MessageFlags.Ephemeral) throw this.error(404, Codes.UnknownMessage, 'Unknown Message');
+    return message;
+  }
+
+  /**
+   * The member payload without its user, as in messages and interactions.
+   * @private
+   */
+  _partialMember(guildId, userId) {
+    const member = this.state.guilds.get(guildId)?.members.get(userId);
+    if (!member) return null;
+    const { user, ...rest } = member;
+    return rest;
+  }
+
+  // ---- Checks ----
+
+  /**
+   * Throws Missing Permissions unless the bot has the permissions (in the channel when given).
+   * @private
+   */
+  _require(guildId, permissions, channelId = null) {
+    if (!this.permissionsOf(guildId, this.botId, channelId).has(permissions)) {
+      throw this.error(403, Codes.MissingPermissions, 'Missing Permissions');
+    }
+  }
+
+  /**
+   * The position of a member's highest role; the owner is above everyone.
+   * @private
+   */
+  _position(guildId, userId) {
+    const guild = this._guild(guildId);
+    if (guild.data.owner_id === userId) return Infinity;
+    const roles = guild.members.get(userId)?.roles || [];
+    return Math.max(0, ...roles.map(id => guild.roles.get(id)?.position ?? 0));
+  }
+
+  /**
+   * Throws Missing Permissions unless the bot's highest role is above the target's (or the role's).
+   * @private
+   */
+  _requireAbove(guildId, position) {
+    if (this._position(guildId, this.botId) <= position) {
+      throw this.error(403, Codes.MissingPermissions, 'Missing Permissions');
+    }
+  }
+
+  // ---- Replies ----
+
+  /**
+   * Records something the bot sent.
+   * @private
+   */
+  _reply(type, fields) {
+    const record = { type, channelId: null, guildId: null, messageId: null, interactionId: null, content: null, embeds: [], components: [], files: [], ephemeral: false, ...fields, time: Date.now() };
+    this.replies.push(record);
+    this.emit('reply', record);
+    return record;
+  }
+
+  /**
+   * Creates a message from the bot and sends MESSAGE_CREATE (except for ephemeral messages).
+   * @private
+   */
+  _createMessage(channel, body = {}, files = [], extra = {}) {
+    const guildId = channel.guild_id || null;
+    const message = payloads.message({
+      channelId: channel.id,
+      guildId,
+      author: this._user(this.botId),
+      member: guildId ? this._partialMember(guildId, this.botId) : null,
+      content: body.content,
+      embeds: body.embeds,
+      components: body.components,
+      attachments: files.map(file => payloads.attachment({ name: file.name })),
+      flags: Number(body.flags) || 0,
+      reference: body.message_reference?.message_id
+        ? { message_id: body.message_reference.message_id, channel_id: channel.id, ...(guildId ? { guild_id: guildId } : {}) }
+        : null,
+      ...extra
+    });
+    this.addMessage(message);
+    if (!(message.flags & MessageFlags.Ephemeral)) this.client.dispatch('MESSAGE_CREATE', message);
+    return message;
+  }
+
+  /**
+   * Applies an edit to a message and sends MESSAGE_UPDATE (except for ephemeral messages).
+   * @private
+   */
+  _updateMessage(message, body = {}, files = []) {
+    for (const key of ['content', 'embeds', 'components']) {
+      if (body[key] !== undefined) message[key] = body[key] ?? (key === 'content' ? '' : []);
+    }
+    if (body.attachments !== undefined || files.length) {
+      const kept = (body.attachments || []).map(a => a.id);
+      message.attachments = [
+        ...message.attachments.filter(a => kept.includes(a.id)),
+        ...files.map(file => payloads.attachment({ name: file.name }))
+      ];
+    }
+    if (body.flags !== undefined) {
+      const keep = message.flags & MessageFlags.Ephemeral;
+      message.flags = (Number(body.flags) & ~MessageFlags.Loading) | keep;
+    }
+    message.flags &= ~MessageFlags.Loading;
+    message.edited_timestamp = new Date().toISOString();
+    if (!(message.flags & MessageFlags.Ephemeral)) this.client.dispatch('MESSAGE_UPDATE', message);
+    return message;
+  }
+
+  /**
+   * Removes a message and sends MESSAGE_DELETE (except for ephemeral messages).
+   * @private
+   */
+  _removeMessage(message) {
+    this._messages(message.channel_id).delete(message.id);
+    if (!(message.flags & MessageFlags.Ephemeral)) {
+      this.client.dispatch('MESSAGE_DELETE', { id: message.id, channel_id: message.channel_id, ...(message.guild_id ? { guild_id: message.guild_id } : {}) });
+    }
+  }
+
+  // ---- Channel routes ----
+
+  /** @private */
+  _send(req, channelId) {
+    const channel = this._channel(channelId);
+    const recipient = channel.recipients?.[0];
+    if (channel.guild_id) {
+      this._require(channel.guild_id, ['ViewChannel', 'SendMessages'], channelId);
+    } else if (!recipient || recipient.bot || this.state.closedDMs.has(recipient.id)) {
+      throw this.error(403, Codes.CannotSendMessagesToThisUser, 'Cannot send messages to this user');
+    }
+    const message = this._createMessage(channel, req.body || {}, req.files);
+    this._reply(message.message_reference ? 'reply' : 'send', {
+      channelId,
+      guildId: channel.guild_id || null,
+      messageId: message.id,
+      ...(recipient ? { userId: recipient.id } : {}),
+      ...messageFields(req.body || {}, req.files)
+    });
+    return message;
+  }
+
+  /** @private */
+  _listMessages(channelId, query) {
+    const channel = this._channel(channelId);
+    if (channel.guild_id) this._require(channel.guild_id, ['ViewChannel', 'ReadMessageHistory'], channelId);
+    let messages = [...this._messages(channelId).values()]
+      .filter(message => !(message.flags & MessageFlags.Ephemeral))
+      .sort((a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1));
+    if (query.before) messages = messages.filter(message => BigInt(message.id) < BigInt(query.before));
+    if (query.after) messages = messages.filter(message => BigInt(message.id) > BigInt(query.after)).reverse();
+    return messages.slice(0, Math.min(Number(query.limit) || 50, 100));
+  }
+
+  /** @private */
+  _fetchMessage(channelId, messageId) {
+    const channel = this._channel(channelId);
+    if (channel.guild_id) this._require(channel.guild_id, ['ViewChannel', 'ReadMessageHistory'], channelId);
+    return this._message(channelId, messageId);
+  }
+
+  /** @private */
+  _edit(req, channelId, messageId) {
+    const message = this._message(channelId, messageId);
+    if (message.author.id !== this.botId) {
+      throw this.error(403, Codes.CannotEditMessageAuthoredByAnotherUser, 'Cannot edit a message authored by another user');
+    }
+    this._updateMessage(message, req.body || {}, req.files);
+    this._reply('edit', { channelId, guildId: message.guild_id || null, messageId, ...messageFields(req.body || {}, req.files) });
+    return message;
+  }
+
+  /** @private */
+  _delete(channelId, messageId) {
+    const channel = this._channel(channelId);
+    const message = this._message(channelId, messageId);
+    if (message.author.id !== this.botId) {
+      if (!channel.guild_id) throw this.error(403, Codes.CannotExecuteActionOnDMChannel, 'Cannot execute action on a DM channel');
+      this._require(channel.guild_id, ['ManageMessages'], channelId);
+    }
+    this._removeMessage(message);
+    this._reply('delete', { channelId, guildId: channel.guild_id || null, messageId, content: message.content, authorId: message.author.id });
+  }
+
+  /** @private */
+  _bulkDelete(req, channelId) {
+    const channel = this._channel(channelId);
+    if (!channel.guild_id) throw this.error(403, Codes.CannotExecuteActionOnDMChannel, 'Cannot execute action on a DM channel');
+    this._require(channel.guild_id, ['ManageMessages'], channelId);
+    const ids = (req.body?.messages || []).filter(id => this._messages(channelId).has(id));
+    ids.forEach(id => this._messages(channelId).delete(id));
+    this.client.dispatch('MESSAGE_DELETE_BULK', { ids, channel_id: channelId, guild_id: channel.guild_id });
+    this._reply('bulkDelete', { channelId, guildId: channel.guild_id, messageIds: ids });
+  }
+
+  /** @private */
+  _react(channelId, messageId, name, add) {
+    const channel = this._channel(channelId);
+    if (channel.guild_id) this._require(channel.guild_id, ['ViewChannel', 'ReadMessageHistory', ...(add ? ['AddReactions'] : [])], channelId);
+    const message = this._message(channelId, messageId);
+    const [emojiName, emojiId = null] = name.split(':');
+    const emoji = { id: emojiId, name: emojiName };
+    let reaction = message.reactions.find(r => r.emoji.name === emoji.name && r.emoji.id === emoji.id);
+    if (add && !reaction?.me) {
+      if (!reaction) message.reactions.push(reaction = { emoji, count: 0, me: false, burst_colors: [], count_details: { burst: 0, normal: 0 }, me_burst: false });
+      reaction.count++;
+      reaction.me = true;
+    } else if (!add && reaction?.me) {
+      reaction.count--;
+      reaction.me = false;
+      if (!reaction.count) message.reactions.splice(message.reactions.indexOf(reaction), 1);
+    } else {
+      return;
+    }
+    this.client.dispatch(add ? 'MESSAGE_REACTION_ADD' : 'MESSAGE_REACTION_REMOVE', {
+      user_id: this.botId,
+      channel_id: channelId,
+      message_id: messageId,
+      ...(channel.guild_id ? { guild_id: channel.guild_id } : {}),
+      emoji,
+      burst: false,
+      type: 0
+    });
+    if (add) this._reply('react', { channelId, guildId: channel.guild_id || null, messageId, emoji: name });
+  }
+
+  // ---- Guild routes ----
+
+  /** @private */
+  _listMembers(guildId, query) {
+    const after = BigInt(query.after || 0);
+    return [...this._guild(guildId).members.values()]
+      .filter(member => BigInt(member.user.id) > after)
+      .sort((a, b) => (BigInt(a.user.id) > BigInt(b.user.id) ? 1 : -1))
+      .slice(0, Math.min(Number(query.limit) || 1, 1000));
+  }
+
+  /** @private */
+  _editMember(req, guildId, userId) {
+    const member = this._member(guildId, userId);
+    const body = req.body || {};
+    const self = userId === this.botId;
+    if ('nick' in body) {
+      this._require(guildId, [self ? 'ChangeNickname' : 'ManageNicknames']);
+      if (!self) this._requireAbove(guildId, this._position(guildId, userId));
+      member.nick = body.nick || null;
+    }
+    if ('roles' in body) {
+      this._require(guildId, ['ManageRoles']);
+      const changed = body.roles.filter(id => !member.roles.includes(id)).concat(member.roles.filter(id => !body.roles.includes(id)));
+      changed.forEach(id => this._assignableRole(guildId, id));
+      member.roles = [...body.roles];
+    }
+    if ('communication_disabled_until' in body) {
+      this._require(guildId, ['ModerateMembers']);
+      this._requireAbove(guildId, this._position(guildId, userId));
+      if (this.permissionsOf(guildId, userId).has('Administrator')) throw this.error(403, Codes.MissingPermissions, 'Missing Permissions');
+      member.communication_disabled_until = body.communication_disabled_until;
+    }
+    for (const [key, permission] of [['mute', 'MuteMembers'], ['deaf', 'DeafenMembers']]) {
+      if (key in body) {
+        this._require(guildId, [permission]);
+        member[key] = !!body[key];
+      }
+    }
+    this.client.dispatch('GUILD_MEMBER_UPDATE', { guild_id: guildId, ...member });
+    return member;
+  }
+
+  /** @private */
+  _assignableRole(guildId, roleId) {
+    const role = this._guild(guildId).roles.get(roleId);
+    if (!role || roleId === guildId) throw this.error(404, Codes.UnknownRole, 'Unknown Role');
+    if (role.managed) throw this.error(403, Codes.MissingPermissions, 'Missing Permissions');
+    this._requireAbove(guildId, role.position);
+    return role;
+  }
+
+  /** @private */
+  _memberRole(guildId, userId, roleId, add) {
+    this._require(guildId, ['ManageRoles']);
+    const member = this._member(guildId, userId);
+    this._assignableRole(guildId, roleId);
+    const has = member.roles.includes(roleId);
+    if (add === has) return;
+    member.roles = add ? [...member.roles, roleId] : member.roles.filter(id => id !== roleId);
+    this.client.dispatch('GUILD_MEMBER_UPDATE', { guild_id: guildId, ...member });
+  }
+
+  /** @private */
+  _kick(guildId, userId) {
+    this._require(guildId, ['KickMembers']);
+    this._member(guildId, userId);
+    this._requireAbove(guildId, this._position(guildId, userId));
+    const member = this.removeMember(guildId, userId);
+    this.client.dispatch('GUILD_MEMBER_REMOVE', { guild_id: guildId, user: member.user });
+  }
+
+  /** @private */
+  _ban(req, guildId, userId) {
+    this._require(guildId, ['BanMembers']);
+    const user = this._user(userId);
+    const guild = this._guild(guildId);
+    if (guild.members.has(userId)) {
+      this._requireAbove(guildId, this._position(guildId, userId));
+      this.removeMember(guildId, userId);
+      this.client.dispatch('GUILD_MEMBER_REMOVE', { guild_id: guildId, user });
+    }
+    guild.bans.set(userId, { user, reason: req.reason });
+    this.client.dispatch('GUILD_BAN_ADD', { guild_id: guildId, user });
+  }
+
+  /** @private */
+  _unban(guildId, userId) {
+    this._require(guildId, ['BanMembers']);
+    const guild = this._guild(guildId);
+    const ban = guild.bans.get(userId);
+    if (!ban) throw this.error(404, Codes.UnknownBan, 'Unknown Ban');
+    guild.bans.delete(userId);
+    this.client.dispatch('GUILD_BAN_REMOVE', { guild_id: guildId, user: ban.user });
+  }
+
+  // ---- Interaction routes ----
+
+  /** @private */
+  _interaction(app, token) {
+    const interaction = this.state.interactions.get(token);
+    if (!interaction || app !== this.client.application.id) throw this.error(404, Codes.UnknownWebhook, 'Unknown Webhook');
+    return interaction;
+  }
+
+  /**
+   * Creates a message answering an interaction, in the interaction's channel.
+   * @private
+   */
+  _interactionMessage(interaction, body = {}, files = [], flags = 0) {
+    const channel = this._channel(interaction.channelId);
+    const message = this._createMessage(channel, { ...body, flags: (Number(body.flags) || 0) | flags }, files, {
+      webhookId: this.client.application.id,
+      applicationId: this.client.application.id,
+      type: interaction.type === InteractionType.ApplicationCommand ? MessageType.ChatInputCommand : MessageType.Default,
+      interactionMetadata: { id: interaction.id, type: interaction.type, user: this._user(interaction.userId), authorizing_integration_owners: {} }
+    });
+    interaction.messageIds.push(message.id);
+    return message;
+  }
+
+  /** @private */
+  _callback(req, id, token) {
+    const interaction = this.state.interactions.get(token);
+    if (!interaction || interaction.id !== id) throw this.error(404, Codes.UnknownInteraction, 'Unknown interaction');
+    if (interaction.acknowledged) {
+      throw this.error(400, Codes.InteractionHasAlreadyBeenAcknowledged, 'Interaction has already been acknowledged.');
+    }
+    const { type, data = {} } = req.body || {};
+    const fields = { channelId: interaction.channelId, guildId: interaction.guildId, interactionId: id };
+    let message = null;
+
+    if (type === 7 || type === 6) {
+      if (!interaction.messageId) throw this.error(400, Codes.InvalidFormBodyOrContentType, 'Invalid Form Body');
+      if (type === 7) message = this._updateMessage(this._messages(interaction.channelId).get(interaction.messageId), data, req.files);
+      this._reply(CALLBACKS[type], { ...fields, messageId: interaction.messageId, ...(type === 7 ? messageFields(data, req.files) : {}) });
+    } else if (type === 4 || type === 5) {
+      message = this._interactionMessage(interaction, type === 4 ? data : { flags: data.flags }, type === 4 ? req.files : [], type === 5 ? MessageFlags.Loading : 0);
+      interaction.originalId = message.id;
+      this._reply(CALLBACKS[type], { ...fields, messageId: message.id, ...(type === 4 ? messageFields(data, req.files) : { ephemeral: messageFields(data).ephemeral }) });
+    } else if (type === 8) {
+      this._reply('autocomplete', { ...fields, choices: data.choices || [] });
+    } else if (type === 9) {
+      this._reply('modal', { ...fields, customId: data.custom_id, title: data.title, components: data.components || [] });
+    } else {
+      throw this.error(400, Codes.InvalidFormBodyOrContentType, 'Invalid Form Body');
+    }
+    interaction.acknowledged = true;
+
+    if (req.query.with_response !== 'true') return null;
+    return {
+      interaction: {
+        id,
+        type: interaction.type,
+        response_message_id: message?.id,
+        response_message_loading: type === 5,
+        response_message_ephemeral: !!(message && message.flags & MessageFlags.Ephemeral)
+      },
+      resource: { type, ...(message ? { message } : {}) }
+    };
+  }
+
+  /** @private */
+  _webhookMessage(app, token, messageId) {
+    const interaction = this._interaction(app, token);
+    const id = messageId === '@original' ? interaction.originalId : messageId;
+    const message = id && interaction.messageIds.includes(id) ? this._messages(interaction.channelId).get(id) : null;
+    if (!message) throw this.error(404, Codes.UnknownMessage, 'Unknown Message');
+    return message;
+  }
+
+  /** @private */
+  _followUp(req, app, token) {
+    const interaction = this._interaction(app, token);
+    if (!interaction.acknowledged) throw this.error(404, Codes.UnknownWebhook, 'Unknown Webhook');
+    const body = req.body || {};
+    const original = interaction.originalId && this._messages(interaction.channelId).get(interaction.originalId);
+    // The first follow-up after a deferred reply replaces the "thinking..." message
+    const message = original && original.flags & MessageFlags.Loading
+      ? this._updateMessage(original, { ...body, flags: undefined }, req.files)
+      : this._interactionMessage(interaction, body, req.files);
+    this._reply('followUp', {
+      channelId: interaction.channelId,
+      guildId: interaction.guildId,
+      interactionId: interaction.id,
+      messageId: message.id,
+      ...messageFields(body, req.files),
+      ephemeral: !!(message.flags & MessageFlags.Ephemeral)
+    });
+    return req.query.wait === 'false' ? null : message;
+  }
+
+  /** @private */
+  _editReply(req, app, token, messageId) {
+    const interaction = this._interaction(app, token);
+    const message = this._updateMessage(this._webhookMessage(app, token, messageId), req.body || {}, req.files);
+    this._reply('editReply', {
+      channelId: interaction.channelId,
+      guildId: interaction.guildId,
+      interactionId: interaction.id,
+      messageId: message.id,
+      ...messageFields(req.body || {}, req.files),
+      ephemeral: !!(message.flags & MessageFlags.Ephemeral)
+    });
+    return message;
+  }
+
+  /** @private */
+  _deleteReply(app, token, messageId) {
+    const interaction = this._interaction(app, token);
+    const message = this._webhookMessage(app, token, messageId);
+    this._removeMessage(message);
+    this._reply('deleteReply', { channelId: interaction.channelId, guildId: interaction.guildId, interactionId: interaction.id, messageId: message.id });
+  }
+
+  // ---- Application commands ----
+
+  /** @private */
+  _commands(guildId) {
+    const scope = guildId || 'global';
+    if (!this.state.commands.has(scope)) this.state.commands.set(scope, new Map());
+    return this.state.commands.get(scope);
+  }
+
+  /** @private */
+  _command(guildId, commandId) {
+    const command = this._commands(guildId).get(commandId);
+    if (!command) throw this.error(404, Codes.UnknownApplicationCommand, 'Unknown application command');
+    return command;
+  }
+
+  /** @private */
+  _createCommand(guildId, body, id = null) {
+    const commands = this._commands(guildId);
+    const type = body.type ?? 1;
+    const existing = [...commands.values()].find(command => command.name === body.name && command.type === type);
+    const command = {
+      description: '',
+      options: [],
+      default_member_permissions: null,
+      dm_permission: true,
+      nsfw: false,
+      // Discord leaves out fields sent as undefined, e.g. a context menu's options
+      ...Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined)),
+      id: id || existing?.id || payloads.snowflake(),
+      application_id: this.client.application.id,
+      ...(guildId ? { guild_id: guildId } : {}),
+      type,
+      version: payloads.snowflake()
+    };
+    commands.set(command.id, command);
+    return command;
+  }
+
+  /** @private */
+  _overwriteCommands(guildId, bodies) {
+    const previous = [...this._commands(guildId).values()];
+    this._commands(guildId).clear();
+    return bodies.map(body => {
+      const existing = previous.find(command => command.name === body.name && command.type === (body.type ?? 1));
+      return this._createCommand(guildId, body, existing?.id);
+    });
+  }
+}
+
+module.exports = TestREST;
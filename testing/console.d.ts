@@ -0,0 +1,40 @@
+import { Readable, Writable } from 'stream';
+import { GuildMember, TextChannel } from 'discord.js';
+import { Bot } from '../Bot';
+import { TestBot, TestBotOptions, TestResult } from './TestBot';
+import { TestReply } from './TestREST';
+
+export interface ConsoleOptions {
+  /** Where lines are read from (default: stdin) */
+  input?: Readable;
+  /** Where output goes (default: stdout) */
+  output?: Writable;
+  /** Show a prompt (default: when the input is a terminal) */
+  prompt?: boolean;
+}
+
+/** Renders what the bot did as terminal text */
+export declare function renderReply(reply: TestReply, names?: { bot?: string; channel?: string | null }): string;
+
+/** Runs a TestBot in the terminal: lines are sent as messages, slash commands or clicks, and replies are printed */
+export declare class ConsoleAdapter {
+  testBot: TestBot;
+  input: Readable;
+  output: Writable;
+  prompt: boolean;
+  /** The member lines are sent as */
+  member: GuildMember;
+  /** The channel lines are sent in */
+  channel: TextChannel;
+  /** Lines that failed or made the bot report errors */
+  failures: number;
+  constructor(testBot: TestBot, options?: ConsoleOptions);
+  /** Reads lines until the input ends or `.exit`, then stops the bot */
+  run(): Promise<{ failures: number }>;
+  /** Runs one line; errors are printed */
+  execute(line: string): Promise<TestResult | null>;
+  print(text: string): void;
+}
+
+/** Runs a bot (or one made from TestBot options) in the terminal until the input ends */
+export declare function runConsole(bot?: Bot | TestBotOptions, options?: TestBotOptions & ConsoleOptions): Promise<{ failures: number }>;
@@ -0,0 +1,358 @@
+const readline = require('readline');
+const chalk = require('chalk').default;
+const { ComponentType, ButtonStyle } = require('discord.js');
+const Bot = require('../Bot');
+const TestBot = require('./TestBot');
+
+/** Help for the console's own commands. */
+const HELP = [
+  'Type a message to send it as the current user, e.g. `!warn @bob spam`.',
+  '@name mentions a member (made up the first time), #name a channel and @&name a role.',
+  '',
+  '/command sub key:value ...    Run a slash command',
+  '.as <name> [Permission ...]    Act as another member (made up the first time)',
+  '.channel <name>                Move to another channel (made up the first time)',
+  '.dm <message>                  Send a message in your DMs with the bot',
+  '.click <customId>              Click a button',
+  '.select <customId> <value...>  Pick values in a select menu',
+  '.modal <customId> key=value    Submit a modal',
+  '.help                          Show this help',
+  '.exit                          Stop the bot and leave'
+].join('\n');
+
+/**
+ * Renders an embed as text.
+ * @private
+ */
+function renderEmbed(embed) {
+  const lines = [];
+  if (embed.author?.name) lines.push(chalk.dim(embed.author.name));
+  if (embed.title) lines.push(chalk.bold(embed.url ? `${embed.title} (${embed.url})` : embed.title));
+  if (embed.description) lines.push(embed.description);
+  for (const field of embed.fields || []) lines.push(`${chalk.bold(field.name)}: ${field.value}`);
+  if (embed.image?.url) lines.push(chalk.dim(`[image] ${embed.image.url}`));
+  if (embed.thumbnail?.url) lines.push(chalk.dim(`[thumbnail] ${embed.thumbnail.url}`));
+  const footer = [embed.footer?.text, embed.timestamp && new Date(embed.timestamp).toLocaleString()].filter(Boolean).join(' • ');
+  if (footer) lines.push(chalk.dim(footer));
+  const bar = chalk.hex(`#${(embed.color ?? 0x4f545c).toString(16).padStart(6, '0')}`)('┃');
+  return lines.flatMap(line => String(line).split('\n')).map(line => `${bar} ${line}`);
+}
+
+/**
+ * Renders components (action rows, buttons, select menus and the text of layout components) as text.
+ * @private
+ */
+function renderComponents(components = []) {
+  const lines = [];
+  for (const component of components) {
+    switch (component.type) {
+      case ComponentType.ActionRow: {
+        const buttons = component.components.filter(c => c.type === ComponentType.Button);
+        if (buttons.length) lines.push(buttons.map(renderButton).join(' '));
+        lines.push(...renderComponents(component.components.filter(c => c.type !== ComponentType.Button)));
+        break;
+      }
+      case ComponentType.Button:
+        lines.push(renderButton(component));
+        break;
+      case ComponentType.StringSelect:
+      case ComponentType.UserSelect:
+      case ComponentType.RoleSelect:
+      case ComponentType.MentionableSelect:
+      case ComponentType.ChannelSelect: {
+        const choices = (component.options || []).map(o => (o.default ? chalk.underline(o.value) : o.value));
+        const label = component.placeholder || 'Select...';
+        lines.push(`${chalk.cyan(`[▾ ${label}]`)}${choices.length ? ` ${choices.join(' | ')}` : ''} ${chalk.dim(`(${component.custom_id})`)}`);
+        break;
+      }
+      case ComponentType.TextDisplay:
+        lines.push(component.content);
+        break;
+      default:
+        lines.push(...renderComponents([...(component.components || []), ...(component.accessory ? [component.accessory] : [])]));
+    }
+  }
+  return lines;
+}
+
+/** @private */
+function renderButton(button) {
+  const label = [button.emoji?.name, button.label].filter(Boolean).join(' ') || '…';
+  const target = button.style === ButtonStyle.Link ? button.url : button.custom_id;
+  const text = `[ ${label} ]`;
+  return `${button.disabled ? chalk.dim(text) : chalk.cyan(text)} ${chalk.dim(`(${target})`)}`;
+}
+
+/**
+ * Renders what the bot did (a {@link TestREST} reply) as terminal text.
+ * @param {object} reply - The reply.
+ * @param {object} [names] - `{ bot, channel }`: the bot's name and the channel's, for the header.
+ * @returns {string}
+ */
+function renderReply(reply, names = {}) {
+  const bot = chalk.bold.magenta(names.bot || 'bot');
+  const where = names.channel ? chalk.dim(` in ${names.channel}`) : '';
+  switch (reply.type) {
+    case 'delete':
+      return chalk.dim(`🗑️  ${names.bot || 'bot'} deleted a message${reply.content ? `: ${reply.content}` : ''}`);
+    case 'bulkDelete':
+      return chalk.dim(`🗑️  ${names.bot || 'bot'} deleted ${reply.messageIds.length} message(s)`);
+    case 'deleteReply':
+      return chalk.dim(`🗑️  ${names.bot || 'bot'} deleted its reply`);
+    case 'react':
+      return chalk.dim(`${names.bot || 'bot'} reacted with ${reply.emoji}`);
+    case 'defer':
+      return chalk.dim(`${names.bot || 'bot'} is thinking...`);
+    case 'deferUpdate':
+      return chalk.dim(`${names.bot || 'bot'} acknowledged the interaction`);
+    case 'autocomplete':
+      return `${bot} suggests: ${reply.choices.map(choice => choice.name).join(', ') || chalk.dim('(nothing)')}`;
+    case 'modal': {
+      const fields = renderModalFields(reply.components);
+      return `${bot} shows the modal ${chalk.bold(reply.title || '')} ${chalk.dim(`(${reply.customId})`)}\n  ${fields.join('\n  ')}`;
+    }
+    default: {
+      const tags = [
+        { edit: 'edited', update: 'updated', editReply: 'edited', followUp: 'follow-up' }[reply.type],
+        reply.userId && 'DM',
+        reply.ephemeral && 'only you can see this'
+      ].filter(Boolean);
+      const lines = [
+        ...(reply.content ? reply.content.split('\n') : []),
+        ...reply.embeds.flatMap(renderEmbed),
+        ...renderComponents(reply.components),
+        ...reply.files.map(file => chalk.dim(`📎 ${file}`))
+      ];
+      return `${bot}${where}${tags.length ? chalk.dim(` (${tags.join(', ')})`) : ''}\n  ${lines.join('\n  ') || chalk.dim('(empty)')}`;
+    }
+  }
+}
+
+/** @private */
+function renderModalFields(components = []) {
+  return components.flatMap(component => {
+    if (component.type === ComponentType.TextInput) {
+      return [`${component.label || component.custom_id}${component.required === false ? '' : '*'} ${chalk.dim(`(${component.custom_id})`)}`];
+    }
+    return renderModalFields([...(component.components || []), ...(component.component ? [{ label: component.label, ...component.component }] : [])]);
+  });
+}
+
+/**
+ * Runs a bot in the terminal: each line read from the input is sent to it as a message (or a
+ * slash command, button click...) from a member of a made-up guild, and what the bot does is
+ * printed. Built on {@link TestBot}, so there is no gateway connection, no REST calls and an
+ * in-memory database; commands, inhibitors, cooldowns and plugins run as they would live.
+ *
+ * Lines starting with `.` are the console's own commands (see `.help`).
+ */
+class ConsoleAdapter {
+  /**
+   * @param {TestBot} testBot - The test bot, started.
+   * @param {object} [options] - `{ input, output, prompt }`: streams to read lines from and
+   *   print to (default: stdin and stdout) and whether to show a prompt (default: when the
+   *   input is a terminal).
+   */
+  constructor(testBot, options = {}) {
+    this.testBot = testBot;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.prompt = options.prompt ?? !!this.input.isTTY;
+    /** The member lines are sent as */
+    this.member = testBot.member;
+    /** The channel lines are sent in */
+    this.channel = testBot.channel;
+    /** Lines that failed or made the bot report errors */
+    this.failures = 0;
+    this._rl = null;
+    this._onReply = reply => this.print(renderReply(reply, {
+      bot: testBot.client.user.username,
+      channel: reply.channelId && reply.channelId !== this.channel.id ? this._channelName(reply.channelId) : null
+    }));
+  }
+
+  /**
+   * Reads lines until the input ends or `.exit`, then stops the bot.
+   * @returns {Promise<{ failures: number }>}
+   */
+  async run() {
+    this.testBot.rest.on('reply', this._onReply);
+    this._rl = readline.createInterface({ input: this.input, output: this.prompt ? this.output : undefined, terminal: this.prompt });
+    this._rl.on('SIGINT', () => this._rl.close());
+    this._rl.setPrompt(chalk.green(`${this.member.user.username} #${this.channel.name}> `));
+    if (this.prompt) {
+      this.print(chalk.dim(`${this.testBot.client.user.username} is running offline. Type .help for help.`));
+      this._rl.prompt();
+    }
+    try {
+      for await (const line of this._rl) {
+        if (line.trim() === '.exit') break;
+        await this.execute(line);
+        if (this.prompt) this._rl.prompt();
+      }
+    } finally {
+      this._rl.close();
+      this.testBot.rest.off('reply', this._onReply);
+      await this.testBot.stop();
+    }
+    return { failures: this.failures };
+  }
+
+  /**
+   * Runs one line: a message, a slash command or a console command. Errors are printed.
+   * @param {string} line - The line.
+   * @returns {Promise<object|null>} What the bot did (see TestBot), or null.
+   */
+  async execute(line) {
+    const text = line.trim();
+    if (!text) return null;
+    try {
+      const result = await this._dispatch(this._mentions(text));
+      if (!result) return null;
+      if (!result.delivered) this.print(chalk.yellow('The bot\'s intents do not let this event through.'));
+      else if (!result.replies.length) this.print(chalk.dim('(no response)'));
+      // The logger has printed the stack already
+      for (const report of result.errors) this.print(chalk.red(`✖ ${report.message} (Error ID: ${report.id})`));
+      if (result.errors.length) this.failures++;
+      return result;
+    } catch (err) {
+      this.failures++;
+      this.print(chalk.red(`✖ ${err.message}`));
+      return null;
+    }
+  }
+
+  /**
+   * Prints a line above the prompt.
+   * @param {string} text - The text.
+   */
+  print(text) {
+    if (this.prompt && this._rl) {
+      readline.clearLine(this.output, 0);
+      readline.cursorTo(this.output, 0);
+    }
+    this.output.write(`${text}\n`);
+  }
+
+  /** @private */
+  async _dispatch(text) {
+    const t = this.testBot;
+    const on = { user: this.member, channel: this.channel };
+    if (text.startsWith('/')) {
+      const [name, ...rest] = split(text.slice(1));
+      const path = [name];
+      const values = {};
+      for (const token of rest) {
+        const split = token.indexOf(':');
+        if (split === -1) path.push(token);
+        else values[token.slice(0, split)] = optionValue(token.slice(split + 1));
+      }
+      return t.slash(path.join(' '), values, on);
+    }
+    if (!text.startsWith('.')) return t.message(text, on);
+
+    const [command, ...args] = split(text.slice(1));
+    switch (command) {
+      case 'help':
+        this.print(HELP);
+        return null;
+      case 'as':
+        if (!args[0]) throw new Error('Usage: .as <name> [Permission ...]');
+        this.member = this._member(args[0], args.slice(1));
+        this._rl?.setPrompt(chalk.green(`${this.member.user.username} #${this.channel.name}> `));
+        return null;
+      case 'channel':
+        if (!args[0]) throw new Error('Usage: .channel <name>');
+        this.channel = this.channel.guild.channels.cache.find(c => c.name === args[0].replace(/^#/, ''))
+          || t.createChannel({ guild: this.channel.guild, name: args[0].replace(/^#/, '') });
+        this._rl?.setPrompt(chalk.green(`${this.member.user.username} #${this.channel.name}> `));
+        return null;
+      case 'dm':
+        return t.message(text.slice(3).trim(), { user: this.member, dm: true });
+      case 'click':
+        return t.button(args[0], on);
+      case 'select':
+        return t.select(args[0], args.slice(1).map(optionValue), on);
+      case 'modal':
+        return t.modal(args[0], Object.fromEntries(args.slice(1).map(arg => [arg.split('=')[0], arg.slice(arg.indexOf('=') + 1)])), on);
+      default:
+        throw new Error(`Unknown console command .${command} (see .help)`);
+    }
+  }
+
+  /**
+   * Turns @name, @&role and #channel into mentions, making up members for unknown names.
+   * @private
+   */
+  _mentions(text) {
+    const guild = this.channel.guild;
+    return text
+      .replace(/(^|[\s:=])@&([\w.-]+)/g, (match, before, name) => {
+        const role = guild.roles.cache.find(r => r.name === name);
+        return role ? `${before}<@&${role.id}>` : match;
+      })
+      .replace(/(^|[\s:=])@([\w.-]+)/g, (match, before, name) => (['everyone', 'here'].includes(name) ? match : `${before}<@${this._member(name).id}>`))
+      .replace(/(^|[\s:=])#([\w-]+)/g, (match, before, name) => {
+        const channel = guild.channels.cache.find(c => c.name === name);
+        return channel ? `${before}<#${channel.id}>` : match;
+      });
+  }
+
+  /**
+   * The member with a username, made up the first time. Permissions give them a role with those.
+   * @private
+   */
+  _member(name, permissions = []) {
+    const t = this.testBot;
+    const guild = this.channel.guild;
+    const member = guild.members.cache.find(m => m.user.username === name);
+    if (!member) return t.createMember({ guild, username: name, ...(permissions.length ? { permissions } : {}) });
+    if (!permissions.length) return member;
+    const role = t.createRole({ guild, name: `${name} permissions`, permissions });
+    const data = t.rest.state.guilds.get(guild.id).members.get(member.id);
+    data.roles.push(role.id);
+    return guild.members._add(data);
+  }
+
+  /** @private */
+  _channelName(channelId) {
+    const channel = this.testBot.client.channels.cache.get(channelId);
+    if (!channel) return null;
+    return channel.isDMBased() ? 'DMs' : `#${channel.name}`;
+  }
+}
+
+/**
+ * Splits a console line into words; quotes keep spaces, also after `key:` or `key=`.
+ * @private
+ */
+function split(text) {
+  return (text.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(word => word.replace(/"/g, ''));
+}
+
+/**
+ * A slash option or select value typed in the console: mentions become IDs, true/false booleans.
+ * @private
+ */
+function optionValue(value) {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value.replace(/^<(?:@[!&]?|#)(\d+)>$/, '$1');
+}
+
+/**
+ * Runs a bot in the terminal until the input ends (see {@link ConsoleAdapter}).
+ * @param {Bot|object} [bot] - A Bot, not started, or TestBot options to make one (commandsDir, plugins...).
+ * @param {object} [options] - TestBot options (`data`, `guild`, `botPermissions`...) plus
+ *   `{ input, output, prompt }`.
+ * @returns {Promise<{ failures: number }>} How many lines failed or made the bot report errors.
+ */
+async function runConsole(bot = {}, options = {}) {
+  const { input, output, prompt, ...testOptions } = options;
+  const testBot = bot instanceof Bot
+    ? new TestBot({ bot, pluginsDir: bot.pluginManager.pluginsDir, ...testOptions })
+    : new TestBot({ ...bot, ...testOptions });
+  await testBot.start();
+  return new ConsoleAdapter(testBot, { input, output, prompt }).run();
+}
+
+module.exports = { ConsoleAdapter, runConsole, renderReply };
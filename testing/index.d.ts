@@ -0,0 +1,11 @@
+import { TestBot, TestBotOptions } from './TestBot';
+
+export { TestBot, TestBotOptions, TestResult, MessageResult, InteractionResult, JoinResult, ActionOptions } from './TestBot';
+export { TestClient, TestClientOptions } from './TestClient';
+export { TestREST, TestReply, TestReplyType, TestRequest } from './TestREST';
+export { replay, play, PlayOptions, ReplayResult } from './replay';
+export { ConsoleAdapter, ConsoleOptions, runConsole } from './console';
+export * as payloads from './payloads';
+
+/** Creates a TestBot and starts it */
+export declare function createTestBot(options?: TestBotOptions): Promise<TestBot>;
@@ -0,0 +1,23 @@
+const TestBot = require('./TestBot');
+const TestClient = require('./TestClient');
+const TestREST = require('./TestREST');
+const payloads = require('./payloads');
+const { replay } = require('./replay');
+const { ConsoleAdapter, runConsole } = require('./console');
+
+/**
+ * @file Offline testing for betterdiscordjs bots: a Bot wired to a mock client and an
+ * in-memory stand-in for Discord's REST API, with helpers to simulate messages and
+ * interactions and capture every reply.
+ */
+
+/**
+ * Creates a {@link TestBot} and starts it.
+ * @param {object} [options] - TestBot and Bot options.
+ * @returns {Promise<TestBot>}
+ */
+function createTestBot(options = {}) {
+  return new TestBot(options).start();
+}
+
+module.exports = { createTestBot, replay, runConsole, ConsoleAdapter, TestBot, TestClient, TestREST, payloads };
@@ -0,0 +1,61 @@
+/** A new unique snowflake ID */
+export declare function snowflake(): string;
+/** The ID of a structure, payload or ID */
+export declare function idOf(value: string | { id: string } | null | undefined): string | null;
+/** A permissions bitfield as the string Discord sends */
+export declare function permissionBits(permissions: any): string;
+
+export declare function user(options?: { id?: string; username?: string; globalName?: string | null; avatar?: string | null; bot?: boolean }): any;
+export declare function role(options?: {
+  id?: string;
+  name?: string;
+  color?: number;
+  position?: number;
+  permissions?: any;
+  hoist?: boolean;
+  mentionable?: boolean;
+  managed?: boolean;
+  /** Marks the role as a bot's managed role */
+  botId?: string;
+}): any;
+/** A permission overwrite; the target is a role unless `type` is 'member' or it is a member or user */
+export declare function overwrite(overwrite: { id: any; type?: 'role' | 'member' | 0 | 1; allow?: any; deny?: any }): any;
+export declare function channel(options?: {
+  id?: string;
+  /** A ChannelType or its name (default: GuildText) */
+  type?: number | string;
+  guildId?: string;
+  name?: string;
+  position?: number;
+  parentId?: string | null;
+  topic?: string | null;
+  nsfw?: boolean;
+  rateLimitPerUser?: number;
+  permissionOverwrites?: Array<{ id: any; type?: 'role' | 'member' | 0 | 1; allow?: any; deny?: any }>;
+  /** DM channels only */
+  recipients?: any[];
+}): any;
+export declare function member(user: any, options?: { roles?: any[]; nick?: string | null; joinedAt?: number | Date; timeoutUntil?: number | Date | null }): any;
+/** A guild, as in GUILD_CREATE */
+export declare function guild(options: { id: string; name?: string; ownerId: string; locale?: string; roles?: any[]; channels?: any[]; members?: any[] }): any;
+/** A message; role and @everyone mentions are read from the content */
+export declare function message(options: {
+  id?: string;
+  channelId: string;
+  guildId?: string | null;
+  author: any;
+  member?: any;
+  content?: string;
+  /** Mentioned user payloads (with a `member` in guilds) */
+  mentions?: any[];
+  embeds?: any[];
+  components?: any[];
+  attachments?: any[];
+  flags?: number;
+  reference?: { message_id: string; channel_id?: string; guild_id?: string } | null;
+  type?: number;
+  webhookId?: string;
+  applicationId?: string;
+  interactionMetadata?: any;
+}): any;
+export declare function attachment(file: string | { id?: string; name?: string; size?: number; contentType?: string | null; url?: string }): any;
@@ -0,0 +1,251 @@
+const { SnowflakeUtil, PermissionsBitField, ChannelType, MessageType } = require('discord.js');
+
+/**
+ * Raw Discord API payloads, as the gateway and REST API send them, for the test harness.
+ * Options are camelCase; the payloads are snake_case like Discord's.
+ */
+
+/**
+ * A new unique snowflake ID.
+ * @returns {string}
+ */
+function snowflake() {
+  return String(SnowflakeUtil.generate());
+}
+
+/**
+ * The ID of a structure or an ID.
+ * @param {string|{ id: string }} value - A discord.js structure, a payload or an ID.
+ * @returns {string|null}
+ */
+function idOf(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'object' ? value.id : String(value);
+}
+
+/**
+ * A permissions bitfield as the string Discord sends.
+ * @param {*} permissions - Permission names, bits or a bitfield.
+ * @returns {string}
+ */
+function permissionBits(permissions) {
+  return String(PermissionsBitField.resolve(permissions ?? 0n));
+}
+
+/**
+ * A user.
+ * @param {object} [options] - `{ id, username, globalName, avatar, bot }`.
+ * @returns {object}
+ */
+function user(options = {}) {
+  const id = options.id || snowflake();
+  return {
+    id,
+    username: options.username || `user${id.slice(-4)}`,
+    global_name: options.globalName ?? null,
+    discriminator: '0',
+    avatar: options.avatar ?? null,
+    bot: !!options.bot,
+    system: false,
+    public_flags: 0
+  };
+}
+
+/**
+ * A role.
+ * @param {object} [options] - `{ id, name, color, position, permissions, hoist, mentionable, managed, botId }`.
+ * @returns {object}
+ */
+function role(options = {}) {
+  return {
+    id: options.id || snowflake(),
+    name: options.name || 'role',
+    color: options.color ?? 0,
+    hoist: !!options.hoist,
+    icon: null,
+    unicode_emoji: null,
+    position: options.position ?? 1,
+    permissions: permissionBits(options.permissions),
+    managed: !!options.managed,
+    mentionable: !!options.mentionable,
+    flags: 0,
+    ...(options.botId ? { tags: { bot_id: options.botId } } : {})
+  };
+}
+
+/**
+ * A permission overwrite. The target is a role unless `type` says otherwise or it is a member or user.
+ * @param {object} overwrite - `{ id, type, allow, deny }`; `id` may be a Role, GuildMember or User.
+ * @returns {object}
+ */
+function overwrite(overwrite) {
+  const target = overwrite.id;
+  const isMember = overwrite.type === 'member' || overwrite.type === 1 || !!(target?.user || target?.username);
+  return {
+    id: idOf(target),
+    type: isMember ? 1 : 0,
+    allow: permissionBits(overwrite.allow),
+    deny: permissionBits(overwrite.deny)
+  };
+}
+
+/**
+ * A channel. DM channels have `recipients` instead of a guild.
+ * @param {object} [options] - `{ id, type, guildId, name, position, parentId, topic, nsfw,
+ *   rateLimitPerUser, permissionOverwrites, recipients }`; `type` is a ChannelType or its name.
+ * @returns {object}
+ */
+function channel(options = {}) {
+  const id = options.id || snowflake();
+  const type = typeof options.type === 'string' ? ChannelType[options.type] : options.type ?? ChannelType.GuildText;
+  if (type === ChannelType.DM) {
+    return { id, type, recipients: options.recipients || [], last_message_id: null, flags: 0 };
+  }
+  return {
+    id,
+    type,
+    guild_id: options.guildId,
+    name: options.name || 'general',
+    position: options.position ?? 0,
+    parent_id: options.parentId ?? null,
+    topic: options.topic ?? null,
+    nsfw: !!options.nsfw,
+    rate_limit_per_user: options.rateLimitPerUser ?? 0,
+    last_message_id: null,
+    flags: 0,
+    permission_overwrites: (options.permissionOverwrites || []).map(overwrite)
+  };
+}
+
+/**
+ * A guild member.
+ * @param {object} userData - The member's user payload.
+ * @param {object} [options] - `{ roles, nick, joinedAt, timeoutUntil }`.
+ * @returns {object}
+ */
+function member(userData, options = {}) {
+  return {
+    user: userData,
+    nick: options.nick ?? null,
+    avatar: null,
+    banner: null,
+    roles: (options.roles || []).map(idOf),
+    joined_at: new Date(options.joinedAt ?? Date.now()).toISOString(),
+    premium_since: null,
+    deaf: false,
+    mute: false,
+    flags: 0,
+    pending: false,
+    communication_disabled_until: options.timeoutUntil ? new Date(options.timeoutUntil).toISOString() : null
+  };
+}
+
+/**
+ * A guild, as in GUILD_CREATE.
+ * @param {object} options - `{ id, name, ownerId, locale, roles, channels, members }`.
+ * @returns {object}
+ */
+function guild(options) {
+  return {
+    id: options.id,
+    name: options.name || 'Test Guild',
+    icon: null,
+    splash: null,
+    discovery_splash: null,
+    banner: null,
+    description: null,
+    owner_id: options.ownerId,
+    afk_channel_id: null,
+    afk_timeout: 300,
+    verification_level: 0,
+    default_message_notifications: 0,
+    explicit_content_filter: 0,
+    mfa_level: 0,
+    nsfw_level: 0,
+    premium_tier: 0,
+    premium_subscription_count: 0,
+    premium_progress_bar_enabled: false,
+    preferred_locale: options.locale || 'en-US',
+    features: [],
+    system_channel_id: null,
+    system_channel_flags: 0,
+    rules_channel_id: null,
+    public_updates_channel_id: null,
+    application_id: null,
+    vanity_url_code: null,
+    max_members: 500000,
+    joined_at: new Date().toISOString(),
+    large: false,
+    unavailable: false,
+    member_count: (options.members || []).length,
+    roles: options.roles || [],
+    channels: options.channels || [],
+    members: options.members || [],
+    emojis: [],
+    stickers: [],
+    threads: [],
+    presences: [],
+    voice_states: [],
+    stage_instances: [],
+    guild_scheduled_events: [],
+    soundboard_sounds: []
+  };
+}
+
+/**
+ * A message. Role and `@everyone` mentions are read from the content; mentioned users are
+ * passed in `mentions` (user payloads, with a `member` in guilds).
+ * @param {object} options - `{ id, channelId, guildId, author, member, content, mentions, embeds,
+ *   components, attachments, flags, reference, type, webhookId, applicationId, interactionMetadata }`.
+ * @returns {object}
+ */
+function message(options) {
+  const content = options.content || '';
+  return {
+    id: options.id || snowflake(),
+    channel_id: options.channelId,
+    ...(options.guildId ? { guild_id: options.guildId } : {}),
+    author: options.author,
+    ...(options.member ? { member: options.member } : {}),
+    content,
+    timestamp: new Date().toISOString(),
+    edited_timestamp: null,
+    tts: false,
+    mention_everyone: /@(everyone|here)\b/.test(content),
+    mentions: options.mentions || [],
+    mention_roles: [...new Set([...content.matchAll(/<@&(\d+)>/g)].map(match => match[1]))],
+    attachments: options.attachments || [],
+    embeds: options.embeds || [],
+    components: options.components || [],
+    reactions: [],
+    pinned: false,
+    type: options.type ?? (options.reference ? MessageType.Reply : MessageType.Default),
+    flags: options.flags ?? 0,
+    ...(options.reference ? { message_reference: { type: 0, ...options.reference } } : {}),
+    ...(options.webhookId ? { webhook_id: options.webhookId } : {}),
+    ...(options.applicationId ? { application_id: options.applicationId } : {}),
+    ...(options.interactionMetadata ? { interaction_metadata: options.interactionMetadata } : {})
+  };
+}
+
+/**
+ * An attachment.
+ * @param {object|string} file - A file name, or `{ name, size, contentType, url }`.
+ * @returns {object}
+ */
+function attachment(file) {
+  const options = typeof file === 'string' ? { name: file } : file;
+  const id = options.id || snowflake();
+  const name = options.name || 'file';
+  const url = options.url || `https://cdn.discordapp.com/attachments/0/${id}/${name}`;
+  return {
+    id,
+    filename: name,
+    size: options.size ?? 0,
+    url,
+    proxy_url: url,
+    content_type: options.contentType ?? null
+  };
+}
+
+module.exports = { snowflake, idOf, permissionBits, user, role, overwrite, channel, member, guild, message, attachment };
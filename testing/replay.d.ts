@@ -0,0 +1,31 @@
+import { ErrorReport } from '../utils/errors';
+import { RecordedEvent, Recording } from '../utils/recorder';
+import { TestBot, TestBotOptions } from './TestBot';
+import { TestReply } from './TestREST';
+
+export interface PlayOptions {
+  /** 1 for the recorded pace, 10 for ten times faster (default: Infinity, no waiting) */
+  speed?: number;
+  /** Picks the events to replay */
+  filter?: (event: RecordedEvent) => boolean;
+}
+
+export interface ReplayResult {
+  /** Events delivered to the bot */
+  events: number;
+  /** Events filtered out, about the connection, or the bot's own actions */
+  skipped: number;
+  /** Errors handlers threw */
+  failures: Array<{ index: number; t: string; error: Error }>;
+  /** What the bot sent */
+  replies: TestReply[];
+  /** Errors the bot reported */
+  errors: ErrorReport[];
+}
+
+/** The bot's user in a recording */
+export declare function recordedUser(recording: Recording): { id: string; username: string } | null;
+/** Feeds a recording into a started TestBot */
+export declare function play(testBot: TestBot, recording: string | Recording, options?: PlayOptions): Promise<ReplayResult>;
+/** Replays a recording against a new TestBot with the recorded bot's identity; stop it when done */
+export declare function replay(recording: string | Recording, options?: TestBotOptions & PlayOptions): Promise<ReplayResult & { testBot: TestBot }>;
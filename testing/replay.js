@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { readRecording } = require('../utils/recorder');
+
+/** Events about the connection itself rather than what happened on Discord. */
+const CONNECTION_EVENTS = ['RESUMED'];
+
+/**
+ * Whether a recorded event is the bot's own action echoed back by Discord (its messages, edits
+ * and reactions). The replayed bot makes those itself, so they are not delivered again.
+ * @private
+ */
+function isOwn(event, botId) {
+  const { t, d } = event;
+  if (t === 'MESSAGE_CREATE' || t === 'MESSAGE_UPDATE') return d.author?.id === botId;
+  if (t === 'MESSAGE_REACTION_ADD' || t === 'MESSAGE_REACTION_REMOVE') return d.user_id === botId;
+  return false;
+}
+
+/**
+ * The bot's user in a recording: from its header, or the READY event.
+ * @param {object} recording - What readRecording() returned.
+ * @returns {{ id: string, username: string }|null}
+ */
+function recordedUser(recording) {
+  if (recording.header?.user) return recording.header.user;
+  const ready = recording.events.find(event => event.t === 'READY');
+  return ready ? { id: ready.d.user.id, username: ready.d.user.username } : null;
+}
+
+/**
+ * Feeds a recording into a started {@link TestBot}, one event at a time: each event updates
+ * the REST stand-in's state and, unless it is the bot's own action, is delivered to the bot,
+ * which is given time to finish before the next one. Interactions get new tokens, since
+ * recordings never keep them.
+ * @param {TestBot} testBot - The test bot.
+ * @param {string|object} recording - The JSONL file, or what readRecording() returned.
+ * @param {object} [options] - `{ speed, filter }`: 1 to wait as long between events as when
+ *   they were recorded, 10 for ten times faster (default: Infinity, no waiting), and a function
+ *   picking the events to replay.
+ * @returns {Promise<object>} `{ events, skipped, failures, replies, errors }`: how many events
+ *   were delivered and skipped, the errors handlers threw (`{ index, t, error }`), what the bot
+ *   sent and the errors it reported.
+ */
+async function play(testBot, recording, options = {}) {
+  const data = typeof recording === 'string' ? readRecording(recording) : recording;
+  const { events } = data;
+  const speed = options.speed ?? Infinity;
+  const botId = recordedUser(data)?.id ?? testBot.client.user.id;
+  const result = { events: 0, skipped: 0, failures: [] };
+  const start = testBot.rest.replies.length;
+  const since = Date.now();
+  let previous = events[0]?.at ?? 0;
+
+  for (const [index, event] of events.entries()) {
+    if (options.filter && !options.filter(event)) {
+      result.skipped++;
+      continue;
+    }
+    const wait = (event.at - previous) / speed;
+    previous = event.at;
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+    const d = structuredClone(event.d);
+    if (event.t === 'INTERACTION_CREATE') d.token = crypto.randomBytes(24).toString('hex');
+    testBot.rest.sync(event.t, d);
+    if (CONNECTION_EVENTS.includes(event.t) || isOwn(event, botId)) {
+      result.skipped++;
+      continue;
+    }
+    testBot.client.dispatch(event.t, d);
+    try {
+      await testBot.client.settle();
+    } catch (error) {
+      result.failures.push({ index, t: event.t, error });
+    }
+    result.events++;
+  }
+
+  return {
+    ...result,
+    replies: testBot.rest.replies.slice(start),
+    errors: testBot.bot.errors.reports.filter(report => report.time >= since)
+  };
+}
+
+/**
+ * Replays a recording against a new {@link TestBot} with the recorded bot's identity and no
+ * default guild; the guilds come from the recording.
+ * @param {string|object} recording - The JSONL file, or what readRecording() returned.
+ * @param {object} [options] - TestBot and Bot options (commandsDir, plugins...), plus `{ speed, filter }`.
+ * @returns {Promise<object>} `{ testBot, events, skipped, failures, replies, errors }`; stop the
+ *   test bot when done.
+ */
+async function replay(recording, options = {}) {
+  const data = typeof recording === 'string' ? readRecording(recording) : recording;
+  const { speed, filter, ...botOptions } = options;
+  const user = recordedUser(data);
+  const TestBot = require('./TestBot');
+  const testBot = await new TestBot({ guild: false, ...(user ? { user } : {}), ...botOptions }).start();
+  return { testBot, ...(await play(testBot, data, { speed, filter })) };
+}
+
+module.exports = { replay, play, recordedUser };
@@ -0,0 +1,70 @@
+export type ArgumentType =
+  | 'string'
+  | 'integer'
+  | 'number'
+  | 'boolean'
+  | 'user'
+  | 'member'
+  | 'channel'
+  | 'role'
+  | 'mentionable'
+  | 'attachment'
+  | 'duration';
+
+export interface CommandArgument {
+  name: string;
+  type?: ArgumentType;
+  description?: string;
+  required?: boolean;
+  /** Consume the remainder of the input verbatim (prefix commands only). */
+  rest?: boolean;
+  default?: any | ((ctx: any) => any);
+  choices?: Array<string | number | { name: string; value: string | number }>;
+  minValue?: number;
+  maxValue?: number;
+  minLength?: number;
+  maxLength?: number;
+  channelTypes?: number[];
+  /** The unit a bare number is read in for `duration` arguments (e.g. 'm'); without one, unitless input is rejected */
+  unit?: 'ms' | 's' | 'm' | 'h' | 'd' | 'w';
+  /** `true` to flag the option for autocomplete, or a function returning the suggestions. */
+  autocomplete?: boolean | ((value: string, interaction: any) => any[] | Promise<any[]>);
+  nameLocalizations?: Record<string, string>;
+  descriptionLocalizations?: Record<string, string>;
+  /** The question asked when the command prompts for this argument */
+  prompt?: string | ((ctx: any) => string);
+  [key: string]: any;
+}
+
+/** Asks for a missing or invalid argument; resolves to the option, or null to give up */
+export type ArgumentAsker = (arg: CommandArgument, error: ArgumentError) => Promise<ParsedOption | null>;
+
+export interface ParsedOption {
+  name: string;
+  type: number;
+  value: any;
+  user?: any;
+  member?: any;
+  channel?: any;
+  role?: any;
+  attachment?: any;
+}
+
+export declare class ArgumentError extends Error {
+  arg: CommandArgument | null;
+  /** The i18n key of the message (e.g. "args.missing"), for translating it */
+  key: string | null;
+  vars: Record<string, any>;
+  /** Set when the user was prompted and cancelled; nothing more should be sent */
+  cancelled: boolean;
+  constructor(message: string, arg?: CommandArgument | null, key?: string | null, vars?: Record<string, any>);
+}
+
+export declare const OPTION_TYPES: Record<ArgumentType, number>;
+
+export declare function tokenize(input: string): string[];
+export declare function scan(input: string): Array<{ value: string; start: number }>;
+export declare function coerce(arg: CommandArgument, input: string, ctx: any): Promise<ParsedOption | null>;
+export declare function parse(schema: CommandArgument[], input: string, ctx: any, ask?: ArgumentAsker | null): Promise<ParsedOption[]>;
+export declare function resolveArgs(cmd: { args?: CommandArgument[] }, ctx: any, ask?: ArgumentAsker | null): Promise<ParsedOption[]>;
+export declare function formatUsage(cmd: { name: string; usage?: string; args?: CommandArgument[] }, prefix?: string): string;
@@ -0,0 +1,430 @@
+const time = require('./time');
+const i18n = require('./i18n');
+
+/**
+ * Discord application command option types, used so that parsed prefix
+ * arguments have the same shape as slash command options.
+ * @type {object}
+ */
+const OPTION_TYPES = {
+  string: 3,
+  integer: 4,
+  boolean: 5,
+  user: 6,
+  member: 6,
+  channel: 7,
+  role: 8,
+  mentionable: 9,
+  number: 10,
+  attachment: 11,
+  duration: 3
+};
+
+const TRUE_WORDS = ['true', 'yes', 'y', 'on', 'enable', 'enabled', '1'];
+const FALSE_WORDS = ['false', 'no', 'n', 'off', 'disable', 'disabled', '0'];
+
+/**
+ * Thrown when user input does not satisfy a command's args schema.
+ * @class
+ */
+class ArgumentError extends Error {
+  /**
+   * @param {string} message - A user-facing description of the problem.
+   * @param {object} [arg=null] - The schema entry that failed.
+   * @param {string} [key=null] - The i18n key of the message, so it can be translated.
+   * @param {object} [vars={}] - The message's placeholder values.
+   */
+  constructor(message, arg = null, key = null, vars = {}) {
+    super(message);
+    this.name = 'ArgumentError';
+    this.arg = arg;
+    this.key = key;
+    this.vars = vars;
+    /** Set when the user was prompted for the argument and cancelled, so nothing more should be sent. */
+    this.cancelled = false;
+  }
+}
+
+/**
+ * Creates an ArgumentError from an i18n key, with the message in the default locale.
+ * @private
+ */
+function argError(arg, key, vars = {}) {
+  const fullKey = `args.${key}`;
+  const values = { name: arg.name, ...vars };
+  return new ArgumentError(i18n.t(i18n.getDefaultLocale(), fullKey, values), arg, fullKey, values);
+}
+
+/**
+ * Splits an argument string into tokens, keeping quoted sections together.
+ * @param {string} input - The raw argument string.
+ * @returns {Array<{value: string, start: number}>} The tokens and their offsets in the input.
+ */
+function scan(input) {
+  const tokens = [];
+  const quotes = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+  let i = 0;
+  while (i < input.length) {
+    while (i < input.length && /\s/.test(input[i])) i++;
+    if (i >= input.length) break;
+
+    const start = i;
+    const close = quotes[input[i]];
+    let value = '';
+    if (close) {
+      i++;
+      while (i < input.length && input[i] !== close) {
+        if (input[i] === '\\' && input[i + 1] === close) i++;
+        value += input[i++];
+      }
+      i++; // Skip the closing quote (or run off the end if it is missing)
+    } else {
+      while (i < input.length && !/\s/.test(input[i])) value += input[i++];
+    }
+    tokens.push({ value, start });
+  }
+  return tokens;
+}
+
+/**
+ * Splits an argument string into tokens, keeping quoted sections together.
+ * @param {string} input - The raw argument string.
+ * @returns {Array<string>} The tokens.
+ */
+function tokenize(input) {
+  return scan(input || '').map(t => t.value);
+}
+
+/**
+ * Extracts a snowflake from a mention or a raw ID.
+ * @param {string} value - The user input.
+ * @param {RegExp} mention - The mention pattern with the ID in its first group.
+ * @returns {string|null} The ID, or null if the input is neither.
+ * @private
+ */
+function snowflake(value, mention) {
+  const match = mention.exec(value);
+  if (match) return match[1];
+  return /^\d{17,20}$/.test(value) ? value : null;
+}
+
+/**
+ * Resolves a user (and the matching guild member, if any) from user input.
+ * @private
+ */
+async function resolveUser(value, ctx) {
+  const id = snowflake(value, /^<@!?(\d+)>$/);
+  const guild = ctx.guild;
+  if (id) {
+    const member = guild ? await guild.members.fetch(id).catch(() => null) : null;
+    const user = member?.user || await ctx.client.users.fetch(id).catch(() => null);
+    return user ? { user, member } : null;
+  }
+  if (!guild) return null;
+  const needle = value.toLowerCase();
+  const member = guild.members.cache.find(m =>
+    m.user.username.toLowerCase() === needle ||
+    m.user.tag?.toLowerCase() === needle ||
+    m.displayName?.toLowerCase() === needle
+  );
+  return member ? { user: member.user, member } : null;
+}
+
+/**
+ * Resolves a role from user input.
+ * @private
+ */
+async function resolveRole(value, ctx) {
+  if (!ctx.guild) return null;
+  const id = snowflake(value, /^<@&(\d+)>$/);
+  if (id) return ctx.guild.roles.cache.get(id) || await ctx.guild.roles.fetch(id).catch(() => null);
+  const needle = value.toLowerCase().replace(/^@/, '');
+  return ctx.guild.roles.cache.find(r => r.name.toLowerCase() === needle) || null;
+}
+
+/**
+ * Resolves a channel from user input.
+ * @private
+ */
+async function resolveChannel(value, ctx) {
+  const id = snowflake(value, /^<#(\d+)>$/);
+  if (id) return ctx.client.channels.cache.get(id) || await ctx.client.channels.fetch(id).catch(() => null);
+  if (!ctx.guild) return null;
+  const needle = value.toLowerCase().replace(/^#/, '');
+  return ctx.guild.channels.cache.find(c => c.name.toLowerCase() === needle) || null;
+}
+
+/**
+ * Checks range, length and choice constraints shared by every value type.
+ * @private
+ */
+function checkConstraints(arg, value, input) {
+  if (arg.choices) {
+    const allowed = arg.choices.map(c => (typeof c === 'object' ? c.value : c));
+    if (!allowed.includes(value)) {
+      throw argError(arg, 'choices', { choices: allowed.map(v => `\`${v}\``).join(', ') });
+    }
+  }
+  if (typeof value === 'number') {
+    if (arg.minValue !== undefined && value < arg.minValue) throw argError(arg, 'minValue', { min: arg.minValue });
+    if (arg.maxValue !== undefined && value > arg.maxValue) throw argError(arg, 'maxValue', { max: arg.maxValue });
+  }
+  if (typeof input === 'string' && (arg.type || 'string') === 'string') {
+    if (arg.minLength !== undefined && input.length < arg.minLength) throw argError(arg, 'minLength', { min: arg.minLength, count: arg.minLength });
+    if (arg.maxLength !== undefined && input.length > arg.maxLength) throw argError(arg, 'maxLength', { max: arg.maxLength, count: arg.maxLength });
+  }
+}
+
+/**
+ * Parses the input of a `duration` argument. A bare number is only accepted when the
+ * argument declares a `unit` to read it in, so "10" never silently means 10 milliseconds.
+ * @private
+ */
+function parseDurationArg(arg, input) {
+  const value = String(input).trim();
+  if (/^\d+$/.test(value)) return arg.unit ? time.parseDuration(`${value}${arg.unit}`) : null;
+  return time.parseDuration(value);
+}
+
+/**
+ * Converts a single piece of user input into an option object for the given schema entry.
+ * Returns null when the input cannot be interpreted as the requested type.
+ * @param {object} arg - The schema entry.
+ * @param {string} input - The raw user input.
+ * @param {Ctx} ctx - The command context.
+ * @returns {Promise<object|null>} An option object shaped like a slash command option.
+ * @throws {ArgumentError} If the value breaks the entry's choices, range or length.
+ */
+async function coerce(arg, input, ctx) {
+  const type = arg.type || 'string';
+  const option = { name: arg.name, type: OPTION_TYPES[type] || OPTION_TYPES.string };
+
+  switch (type) {
+    case 'string':
+      option.value = input;
+      break;
+    case 'integer':
+    case 'number': {
+      const n = Number(input);
+      if (input === '' || !Number.isFinite(n) || (type === 'integer' && !Number.isInteger(n))) return null;
+      option.value = n;
+      break;
+    }
+    case 'boolean': {
+      const word = input.toLowerCase();
+      if (TRUE_WORDS.includes(word)) option.value = true;
+      else if (FALSE_WORDS.includes(word)) option.value = false;
+      else return null;
+      break;
+    }
+    case 'duration': {
+      const ms = parseDurationArg(arg, input);
+      if (ms === null) return null;
+      option.value = ms;
+      break;
+    }
+    case 'user':
+    case 'member': {
+      const found = await resolveUser(input, ctx);
+      if (!found || (type === 'member' && !found.member)) return null;
+      Object.assign(option, { value: found.user.id, user: found.user, member: found.member || null });
+      break;
+    }
+    case 'role': {
+      const role = await resolveRole(input, ctx);
+      if (!role) return null;
+      Object.assign(option, { value: role.id, role });
+      break;
+    }
+    case 'channel': {
+      const channel = await resolveChannel(input, ctx);
+      if (!channel) return null;
+      if (arg.channelTypes && !arg.channelTypes.includes(channel.type)) return null;
+      Object.assign(option, { value: channel.id, channel });
+      break;
+    }
+    case 'mentionable': {
+      const role = /^<@&/.test(input) ? await resolveRole(input, ctx) : null;
+      const found = role ? null : await resolveUser(input, ctx);
+      if (role) Object.assign(option, { value: role.id, role });
+      else if (found) Object.assign(option, { value: found.user.id, user: found.user, member: found.member || null });
+      else return null;
+      break;
+    }
+    default:
+      throw new Error(`Unknown argument type "${type}" for argument "${arg.name}"`);
+  }
+
+  checkConstraints(arg, option.value, input);
+  return option;
+}
+
+/**
+ * Builds the option for an argument that was not supplied, using its default if it has one.
+ * @private
+ */
+async function fallback(arg, ctx) {
+  if (arg.default === undefined) {
+    if (arg.required) throw argError(arg, 'missing');
+    return null;
+  }
+  const value = typeof arg.default === 'function' ? await arg.default(ctx) : arg.default;
+  return { name: arg.name, type: OPTION_TYPES[arg.type] || OPTION_TYPES.string, value };
+}
+
+/**
+ * Asks the user for an argument that failed (see utils/prompt).
+ * @private
+ */
+async function retry(ask, arg, err) {
+  if (!ask || !(err instanceof ArgumentError)) throw err;
+  const option = await ask(arg, err);
+  if (!option) {
+    err.cancelled = true;
+    throw err;
+  }
+  return option;
+}
+
+/**
+ * Parses a prefix command's argument string against an args schema.
+ *
+ * Each schema entry is `{ name, type, required, rest, default, choices, minValue, maxValue,
+ * minLength, maxLength, channelTypes }`. `rest: true` consumes the remainder of the input
+ * verbatim. Optional arguments that fail to parse, or whose value breaks a constraint, fall
+ * back to their default without consuming input, so later arguments can still match.
+ *
+ * @param {Array<object>} schema - The command's args schema.
+ * @param {string} input - The argument string (everything after the command name).
+ * @param {Ctx} ctx - The command context.
+ * @param {Function} [ask] - Called with `(arg, error)` for a missing or invalid argument
+ *   instead of throwing; returns the option, or null to give up (see utils/prompt).
+ * @returns {Promise<Array<object>>} Option objects shaped like slash command options.
+ * @throws {ArgumentError} If a required argument is missing or invalid.
+ */
+async function parse(schema, input, ctx, ask = null) {
+  const tokens = scan(input);
+  const attachments = ctx.raw?.attachments ? [...ctx.raw.attachments.values()] : [];
+  const options = [];
+  let index = 0;
+
+  for (const arg of schema) {
+    let option = null;
+
+    try {
+      if (arg.type === 'attachment') {
+        const attachment = attachments.shift();
+        if (attachment) option = { name: arg.name, type: OPTION_TYPES.attachment, value: attachment.id, attachment };
+      } else if (arg.rest) {
+        if (index < tokens.length) {
+          const rest = input.slice(tokens[index].start).trim();
+          option = await coerce(arg, rest, ctx);
+          if (!option) throw argError(arg, 'invalid', { type: arg.type || 'string', value: rest });
+          index = tokens.length;
+        }
+      } else if (index < tokens.length) {
+        const token = tokens[index];
+        // An optional argument skips input it can't accept, constraint included
+        option = await coerce(arg, token.value, ctx).catch(err => {
+          if (arg.required || !(err instanceof ArgumentError)) throw err;
+          return null;
+        });
+        if (option) index++;
+        else if (arg.required) throw argError(arg, 'invalid', { type: arg.type || 'string', value: token.value });
+      }
+
+      if (!option) option = await fallback(arg, ctx);
+    } catch (err) {
+      // The answer replaces the input the argument failed on
+      if (arg.rest) index = tokens.length;
+      else if (arg.type !== 'attachment' && index < tokens.length) index++;
+      option = await retry(ask, arg, err);
+    }
+    if (option) options.push(option);
+  }
+
+  return options;
+}
+
+/**
+ * Applies the parts of an args schema that Discord cannot enforce to slash command options,
+ * such as duration parsing and defaults.
+ * @param {Array<object>} schema - The command's args schema.
+ * @param {Array<object>} options - The interaction's options.
+ * @param {Ctx} ctx - The command context.
+ * @param {Function} [ask] - Called with `(arg, error)` for an invalid argument, see {@link parse}.
+ * @returns {Promise<Array<object>>} The resolved options.
+ * @throws {ArgumentError} If a value is invalid.
+ */
+async function resolveInteraction(schema, options, ctx, ask = null) {
+  const resolved = [...options];
+  for (const arg of schema) {
+    const i = resolved.findIndex(o => o.name === arg.name);
+    try {
+      if (i === -1) {
+        const option = await fallback(arg, ctx);
+        if (option) resolved.push(option);
+        continue;
+      }
+      if (arg.type === 'duration') {
+        const ms = parseDurationArg(arg, resolved[i].value);
+        if (ms === null) throw argError(arg, 'invalid', { type: 'duration', value: resolved[i].value });
+        resolved[i] = { ...resolved[i], value: ms };
+      } else if (arg.type === 'member' && !resolved[i].member) {
+        throw argError(arg, 'notMember');
+      }
+    } catch (err) {
+      const option = await retry(ask, arg, err);
+      if (i === -1) resolved.push(option);
+      else resolved[i] = option;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Resolves a command's args schema for the given context and stores the results in
+ * `ctx.options`, so the `ctx.getOption()` family of getters works for prefix commands too.
+ * @param {object} cmd - The command object.
+ * @param {Ctx} ctx - The command context.
+ * @param {Function} [ask] - Asks the user for missing or invalid arguments, see {@link parse}.
+ * @returns {Promise<Array<object>>} The resolved options.
+ * @throws {ArgumentError} If the input does not satisfy the schema.
+ */
+async function resolveArgs(cmd, ctx, ask = null) {
+  if (!cmd.args || !cmd.args.length) return ctx.options;
+  ctx.options = ctx.isInteraction
+    ? await resolveInteraction(cmd.args, ctx.options, ctx, ask)
+    : await parse(cmd.args, ctx.argString ?? ctx.args.join(' '), ctx, ask);
+  return ctx.options;
+}
+
+/**
+ * Builds a usage string such as `!kick <user> [reason...]` from a command's args schema,
+ * or `!filter <add|remove|list>` for a command with subcommands.
+ * @param {object} cmd - The command object.
+ * @param {string} [prefix=''] - The prefix to show in front of the command name.
+ * @returns {string} The usage string.
+ */
+function formatUsage(cmd, prefix = '') {
+  if (cmd.usage) return `${prefix}${cmd.usage}`;
+  if (Array.isArray(cmd.subcommands) && cmd.subcommands.length) {
+    return `${prefix}${cmd.name} <${cmd.subcommands.map(s => s.name).join('|')}>`;
+  }
+  const parts = (cmd.args || []).map(arg => {
+    const name = arg.rest ? `${arg.name}...` : arg.name;
+    return arg.required ? `<${name}>` : `[${name}]`;
+  });
+  return [`${prefix}${cmd.name}`, ...parts].join(' ');
+}
+
+module.exports = {
+  ArgumentError,
+  OPTION_TYPES,
+  tokenize,
+  scan,
+  coerce,
+  parse,
+  resolveArgs,
+  formatUsage
+};
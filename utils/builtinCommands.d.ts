@@ -0,0 +1,4 @@
+import { Bot, Command } from '../Bot';
+
+/** The commands registered by default (`commandperms`); command files with the same name replace them */
+export declare function createBuiltinCommands(bot: Bot): Command[];
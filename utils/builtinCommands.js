@@ -0,0 +1,240 @@
+const { EmbedBuilder } = require('discord.js');
+const Ctx = require('./ctx');
+const { SCOPES } = require('./overrides');
+const { formatUsage } = require('./args');
+const { buildLeaf, isGroup } = require('./subcommands');
+const cooldowns = require('./cooldowns');
+const time = require('./time');
+
+/** Commands per help page */
+const PAGE_SIZE = 10;
+
+const SCOPE_LABELS = {
+  user: id => `<@${id}>`,
+  role: id => `<@&${id}>`,
+  channel: id => `<#${id}>`,
+  guild: (id, ctx) => ctx.t('commandperms.everyone')
+};
+
+/**
+ * Creates the `commandperms` command, which lets server admins manage the persisted
+ * command overrides (see utils/overrides).
+ * @private
+ */
+function commandperms(bot) {
+  const manager = bot.commandManager;
+
+  const completeCommand = value => {
+    const names = ['*'];
+    for (const cmd of manager.commands.values()) {
+      if (!cmd.contextMenu) names.push(cmd.name);
+    }
+    return names.filter(name => name.startsWith(String(value).toLowerCase())).slice(0, 25);
+  };
+
+  const commandArg = required => ({
+    name: 'command',
+    type: 'string',
+    required,
+    description: 'A command, "command subcommand", or * for all commands',
+    autocomplete: completeCommand
+  });
+
+  const targetArgs = [
+    commandArg(true),
+    { name: 'channel', type: 'channel', description: 'Only in this channel' },
+    { name: 'role', type: 'role', description: 'Only for this role' },
+    { name: 'user', type: 'user', description: 'Only for this user' }
+  ];
+
+  const setRule = allow => async ctx => {
+    const command = String(ctx.getOption('command')).toLowerCase().trim();
+    const [rootName] = command.split(' ');
+    if (command !== '*' && !manager.get(rootName)) return ctx.reply(ctx.t('commandperms.unknownCommand', { command }));
+
+    const targets = [
+      ['channel', ctx.getChannel('channel')],
+      ['role', ctx.getRole('role')],
+      ['user', ctx.getUser('user')]
+    ].filter(([, value]) => value);
+    if (targets.length > 1) return ctx.reply(ctx.t('commandperms.oneTarget'));
+    const [scope, target] = targets[0] || ['guild', ctx.guild];
+
+    await manager.setOverride(ctx.guild.id, command, scope, target.id, allow);
+    const key = allow === null ? 'commandperms.reset' : allow ? 'commandperms.allowed' : 'commandperms.denied';
+    return ctx.reply({ content: ctx.t(key, { command, target: SCOPE_LABELS[scope](target.id, ctx) }), allowedMentions: { parse: [] } });
+  };
+
+  return {
+    name: 'commandperms',
+    aliases: ['cmdperms'],
+    description: 'Allow or deny commands in this server',
+    category: 'Admin',
+    slash: true,
+    guildOnly: true,
+    permissions: ['ManageGuild'],
+    // Keep admins from locking themselves out with a "*" rule
+    overridable: false,
+    subcommands: [
+      { name: 'allow', description: 'Allow a command for everyone, a channel, a role or a user', args: targetArgs, run: setRule(true) },
+      { name: 'deny', description: 'Deny a command for everyone, a channel, a role or a user', args: targetArgs, run: setRule(false) },
+      { name: 'reset', description: 'Remove a rule', args: targetArgs, run: setRule(null) },
+      {
+        name: 'list',
+        description: 'List the rules in this server',
+        args: [commandArg(false)],
+        async run(ctx) {
+          const command = ctx.getOption('command');
+          const rules = manager.getOverrides(ctx.guild.id, command ? String(command).toLowerCase().trim() : undefined);
+          if (!rules.length) return ctx.reply(ctx.t('commandperms.none'));
+          rules.sort((a, b) => a.command.localeCompare(b.command) || SCOPES.indexOf(a.scope) - SCOPES.indexOf(b.scope));
+          const lines = rules.map(rule => `${rule.allow ? '✅' : '❌'} \`${rule.command}\` ${ctx.t(`commandperms.scopes.${rule.scope}`)}: ${SCOPE_LABELS[rule.scope](rule.targetId, ctx)}`);
+          return ctx.reply({ content: lines.join('\n').slice(0, 2000), allowedMentions: { parse: [] } });
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Finds a command or subcommand by path (`"config roles add"`), as a runnable command.
+ * @private
+ */
+function resolvePath(manager, path) {
+  const [rootName, ...rest] = path.toLowerCase().split(/\s+/);
+  const root = manager.get(rootName);
+  if (!root || root.contextMenu) return null;
+  let cmd = root;
+  let group = null;
+  for (const name of rest) {
+    const entry = (cmd.subcommands || []).find(e => e.name === name || e.aliases?.includes(name));
+    if (!entry) return null;
+    if (isGroup(entry)) {
+      if (group) return null;
+      group = entry;
+      cmd = entry;
+    } else {
+      return buildLeaf(root, group, entry);
+    }
+  }
+  return group ? buildLeaf(root, null, group) : root;
+}
+
+/**
+ * Creates the `help` command, which lists the commands the user can run by category and
+ * shows details for one command, generated from the command registry.
+ * @private
+ */
+function help(bot) {
+  const manager = bot.commandManager;
+
+  const visible = ctx => [...manager.commands.values()]
+    .filter(cmd => !cmd.contextMenu && !cmd.hidden && manager.canRun(cmd, ctx));
+
+  const categoryPages = ctx => {
+    const byCategory = new Map();
+    for (const cmd of visible(ctx)) {
+      const category = cmd.category || ctx.t('help.uncategorized');
+      if (!byCategory.has(category)) byCategory.set(category, []);
+      byCategory.get(category).push(cmd);
+    }
+    const pages = [];
+    for (const category of [...byCategory.keys()].sort()) {
+      const commands = byCategory.get(category).sort((a, b) => a.name.localeCompare(b.name));
+      for (let i = 0; i < commands.length; i += PAGE_SIZE) {
+        pages.push({ category, commands: commands.slice(i, i + PAGE_SIZE) });
+      }
+    }
+    return pages.map(({ category, commands }, i) => new EmbedBuilder()
+      .setTitle(ctx.t('help.title', { category }))
+      .setDescription(commands.map(cmd => `\`${formatUsage(cmd, ctx.prefix)}\` — ${cmd.description || ctx.t('help.noDescription')}`).join('\n'))
+      .setFooter({ text: ctx.t('help.footer', { page: i + 1, pages: pages.length, usage: `${ctx.prefix ?? ''}help [command]` }) })
+      .setColor(0x5865f2));
+  };
+
+  const describeArg = (arg, ctx) => {
+    const details = [arg.type || 'string', ctx.t(arg.required ? 'help.required' : 'help.optional')];
+    if (arg.choices) details.push(arg.choices.map(c => (typeof c === 'object' ? c.value : c)).join(' | '));
+    return `\`${arg.name}\` (${details.join(', ')})${arg.description ? ` — ${arg.description}` : ''}`;
+  };
+
+  const describeCooldown = (config, ctx) => {
+    const cooldown = cooldowns.normalize(config);
+    if (!cooldown) return null;
+    const vars = { refill: time.format(cooldown.refill), burst: cooldown.burst, scope: cooldown.scope };
+    return ctx.t(cooldown.burst > 1 ? 'help.cooldownBurst' : 'help.cooldown', vars);
+  };
+
+  const detailPage = (cmd, ctx) => {
+    const embed = new EmbedBuilder()
+      .setTitle(`${ctx.prefix ?? ''}${cmd.name}`)
+      .setDescription(cmd.description || ctx.t('help.noDescription'))
+      .setColor(0x5865f2)
+      .addFields({ name: ctx.t('help.usage'), value: `\`${formatUsage(cmd, ctx.prefix)}\`` });
+    // [key, value, inline]
+    const fields = [
+      ['aliases', cmd.aliases?.length && cmd.aliases.map(a => `\`${a}\``).join(', '), true],
+      ['category', cmd.category, true],
+      ['permissions', cmd.permissions?.length && cmd.permissions.join(', '), true],
+      ['cooldownTitle', describeCooldown(cmd.cooldown, ctx), true],
+      ['arguments', !cmd.subcommands?.length && cmd.args?.length && cmd.args.map(arg => describeArg(arg, ctx)).join('\n'), false],
+      ['subcommands', cmd.subcommands?.length && cmd.subcommands
+        .map(entry => `\`${entry.name}\`${entry.description ? ` — ${entry.description}` : ''}`).join('\n'), false],
+      ['examples', cmd.examples?.length && cmd.examples.map(example => `\`${example}\``).join('\n'), false]
+    ];
+    for (const [key, value, inline] of fields) {
+      if (value) embed.addFields({ name: ctx.t(`help.${key}`), value: String(value).slice(0, 1024), inline });
+    }
+    return embed;
+  };
+
+  return {
+    name: 'help',
+    aliases: ['commands'],
+    description: 'List commands, or show details for one command',
+    category: 'General',
+    slash: true,
+    dmPermission: true,
+    args: [{
+      name: 'command',
+      type: 'string',
+      rest: true,
+      description: 'A command, or "command subcommand"',
+      autocomplete: (value, interaction) => {
+        const ctx = new Ctx(interaction, bot);
+        // Autocomplete isn't a command interaction, but the checks should treat it as the slash command
+        ctx.isInteraction = true;
+        const needle = String(value).toLowerCase();
+        return visible(ctx).map(cmd => cmd.name).filter(name => name.startsWith(needle)).sort().slice(0, 25);
+      }
+    }],
+    async run(ctx) {
+      const path = ctx.getOption('command');
+      if (path) {
+        const cmd = resolvePath(manager, String(path).trim());
+        if (!cmd || cmd.hidden || !manager.canRun(cmd, ctx)) {
+          return ctx.reply(ctx.t('help.notFound', { command: String(path).trim() }));
+        }
+        return ctx.reply({ embeds: [detailPage(cmd, ctx)] });
+      }
+
+      const pages = categoryPages(ctx);
+      if (!pages.length) return ctx.reply(ctx.t('help.empty'));
+      if (pages.length === 1) return ctx.reply({ embeds: pages });
+      return ctx.paginator(pages);
+    }
+  };
+}
+
+/**
+ * Creates the commands the framework registers by default (`help` and `commandperms`). They
+ * are registered before the commands directory is loaded, so a command file (or plugin) with
+ * the same name replaces them.
+ * @param {Bot} bot - The bot instance.
+ * @returns {Array<object>} The command objects.
+ */
+function createBuiltinCommands(bot) {
+  return [help(bot), commandperms(bot)];
+}
+
+module.exports = { createBuiltinCommands };
@@ -1,22 +1,22 @@
 const db = require('./db');
+const cooldowns = require('./cooldowns');
 
 /**
  * In-memory cache for frequently accessed data, with a database fallback.
  * @type {object}
  */
-const cache = { cooldowns: {}, reminders: {}, tempmutes: {} };
+const cache = { reminders: {}, tempmutes: {} };
 
 /**
- * Sets a command cooldown for a user.
+ * Sets a command cooldown for a user. This is the same bucket the command's own `cooldown`
+ * uses for the user scope (see utils/cooldowns), and it is persisted.
  * @param {string} userId - The ID of the user.
  * @param {string} cmd - The name of the command.
  * @param {number} until - The timestamp until which the cooldown is active.
  * @returns {Promise<void>}
  */
 async function setCooldown(userId, cmd, until) {
-  cache.cooldowns[userId] = cache.cooldowns[userId] || {};
-  cache.cooldowns[userId][cmd] = until;
-  await db.setUserConfig(userId, `cooldown_${cmd}`, until);
+  await cooldowns.store.set(cooldowns.bucketKey(cmd, 'user', { user: { id: userId } }), until, true);
 }
 
 /**
@@ -26,7 +26,7 @@ async function setCooldown(userId, cmd, until) {
  * @returns {Promise<number|undefined>} The timestamp until which the cooldown is active.
  */
 async function getCooldown(userId, cmd) {
-  return cache.cooldowns[userId]?.[cmd] || await db.getUserConfig(userId, `cooldown_${cmd}`);
+  return cooldowns.store.get(cooldowns.bucketKey(cmd, 'user', { user: { id: userId } }), true);
 }
 
 /**
@@ -0,0 +1,46 @@
+export type CooldownScope = 'user' | 'member' | 'channel' | 'guild' | 'global';
+
+export interface CooldownOptions {
+  /** Time until one use comes back: seconds or a duration string such as '10s' */
+  refill: number | string;
+  /** Uses allowed at once (default: 1) */
+  burst?: number;
+  /** Who shares the bucket (default: 'user') */
+  scope?: CooldownScope;
+  bypass?: { users?: string[]; roles?: string[] };
+  /** Store the bucket in the database so it survives restarts */
+  persist?: boolean;
+}
+
+/** Seconds, a duration string, or a bucket config */
+export type CooldownConfig = number | string | CooldownOptions;
+
+export interface NormalizedCooldown {
+  burst: number;
+  /** Milliseconds */
+  refill: number;
+  scope: CooldownScope;
+  bypass: { users: string[]; roles: string[] };
+  persist: boolean;
+}
+
+export declare const SCOPES: CooldownScope[];
+
+export declare function normalize(config: CooldownConfig | null | undefined | false): NormalizedCooldown | null;
+export declare function bucketKey(name: string, scope: CooldownScope, ctx: any): string;
+export declare function isBypassed(config: NormalizedCooldown, ctx: any): boolean;
+
+export declare class CooldownStore {
+  buckets: Map<string, number>;
+  constructor();
+  /** Returns 0 if allowed, otherwise the milliseconds until a use is available */
+  take(key: string, options: { burst?: number; refill: number; persist?: boolean }): number;
+  get(key: string, persist?: boolean): number | undefined;
+  set(key: string, until: number, persist?: boolean): Promise<void>;
+  reset(key: string): Promise<void>;
+  sweep(): void;
+  clear(): void;
+}
+
+/** The bucket store shared by commands, the rate limiter and the cache helpers */
+export declare const store: CooldownStore;
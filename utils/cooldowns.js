@@ -0,0 +1,177 @@
+const time = require('./time');
+const db = require('./db');
+const logger = require('./logger');
+
+/**
+ * Bucket scopes: who shares a cooldown.
+ * `member` is per user per guild, `guild` falls back to the channel in DMs.
+ */
+const SCOPES = ['user', 'member', 'channel', 'guild', 'global'];
+
+/**
+ * Normalizes a cooldown config. Accepts seconds (`5`), a duration string (`'5s'`, `'1m30s'`)
+ * or an object `{ refill, burst, scope, bypass, persist }`, where `burst` uses are allowed
+ * at once and one use comes back every `refill` (seconds or a duration string).
+ * @param {number|string|object} config - The cooldown config.
+ * @returns {{ burst: number, refill: number, scope: string, bypass: { users: Array<string>, roles: Array<string> }, persist: boolean }|null}
+ *   The config with `refill` in milliseconds, or null if there is no cooldown.
+ * @throws {Error} If the config is invalid.
+ */
+function normalize(config) {
+  if (config === undefined || config === null || config === false || config === 0) return null;
+  if (typeof config === 'number') return normalize({ refill: config });
+  if (typeof config === 'string') return normalize({ refill: config });
+  if (typeof config !== 'object') throw new Error(`Invalid cooldown: ${config}`);
+
+  const refill = typeof config.refill === 'number' ? config.refill * 1000 : time.parseDuration(config.refill);
+  if (!refill || refill < 0) throw new Error(`Invalid cooldown refill: ${config.refill}`);
+  const burst = config.burst ?? 1;
+  if (!Number.isInteger(burst) || burst < 1) throw new Error(`Invalid cooldown burst: ${config.burst}`);
+  const scope = config.scope || 'user';
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown cooldown scope "${scope}" (expected ${SCOPES.join(', ')})`);
+
+  return {
+    burst,
+    refill,
+    scope,
+    bypass: { users: config.bypass?.users || [], roles: config.bypass?.roles || [] },
+    persist: !!config.persist
+  };
+}
+
+/**
+ * Builds the bucket key for a cooldown name (usually the command name) and scope.
+ * @param {string} name - The cooldown name.
+ * @param {string} scope - The bucket scope.
+ * @param {Ctx} ctx - The command context.
+ * @returns {string}
+ */
+function bucketKey(name, scope, ctx) {
+  const userId = ctx.user?.id;
+  const guildId = ctx.guild?.id;
+  switch (scope) {
+    case 'member': return guildId ? `${name}:member:${guildId}:${userId}` : `${name}:user:${userId}`;
+    case 'channel': return `${name}:channel:${ctx.channel?.id}`;
+    case 'guild': return guildId ? `${name}:guild:${guildId}` : `${name}:channel:${ctx.channel?.id}`;
+    case 'global': return `${name}:global`;
+    default: return `${name}:user:${userId}`;
+  }
+}
+
+/**
+ * Checks whether the user or one of their roles bypasses a cooldown.
+ * @param {object} config - A normalized cooldown config.
+ * @param {Ctx} ctx - The command context.
+ * @returns {boolean}
+ */
+function isBypassed(config, ctx) {
+  const { users, roles } = config.bypass;
+  if (users.includes(ctx.user?.id)) return true;
+  if (!roles.length || !ctx.member) return false;
+  const memberRoles = ctx.member.roles;
+  const ids = Array.isArray(memberRoles) ? memberRoles : [...(memberRoles?.cache?.keys() || [])];
+  return ids.some(id => roles.includes(id));
+}
+
+/**
+ * Cooldown buckets. Each bucket is a token bucket holding up to `burst` uses that refills
+ * one use every `refill` ms, tracked as a single timestamp (the time the bucket is empty
+ * until, GCRA-style), so it can be persisted cheaply through utils/db.
+ */
+class CooldownStore {
+  constructor() {
+    this.buckets = new Map();
+    this._sweepAt = 1000;
+  }
+
+  /**
+   * Reads a bucket timestamp, from memory or the database.
+   * @private
+   */
+  _read(key, persist) {
+    if (this.buckets.has(key)) return this.buckets.get(key);
+    return persist ? db.get(`cooldowns.${key}`, 0) : 0;
+  }
+
+  /**
+   * Writes a bucket timestamp to memory (and the database if persisted).
+   * @private
+   */
+  _write(key, until, persist) {
+    this.buckets.set(key, until);
+    if (this.buckets.size > this._sweepAt) this.sweep();
+    if (!persist) return Promise.resolve();
+    return db.set(`cooldowns.${key}`, until).catch(err => logger.error(`Failed to persist cooldown ${key}:`, err));
+  }
+
+  /**
+   * Takes one use from a bucket.
+   * @param {string} key - The bucket key.
+   * @param {object} options - `{ burst, refill, persist }`, with `refill` in milliseconds.
+   * @returns {number} 0 if the use was allowed, otherwise the milliseconds until one is available.
+   */
+  take(key, { burst = 1, refill, persist = false }) {
+    const now = Date.now();
+    const until = Math.max(this._read(key, persist), now);
+    const wait = until - now - (burst - 1) * refill;
+    if (wait > 0) return wait;
+    this._write(key, until + refill, persist);
+    return 0;
+  }
+
+  /**
+   * Gets the timestamp until which a bucket is fully drained (for a burst of 1, the time the
+   * cooldown ends).
+   * @param {string} key - The bucket key.
+   * @param {boolean} [persist=false] - Whether to look in the database too.
+   * @returns {number|undefined}
+   */
+  get(key, persist = false) {
+    const until = this._read(key, persist);
+    return until > Date.now() ? until : undefined;
+  }
+
+  /**
+   * Puts a bucket on cooldown until the given timestamp.
+   * @param {string} key - The bucket key.
+   * @param {number} until - The timestamp.
+   * @param {boolean} [persist=false] - Whether to persist the bucket.
+   * @returns {Promise<void>}
+   */
+  set(key, until, persist = false) {
+    return this._write(key, until, persist);
+  }
+
+  /**
+   * Resets a bucket.
+   * @param {string} key - The bucket key.
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.buckets.delete(key);
+    await db.delete(`cooldowns.${key}`);
+  }
+
+  /**
+   * Drops buckets that are full again from memory.
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, until] of this.buckets) {
+      if (until <= now) this.buckets.delete(key);
+    }
+    this._sweepAt = Math.max(1000, this.buckets.size * 2);
+  }
+
+  /**
+   * Clears all in-memory buckets (persisted buckets are reloaded on use).
+   */
+  clear() {
+    this.buckets.clear();
+  }
+}
+
+/** The bucket store shared by commands, the rate limiter and the cache helpers. */
+const store = new CooldownStore();
+
+module.exports = { SCOPES, normalize, bucketKey, isBypassed, CooldownStore, store };
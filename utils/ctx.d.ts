@@ -1,7 +1,8 @@
 import { Bot } from '../Bot';
-import { Message, Interaction, User, GuildMember, Channel, Role, EmbedBuilder, AttachmentBuilder, Collection, ThreadChannel, Webhook, Invite, Emoji, MessageReaction, ButtonInteraction, SelectMenuInteraction, ModalSubmitInteraction } from 'discord.js';
+import { Message, Interaction, User, GuildMember, Channel, Role, EmbedBuilder, AttachmentBuilder, Collection, ThreadChannel, Webhook, Invite, Emoji, MessageReaction, ButtonInteraction, SelectMenuInteraction, ModalSubmitInteraction, Guild, GuildEmoji, ReactionEmoji, VoiceState, VoiceBasedChannel, GuildBasedChannel, DMChannel, NonThreadGuildBasedChannel, AnyThreadChannel, Presence, PartialMessage, PartialGuildMember, PartialMessageReaction, PartialUser } from 'discord.js';
 import { ComponentBuilder, BetterButton, BetterSelectMenu, BetterRow } from './components';
 import { Database } from './db';
+import { Logger } from './logger';
 
 export interface ContextOptions {
   bot: Bot;
@@ -9,20 +10,97 @@ export interface ContextOptions {
   interaction?: Interaction;
 }
 
+type MemberFields = { member: GuildMember | PartialGuildMember; user: User; guild: Guild };
+type ReactionFields = { reaction: MessageReaction | PartialMessageReaction; emoji: GuildEmoji | ReactionEmoji; message: Message | PartialMessage; channel: any; guild: Guild | null };
+
+/** What an event's context holds besides the basics, by event name (see Context.forEvent) */
+export interface EventContexts {
+  /** No event actor: the bot's user is `ctx.client.user` */
+  clientReady: { user: null };
+  ready: { user: null };
+  messageCreate: { message: Message };
+  messageDelete: { message: Message | PartialMessage };
+  messageUpdate: { message: Message | PartialMessage; oldMessage: Message | PartialMessage };
+  interactionCreate: { interaction: Interaction };
+  guildMemberAdd: MemberFields;
+  guildMemberRemove: MemberFields;
+  guildMemberAvailable: MemberFields;
+  guildMemberUpdate: MemberFields & { oldMember: GuildMember | PartialGuildMember };
+  guildCreate: { guild: Guild };
+  guildDelete: { guild: Guild };
+  guildAvailable: { guild: Guild };
+  guildUnavailable: { guild: Guild };
+  guildUpdate: { guild: Guild; oldGuild: Guild };
+  guildBanAdd: { user: User | PartialUser; guild: Guild; reason: string | null };
+  guildBanRemove: { user: User | PartialUser; guild: Guild; reason: string | null };
+  messageReactionAdd: ReactionFields & { user: User | PartialUser };
+  messageReactionRemove: ReactionFields & { user: User | PartialUser };
+  messageReactionRemoveEmoji: ReactionFields & { user: null };
+  voiceStateUpdate: {
+    state: VoiceState;
+    oldState: VoiceState;
+    member: GuildMember | null;
+    user: User | null;
+    guild: Guild;
+    /** The channel the member is in now */
+    channel: VoiceBasedChannel | null;
+    oldChannel: VoiceBasedChannel | null;
+    joined: boolean;
+    left: boolean;
+    /** Switched from one channel to another */
+    moved: boolean;
+  };
+  roleCreate: { role: Role; guild: Guild };
+  roleDelete: { role: Role; guild: Guild };
+  roleUpdate: { role: Role; oldRole: Role; guild: Guild };
+  channelCreate: { channel: NonThreadGuildBasedChannel; guild: Guild };
+  channelDelete: { channel: DMChannel | NonThreadGuildBasedChannel; guild: Guild | null };
+  channelUpdate: { channel: DMChannel | NonThreadGuildBasedChannel; oldChannel: DMChannel | NonThreadGuildBasedChannel; guild: Guild | null };
+  threadCreate: { thread: AnyThreadChannel; channel: GuildBasedChannel | null; guild: Guild };
+  threadDelete: { thread: AnyThreadChannel; channel: GuildBasedChannel | null; guild: Guild };
+  threadUpdate: { thread: AnyThreadChannel; oldThread: AnyThreadChannel; channel: GuildBasedChannel | null; guild: Guild };
+  typingStart: { user: User | PartialUser; member: GuildMember | null; channel: any; guild: Guild | null };
+  inviteCreate: { invite: Invite; user: User | null; channel: any; guild: any };
+  inviteDelete: { invite: Invite; channel: any; guild: any };
+  presenceUpdate: { presence: Presence; oldPresence: Presence | null; member: GuildMember | null; user: User | null; guild: Guild | null };
+  userUpdate: { user: User; oldUser: User | PartialUser };
+}
+
+/** The context an event handler gets */
+export type EventContext<K extends string = string> = Omit<Context, K extends keyof EventContexts ? keyof EventContexts[K] : never>
+  & (K extends keyof EventContexts ? EventContexts[K] : {})
+  & { event: K };
+
 export declare class Context {
+  /** Builds the context of an event from its arguments */
+  static forEvent<K extends string>(eventName: K, args: any[], bot: Bot): EventContext<K>;
+
   bot: Bot;
+  /** The event, for event contexts */
+  event?: string;
   client: any;
   message?: Message;
   interaction?: Interaction;
   raw: Message | Interaction;
   args: string[];
+  argString: string | null;
+  prefix: string | null;
   options: any[];
+  command: any;
+  subcommand: string | null;
+  subcommandGroup: string | null;
+  /** 'success' or 'error' once the command has run */
+  outcome: 'success' | 'error' | null;
+  /** The error ID shown to the user when the command failed */
+  errorId: string | null;
   guild: any;
   channel: any;
   author: any;
   user: User;
   member: GuildMember | null;
   db: Database;
+  /** A logger tagging every record with the guild, command and user */
+  readonly logger: Logger;
   isInteraction: boolean;
   isDM: boolean;
   isGuild: boolean;
@@ -52,13 +130,19 @@ export declare class Context {
   info(msg: string): Promise<Message>;
   warn(msg: string): Promise<Message>;
 
-  // Slash command helpers
+  // Option getters (slash options or parsed prefix args)
   getOption(name: string): any;
   getUser(name: string): User | null;
   getMember(name: string): GuildMember | null;
   getChannel(name: string): Channel | null;
   getRole(name: string): Role | null;
 
+  // Localization
+  /** The resolved locale: the user's, the guild's preferred locale, the guild override, then the default */
+  readonly locale: string;
+  /** Translates a key from the locale catalogs for this context's locale */
+  t(key: string, vars?: Record<string, any>): string;
+
   // Permission checks
   hasPerms(perms: Array<string>): boolean;
   hasRole(role: string | Role): boolean;
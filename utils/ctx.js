@@ -7,6 +7,9 @@ const {
   PermissionFlagsBits 
 } = require('discord.js');
 const { ComponentBuilder, BetterButton, BetterSelectMenu, BetterRow } = require('./components');
+const { tokenize } = require('./args');
+const i18n = require('./i18n');
+const logger = require('./logger');
 
 /**
  * A builder for creating rich embeds with a fluent API.
@@ -137,6 +140,75 @@ class BetterEmbed {
   }
 }
 
+/** @private */
+const memberFields = member => ({ member, user: member.user, guild: member.guild });
+/** @private */
+const reactionFields = (reaction, user = null) => ({
+  reaction,
+  emoji: reaction.emoji,
+  user,
+  message: reaction.message,
+  channel: reaction.message.channel,
+  guild: reaction.message.guild
+});
+
+/**
+ * What an event's context holds besides the basics, by event name, built from the event's
+ * arguments. Events whose first argument is a message or interaction need nothing more.
+ * @private
+ */
+const EVENT_CONTEXTS = {
+  // The argument is the Client: there is no event actor, the bot's user is ctx.client.user
+  clientReady: () => ({ user: null }),
+  ready: () => ({ user: null }),
+  messageCreate: message => ({ message }),
+  messageDelete: message => ({ message }),
+  messageUpdate: (oldMessage, message) => ({ message, oldMessage }),
+  interactionCreate: interaction => ({ interaction }),
+  guildMemberAdd: memberFields,
+  guildMemberRemove: memberFields,
+  guildMemberAvailable: memberFields,
+  guildMemberUpdate: (oldMember, member) => ({ ...memberFields(member), oldMember }),
+  guildCreate: guild => ({ guild }),
+  guildDelete: guild => ({ guild }),
+  guildAvailable: guild => ({ guild }),
+  guildUnavailable: guild => ({ guild }),
+  guildUpdate: (oldGuild, guild) => ({ guild, oldGuild }),
+  // Not `ban`: that would hide ctx.ban()
+  guildBanAdd: ban => ({ user: ban.user, guild: ban.guild, reason: ban.reason ?? null }),
+  guildBanRemove: ban => ({ user: ban.user, guild: ban.guild, reason: ban.reason ?? null }),
+  messageReactionAdd: reactionFields,
+  messageReactionRemove: reactionFields,
+  messageReactionRemoveEmoji: reaction => reactionFields(reaction),
+  voiceStateUpdate: (oldState, state) => ({
+    state,
+    oldState,
+    member: state.member,
+    user: state.member?.user ?? null,
+    guild: state.guild,
+    channel: state.channel,
+    oldChannel: oldState.channel,
+    joined: !oldState.channelId && !!state.channelId,
+    left: !!oldState.channelId && !state.channelId,
+    moved: !!oldState.channelId && !!state.channelId && oldState.channelId !== state.channelId
+  }),
+  roleCreate: role => ({ role, guild: role.guild }),
+  roleDelete: role => ({ role, guild: role.guild }),
+  roleUpdate: (oldRole, role) => ({ role, oldRole, guild: role.guild }),
+  channelCreate: channel => ({ channel, guild: channel.guild ?? null }),
+  channelDelete: channel => ({ channel, guild: channel.guild ?? null }),
+  channelUpdate: (oldChannel, channel) => ({ channel, oldChannel, guild: channel.guild ?? null }),
+  threadCreate: thread => ({ thread, channel: thread.parent, guild: thread.guild }),
+  threadDelete: thread => ({ thread, channel: thread.parent, guild: thread.guild }),
+  threadUpdate: (oldThread, thread) => ({ thread, oldThread, channel: thread.parent, guild: thread.guild }),
+  // Not `typing`: that would hide ctx.typing()
+  typingStart: typing => ({ user: typing.user, member: typing.member ?? null, channel: typing.channel, guild: typing.guild ?? null }),
+  inviteCreate: invite => ({ invite, user: invite.inviter ?? null, channel: invite.channel, guild: invite.guild }),
+  inviteDelete: invite => ({ invite, channel: invite.channel, guild: invite.guild }),
+  presenceUpdate: (oldPresence, presence) => ({ presence, oldPresence, member: presence.member, user: presence.user, guild: presence.guild }),
+  userUpdate: (oldUser, user) => ({ user, oldUser })
+};
+
 /**
  * The context object, provides a unified interface for interacting with commands and events.
  * @class
@@ -159,11 +231,59 @@ class Ctx {
     this.member = raw?.member || null;
 
     this.args = argsOverride || this._parseArgs(raw);
-    this.options = this.isInteraction ? raw.options.data : [];
+    /** The raw argument string of a prefix command, set by the message handler. */
+    this.argString = null;
+    this.prefix = this.isInteraction ? '/' : (bot?.prefix ?? null);
+    this.options = this.isInteraction ? Ctx._leafOptions(raw.options.data) : [];
+    /** The command being run; for subcommands this is the resolved subcommand. */
+    this.command = null;
+    this.subcommand = null;
+    this.subcommandGroup = null;
+    /** 'success' or 'error' once the command has run; null while it has not (see utils/stats). */
+    this.outcome = null;
+    /** The error ID shown to the user when the command failed (see utils/errors). */
+    this.errorId = null;
     this.isDM = !this.guild;
     this.isGuild = !!this.guild;
   }
 
+  /**
+   * The context an event handler gets: a Ctx around the event's message or interaction (for
+   * messageUpdate, the new message) with the event's name in `event` and what the event is
+   * about in typed fields, e.g. `member`, `user` and `guild` for guildMemberAdd, `reaction`,
+   * `emoji` and `message` for messageReactionAdd, `state`, `oldState`, `channel`, `joined`,
+   * `left` and `moved` for voiceStateUpdate. For clientReady there is only `client`.
+   * @param {string} eventName - The event.
+   * @param {Array<*>} args - The event's arguments.
+   * @param {Bot} bot - The bot instance.
+   * @returns {Ctx}
+   */
+  static forEvent(eventName, args, bot) {
+    const ctx = new Ctx(eventName === 'messageUpdate' ? args[1] : args[0], bot);
+    ctx.event = eventName;
+    const fields = EVENT_CONTEXTS[eventName];
+    if (fields) {
+      Object.assign(ctx, fields(...args));
+      ctx.isDM = !ctx.guild;
+      ctx.isGuild = !!ctx.guild;
+    }
+    return ctx;
+  }
+
+  /**
+   * Unwraps subcommand (group) options so the getters see the leaf command's options.
+   * @param {Array<object>} data - The interaction's option data.
+   * @returns {Array<object>} The leaf options.
+   * @private
+   */
+  static _leafOptions(data = []) {
+    let options = data;
+    while (options.length && (options[0].type === 1 || options[0].type === 2)) {
+      options = options[0].options || [];
+    }
+    return options;
+  }
+
   /**
    * Parses the arguments from the raw object.
    * @param {Interaction|Message} raw - The raw interaction or message object.
@@ -172,10 +292,10 @@ class Ctx {
    */
   _parseArgs(raw) {
     if (this.isInteraction) {
-      return raw.options.data.map(opt => opt.value);
+      return Ctx._leafOptions(raw.options.data).map(opt => opt.value);
     }
     if (raw?.content) {
-      const args = raw.content.trim().split(/\s+/).slice(1);
+      const args = tokenize(raw.content.trim()).slice(1);
       const userMatch = args.find(a => /^<@!?\d+>$/.test(a));
       const channelMatch = args.find(a => /^<#\d+>$/.test(a));
       return Object.assign(args, {
@@ -187,60 +307,75 @@ class Ctx {
   }
 
   /**
-   * Gets an option value from slash command options.
+   * Gets an option value from slash command options, or from the parsed arguments
+   * of a prefix command that declares an `args` schema.
    * @param {string} name - The name of the option.
    * @returns {*} The option value or null if not found.
    */
   getOption(name) {
-    if (!this.isInteraction) return null;
     const option = this.options.find(opt => opt.name === name);
     return option ? option.value : null;
   }
 
   /**
-   * Gets a user from slash command options.
+   * Gets a user from slash command options or parsed prefix arguments.
    * @param {string} name - The name of the user option.
    * @returns {User|null} The user object or null if not found.
    */
   getUser(name) {
-    if (!this.isInteraction) return null;
     const option = this.options.find(opt => opt.name === name && opt.type === 6); // USER type
     return option ? option.user : null;
   }
 
   /**
-   * Gets a member from slash command options.
+   * Gets a member from slash command options or parsed prefix arguments.
    * @param {string} name - The name of the member option.
    * @returns {GuildMember|null} The member object or null if not found.
    */
   getMember(name) {
-    if (!this.isInteraction) return null;
     const option = this.options.find(opt => opt.name === name && opt.type === 6); // USER type
     return option ? option.member : null;
   }
 
   /**
-   * Gets a channel from slash command options.
+   * Gets a channel from slash command options or parsed prefix arguments.
    * @param {string} name - The name of the channel option.
    * @returns {Channel|null} The channel object or null if not found.
    */
   getChannel(name) {
-    if (!this.isInteraction) return null;
     const option = this.options.find(opt => opt.name === name && opt.type === 7); // CHANNEL type
     return option ? option.channel : null;
   }
 
   /**
-   * Gets a role from slash command options.
+   * Gets a role from slash command options or parsed prefix arguments.
    * @param {string} name - The name of the role option.
    * @returns {Role|null} The role object or null if not found.
    */
   getRole(name) {
-    if (!this.isInteraction) return null;
     const option = this.options.find(opt => opt.name === name && opt.type === 8); // ROLE type
     return option ? option.role : null;
   }
 
+  /**
+   * The locale for responses: the user's locale (interactions only), then the guild's
+   * preferred locale, then the guild's configured locale, then the default locale.
+   * @type {string}
+   */
+  get locale() {
+    return i18n.localeFor(this);
+  }
+
+  /**
+   * Translates a message key for this context's locale.
+   * @param {string} key - The message key, e.g. "framework.error".
+   * @param {object} [vars={}] - Placeholder values; numbers and dates are formatted for the locale.
+   * @returns {string} The translated message.
+   */
+  t(key, vars = {}) {
+    return i18n.t(this.locale, key, vars);
+  }
+
   /**
    * Sends a reply to the channel.
    * @param {string|object} content - The content of the reply.
@@ -504,7 +639,7 @@ class Ctx {
     fields.forEach(f => {
       result[f.customId] = submitted.fields.getTextInputValue(f.customId);
     });
-    await submitted.reply({ content: options.thankYou || 'Thank you!', ephemeral: true });
+    await submitted.reply({ content: options.thankYou || this.t('framework.modalThanks'), ephemeral: true });
     return result;
   }
 
@@ -524,7 +659,7 @@ class Ctx {
         options.timeout || 30000
       );
       if (!reply) {
-        await this.reply("⏳ Dialog timed out.");
+        await this.reply(this.t('framework.dialogTimeout'));
         break;
       }
       answers.push(reply.content);
@@ -739,6 +874,14 @@ class Ctx {
     return this.bot.db;
   }
 
+  /**
+   * A logger that tags every record with the guild, command and user (see utils/logger)
+   * @returns {Logger}
+   */
+  get logger() {
+    return logger.child({ guild: this.guild?.id, command: this.command?.name, user: this.user?.id });
+  }
+
   /**
    * Component builder shorthand
    * @returns {ComponentBuilder}
@@ -53,4 +53,25 @@ export declare class Database {
   size(): Promise<number>;
 }
 
+/**
+ * Reads the data file. Only one process may write a file, so each shard passes its own
+ * `file` (relative to data/), which starts as a copy of data/botdata.json.
+ */
+export declare function init(options?: { file?: string }): Promise<void>;
+/** Keeps the data in memory instead of data/botdata.json (for tests); call before init() */
+export declare function useMemory(data?: object): Promise<void>;
+/** Writes the loaded data after any writes in progress, e.g. before exiting */
+export declare function flush(): Promise<void>;
+export declare function getGuildConfig(guildId: string, key: string, def?: any): Promise<any>;
+export declare function setGuildConfig(guildId: string, key: string, value: any): Promise<void>;
+export declare function getUserConfig(userId: string, key: string, def?: any): Promise<any>;
+export declare function setUserConfig(userId: string, key: string, value: any): Promise<void>;
+
+/** Gets a value by dotted key (e.g. `"plugins.moderation.warnings"`) from the loaded data. */
+export declare function get(key: string, def?: any): any;
+export declare function has(key: string): boolean;
+export declare function set(key: string, value: any): Promise<void>;
+declare function del(key: string): Promise<void>;
+export { del as delete };
+
 export default Database;
@@ -1,4 +1,4 @@
-const { Low } = require("lowdb");
+const { Low, Memory } = require("lowdb");
 const { JSONFile } = require("lowdb/node");
 const path = require("path");
 const fs = require("fs");
@@ -19,15 +19,41 @@ const adapter = new JSONFile(file);
 const db = new Low(adapter, { guilds: {}, users: {} });
 
 /**
- * Initializes the database, creating the data file if it doesn't exist.
+ * Initializes the database, creating the data file if it doesn't exist. This is the only
+ * place the file is read: afterwards every accessor works on the data in memory, and writes
+ * go from memory to the file.
+ *
+ * lowdb keeps the whole file in memory and rewrites it on every write, so only one process may
+ * use a data file. Shards pass their own `file`; it starts as a copy of `data/botdata.json`
+ * (if there is one), so existing settings carry over.
+ * @param {object} [options]
+ * @param {string} [options.file] - The data file to use instead of `botdata.json`, relative to `data/`.
  * @returns {Promise<void>}
  */
-async function init() {
+async function init(options = {}) {
+  if (options.file && !(db.adapter instanceof Memory)) {
+    const target = path.resolve(dataDir, options.file);
+    if (!fs.existsSync(target) && fs.existsSync(file)) fs.copyFileSync(file, target);
+    db.adapter = new JSONFile(target);
+    db.data = null;
+  }
   await db.read();
   db.data ||= { guilds: {}, users: {} };
   await db.write();
 }
 
+/**
+ * Keeps the data in memory instead of `data/botdata.json`, starting from `data`. Used by the
+ * test harness (see testing/); call it before {@link init}.
+ * @param {object} [data] - The initial data (default: no guilds or users).
+ * @returns {Promise<void>}
+ */
+async function useMemory(data = { guilds: {}, users: {} }) {
+  db.adapter = new Memory();
+  db.data = null;
+  await db.adapter.write(structuredClone(data));
+}
+
 /**
  * Gets a configuration value for a guild.
  * @param {string} guildId - The ID of the guild.
@@ -36,8 +62,7 @@ async function init() {
  * @returns {Promise<*>} The configuration value.
  */
 async function getGuildConfig(guildId, key, def) {
-  await db.read();
-  return db.data.guilds[guildId]?.[key] ?? def;
+  return db.data?.guilds?.[guildId]?.[key] ?? def;
 }
 
 /**
@@ -48,7 +73,8 @@ async function getGuildConfig(guildId, key, def) {
  * @returns {Promise<void>}
  */
 async function setGuildConfig(guildId, key, value) {
-  await db.read();
+  db.data ||= { guilds: {}, users: {} };
+  db.data.guilds ||= {};
   db.data.guilds[guildId] ||= {};
   db.data.guilds[guildId][key] = value;
   await db.write();
@@ -62,8 +88,7 @@ async function setGuildConfig(guildId, key, value) {
  * @returns {Promise<*>} The configuration value.
  */
 async function getUserConfig(userId, key, def) {
-  await db.read();
-  return db.data.users?.[userId]?.[key] ?? def;
+  return db.data?.users?.[userId]?.[key] ?? def;
 }
 
 /**
@@ -74,11 +99,87 @@ async function getUserConfig(userId, key, def) {
  * @returns {Promise<void>}
  */
 async function setUserConfig(userId, key, value) {
-  await db.read();
+  db.data ||= { guilds: {}, users: {} };
   db.data.users ||= {};
   db.data.users[userId] ||= {};
   db.data.users[userId][key] = value;
   await db.write();
 }
 
-module.exports = { init, getGuildConfig, setGuildConfig, getUserConfig, setUserConfig };
+/**
+ * Walks a dotted key (`"plugins.moderation.warnings"`) through the data object.
+ * @private
+ */
+function walk(key, create) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let node = db.data;
+  for (const part of parts) {
+    if (node[part] === undefined || node[part] === null || typeof node[part] !== 'object') {
+      if (!create) return { node: undefined, last };
+      node[part] = {};
+    }
+    node = node[part];
+  }
+  return { node, last };
+}
+
+/**
+ * Gets a value by dotted key from the loaded data. Reads from memory, so it is synchronous;
+ * call {@link init} before using it.
+ * @param {string} key - The dotted key.
+ * @param {*} [def] - The default value to return if the key is not found.
+ * @returns {*} The value.
+ */
+function get(key, def) {
+  if (!db.data) return def;
+  const { node, last } = walk(key, false);
+  return node?.[last] ?? def;
+}
+
+/**
+ * Checks whether a dotted key has a value.
+ * @param {string} key - The dotted key.
+ * @returns {boolean}
+ */
+function has(key) {
+  return get(key) !== undefined;
+}
+
+/**
+ * Sets a value by dotted key and writes it to disk.
+ * @param {string} key - The dotted key.
+ * @param {*} value - The value to set.
+ * @returns {Promise<void>}
+ */
+async function set(key, value) {
+  db.data ||= { guilds: {}, users: {} };
+  const { node, last } = walk(key, true);
+  node[last] = value;
+  await db.write();
+}
+
+/**
+ * Deletes a value by dotted key and writes the change to disk.
+ * @param {string} key - The dotted key.
+ * @returns {Promise<void>}
+ */
+async function del(key) {
+  if (!db.data) return;
+  const { node, last } = walk(key, false);
+  if (node && last in node) {
+    delete node[last];
+    await db.write();
+  }
+}
+
+/**
+ * Writes the loaded data once more, after any writes still in progress, so everything is on
+ * disk before the process exits.
+ * @returns {Promise<void>}
+ */
+async function flush() {
+  if (db.data) await db.write();
+}
+
+module.exports = { init, flush, useMemory, getGuildConfig, setGuildConfig, getUserConfig, setUserConfig, get, set, has, delete: del };
@@ -0,0 +1,90 @@
+import { CooldownOptions } from './cooldowns';
+
+export type ErrorSource = 'command' | 'interaction' | 'event' | 'interval' | 'cron' | 'hook' | 'rejection' | 'manual';
+
+export interface ErrorReportingOptions {
+  /** Channel errors are posted to (default: BOT_LOG_CHANNEL) */
+  channelId?: string | null;
+  /** How often one group of identical errors is posted (default: '10m') */
+  throttle?: number | string;
+  /** Limit on all posts to the channel (default: { burst: 5, refill: '1m' }) */
+  channelRate?: CooldownOptions;
+  /** Reports kept in memory (default: 100) */
+  maxRecent?: number;
+  /** Report every unhandled promise rejection in the process, which stops Node from crashing on them (default: false) */
+  captureRejections?: boolean;
+}
+
+export interface ErrorContext {
+  source?: ErrorSource;
+  command?: string;
+  args?: string[];
+  guild?: string;
+  channel?: string;
+  user?: string;
+  plugin?: string;
+  event?: string;
+  /** The interval, cron expression or interaction custom ID */
+  name?: string;
+  [key: string]: any;
+}
+
+export interface ErrorReport {
+  /** Short ID shown to the user */
+  id: string;
+  /** Shared by errors with the same stack */
+  fingerprint: string;
+  error: Error;
+  message: string;
+  stack: string;
+  context: ErrorContext;
+  time: number;
+  /** Occurrences of the group so far, including this one */
+  occurrences: number;
+}
+
+export interface ErrorGroup {
+  fingerprint: string;
+  name: string;
+  message: string;
+  count: number;
+  firstSeen: number;
+  lastSeen: number;
+  lastId: string;
+}
+
+export interface ErrorFilter {
+  fingerprint?: string;
+  source?: ErrorSource;
+  command?: string;
+  guild?: string;
+  user?: string;
+  plugin?: string;
+  /** Date, timestamp or a duration ago such as '1h' */
+  since?: Date | number | string;
+  limit?: number;
+}
+
+export declare const SOURCES: ErrorSource[];
+
+export declare function fingerprint(err: Error): string;
+export declare function contextFrom(ctx: any): ErrorContext;
+
+export declare class ErrorReporter {
+  bot: any;
+  options: Required<Omit<ErrorReportingOptions, 'throttle' | 'channelRate'>> & { throttle: number; channelRate: any };
+  reports: ErrorReport[];
+  groupsByFingerprint: Map<string, ErrorGroup>;
+  constructor(bot: any, options?: ErrorReportingOptions);
+  report(err: any, context?: ErrorContext): ErrorReport;
+  /** Reports what the function throws or rejects with */
+  wrap<T extends (...args: any[]) => any>(fn: T, context?: ErrorContext): (...args: Parameters<T>) => ReturnType<T> | undefined;
+  /** Newest first */
+  recent(filter?: ErrorFilter): ErrorReport[];
+  get(id: string): ErrorReport | null;
+  /** Most frequent first */
+  groups(options?: { limit?: number }): ErrorGroup[];
+  clear(): void;
+  start(): void;
+  stop(): void;
+}
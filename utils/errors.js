@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const time = require('./time');
+const logger = require('./logger');
+const { CooldownStore, normalize } = require('./cooldowns');
+
+/** Where an error was captured. */
+const SOURCES = ['command', 'interaction', 'event', 'interval', 'cron', 'hook', 'rejection', 'manual'];
+
+/**
+ * Normalizes the error reporting options.
+ * @param {object} [config] - `{ channelId, throttle, channelRate, maxRecent, captureRejections }`.
+ * @returns {object}
+ * @private
+ */
+function normalizeOptions(config = {}) {
+  return {
+    channelId: config.channelId ?? process.env.BOT_LOG_CHANNEL ?? null,
+    throttle: time.parseDuration(config.throttle ?? '10m') ?? 600000,
+    channelRate: normalize(config.channelRate ?? { burst: 5, refill: '1m' }),
+    maxRecent: config.maxRecent ?? 100,
+    captureRejections: config.captureRejections === true
+  };
+}
+
+/**
+ * Groups errors with the same stack: the error name and its stack frames, without the
+ * message (which often holds IDs or values) or column numbers.
+ * @param {Error} err - The error.
+ * @returns {string} An 8 character fingerprint.
+ */
+function fingerprint(err) {
+  const frames = String(err?.stack || '')
+    .split('\n')
+    .filter(line => line.trim().startsWith('at '))
+    .map(line => line.trim().replace(/:\d+\)?$/, ''));
+  const basis = frames.length ? `${err.name}\n${frames.join('\n')}` : `${err?.name}: ${err?.message ?? err}`;
+  return crypto.createHash('sha1').update(basis).digest('hex').slice(0, 8);
+}
+
+/**
+ * The report context for a command context: command, args, guild, channel and user.
+ * @param {Ctx} ctx - The command context.
+ * @returns {object}
+ */
+function contextFrom(ctx) {
+  if (!ctx) return {};
+  return {
+    command: ctx.command?.name,
+    args: ctx.args?.length ? ctx.args.map(String) : undefined,
+    guild: ctx.guild?.id,
+    channel: ctx.channel?.id,
+    user: ctx.user?.id,
+    plugin: ctx.command?.plugin
+  };
+}
+
+/**
+ * Where an error came from, for logs and channel reports: "command ping", "event messageCreate"...
+ * @private
+ */
+function describe(context) {
+  if (context.command) return `command ${context.command}`;
+  if (context.event) return `event ${context.event}`;
+  if (context.source === 'rejection') return 'an unhandled rejection';
+  if (context.source === 'manual') return context.name || 'bot code';
+  return context.name ? `${context.source} ${context.name}` : context.source;
+}
+
+/**
+ * Collects errors from commands, interactions, events, intervals and cron jobs. Every error
+ * gets a short ID to show users, identical stacks are grouped, and reports to the log channel
+ * are throttled per group and rate-limited overall. Recent errors are kept in memory.
+ */
+class ErrorReporter {
+  /**
+   * @param {Bot} bot - The bot, used to post to the log channel.
+   * @param {object} [options] - `{ channelId, throttle, channelRate, maxRecent, captureRejections }`.
+   */
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.options = normalizeOptions(options);
+    /** Recent reports, newest last */
+    this.reports = [];
+    /** Groups by fingerprint */
+    this.groupsByFingerprint = new Map();
+    this._limiter = new CooldownStore();
+    this._onRejection = null;
+  }
+
+  /**
+   * Records an error: logs it, groups it and posts it to the log channel unless throttled.
+   * @param {Error|*} err - The error; anything else is wrapped in an Error.
+   * @param {object} [context] - `{ source, command, args, guild, channel, user, plugin, event, name }`.
+   * @returns {object} The report: `{ id, fingerprint, error, message, stack, context, time, occurrences }`.
+   */
+  report(err, context = {}) {
+    const error = err instanceof Error ? err : new Error(String(err));
+    const ctx = { source: 'manual', ...context };
+    const report = {
+      id: crypto.randomBytes(3).toString('hex').toUpperCase(),
+      fingerprint: fingerprint(error),
+      error,
+      message: error.message,
+      stack: error.stack,
+      context: ctx,
+      time: Date.now()
+    };
+
+    let group = this.groupsByFingerprint.get(report.fingerprint);
+    if (!group) {
+      group = { fingerprint: report.fingerprint, name: error.name, message: error.message, count: 0, firstSeen: report.time, lastSeen: 0, lastId: null, lastReported: 0, suppressed: 0 };
+      this.groupsByFingerprint.set(report.fingerprint, group);
+    }
+    group.count++;
+    group.lastSeen = report.time;
+    group.lastId = report.id;
+    report.occurrences = group.count;
+
+    this.reports.push(report);
+    if (this.reports.length > this.options.maxRecent) this.reports.shift();
+    this._trimGroups();
+
+    const { args, source, ...fields } = ctx;
+    logger.child({ ...fields, errorId: report.id }).error(`Error in ${describe(ctx)}:`, error);
+    this._send(report, group);
+    return report;
+  }
+
+  /**
+   * Wraps a function so errors it throws or rejects with are reported with `context`. The
+   * wrapper returns the function's result, or undefined when it failed.
+   * @param {Function} fn - The function.
+   * @param {object} [context] - The report context.
+   * @returns {Function}
+   */
+  wrap(fn, context = {}) {
+    return (...args) => {
+      try {
+        const result = fn(...args);
+        if (result && typeof result.then === 'function') {
+          return result.catch(err => { this.report(err, context); });
+        }
+        return result;
+      } catch (err) {
+        this.report(err, context);
+        return undefined;
+      }
+    };
+  }
+
+  /**
+   * Recent reports matching a filter, newest first.
+   * @param {object} [filter] - `{ fingerprint, source, command, guild, user, plugin, since, limit }`;
+   *   `since` is a Date, timestamp or duration ago such as '1h'.
+   * @returns {Array<object>}
+   */
+  recent(filter = {}) {
+    const since = typeof filter.since === 'string' ? Date.now() - (time.parseDuration(filter.since) ?? 0) : filter.since instanceof Date ? filter.since.getTime() : filter.since;
+    const keys = ['source', 'command', 'guild', 'user', 'plugin'];
+    const result = [];
+    for (let i = this.reports.length - 1; i >= 0 && result.length < (filter.limit ?? Infinity); i--) {
+      const report = this.reports[i];
+      if (since && report.time < since) break;
+      if (filter.fingerprint && report.fingerprint !== filter.fingerprint) continue;
+      if (keys.some(key => filter[key] !== undefined && report.context[key] !== filter[key])) continue;
+      result.push(report);
+    }
+    return result;
+  }
+
+  /**
+   * A recent report by ID (case-insensitive).
+   * @param {string} id - The error ID shown to the user.
+   * @returns {object|null}
+   */
+  get(id) {
+    const wanted = String(id).toUpperCase();
+    return this.reports.find(report => report.id === wanted) || null;
+  }
+
+  /**
+   * Error groups, most frequent first.
+   * @param {object} [options] - `{ limit }`.
+   * @returns {Array<{ fingerprint: string, name: string, message: string, count: number, firstSeen: number, lastSeen: number, lastId: string }>}
+   */
+  groups(options = {}) {
+    return [...this.groupsByFingerprint.values()]
+      .sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen)
+      .slice(0, options.limit ?? Infinity)
+      .map(({ lastReported, suppressed, ...group }) => group);
+  }
+
+  /**
+   * Forgets all reports and groups.
+   */
+  clear() {
+    this.reports.length = 0;
+    this.groupsByFingerprint.clear();
+    this._limiter.clear();
+  }
+
+  /**
+   * Reports unhandled promise rejections when `captureRejections` is true. Off by default:
+   * the listener is process-wide and would stop Node from crashing on rejections that are
+   * not the bot's; handlers, intervals and cron jobs are covered by {@link ErrorReporter#wrap}.
+   */
+  start() {
+    if (!this.options.captureRejections || this._onRejection) return;
+    this._onRejection = reason => this.report(reason, { source: 'rejection' });
+    process.on('unhandledRejection', this._onRejection);
+  }
+
+  /**
+   * Stops reporting unhandled promise rejections.
+   */
+  stop() {
+    if (!this._onRejection) return;
+    process.off('unhandledRejection', this._onRejection);
+    this._onRejection = null;
+  }
+
+  /**
+   * Keeps groups bounded: those whose reports have all rotated out and that have not been
+   * seen for an hour are dropped.
+   * @private
+   */
+  _trimGroups() {
+    if (this.groupsByFingerprint.size <= this.options.maxRecent * 2) return;
+    const live = new Set(this.reports.map(report => report.fingerprint));
+    const cutoff = Date.now() - 3600000;
+    for (const [key, group] of this.groupsByFingerprint) {
+      if (!live.has(key) && group.lastSeen < cutoff) this.groupsByFingerprint.delete(key);
+    }
+  }
+
+  /**
+   * Posts a report to the log channel. A group is posted at most once per `throttle`, and the
+   * next post counts the occurrences in between; all posts share the `channelRate` limit.
+   * @private
+   */
+  _send(report, group) {
+    const client = this.bot?.client;
+    if (!this.options.channelId || !client?.isReady?.()) return;
+    if (report.time - group.lastReported < this.options.throttle) {
+      group.suppressed++;
+      return;
+    }
+    const { burst, refill } = this.options.channelRate || {};
+    if (burst && this._limiter.take('channel', { burst, refill })) {
+      group.suppressed++;
+      return;
+    }
+    const suppressed = group.suppressed;
+    group.lastReported = report.time;
+    group.suppressed = 0;
+
+    const ctx = report.context;
+    const details = [
+      ctx.command && `Command: \`${ctx.command}\`${ctx.args ? ` ${ctx.args.join(' ').slice(0, 200)}` : ''}`,
+      ctx.event && `Event: \`${ctx.event}\``,
+      ctx.plugin && `Plugin: ${ctx.plugin}`,
+      ctx.guild && `Guild: ${ctx.guild}`,
+      ctx.channel && `Channel: <#${ctx.channel}>`,
+      ctx.user && `User: <@${ctx.user}>`,
+      `Seen ${group.count} time(s)${suppressed ? `, ${suppressed} since the last report` : ''} · group \`${report.fingerprint}\``
+    ].filter(Boolean);
+    const head = `**Error \`${report.id}\`** in ${describe(ctx)}`;
+    const stack = String(report.stack || report.message).slice(0, 1800 - details.join('\n').length);
+    const content = `${head}\n${details.join('\n')}\n\`\`\`\n${stack}\n\`\`\``;
+
+    client.channels.fetch(this.options.channelId)
+      .then(channel => channel?.send({ content, allowedMentions: { parse: [] } }))
+      .catch(err => logger.warn(`Failed to post error ${report.id} to the log channel: ${err.message}`));
+  }
+}
+
+module.exports = { SOURCES, ErrorReporter, fingerprint, contextFrom };
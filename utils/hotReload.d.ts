@@ -0,0 +1,44 @@
+import { Bot } from '../Bot';
+import { FSWatcher } from 'fs';
+
+export interface HotReloadOptions {
+  /** Milliseconds to wait for more changes before reloading (default: 100) */
+  debounce?: number;
+}
+
+export interface HotReloadResult {
+  /** Command files that were reloaded */
+  commands: string[];
+  /** Event files that were reloaded */
+  events: string[];
+  /** Plugins that were reloaded */
+  plugins: string[];
+  /** Files and plugins that failed to load and kept their previous version */
+  failed: string[];
+}
+
+/** Whether a module is the bot's own code (not node_modules, the framework or the entry script) */
+export declare function isLocal(file: string): boolean;
+/** The files plus every local module that requires them */
+export declare function withDependents(files: Iterable<string>): Set<string>;
+/** The local modules the files require, directly or indirectly */
+export declare function dependenciesOf(files: Iterable<string>): Set<string>;
+/** The loaded local modules inside a directory */
+export declare function filesUnder(dir: string): string[];
+/** Removes modules from the require cache; returns them for restore() */
+export declare function invalidate(files: Iterable<string>): Map<string, NodeModule>;
+/** Puts removed modules back unless a new version was loaded */
+export declare function restore(removed: Map<string, NodeModule>): void;
+
+export declare class HotReloader {
+  bot: Bot;
+  debounce: number;
+  watchers: Map<string, FSWatcher>;
+  pending: Set<string>;
+  readonly dirs: { commands: string | null; events: string | null; plugins: string | null };
+  constructor(bot: Bot, options?: HotReloadOptions);
+  start(): this;
+  stop(): void;
+  /** Reloads what depends on the given files */
+  reload(files: string[]): Promise<HotReloadResult>;
+}
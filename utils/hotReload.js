@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { buildPayloads, hashPayloads } = require('./slashSync');
+
+/** The framework's own files are never reloaded. */
+const FRAMEWORK_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Whether a module is the bot's own code: not a dependency in node_modules, not the
+ * framework and not the entry script.
+ * @param {string} file - The module's absolute path.
+ * @returns {boolean}
+ */
+function isLocal(file) {
+  return path.isAbsolute(file)
+    && !file.split(path.sep).includes('node_modules')
+    && !file.startsWith(FRAMEWORK_DIR + path.sep)
+    && file !== require.main?.filename;
+}
+
+/**
+ * Whether a file is inside a directory.
+ * @private
+ */
+function isInside(file, dir) {
+  return !!dir && file.startsWith(dir + path.sep);
+}
+
+/**
+ * The given files plus every local module that requires them, directly or through other
+ * local modules.
+ * @param {Iterable<string>} files - Absolute paths.
+ * @returns {Set<string>}
+ */
+function withDependents(files) {
+  const parents = new Map();
+  for (const mod of Object.values(require.cache)) {
+    if (!mod || !isLocal(mod.id)) continue;
+    for (const child of mod.children) {
+      if (!parents.has(child.id)) parents.set(child.id, new Set());
+      parents.get(child.id).add(mod.id);
+    }
+  }
+  const result = new Set();
+  const queue = [...files];
+  while (queue.length) {
+    const file = queue.pop();
+    if (result.has(file)) continue;
+    result.add(file);
+    queue.push(...(parents.get(file) || []));
+  }
+  return result;
+}
+
+/**
+ * The local modules a set of modules require, directly or indirectly.
+ * @param {Iterable<string>} files - Absolute paths of loaded modules.
+ * @returns {Set<string>}
+ */
+function dependenciesOf(files) {
+  const result = new Set();
+  const queue = [...files];
+  while (queue.length) {
+    const mod = require.cache[queue.pop()];
+    if (!mod) continue;
+    for (const child of mod.children) {
+      if (!isLocal(child.id) || result.has(child.id)) continue;
+      result.add(child.id);
+      queue.push(child.id);
+    }
+  }
+  return result;
+}
+
+/**
+ * The loaded local modules inside a directory.
+ * @param {string} dir - An absolute directory path.
+ * @returns {Array<string>}
+ */
+function filesUnder(dir) {
+  return Object.keys(require.cache).filter(file => isInside(file, dir) && isLocal(file));
+}
+
+/**
+ * Removes modules from the require cache, so the next `require` loads them from disk.
+ * @param {Iterable<string>} files - Absolute paths.
+ * @returns {Map<string, object>} The removed modules, for {@link restore}.
+ */
+function invalidate(files) {
+  const removed = new Map();
+  for (const file of files) {
+    const mod = require.cache[file];
+    if (!mod) continue;
+    removed.set(file, mod);
+    delete require.cache[file];
+  }
+  // Drop them from their parents too, so the dependency graph stays accurate
+  for (const mod of Object.values(require.cache)) {
+    if (mod?.children.some(child => removed.has(child.id))) {
+      mod.children = mod.children.filter(child => !removed.has(child.id));
+    }
+  }
+  return removed;
+}
+
+/**
+ * Puts removed modules back in the require cache, unless a new version was loaded since.
+ * @param {Map<string, object>} removed - What {@link invalidate} returned.
+ */
+function restore(removed) {
+  for (const [file, mod] of removed) {
+    if (!require.cache[file] && fs.existsSync(file)) require.cache[file] = mod;
+  }
+}
+
+/**
+ * Watches the commands, events and plugins directories (and the local modules their files
+ * require) and swaps only what changed: the commands and events loaded from a changed file,
+ * or the plugin it belongs to. A file that fails to load keeps its previous version. Slash
+ * commands are synced again when their schemas changed.
+ */
+class HotReloader {
+  /**
+   * @param {Bot} bot - The bot.
+   * @param {object} [options] - `{ debounce }`: milliseconds to wait for more changes (default: 100).
+   */
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.debounce = options.debounce ?? 100;
+    this.watchers = new Map();
+    this.pending = new Set();
+    this._timer = null;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * The watched directories, by kind.
+   * @returns {{ commands: string|null, events: string|null, plugins: string|null }}
+   */
+  get dirs() {
+    const resolve = dir => (dir && fs.existsSync(path.resolve(process.cwd(), dir)) ? path.resolve(process.cwd(), dir) : null);
+    return {
+      commands: resolve(this.bot.commandsDir),
+      events: resolve(this.bot.eventsDir),
+      plugins: resolve(this.bot.pluginManager?.pluginsDir)
+    };
+  }
+
+  /**
+   * Starts watching.
+   * @returns {HotReloader}
+   */
+  start() {
+    const dirs = Object.values(this.dirs).filter(Boolean);
+    for (const dir of dirs) this._watch(dir, true);
+    this._watchDependencies();
+    logger.info(`🔥 Hot reload watching ${dirs.map(dir => path.relative(process.cwd(), dir) || '.').join(', ')}`);
+    return this;
+  }
+
+  /**
+   * Stops watching.
+   */
+  stop() {
+    for (const watcher of this.watchers.values()) watcher.close();
+    this.watchers.clear();
+    clearTimeout(this._timer);
+    this.pending.clear();
+  }
+
+  /**
+   * Watches a directory (recursively) or a single file.
+   * @private
+   */
+  _watch(target, recursive = false) {
+    if (this.watchers.has(target)) return;
+    try {
+      const watcher = fs.watch(target, { recursive }, (type, filename) => {
+        this._changed(recursive ? path.join(target, String(filename)) : target);
+        // Editors that save by renaming replace the watched file
+        if (!recursive && type === 'rename') {
+          watcher.close();
+          this.watchers.delete(target);
+        }
+      });
+      watcher.on('error', err => logger.warn(`Hot reload stopped watching ${target}: ${err.message}`));
+      this.watchers.set(target, watcher);
+    } catch (err) {
+      logger.warn(`Hot reload cannot watch ${target}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Watches the local modules that commands, events and plugins require from outside the
+   * watched directories.
+   * @private
+   */
+  _watchDependencies() {
+    const dirs = Object.values(this.dirs).filter(Boolean);
+    const units = dirs.flatMap(filesUnder);
+    for (const file of dependenciesOf(units)) {
+      if (!dirs.some(dir => isInside(file, dir))) this._watch(file);
+    }
+  }
+
+  /**
+   * Queues a changed file; changes are handled together once they stop coming in.
+   * @private
+   */
+  _changed(file) {
+    if (!/\.(c?js|json)$/.test(file)) return;
+    this.pending.add(file);
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      const files = [...this.pending];
+      this.pending.clear();
+      this._queue = this._queue
+        .then(() => this.reload(files))
+        .catch(err => logger.error('Hot reload failed:', err));
+    }, this.debounce);
+    this._timer.unref?.();
+  }
+
+  /**
+   * Reloads what depends on the given files.
+   * @param {Array<string>} files - The changed files.
+   * @returns {Promise<{ commands: Array<string>, events: Array<string>, plugins: Array<string>, failed: Array<string> }>}
+   *   The files and plugins that were reloaded, and those that kept their previous version.
+   */
+  async reload(files) {
+    const { loadCommandFile, readCommandFile } = require('../loaders/commands');
+    const { loadEventFile, readEventFile } = require('../loaders/events');
+    const dirs = this.dirs;
+    const changed = files.map(file => path.resolve(file));
+    const affected = withDependents(changed);
+    const slashBefore = hashPayloads(buildPayloads(this.bot.commands.values()));
+    const removed = invalidate(affected);
+    const result = { commands: [], events: [], plugins: [], failed: [] };
+    const relative = file => path.relative(process.cwd(), file);
+
+    for (const file of affected) {
+      if (isInside(file, dirs.commands) && file.endsWith('.js')) {
+        const previous = [...this.bot.commands.values()].filter(cmd => cmd.file === file);
+        if (!fs.existsSync(file)) {
+          previous.forEach(cmd => this.bot.commandManager.unregister(cmd.name));
+          if (previous.length) logger.info(`🔄 Removed command: ${previous.map(cmd => cmd.name).join(', ')}`);
+          continue;
+        }
+        try {
+          // Helpers kept next to the commands are not commands themselves
+          if (!readCommandFile(file)) {
+            if (!previous.length) continue;
+            throw new Error('it does not export a command with a name and run()');
+          }
+        } catch (err) {
+          logger.error(`Failed to reload ${relative(file)}, keeping the previous version:`, err);
+          result.failed.push(file);
+          continue;
+        }
+        previous.forEach(cmd => this.bot.commandManager.unregister(cmd.name));
+        loadCommandFile(this.bot, file);
+        result.commands.push(file);
+      } else if (isInside(file, dirs.events) && file.endsWith('.js')) {
+        const previous = this.bot.eventManager.listenersOf(`file:${file}`);
+        if (!fs.existsSync(file)) {
+          this.bot.eventManager.removeOwner(`file:${file}`);
+          continue;
+        }
+        try {
+          // Helpers kept next to the events are not events themselves
+          if (!readEventFile(file)) {
+            if (!previous.length) continue;
+            throw new Error('it does not export a function or { name, run }');
+          }
+        } catch (err) {
+          logger.error(`Failed to reload ${relative(file)}, keeping the previous version:`, err);
+          result.failed.push(file);
+          continue;
+        }
+        this.bot.eventManager.removeOwner(`file:${file}`);
+        loadEventFile(this.bot, file);
+        result.events.push(file);
+      }
+    }
+
+    // Plugins are reloaded as a whole, whichever of their files changed
+    const plugins = new Set([...affected]
+      .filter(file => isInside(file, dirs.plugins))
+      .map(file => path.relative(dirs.plugins, file).split(path.sep))
+      .filter(parts => parts.length > 1)
+      .map(parts => parts[0]));
+    for (const name of plugins) {
+      if (!this.bot.pluginManager.plugins.has(name)) continue;
+      try {
+        await this.bot.pluginManager.reload(name);
+        result.plugins.push(name);
+      } catch (err) {
+        result.failed.push(name);
+      }
+    }
+
+    // Whatever did not load again keeps its previous module
+    restore(removed);
+
+    const slashAfter = hashPayloads(buildPayloads(this.bot.commands.values()));
+    if (slashAfter !== slashBefore && this.bot.autoRegisterSlash && this.bot.client.isReady() && this.bot.isPrimaryShard()) {
+      logger.info('Slash command schemas changed, syncing...');
+      try {
+        await this.bot.syncSlashCommands();
+      } catch (err) {
+        logger.error('Failed to sync slash commands:', err);
+      }
+    }
+
+    this._watchDependencies();
+    return result;
+  }
+}
+
+module.exports = { HotReloader, isLocal, withDependents, dependenciesOf, filesUnder, invalidate, restore };
@@ -0,0 +1,22 @@
+/** Loaded message catalogs by locale */
+export declare const catalogs: Map<string, Record<string, any>>;
+
+/** Merges messages into a locale's catalog; later calls override earlier keys */
+export declare function addCatalog(locale: string, messages: Record<string, any>): void;
+/** Loads every `<locale>.json` file in a directory and returns the loaded locales */
+export declare function load(dir: string): string[];
+export declare function setDefaultLocale(locale: string): void;
+export declare function getDefaultLocale(): string;
+/** The loaded catalog for a locale (exact, then its language), or null */
+export declare function supported(locale: string | null | undefined): string | null;
+export declare function resolveLocale(candidates: Array<string | null | undefined>): string;
+/** User locale, guild preferred locale, configured guild locale, then the default */
+export declare function localeFor(ctx: any): string;
+/** Pass `null` to remove the guild's locale */
+export declare function setGuildLocale(guildId: string, locale: string | null): Promise<void>;
+/** Translates a key; plural messages are picked with `vars.count` */
+export declare function t(locale: string, key: string, vars?: Record<string, any>): string;
+export declare function formatNumber(locale: string, value: number, options?: Intl.NumberFormatOptions): string;
+export declare function formatDate(locale: string, value: Date | number, options?: Intl.DateTimeFormatOptions): string;
+/** A Discord localization map for a key, built from every loaded catalog except the default */
+export declare function localizations(key: string): Record<string, string>;
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const { Locale } = require('discord.js');
+const db = require('./db');
+const logger = require('./logger');
+
+/**
+ * Loaded message catalogs by locale (e.g. "en", "de", "es-ES").
+ * @type {Map<string, object>}
+ */
+const catalogs = new Map();
+
+let defaultLocale = 'en';
+
+/**
+ * Deep-merges `source` into `target`.
+ * @private
+ */
+function merge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+      merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Adds messages to a locale's catalog. Later calls override earlier keys, so a bot can
+ * replace the framework's own strings.
+ * @param {string} locale - The locale, e.g. "de" or "es-ES".
+ * @param {object} messages - Nested messages (`{ framework: { error: '...' } }`).
+ */
+function addCatalog(locale, messages) {
+  if (!catalogs.has(locale)) catalogs.set(locale, {});
+  merge(catalogs.get(locale), messages);
+}
+
+/**
+ * Loads every `<locale>.json` file in a directory.
+ * @param {string} dir - The directory.
+ * @returns {Array<string>} The locales that were loaded.
+ */
+function load(dir) {
+  const dirPath = path.resolve(dir);
+  if (!fs.existsSync(dirPath)) {
+    logger.warn(`Locales directory '${dirPath}' does not exist. No locales loaded.`);
+    return [];
+  }
+  const loaded = [];
+  for (const file of fs.readdirSync(dirPath)) {
+    if (path.extname(file) !== '.json') continue;
+    const locale = path.basename(file, '.json');
+    try {
+      addCatalog(locale, JSON.parse(fs.readFileSync(path.join(dirPath, file), 'utf8')));
+      loaded.push(locale);
+    } catch (err) {
+      throw new Error(`Invalid locale file ${path.join(dirPath, file)}: ${err.message}`);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Sets the locale used when nothing else matches, and for missing keys.
+ * @param {string} locale - The locale.
+ */
+function setDefaultLocale(locale) {
+  defaultLocale = locale;
+}
+
+/**
+ * Gets the default locale.
+ * @returns {string}
+ */
+function getDefaultLocale() {
+  return defaultLocale;
+}
+
+/**
+ * Finds the loaded catalog for a locale: the exact locale, then its language ("es-ES" -> "es").
+ * @param {string} locale - The locale.
+ * @returns {string|null} The catalog's locale, or null if none is loaded.
+ */
+function supported(locale) {
+  if (!locale) return null;
+  if (catalogs.has(locale)) return locale;
+  const base = locale.split('-')[0];
+  return catalogs.has(base) ? base : null;
+}
+
+/**
+ * Picks the first supported locale from a list of candidates, or the default locale.
+ * @param {Array<string|null|undefined>} candidates - The candidates, in order of preference.
+ * @returns {string}
+ */
+function resolveLocale(candidates) {
+  for (const candidate of candidates) {
+    const locale = supported(candidate);
+    if (locale) return locale;
+  }
+  return defaultLocale;
+}
+
+/**
+ * Resolves the locale for a context: the user's locale (interactions only), then the guild's
+ * `preferredLocale`, then the locale configured for the guild with {@link setGuildLocale},
+ * then the default locale. The first one with a loaded catalog wins.
+ * @param {Ctx} ctx - The context.
+ * @returns {string}
+ */
+function localeFor(ctx) {
+  const guild = ctx.guild;
+  return resolveLocale([
+    ctx.raw?.locale,
+    guild?.preferredLocale,
+    guild ? db.get(`guilds.${guild.id}.locale`) : null
+  ]);
+}
+
+/**
+ * Configures a guild's locale (see {@link localeFor} for where it ranks).
+ * @param {string} guildId - The guild ID.
+ * @param {string|null} locale - The locale, or null to remove it.
+ * @returns {Promise<void>}
+ */
+function setGuildLocale(guildId, locale) {
+  return locale ? db.setGuildConfig(guildId, 'locale', locale) : db.delete(`guilds.${guildId}.locale`);
+}
+
+/**
+ * Looks up a key in one catalog.
+ * @private
+ */
+function lookup(locale, key) {
+  let node = catalogs.get(locale);
+  for (const part of key.split('.')) {
+    if (node === undefined || node === null) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+/**
+ * Formats a number for a locale.
+ * @param {string} locale - The locale.
+ * @param {number} value - The number.
+ * @param {Intl.NumberFormatOptions} [options] - Formatting options.
+ * @returns {string}
+ */
+function formatNumber(locale, value, options) {
+  return new Intl.NumberFormat(locale, options).format(value);
+}
+
+/**
+ * Formats a date for a locale.
+ * @param {string} locale - The locale.
+ * @param {Date|number} value - The date or timestamp.
+ * @param {Intl.DateTimeFormatOptions} [options] - Formatting options (default: the date only).
+ * @returns {string}
+ */
+function formatDate(locale, value, options) {
+  return new Intl.DateTimeFormat(locale, options).format(value);
+}
+
+/**
+ * Translates a key. Messages may contain `{name}` placeholders; numbers and dates passed in
+ * `vars` are formatted for the locale. A message can also be an object of plural forms
+ * (`{ one: '{count} warning', other: '{count} warnings' }`), picked with `vars.count`.
+ * Missing keys fall back to the default locale, then to the key itself.
+ * @param {string} locale - The locale.
+ * @param {string} key - The message key, e.g. "framework.error".
+ * @param {object} [vars={}] - Placeholder values.
+ * @returns {string}
+ */
+function t(locale, key, vars = {}) {
+  const resolved = supported(locale) || defaultLocale;
+  let message = lookup(resolved, key);
+  let used = resolved;
+  if (message === undefined) {
+    message = lookup(defaultLocale, key);
+    used = defaultLocale;
+  }
+  if (message === undefined) return key;
+
+  if (message && typeof message === 'object') {
+    const category = typeof vars.count === 'number' ? new Intl.PluralRules(used).select(vars.count) : 'other';
+    message = message[category] ?? message.other;
+    if (message === undefined) return key;
+  }
+
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+    const value = vars[name];
+    if (value === undefined || value === null) return match;
+    if (typeof value === 'number') return formatNumber(used, value);
+    if (value instanceof Date) return formatDate(used, value);
+    return String(value);
+  });
+}
+
+/**
+ * Builds a Discord localization map (`{ de: '...', 'es-ES': '...' }`) for a key from every
+ * loaded catalog except the default locale's, which is the base value itself.
+ * @param {string} key - The message key, e.g. "commands.ping.description".
+ * @returns {object} The map (empty if no catalog has the key).
+ */
+function localizations(key) {
+  const map = {};
+  for (const discordLocale of Object.values(Locale)) {
+    const locale = supported(discordLocale);
+    if (!locale || locale === defaultLocale) continue;
+    const message = lookup(locale, key);
+    if (typeof message === 'string') map[discordLocale] = message;
+  }
+  return map;
+}
+
+// The framework's own strings
+load(path.join(__dirname, '../locales'));
+
+module.exports = {
+  addCatalog,
+  load,
+  setDefaultLocale,
+  getDefaultLocale,
+  supported,
+  resolveLocale,
+  localeFor,
+  setGuildLocale,
+  t,
+  formatNumber,
+  formatDate,
+  localizations,
+  catalogs
+};
@@ -0,0 +1,23 @@
+import { BitFieldResolvable, Client, GatewayIntentsString, Partials } from 'discord.js';
+
+export type IntentsInput = BitFieldResolvable<GatewayIntentsString, number>;
+export type PartialInput = keyof typeof Partials | Partials;
+
+/** Intents that must be enabled in the Developer Portal */
+export declare const PRIVILEGED: GatewayIntentsString[];
+/** The intents each client event needs; it fires when any of them is enabled */
+export declare const EVENT_INTENTS: Record<string, GatewayIntentsString[]>;
+/** Partials that let an event fire for uncached structures */
+export declare const EVENT_PARTIALS: Record<string, Array<keyof typeof Partials>>;
+
+export declare function resolveIntents(value: IntentsInput | null | undefined): number;
+export declare function resolvePartials(list?: PartialInput[]): Partials[];
+export declare function names(bits: number): GatewayIntentsString[];
+/** What a bot needs from its listeners, prefix commands and plugins, and the listeners that can never fire */
+export declare function derive(bot: any, options?: { intents?: IntentsInput; partials?: PartialInput[]; auto?: boolean }): {
+  intents: number;
+  partials: Partials[];
+  warnings: string[];
+};
+/** The intents an event is missing on a client, or null if it can fire */
+export declare function missingFor(event: string, client: Client): GatewayIntentsString[] | null;
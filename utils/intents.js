@@ -0,0 +1,215 @@
+const { IntentsBitField, Partials } = require('discord.js');
+const prefixes = require('./prefixes');
+
+/** Intents Discord only sends once they are enabled in the Developer Portal. */
+const PRIVILEGED = ['GuildMembers', 'GuildPresences', 'MessageContent'];
+
+const GUILD_EVENTS = [
+  'guildCreate', 'guildDelete', 'guildUpdate', 'guildUnavailable', 'guildAvailable',
+  'channelCreate', 'channelDelete', 'channelUpdate', 'channelPinsUpdate',
+  'roleCreate', 'roleDelete', 'roleUpdate',
+  'threadCreate', 'threadDelete', 'threadUpdate', 'threadListSync', 'threadMemberUpdate', 'threadMembersUpdate',
+  'stageInstanceCreate', 'stageInstanceDelete', 'stageInstanceUpdate'
+];
+
+/**
+ * The intents each client event needs; an event fires when any of its intents is enabled
+ * (`messageCreate` fires for servers with GuildMessages and for DMs with DirectMessages).
+ * Events not listed here need none.
+ * @type {object}
+ */
+const EVENT_INTENTS = {
+  ...Object.fromEntries(GUILD_EVENTS.map(event => [event, ['Guilds']])),
+  guildMemberAdd: ['GuildMembers'],
+  guildMemberRemove: ['GuildMembers'],
+  guildMemberUpdate: ['GuildMembers'],
+  guildMemberAvailable: ['GuildMembers'],
+  guildMembersChunk: ['GuildMembers'],
+  guildBanAdd: ['GuildModeration'],
+  guildBanRemove: ['GuildModeration'],
+  guildAuditLogEntryCreate: ['GuildModeration'],
+  emojiCreate: ['GuildExpressions'],
+  emojiDelete: ['GuildExpressions'],
+  emojiUpdate: ['GuildExpressions'],
+  stickerCreate: ['GuildExpressions'],
+  stickerDelete: ['GuildExpressions'],
+  stickerUpdate: ['GuildExpressions'],
+  guildIntegrationsUpdate: ['GuildIntegrations'],
+  webhooksUpdate: ['GuildWebhooks'],
+  inviteCreate: ['GuildInvites'],
+  inviteDelete: ['GuildInvites'],
+  voiceStateUpdate: ['GuildVoiceStates'],
+  presenceUpdate: ['GuildPresences'],
+  messageCreate: ['GuildMessages', 'DirectMessages'],
+  messageUpdate: ['GuildMessages', 'DirectMessages'],
+  messageDelete: ['GuildMessages', 'DirectMessages'],
+  messageDeleteBulk: ['GuildMessages'],
+  messageReactionAdd: ['GuildMessageReactions', 'DirectMessageReactions'],
+  messageReactionRemove: ['GuildMessageReactions', 'DirectMessageReactions'],
+  messageReactionRemoveAll: ['GuildMessageReactions', 'DirectMessageReactions'],
+  messageReactionRemoveEmoji: ['GuildMessageReactions', 'DirectMessageReactions'],
+  typingStart: ['GuildMessageTyping', 'DirectMessageTyping'],
+  messagePollVoteAdd: ['GuildMessagePolls', 'DirectMessagePolls'],
+  messagePollVoteRemove: ['GuildMessagePolls', 'DirectMessagePolls'],
+  guildScheduledEventCreate: ['GuildScheduledEvents'],
+  guildScheduledEventDelete: ['GuildScheduledEvents'],
+  guildScheduledEventUpdate: ['GuildScheduledEvents'],
+  guildScheduledEventUserAdd: ['GuildScheduledEvents'],
+  guildScheduledEventUserRemove: ['GuildScheduledEvents'],
+  autoModerationRuleCreate: ['AutoModerationConfiguration'],
+  autoModerationRuleDelete: ['AutoModerationConfiguration'],
+  autoModerationRuleUpdate: ['AutoModerationConfiguration'],
+  autoModerationActionExecution: ['AutoModerationExecution']
+};
+
+/**
+ * Partials that let an event fire for things that are not cached, such as reactions on
+ * messages sent before the bot started.
+ * @type {object}
+ */
+const EVENT_PARTIALS = {
+  messageUpdate: ['Message'],
+  messageDelete: ['Message'],
+  messageReactionAdd: ['Message', 'Channel', 'Reaction'],
+  messageReactionRemove: ['Message', 'Channel', 'Reaction'],
+  messageReactionRemoveAll: ['Message', 'Channel'],
+  messageReactionRemoveEmoji: ['Reaction'],
+  messagePollVoteAdd: ['Message', 'Channel'],
+  messagePollVoteRemove: ['Message', 'Channel']
+};
+
+/**
+ * Converts intents (names, bits, arrays or a bitfield) to a bitfield number.
+ * @param {*} value - The intents.
+ * @returns {number}
+ */
+function resolveIntents(value) {
+  return IntentsBitField.resolve(value ?? 0);
+}
+
+/**
+ * Converts partials (names or `Partials` values) to `Partials` values, without duplicates.
+ * @param {Array<string|number>} list - The partials.
+ * @returns {Array<number>}
+ */
+function resolvePartials(list = []) {
+  const resolved = list.map(partial => {
+    const value = typeof partial === 'string' ? Partials[partial] : partial;
+    if (typeof value !== 'number') throw new Error(`Unknown partial: ${partial}`);
+    return value;
+  });
+  return [...new Set(resolved)];
+}
+
+/**
+ * The names of the intents in a bitfield.
+ * @param {number} bits - The intents.
+ * @returns {Array<string>}
+ */
+function names(bits) {
+  return new IntentsBitField(bits).toArray();
+}
+
+/**
+ * Whether a command can be run from a prefix: not slash-only, not a context menu, and not a
+ * built-in command unless the bot enables `prefixHelp`.
+ * @private
+ */
+function isPrefixCommand(bot, cmd) {
+  if (cmd.slashOnly || cmd.contextMenu) return false;
+  return !cmd.builtin || !!bot.prefixHelp;
+}
+
+/**
+ * What the bot's prefix commands need: message events for servers and DMs, and message
+ * content unless the only prefix is a mention of the bot.
+ * @private
+ */
+function commandNeeds(bot) {
+  const hasPrefixCommands = [...(bot.commands?.values() || [])].some(cmd => isPrefixCommand(bot, cmd));
+  if (!hasPrefixCommands || (!bot.prefixes?.length && !bot.commandManager?.prefixResolvers.length)) {
+    return { intents: [], content: false };
+  }
+  const mentionOnly = bot.prefixes.every(p => p === prefixes.MENTION) && !bot.commandManager.prefixResolvers.length;
+  return { intents: ['GuildMessages', 'DirectMessages'], content: !mentionOnly };
+}
+
+/**
+ * Works out the intents and partials a bot needs from the events it listens to, its prefix
+ * commands and the `intents`/`partials` its plugins declare, and lists the listeners that
+ * can never fire with what is enabled.
+ * @param {object} bot - The bot, after commands, events and plugins are loaded.
+ * @param {object} [options] - `{ intents, partials, auto }`: the bot's own intents and partials,
+ *   and whether to add what is needed (default: true).
+ * @returns {{ intents: number, partials: Array<number>, warnings: Array<string> }}
+ */
+function derive(bot, options = {}) {
+  const auto = options.auto !== false;
+  const events = bot.client.eventNames().filter(name => typeof name === 'string');
+  const plugins = [...(bot.pluginManager?.plugins.values() || [])];
+  const commands = commandNeeds(bot);
+
+  let intents = resolveIntents(options.intents);
+  let partials = resolvePartials(options.partials);
+  const required = new IntentsBitField(['Guilds', ...commands.intents]);
+  if (commands.content) required.add('MessageContent');
+  const requiredPartials = commands.intents.length ? ['Channel'] : [];
+  for (const event of events) {
+    if (EVENT_INTENTS[event]) required.add(EVENT_INTENTS[event]);
+    requiredPartials.push(...(EVENT_PARTIALS[event] || []));
+  }
+  for (const plugin of plugins) {
+    required.add(resolveIntents(plugin.intents || []));
+    requiredPartials.push(...(plugin.partials || []));
+  }
+  // DMs arrive on channels that are not cached
+  if (required.any(['DirectMessages', 'DirectMessageReactions', 'DirectMessageTyping'])) requiredPartials.push('Channel');
+
+  if (auto) {
+    intents |= required.bitfield;
+    partials = resolvePartials([...partials, ...requiredPartials]);
+  }
+
+  const warnings = [];
+  const enabled = new IntentsBitField(intents);
+  for (const event of new Set(events)) {
+    const needed = EVENT_INTENTS[event];
+    if (needed && !enabled.any(needed)) {
+      warnings.push(`Listeners for "${event}" will never fire without the ${needed.join(' or ')} intent.`);
+    }
+  }
+  for (const plugin of plugins) {
+    const missing = names(resolveIntents(plugin.intents || [])).filter(name => !enabled.has(name));
+    if (missing.length) warnings.push(`Plugin ${plugin.name} needs the ${missing.join(', ')} intent(s).`);
+  }
+  if (commands.intents.length && !enabled.any(commands.intents)) {
+    warnings.push('Prefix commands will never run without the GuildMessages or DirectMessages intent.');
+  } else if (commands.content && !enabled.has('MessageContent')) {
+    warnings.push('Without the MessageContent intent, prefix commands only work when the bot is mentioned.');
+  }
+
+  return { intents, partials, warnings };
+}
+
+/**
+ * The intents an event needs that are not enabled on a client, or null if it can fire.
+ * @param {string} event - The event name.
+ * @param {Client} client - The discord.js client.
+ * @returns {Array<string>|null}
+ */
+function missingFor(event, client) {
+  const needed = EVENT_INTENTS[event];
+  if (!needed || client.options.intents.any(needed)) return null;
+  return needed;
+}
+
+module.exports = {
+  PRIVILEGED,
+  EVENT_INTENTS,
+  EVENT_PARTIALS,
+  resolveIntents,
+  resolvePartials,
+  names,
+  derive,
+  missingFor
+};
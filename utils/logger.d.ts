@@ -30,13 +30,76 @@ export interface LoggerColors {
   };
 }
 
-export declare const logger: {
+export type LogLevel = 'debug' | 'info' | 'success' | 'warn' | 'error';
+
+export interface LogRecord {
+  time: Date;
+  level: LogLevel;
+  message: string;
+  /** Extra values passed after the message, such as an error */
+  args: any[];
+  /** Fields of the logger that wrote the record, e.g. { plugin } or { guild, command, user } */
+  context: Record<string, any>;
+}
+
+export interface LogTransport {
+  name?: string;
+  /** Minimum level this transport writes (default: all that pass the logger's level) */
+  level?: LogLevel;
+  write(record: LogRecord): void;
+}
+
+export interface LoggerOptions {
+  /** Minimum level (default: LOG_LEVEL, or 'debug' when DEBUG is set, otherwise 'info') */
+  level?: LogLevel | 'silent';
+  /** Console format (default: LOG_FORMAT, then 'pretty') */
+  format?: 'pretty' | 'json';
+  /** Replaces the transports, including the default console transport */
+  transports?: LogTransport[];
+}
+
+export declare const LEVELS: Record<LogLevel | 'silent', number>;
+
+export declare class Logger {
+  context: Record<string, any>;
+  constructor(context?: Record<string, any>);
+  /** A logger adding more context to every record */
+  child(context: Record<string, any>): Logger;
+  log(level: LogLevel, message: string, ...args: any[]): void;
+  debug(message: string, ...args: any[]): void;
   info(message: string, ...args: any[]): void;
+  success(message: string, ...args: any[]): void;
   warn(message: string, ...args: any[]): void;
   error(message: string, ...args: any[]): void;
+}
+
+export interface RootLogger {
+  LEVELS: typeof LEVELS;
+  Logger: typeof Logger;
+  log(level: LogLevel, message: string, ...args: any[]): void;
   debug(message: string, ...args: any[]): void;
+  info(message: string, ...args: any[]): void;
   success(message: string, ...args: any[]): void;
-  log(message: string, ...args: any[]): void;
-};
+  warn(message: string, ...args: any[]): void;
+  error(message: string, ...args: any[]): void;
+  child(context: Record<string, any>): Logger;
+  configure(options?: LoggerOptions): void;
+  addTransport<T extends LogTransport>(transport: T): T;
+  removeTransport(transport: LogTransport | string): void;
+  getLevel(): LogLevel | 'silent';
+  /** A record as a JSON line */
+  toJSON(record: LogRecord): string;
+  transports: {
+    console(options?: { format?: 'pretty' | 'json'; level?: LogLevel; timestamps?: boolean }): LogTransport;
+    /** JSON lines (or text) appended to a file, rotated past maxSize (default: 10 MB), keeping maxFiles (default: 5) */
+    file(options: { path: string; maxSize?: number; maxFiles?: number; format?: 'json' | 'text'; level?: LogLevel }): LogTransport;
+    /** Posts to a Discord webhook (default level: 'warn') */
+    webhook(options: { url: string; username?: string; level?: LogLevel }): LogTransport;
+    /** Posts to a channel through a client or Bot once it is ready (default level: 'warn') */
+    channel(options: { client: any; channelId: string; level?: LogLevel }): LogTransport;
+  };
+}
+
+export declare const logger: RootLogger;
 
 export default logger;
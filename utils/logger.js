@@ -1,29 +1,338 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
 const chalk = require("chalk").default;
 
 /**
- * Logs an informational message to the console.
- * @param {string} msg - The message to log.
+ * Log levels by priority. `success` is an info message shown in green.
+ * @type {object}
  */
-function info(msg) {
-  console.log(chalk.blue("[INFO]"), msg);
+const LEVELS = { debug: 10, info: 20, success: 20, warn: 30, error: 40, silent: Infinity };
+
+const LABELS = {
+  debug: chalk.gray("[DEBUG]"),
+  info: chalk.blue("[INFO]"),
+  success: chalk.green("[SUCCESS]"),
+  warn: chalk.yellow("[WARN]"),
+  error: chalk.red("[ERROR]")
+};
+
+/**
+ * The level to log from: `LOG_LEVEL`, or `debug` when `DEBUG` is set, otherwise `info`.
+ * @private
+ */
+function envLevel() {
+  const level = process.env.LOG_LEVEL?.toLowerCase();
+  if (level && level in LEVELS) return level;
+  return process.env.DEBUG ? "debug" : "info";
+}
+
+/**
+ * Whether a record passes a level threshold.
+ * @private
+ */
+function passes(level, threshold) {
+  return LEVELS[level] >= LEVELS[threshold || "debug"];
 }
 
 /**
- * Logs a warning message to the console.
- * @param {string} msg - The message to log.
+ * The message and extra values as one line of text.
+ * @private
  */
-function warn(msg) {
-  console.log(chalk.yellow("[WARN]"), msg);
+function text(record, skipErrors = false) {
+  return [record.message, ...record.args]
+    .filter(value => !(skipErrors && value instanceof Error))
+    .map(value => (typeof value === "string" ? value : value instanceof Error ? value.stack : util.inspect(value)))
+    .join(" ");
 }
 
 /**
- * Logs an error message to the console.
- * @param {string} msg - The message to log.
+ * A record as a JSON line: time, level, context fields, message, and the first error
+ * as `{ name, message, stack }` (left out of `message`).
+ * @param {object} record - The log record.
+ * @returns {string}
  */
-function error(msg) {
-  console.log(chalk.red("[ERROR]"), msg);
+function toJSON(record) {
+  const error = record.args.find(value => value instanceof Error);
+  return JSON.stringify({
+    time: record.time.toISOString(),
+    level: record.level,
+    ...record.context,
+    message: text(record, !!error),
+    ...(error ? { error: { name: error.name, message: error.message, stack: error.stack } } : {})
+  });
 }
 
-module.exports = { info, warn, error };
+/**
+ * The context of a record as a short tag: `[welcome]` for a plugin, then `key=value` pairs.
+ * @private
+ */
+function contextTag(context) {
+  const { plugin, ...rest } = context;
+  const pairs = Object.entries(rest).filter(([, value]) => value !== undefined && value !== null);
+  const parts = [plugin, ...pairs.map(([key, value]) => `${key}=${value}`)].filter(Boolean);
+  return parts.length ? `[${parts.join(" ")}]` : null;
+}
+
+/**
+ * Console output: colored `[LEVEL]` labels (the default), or JSON lines.
+ * @param {object} [options] - `{ format: 'pretty'|'json', level, timestamps }`; `format` defaults
+ *   to the `LOG_FORMAT` environment variable, then 'pretty'.
+ * @returns {object} The transport.
+ */
+function consoleTransport(options = {}) {
+  const format = options.format || process.env.LOG_FORMAT || "pretty";
+  return {
+    name: "console",
+    level: options.level,
+    write(record) {
+      if (format === "json") return console.log(toJSON(record));
+      const parts = [LABELS[record.level]];
+      if (options.timestamps) parts.unshift(chalk.gray(record.time.toISOString()));
+      const tag = contextTag(record.context);
+      if (tag) parts.push(chalk.gray(tag));
+      console.log(...parts, record.message, ...record.args);
+    }
+  };
+}
 
+/**
+ * Appends JSON lines (or plain text) to a file, rotating it when it grows past `maxSize`:
+ * `bot.log` becomes `bot.log.1`, `bot.log.1` becomes `bot.log.2`, and so on up to `maxFiles`.
+ * @param {object} options - `{ path, maxSize, maxFiles, format: 'json'|'text', level }`.
+ * @param {string} options.path - The log file.
+ * @param {number} [options.maxSize=10485760] - Bytes before rotating (default: 10 MB).
+ * @param {number} [options.maxFiles=5] - Rotated files kept.
+ * @returns {object} The transport.
+ */
+function fileTransport(options) {
+  if (!options?.path) throw new Error("The file transport needs a path.");
+  const file = path.resolve(options.path);
+  const maxSize = options.maxSize ?? 10 * 1024 * 1024;
+  const maxFiles = options.maxFiles ?? 5;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  const rotate = () => {
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    if (maxFiles > 0) fs.renameSync(file, `${file}.1`);
+    else fs.rmSync(file, { force: true });
+    size = 0;
+  };
+
+  return {
+    name: "file",
+    level: options.level,
+    write(record) {
+      const line = `${options.format === "text" ? `${record.time.toISOString()} ${record.level.toUpperCase()} ${text(record)}` : toJSON(record)}\n`;
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxSize) rotate();
+      fs.appendFileSync(file, line);
+      size += bytes;
+    }
+  };
+}
+
+/**
+ * A record as a Discord message: the level, context and text in a code block.
+ * @private
+ */
+function toDiscord(record) {
+  const tag = contextTag(record.context);
+  const head = `**${record.level.toUpperCase()}**${tag ? ` ${tag}` : ""}`;
+  const body = text(record).slice(0, 1900);
+  return `${head}\n\`\`\`\n${body}\n\`\`\``;
+}
+
+/**
+ * Sends records to a Discord webhook. Defaults to warnings and errors.
+ * @param {object} options - `{ url, level, username }`.
+ * @returns {object} The transport.
+ */
+function webhookTransport(options) {
+  if (!options?.url) throw new Error("The webhook transport needs a url.");
+  const { WebhookClient } = require("discord.js");
+  const webhook = new WebhookClient({ url: options.url });
+  return {
+    name: "webhook",
+    level: options.level || "warn",
+    write(record) {
+      webhook.send({ content: toDiscord(record), username: options.username, allowedMentions: { parse: [] } })
+        .catch(err => console.error(LABELS.error, "Failed to send a log to the webhook:", err.message));
+    }
+  };
+}
+
+/**
+ * Sends records to a channel through the bot's client. Records logged before the client is
+ * ready are dropped. Defaults to warnings and errors.
+ * @param {object} options - `{ client, channelId, level }`; `client` may also be a Bot.
+ * @returns {object} The transport.
+ */
+function channelTransport(options) {
+  if (!options?.client || !options.channelId) throw new Error("The channel transport needs a client and a channelId.");
+  const client = options.client.client || options.client;
+  return {
+    name: "channel",
+    level: options.level || "warn",
+    write(record) {
+      if (!client.isReady?.()) return;
+      client.channels.fetch(options.channelId)
+        .then(channel => channel?.send({ content: toDiscord(record), allowedMentions: { parse: [] } }))
+        .catch(err => console.error(LABELS.error, "Failed to send a log to the channel:", err.message));
+    }
+  };
+}
+
+/** Shared by the root logger and its children. */
+const state = {
+  level: envLevel(),
+  transports: [consoleTransport()]
+};
+
+/**
+ * A logger with a context (such as `{ plugin }`, `{ guild, command }`) added to every record.
+ * Create them with `logger.child(context)`.
+ */
+class Logger {
+  /**
+   * @param {object} [context={}] - Fields added to every record.
+   */
+  constructor(context = {}) {
+    this.context = context;
+  }
+
+  /**
+   * A logger that adds more context.
+   * @param {object} context - Fields added to every record, on top of this logger's.
+   * @returns {Logger}
+   */
+  child(context) {
+    return new Logger({ ...this.context, ...context });
+  }
+
+  /**
+   * Logs a message at a level.
+   * @param {string} level - debug, info, success, warn or error.
+   * @param {string} message - The message.
+   * @param {...*} args - Extra values (e.g. an error).
+   */
+  log(level, message, ...args) {
+    if (!(level in LABELS)) throw new Error(`Unknown log level: ${level}`);
+    if (!passes(level, state.level)) return;
+    const record = { time: new Date(), level, message, args, context: this.context };
+    for (const transport of state.transports) {
+      if (!passes(level, transport.level)) continue;
+      try {
+        transport.write(record);
+      } catch (err) {
+        // Never log through the logger here, the transport may be what is failing
+        console.error(LABELS.error, `Log transport ${transport.name || "(unnamed)"} failed:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Logs a debug message. Hidden unless the level is `debug` (`LOG_LEVEL=debug` or `DEBUG`).
+   * @param {string} msg - The message to log.
+   * @param {...*} args - Extra values to log.
+   */
+  debug(msg, ...args) { this.log("debug", msg, ...args); }
+
+  /**
+   * Logs an informational message.
+   * @param {string} msg - The message to log.
+   * @param {...*} args - Extra values to log (e.g. an error).
+   */
+  info(msg, ...args) { this.log("info", msg, ...args); }
+
+  /**
+   * Logs a success message.
+   * @param {string} msg - The message to log.
+   * @param {...*} args - Extra values to log.
+   */
+  success(msg, ...args) { this.log("success", msg, ...args); }
+
+  /**
+   * Logs a warning message.
+   * @param {string} msg - The message to log.
+   * @param {...*} args - Extra values to log.
+   */
+  warn(msg, ...args) { this.log("warn", msg, ...args); }
+
+  /**
+   * Logs an error message.
+   * @param {string} msg - The message to log.
+   * @param {...*} args - Extra values to log (e.g. an error).
+   */
+  error(msg, ...args) { this.log("error", msg, ...args); }
+}
+
+const root = new Logger();
+
+/**
+ * Configures the logger: the minimum `level`, the console `format`, and the `transports`
+ * (replacing the default console transport). Options left out are unchanged.
+ * @param {object} [options] - `{ level, format, transports }`.
+ */
+function configure(options = {}) {
+  if (options.level) {
+    if (!(options.level in LEVELS)) throw new Error(`Unknown log level: ${options.level}`);
+    state.level = options.level;
+  }
+  if (options.transports) state.transports = [...options.transports];
+  else if (options.format) state.transports = state.transports.map(t => (t.name === "console" ? consoleTransport({ format: options.format, level: t.level }) : t));
+}
+
+/**
+ * Adds a transport: `{ name, level, write(record) }`, where a record is
+ * `{ time, level, message, args, context }`.
+ * @param {object} transport - The transport.
+ * @returns {object} The transport, for {@link removeTransport}.
+ */
+function addTransport(transport) {
+  state.transports.push(transport);
+  return transport;
+}
+
+/**
+ * Removes a transport, by object or name.
+ * @param {object|string} transport - The transport or its name.
+ */
+function removeTransport(transport) {
+  state.transports = state.transports.filter(t => t !== transport && t.name !== transport);
+}
+
+/**
+ * The current minimum level.
+ * @returns {string}
+ */
+function getLevel() {
+  return state.level;
+}
 
+module.exports = {
+  LEVELS,
+  Logger,
+  debug: root.debug.bind(root),
+  info: root.info.bind(root),
+  success: root.success.bind(root),
+  warn: root.warn.bind(root),
+  error: root.error.bind(root),
+  log: root.log.bind(root),
+  child: context => root.child(context),
+  configure,
+  addTransport,
+  removeTransport,
+  getLevel,
+  toJSON,
+  transports: {
+    console: consoleTransport,
+    file: fileTransport,
+    webhook: webhookTransport,
+    channel: channelTransport
+  }
+};
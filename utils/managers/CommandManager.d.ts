@@ -1,13 +1,19 @@
 import { Bot } from '../../Bot';
 import { Collection } from 'discord.js';
+import { CommandMiddleware, MiddlewareOptions, MiddlewareEntry } from '../middleware';
+import { OverrideRule, OverrideScope, OverrideTarget } from '../overrides';
+import { CooldownConfig, CooldownScope, CooldownStore } from '../cooldowns';
+import { Prefix, PrefixInput } from '../prefixes';
+import { SuggestionMode } from '../suggestions';
 
 export interface Command {
   name: string;
-  run: Function;
+  run?: Function;
   description?: string;
   category?: string;
   aliases?: string[];
-  cooldown?: number;
+  /** Seconds, a time string such as '5s', or a bucket config */
+  cooldown?: CooldownConfig;
   permissions?: string[];
   [key: string]: any;
 }
@@ -16,14 +22,21 @@ export declare class CommandManager {
   bot: Bot;
   commands: Collection<string, Command>;
   aliases: Collection<string, string>;
-  cooldowns: Collection<string, Collection<string, number>>;
+  /** The shared cooldown buckets */
+  cooldowns: CooldownStore;
   inhibitors: Array<Function>;
-  commandConfig: Record<string, Record<string, boolean>>;
+  prefixResolvers: Array<{ fn: Function; owner: string | null }>;
+  /** The middleware chain, starting with the built-in checks */
+  middleware: MiddlewareEntry[];
+  /** false once shutdown has started; commands are refused */
+  accepting: boolean;
+  /** The running commands */
+  inFlight: Set<Promise<any>>;
   
-  beforeCommand: Function | null;
-  afterCommand: Function | null;
-  onCommandRun: Function | null;
-  onCommandError: Function | null;
+  beforeCommand: ((command: Command, ctx: any) => any) | null;
+  afterCommand: ((command: Command, ctx: any) => any) | null;
+  onCommandRun: ((command: Command, ctx: any) => any) | null;
+  onCommandError: ((error: Error, command: Command, ctx: any) => any) | null;
 
   constructor(bot: Bot);
 
@@ -31,17 +44,51 @@ export declare class CommandManager {
   unregister(name: string): boolean;
   get(name: string): Command | null;
   has(name: string): boolean;
-  addInhibitor(fn: Function): void;
-  checkInhibitors(ctx: any, command: Command): Promise<boolean>;
-  checkCooldown(userId: string, commandName: string, cooldownTime: number): number | null;
-  setEnabled(guildId: string, commandName: string, enabled: boolean): void;
+  /** Inhibitors return false to block silently, or a string to block and reply with it */
+  addInhibitor(fn: (command: Command, ctx: any) => boolean | string | void | Promise<boolean | string | void>): void;
+  checkInhibitors(command: Command, ctx: any): Promise<boolean | string>;
+  /** Takes a use; returns the remaining seconds and scope if on cooldown, otherwise null */
+  checkCooldown(ctx: any, name: string, config: CooldownConfig): { remaining: number; scope: CooldownScope } | null;
+  resetCooldown(ctx: any, name: string, config: CooldownConfig): Promise<void>;
+  /** Persist an allow (true) or deny (false) rule; null removes it */
+  setOverride(guildId: string, commandName: string, scope: OverrideScope, targetId: string, allow: boolean | null): Promise<void>;
+  getOverrides(guildId: string, commandName?: string): OverrideRule[];
+  clearOverrides(guildId: string, commandName?: string): Promise<void>;
+  /** The rule deciding whether the command may run for a context or target, or null */
+  checkOverride(target: any | OverrideTarget, command: string | Command): OverrideRule | null;
+  isAllowed(target: any | OverrideTarget, command: string | Command): boolean;
+  /** A guild-wide override */
+  setEnabled(guildId: string, commandName: string, enabled: boolean): Promise<void>;
   isEnabled(guildId: string, commandName: string): boolean;
   all(): Collection<string, Command>;
   getByCategory(category: string): Collection<string, Command>;
   getCategories(): string[];
+  use(fn: CommandMiddleware, options?: MiddlewareOptions): MiddlewareEntry;
+  remove(middleware: string | CommandMiddleware | MiddlewareEntry): boolean;
+  /** Removes the owner's middleware and prefix resolvers */
+  removeOwned(owner: string): void;
+  addPrefixResolver(fn: (message: any, bot: Bot) => PrefixInput | null | void | Promise<PrefixInput | null | void>, options?: { owner?: string }): { fn: Function; owner: string | null };
+  removePrefixResolver(resolver: Function | { fn: Function }): boolean;
+  /** The guild's (or the bot's) prefixes plus those from prefix resolvers */
+  getPrefixes(message: any): Promise<Prefix[]>;
+  /** Match a prefix and run the command; in DMs only commands with `dmPermission: true` run */
+  handleMessage(message: any): Promise<any>;
+  /** Overrides, DM, guildOnly, nsfwOnly, devOnly and permission checks, without running the command */
+  canRun(command: Command, ctx: any): boolean;
+  getSuggestionMode(guildId?: string): SuggestionMode;
+  /** Persisted; null goes back to the bot's `suggestions.mode` */
+  setSuggestionMode(guildId: string, mode: SuggestionMode | null): Promise<void>;
+  /** Commands close to an unknown name that the context may run, closest first */
+  findSimilar(name: string, ctx: any, max?: number): Command[];
+  /** Reply with "did you mean" buttons that run the suggested command with the same arguments */
+  suggest(ctx: any, name: string, createCtx?: () => any): Promise<any>;
+  handleError(error: Error, command: Command, ctx: any): Promise<void>;
   clear(): void;
   reload(): Promise<void>;
-  execute(ctx: any, commandName: string, args: any[]): Promise<any>;
+  /** Run a command (by name, alias or object) through the full pipeline */
+  execute(ctx: any, command: string | Command): Promise<any>;
+  /** Stops accepting commands and waits for the running ones; resolves to how many are still running */
+  drain(timeout: number): Promise<number>;
 }
 
 export default CommandManager;
@@ -1,5 +1,16 @@
-const { Collection } = require('discord.js');
+const { Collection, ButtonBuilder, ButtonStyle, ActionRowBuilder, ComponentType, MessageFlags } = require('discord.js');
 const logger = require('../logger');
+const time = require('../time');
+const db = require('../db');
+const Ctx = require('../ctx');
+const { formatUsage, tokenize } = require('../args');
+const { resolveSubcommand, listSubcommands } = require('../subcommands');
+const { compose, builtins } = require('../middleware');
+const overrides = require('../overrides');
+const cooldowns = require('../cooldowns');
+const prefixes = require('../prefixes');
+const suggestions = require('../suggestions');
+const { contextFrom } = require('../errors');
 
 /**
  * Manages commands for the bot
@@ -10,15 +21,22 @@ class CommandManager {
     this.bot = bot;
     this.commands = new Collection();
     this.aliases = new Collection();
-    this.cooldowns = new Collection();
+    this.cooldowns = cooldowns.store;
     this.inhibitors = [];
-    this.commandConfig = {};
+    this.prefixResolvers = [];
+
+    // Shutdown: once false, commands are refused; inFlight holds the ones still running
+    this.accepting = true;
+    this.inFlight = new Set();
     
-    // Hooks
+    // Hooks, all called with (command, ctx); onCommandError with (error, command, ctx)
     this.beforeCommand = null;
     this.afterCommand = null;
     this.onCommandRun = null;
     this.onCommandError = null;
+
+    // Middleware chain, starting with the built-in checks
+    this.middleware = builtins(this).map(entry => ({ ...entry, builtin: true }));
   }
 
   /**
@@ -31,6 +49,8 @@ class CommandManager {
     const command = typeof handler === 'function'
       ? { name, run: handler, ...options }
       : { name, ...handler, ...options };
+    // Fail on an invalid cooldown at load time rather than on first use
+    cooldowns.normalize(command.cooldown);
 
     // Store command
     this.commands.set(name, command);
@@ -83,7 +103,9 @@ class CommandManager {
   }
 
   /**
-   * Add a command inhibitor (condition that prevents command execution)
+   * Add a command inhibitor (condition that prevents command execution).
+   * Inhibitors receive (command, ctx) and return false to block silently,
+   * or a string to block and reply with it.
    * @param {Function} fn - Inhibitor function
    */
   addInhibitor(fn) {
@@ -92,69 +114,120 @@ class CommandManager {
 
   /**
    * Check if a command should be inhibited
-   * @param {object} ctx - Context object
    * @param {object} command - Command object
-   * @returns {Promise<boolean>}
+   * @param {object} ctx - Context object
+   * @returns {Promise<boolean|string>} false if allowed, otherwise true or the reply message
    */
-  async checkInhibitors(ctx, command) {
+  async checkInhibitors(command, ctx) {
     for (const inhibitor of this.inhibitors) {
-      const result = await inhibitor(ctx, command);
+      const result = await inhibitor(command, ctx);
       if (result === false) return true; // Inhibited
+      if (typeof result === 'string') return result; // Inhibited with a reason
     }
     return false; // Not inhibited
   }
 
   /**
-   * Check cooldown for a command
-   * @param {string} userId - User ID
-   * @param {string} commandName - Command name
-   * @param {number} cooldownTime - Cooldown duration in seconds
-   * @returns {number|null} Remaining cooldown time or null
+   * Take a use from a cooldown bucket (see utils/cooldowns for the config format)
+   * @param {object} ctx - Context object
+   * @param {string} name - Bucket name, usually the command name
+   * @param {number|string|object} config - Seconds, a time string such as '5s', or { refill, burst, scope, bypass, persist }
+   * @returns {{ remaining: number, scope: string }|null} Remaining time in seconds and the bucket scope, or null if allowed
    */
-  checkCooldown(userId, commandName, cooldownTime) {
-    if (!this.cooldowns.has(commandName)) {
-      this.cooldowns.set(commandName, new Collection());
-    }
+  checkCooldown(ctx, name, config) {
+    const cooldown = cooldowns.normalize(config);
+    if (!cooldown || cooldowns.isBypassed(cooldown, ctx)) return null;
+    const wait = this.cooldowns.take(cooldowns.bucketKey(name, cooldown.scope, ctx), cooldown);
+    return wait ? { remaining: wait / 1000, scope: cooldown.scope } : null;
+  }
 
-    const now = Date.now();
-    const timestamps = this.cooldowns.get(commandName);
-    const cooldownAmount = (cooldownTime || 0) * 1000;
+  /**
+   * Reset the cooldown bucket a context falls in
+   * @param {object} ctx - Context object
+   * @param {string} name - Bucket name, usually the command name
+   * @param {number|string|object} config - The cooldown config
+   * @returns {Promise<void>}
+   */
+  async resetCooldown(ctx, name, config) {
+    const cooldown = cooldowns.normalize(config);
+    if (cooldown) await this.cooldowns.reset(cooldowns.bucketKey(name, cooldown.scope, ctx));
+  }
 
-    if (timestamps.has(userId)) {
-      const expirationTime = timestamps.get(userId) + cooldownAmount;
+  /**
+   * Allow or deny a command in a guild, for the whole guild or a channel, role or user.
+   * Rules are persisted through utils/db.
+   * @param {string} guildId - Guild ID
+   * @param {string} commandName - Command name, subcommand path ("config set") or "*" for all commands
+   * @param {string} scope - "guild", "channel", "role" or "user"
+   * @param {string} targetId - Channel, role or user ID (the guild ID for the guild scope)
+   * @param {boolean|null} allow - true to allow, false to deny, null to remove the rule
+   * @returns {Promise<void>}
+   */
+  setOverride(guildId, commandName, scope, targetId, allow) {
+    return overrides.setOverride(guildId, commandName, scope, targetId, allow);
+  }
 
-      if (now < expirationTime) {
-        const timeLeft = (expirationTime - now) / 1000;
-        return timeLeft;
-      }
-    }
+  /**
+   * List the override rules of a guild
+   * @param {string} guildId - Guild ID
+   * @param {string} [commandName] - Only rules for this command
+   * @returns {Array<object>}
+   */
+  getOverrides(guildId, commandName) {
+    return overrides.getOverrides(guildId, commandName);
+  }
+
+  /**
+   * Remove the override rules of a guild, or of one command in it
+   * @param {string} guildId - Guild ID
+   * @param {string} [commandName] - Only rules for this command
+   * @returns {Promise<void>}
+   */
+  clearOverrides(guildId, commandName) {
+    return overrides.clearOverrides(guildId, commandName);
+  }
+
+  /**
+   * Find the override rule that applies to a command run
+   * @param {object} target - Context object, or { guildId, channelId, roleIds, userId }
+   * @param {string|object} command - Command name or object
+   * @returns {object|null} The deciding rule ({ allow, scope, targetId, command }) or null
+   */
+  checkOverride(target, command) {
+    const resolved = target.guildId ? target : overrides.targetFromContext(target);
+    if (!resolved) return null;
+    return overrides.resolveOverride(resolved, typeof command === 'string' ? command : command.name);
+  }
 
-    timestamps.set(userId, now);
-    setTimeout(() => timestamps.delete(userId), cooldownAmount);
-    return null;
+  /**
+   * Check whether the overrides allow a command to run
+   * @param {object} target - Context object, or { guildId, channelId, roleIds, userId }
+   * @param {string|object} command - Command name or object
+   * @returns {boolean}
+   */
+  isAllowed(target, command) {
+    return this.checkOverride(target, command)?.allow !== false;
   }
 
   /**
-   * Set command enabled/disabled state for a guild
+   * Set command enabled/disabled state for a guild (a guild-wide override)
    * @param {string} guildId - Guild ID
    * @param {string} commandName - Command name
    * @param {boolean} enabled - Enabled state
+   * @returns {Promise<void>}
    */
   setEnabled(guildId, commandName, enabled) {
-    if (!this.commandConfig[guildId]) {
-      this.commandConfig[guildId] = {};
-    }
-    this.commandConfig[guildId][commandName] = enabled;
+    return this.setOverride(guildId, commandName, 'guild', guildId, !!enabled);
   }
 
   /**
-   * Check if a command is enabled in a guild
+   * Check if a command is enabled in a guild, ignoring channel, role and user rules
    * @param {string} guildId - Guild ID
    * @param {string} commandName - Command name
    * @returns {boolean}
    */
   isEnabled(guildId, commandName) {
-    return this.commandConfig?.[guildId]?.[commandName] !== false;
+    return this.isAllowed({ guildId }, commandName);
   }
 
   /**
@@ -206,67 +279,363 @@ class CommandManager {
   }
 
   /**
-   * Execute a command
-   * @param {object} ctx - Context object
-   * @param {string} commandName - Command name
-   * @param {Array} args - Command arguments
+   * Add command middleware. Middleware receives `(ctx, next)` and runs for every command
+   * (or only those matching `category`/`plugin`), after the built-in checks unless
+   * positioned with `before`/`after`. Use `command.middleware` for a single command.
+   * @param {Function} fn - Middleware function
+   * @param {object} [options] - Middleware options
+   * @param {string} [options.name] - Name used by remove() and for positioning
+   * @param {string} [options.category] - Only run for commands in this category
+   * @param {string} [options.plugin] - Only run for commands from this plugin
+   * @param {string} [options.before] - Insert before the named middleware
+   * @param {string} [options.after] - Insert after the named middleware
+   * @param {string} [options.owner] - Owner (e.g. a plugin name) for removeOwned()
+   * @returns {object} The middleware entry
    */
-  async execute(ctx, commandName, args) {
-    const command = this.get(commandName);
-    if (!command) return null;
+  use(fn, options = {}) {
+    if (typeof fn !== 'function') throw new TypeError('Middleware must be a function');
+    const entry = {
+      name: options.name || fn.name || null,
+      fn,
+      category: options.category || null,
+      plugin: options.plugin || null,
+      owner: options.owner || null
+    };
+
+    const anchor = options.before || options.after;
+    const index = anchor ? this.middleware.findIndex(m => m.name === anchor) : -1;
+    if (anchor && index === -1) throw new Error(`Unknown middleware "${anchor}"`);
+    if (index === -1) this.middleware.push(entry);
+    else this.middleware.splice(options.before ? index : index + 1, 0, entry);
+
+    logger.debug(`Registered middleware: ${entry.name || 'anonymous'}`);
+    return entry;
+  }
 
-    try {
-      // Check if command is enabled for this guild
-      if (ctx.guild && !this.isEnabled(ctx.guild.id, command.name)) {
-        return await ctx.error('This command is disabled in this server.');
-      }
+  /**
+   * Remove middleware, including built-in checks such as 'cooldown' or 'nsfwOnly'
+   * @param {string|Function|object} middleware - Name, function or entry to remove
+   * @returns {boolean}
+   */
+  remove(middleware) {
+    const before = this.middleware.length;
+    this.middleware = this.middleware.filter(m => m !== middleware && m.fn !== middleware && m.name !== middleware);
+    return this.middleware.length !== before;
+  }
 
-      // Check inhibitors
-      if (await this.checkInhibitors(ctx, command)) {
-        return null;
-      }
+  /**
+   * Remove all middleware registered with the given owner
+   * @param {string} owner - Owner name
+   */
+  removeOwned(owner) {
+    this.middleware = this.middleware.filter(m => m.owner !== owner);
+    this.prefixResolvers = this.prefixResolvers.filter(r => r.owner !== owner);
+  }
 
-      // Check cooldown
-      if (command.cooldown) {
-        const cooldownLeft = this.checkCooldown(ctx.user.id, command.name, command.cooldown);
-        if (cooldownLeft) {
-          return await ctx.reply(`⏰ Please wait ${cooldownLeft.toFixed(1)}s before using this command again.`);
-        }
-      }
+  /**
+   * Add a prefix resolver. Resolvers receive (message, bot) and return extra prefixes for
+   * the message (a string, RegExp or array, or null for none); they may be async.
+   * @param {Function} fn - Resolver function
+   * @param {object} [options] - Options
+   * @param {string} [options.owner] - Owner (e.g. a plugin name) for removeOwned()
+   * @returns {object} The resolver entry
+   */
+  addPrefixResolver(fn, options = {}) {
+    if (typeof fn !== 'function') throw new TypeError('Prefix resolver must be a function');
+    const entry = { fn, owner: options.owner || null };
+    this.prefixResolvers.push(entry);
+    return entry;
+  }
 
-      // Check permissions
-      if (command.permissions && !ctx.hasPerms(command.permissions)) {
-        return await ctx.error('You don\'t have permission to use this command.');
-      }
+  /**
+   * Remove a prefix resolver
+   * @param {Function|object} resolver - Function or entry to remove
+   * @returns {boolean}
+   */
+  removePrefixResolver(resolver) {
+    const before = this.prefixResolvers.length;
+    this.prefixResolvers = this.prefixResolvers.filter(r => r !== resolver && r.fn !== resolver);
+    return this.prefixResolvers.length !== before;
+  }
 
-      // Before command hook
-      if (this.beforeCommand) {
-        await this.beforeCommand(ctx, command);
+  /**
+   * Get the prefixes for a message: the guild's prefixes (see Bot#setPrefix) or the bot's,
+   * followed by those supplied by prefix resolvers
+   * @param {object} message - The message
+   * @returns {Promise<Array<string|RegExp>>}
+   */
+  async getPrefixes(message) {
+    const stored = message.guild ? await db.getGuildConfig(message.guild.id, 'prefix', null) : null;
+    const list = stored !== null ? prefixes.normalize(stored) : [...this.bot.prefixes];
+    for (const resolver of this.prefixResolvers) {
+      try {
+        list.push(...prefixes.normalize(await resolver.fn(message, this.bot)));
+      } catch (err) {
+        logger.error('Prefix resolver failed:', err);
       }
+    }
+    return list;
+  }
 
-      // Execute command
-      const result = await command.run(ctx, ...args);
+  /**
+   * Handle a message: match a prefix and run the command it names. In DMs, only commands
+   * with `dmPermission: true` run.
+   * @param {object} message - The message
+   * @returns {Promise<any>}
+   */
+  async handleMessage(message) {
+    if (message.author.bot) return null;
+    const match = prefixes.match(message.content, await this.getPrefixes(message), {
+      botId: this.bot.client.user?.id,
+      caseInsensitive: this.bot.caseInsensitivePrefix
+    });
+    if (!match) return null;
+
+    const cmdName = match.body.split(/\s+/, 1)[0].toLowerCase();
+    const argString = match.body.slice(cmdName.length).trim();
+    const createCtx = () => {
+      const ctx = new Ctx(message, this.bot, tokenize(argString));
+      ctx.argString = argString;
+      ctx.prefix = match.prefix;
+      return ctx;
+    };
+
+    const cmd = this.get(cmdName);
+    if (!cmd) return this.suggest(createCtx(), cmdName, createCtx);
+    if (!message.guild && cmd.dmPermission !== true) return null;
+    return this.execute(createCtx(), cmd);
+  }
 
-      // After command hook
-      if (this.afterCommand) {
-        await this.afterCommand(ctx, command);
-      }
+  /**
+   * Check whether a context passes a command's static checks (overrides, DMs, guildOnly,
+   * nsfwOnly, devOnly and permissions) without running it
+   * @param {object} cmd - Command object
+   * @param {object} ctx - Context object
+   * @returns {boolean}
+   */
+  canRun(cmd, ctx) {
+    if (cmd.overridable !== false && !this.isAllowed(ctx, cmd)) return false;
+    if (ctx.isDM && (cmd.guildOnly || (!ctx.isInteraction && cmd.dmPermission !== true))) return false;
+    if (cmd.nsfwOnly && !ctx.channel?.nsfw) return false;
+    if (cmd.devOnly && ctx.user.id !== process.env.BOT_OWNER_ID) return false;
+    if (cmd.permissions && !ctx.hasPerms(cmd.permissions)) return false;
+    return true;
+  }
 
-      // On command run hook
-      if (this.onCommandRun) {
-        this.onCommandRun(ctx, command);
+  /**
+   * Get the suggestion mode for a guild: the one set with setSuggestionMode, or the bot's
+   * @param {string} [guildId] - Guild ID
+   * @returns {string} 'on', 'silent' or 'off'
+   */
+  getSuggestionMode(guildId) {
+    return (guildId && db.get(`guilds.${guildId}.suggestions`)) || this.bot.suggestions.mode;
+  }
+
+  /**
+   * Set the suggestion mode for a guild (persisted)
+   * @param {string} guildId - Guild ID
+   * @param {string|null} mode - 'on', 'silent', 'off', or null for the bot's default
+   * @returns {Promise<void>}
+   */
+  setSuggestionMode(guildId, mode) {
+    if (mode === null || mode === undefined) return db.delete(`guilds.${guildId}.suggestions`);
+    if (!suggestions.MODES.includes(mode)) throw new Error(`Unknown suggestion mode "${mode}" (expected ${suggestions.MODES.join(', ')})`);
+    return db.setGuildConfig(guildId, 'suggestions', mode);
+  }
+
+  /**
+   * Find the commands closest to an unknown command name that the context may run
+   * @param {string} name - The unknown name
+   * @param {object} ctx - Context object
+   * @param {number} [max=3] - Number of suggestions
+   * @returns {Array<object>} The commands, closest first
+   */
+  findSimilar(name, ctx, max = 3) {
+    const byName = new Map();
+    for (const cmd of this.commands.values()) {
+      if (cmd.contextMenu || !this.canRun(cmd, ctx)) continue;
+      for (const key of [cmd.name, ...(cmd.aliases || [])]) {
+        if (!byName.has(key)) byName.set(key, cmd);
       }
+    }
+    const found = [];
+    for (const key of suggestions.closest(name, byName.keys(), byName.size)) {
+      const cmd = byName.get(key);
+      if (!found.includes(cmd)) found.push(cmd);
+      if (found.length === max) break;
+    }
+    return found;
+  }
+
+  /**
+   * Reply to an unknown command with the closest commands, as buttons that run the
+   * suggested command with the same arguments. Follows the guild's suggestion mode and
+   * the `suggestions.cooldown` bot option.
+   * @param {object} ctx - Context of the unknown command
+   * @param {string} name - The unknown name
+   * @param {Function} [createCtx] - Creates a fresh context to run the chosen command with
+   * @returns {Promise<object|null>} The suggestion message, or null
+   */
+  async suggest(ctx, name, createCtx = () => ctx) {
+    const { cooldown, max = 3 } = this.bot.suggestions;
+    const mode = this.getSuggestionMode(ctx.guild?.id);
+    if (mode === 'off') return null;
+
+    // One row of buttons
+    const similar = this.findSimilar(name, ctx, Math.min(max, 5));
+    if (!similar.length) return null;
+    if (cooldown && this.checkCooldown(ctx, 'suggestions', cooldown)) return null;
+
+    const row = new ActionRowBuilder().addComponents(similar.map(cmd => new ButtonBuilder()
+      .setCustomId(`suggest:${cmd.name}`)
+      .setLabel(`${ctx.prefix ?? ''}${cmd.name}${ctx.argString ? ` ${ctx.argString}` : ''}`.slice(0, 80))
+      .setStyle(ButtonStyle.Secondary)));
+    const content = ctx.t('framework.didYouMean', {
+      command: name,
+      suggestions: similar.map(cmd => `\`${cmd.name}\``).join(', ')
+    });
+    const silent = mode === 'silent';
+    const reply = await ctx.reply({
+      content,
+      components: [row],
+      allowedMentions: { repliedUser: !silent },
+      ...(silent ? { flags: MessageFlags.SuppressNotifications } : {})
+    });
+    if (!reply?.createMessageComponentCollector) return reply;
+
+    const collector = reply.createMessageComponentCollector({
+      componentType: ComponentType.Button,
+      filter: interaction => interaction.user.id === ctx.user.id,
+      time: 30000,
+      max: 1
+    });
+    collector.on('collect', async interaction => {
+      const cmd = this.get(interaction.customId.slice('suggest:'.length));
+      await interaction.update({ content, components: [] }).catch(() => {});
+      if (cmd) await this.execute(createCtx(), cmd);
+    });
+    collector.on('end', (collected) => {
+      if (!collected.size) reply.edit({ components: [] }).catch(() => {});
+    });
+    return reply;
+  }
 
+  /**
+   * Build the middleware chain for a command
+   * @param {object} cmd - Command object
+   * @returns {Array<Function>}
+   * @private
+   */
+  _chainFor(cmd) {
+    const chain = this.middleware
+      .filter(m => (!m.category || m.category === cmd.category) && (!m.plugin || m.plugin === cmd.plugin))
+      .map(m => m.fn);
+    if (cmd.middleware) chain.push(...[].concat(cmd.middleware));
+    return chain;
+  }
+
+  /**
+   * Execute a command: resolves the subcommand, then runs the middleware chain
+   * (built-in checks, global, category, plugin and command middleware) and the command.
+   * @param {object} ctx - Context object
+   * @param {string|object} command - Command name, alias or command object
+   * @returns {Promise<any>}
+   */
+  async execute(ctx, command) {
+    const root = typeof command === 'string' ? this.get(command) : command;
+    if (!root) return null;
+    if (!this.accepting) return ctx.reply(ctx.t('framework.shuttingDown'));
+    if (root.slashOnly && !ctx.isInteraction) return ctx.reply(ctx.t('framework.slashOnly'));
+
+    // Subcommands: continue with the resolved subcommand from here on
+    const cmd = resolveSubcommand(root, ctx);
+    if (!cmd) {
+      return ctx.reply(ctx.t('framework.unknownSubcommand', {
+        subcommands: listSubcommands(root).map(s => `\`${s}\``).join(', '),
+        usage: formatUsage(root, ctx.prefix)
+      }));
+    }
+
+    const run = compose(this._chainFor(cmd))(ctx, async () => {
+      const result = await this._invoke(cmd, ctx);
+      ctx.outcome ||= 'success';
       return result;
-    } catch (error) {
-      logger.error(`Error executing command ${command.name}: ${error.message}`);
-      
-      // On command error hook
-      if (this.onCommandError) {
-        this.onCommandError(ctx, command, error);
-      } else {
-        await ctx.error(`An error occurred: ${error.message}`);
+    });
+    this.inFlight.add(run);
+    try {
+      return await run;
+    } finally {
+      this.inFlight.delete(run);
+    }
+  }
+
+  /**
+   * Stops accepting commands and waits for the running ones to finish, up to a deadline
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<number>} The number of commands still running at the deadline
+   */
+  async drain(timeout) {
+    this.accepting = false;
+    if (!this.inFlight.size) return 0;
+    let timer;
+    const deadline = new Promise(resolve => { timer = setTimeout(resolve, timeout); });
+    await Promise.race([Promise.allSettled([...this.inFlight]), deadline]);
+    clearTimeout(timer);
+    return this.inFlight.size;
+  }
+
+  /**
+   * Runs the command itself, at the end of the middleware chain
+   * @param {object} cmd - Command object
+   * @param {object} ctx - Context object
+   * @private
+   */
+  async _invoke(cmd, ctx) {
+    // Command overloads
+    if (cmd.overload && cmd.patterns) {
+      for (const pattern of cmd.patterns) {
+        if (pattern.match(ctx.args)) {
+          return await pattern.run(ctx, ctx.args);
+        }
       }
+      return ctx.reply(ctx.t('framework.noOverload'));
+    }
+
+    const result = await cmd.run(ctx);
+    // Per-command after middleware
+    if (cmd.after) {
+      try { await cmd.after(ctx); } catch (err) { /* ignore */ }
+    }
+    return result;
+  }
+
+  /**
+   * Handle an error thrown while running a command (used by the 'errors' middleware)
+   * @param {Error} err - The error
+   * @param {object} cmd - Command object
+   * @param {object} ctx - Context object
+   */
+  async handleError(err, cmd, ctx) {
+    ctx.outcome = 'error';
+    // Logs the error and posts it to the log channel (see utils/errors)
+    const report = this.bot.errors.report(err, { source: 'command', ...contextFrom(ctx), command: cmd.name });
+    ctx.errorId = report.id;
+    let errorSent = false;
+    // Per-command error middleware
+    if (cmd.onError) {
+      try { await cmd.onError(err, ctx); errorSent = true; } catch (e) { /* ignore */ }
+    }
+    // Global command error hook
+    if (this.onCommandError) {
+      try { await this.onCommandError(err, cmd, ctx); errorSent = true; } catch (e) { /* ignore */ }
+    }
+    // Error hook
+    if (this.bot._errorHandler) {
+      try { this.bot._errorHandler(err, cmd, ctx); errorSent = true; } catch (e) { /* ignore */ }
+    }
+    // Always send default error message if not sent
+    if (!errorSent) {
+      await ctx.reply(ctx.t('framework.errorId', { id: report.id }));
     }
   }
 }
@@ -6,27 +6,60 @@ export interface Event {
   run: Function;
   once?: boolean;
   group?: string | null;
+  /** The wrapped listener attached to the client */
+  listener?: (...args: any[]) => Promise<void>;
+  /** The file the event was loaded from, for reloads */
+  file?: string;
+  /** Who added the listener: 'file:<path>', 'plugin:<name>' or 'inline' */
+  owner: string;
   [key: string]: any;
 }
 
+export interface ListenerEntry {
+  /** 'core', 'file:<path>', 'plugin:<name>' or 'inline' */
+  owner: string;
+  name: string;
+  /** The function attached to the client */
+  listener: (...args: any[]) => any;
+  /** The registered event, or null for listen() listeners */
+  event: Event | null;
+}
+
 export declare class EventManager {
   bot: Bot;
   events: Collection<string, Event[]>;
   wildcardListeners: Array<Function>;
   eventGroups: Record<string, any>;
   
-  beforeEvent: Function | null;
-  allEventHandler: Function | null;
+  /** Called with (eventName, ctx, ...args) before every registered event */
+  beforeEvent: ((eventName: string, ctx: any, ...args: any[]) => any) | null;
+  /** Raw gateway handler, called with (ctx, packet, shardId) */
+  allEventHandler: ((ctx: any, ...args: any[]) => any) | null;
+  /** Every listener attached to the client, by owner */
+  registry: Map<string, ListenerEntry[]>;
 
   constructor(bot: Bot);
 
-  register(eventName: string, handler: Function, options?: object): Event;
-  unregister(eventName: string, handler?: Function): boolean;
-  addWildcardListener(fn: Function): void;
+  /** Register an event; the handler is called with (ctx, ...args) */
+  register(eventName: string, handler: (ctx: any, ...args: any[]) => any, options?: { once?: boolean; group?: string | null; owner?: string; plugin?: string; file?: string; [key: string]: any }): Event;
+  /** Attach a plain client listener under an owner (default: 'core') */
+  listen(eventName: string, listener: (...args: any[]) => any, options?: { owner?: string; once?: boolean }): ListenerEntry;
+  /** Detaches a listener attached with listen() */
+  unlisten(entry: ListenerEntry): void;
+  /** Remove one event (by handler, event or listener) or all events of that name */
+  unregister(eventName: string, handler?: Function | Event): boolean;
+  /** Remove every listener an owner added; returns how many */
+  removeOwner(owner: string): number;
+  /** Owners with listeners attached, optionally of one kind */
+  owners(kind?: 'core' | 'file' | 'plugin' | 'inline'): string[];
+  listenersOf(owner: string): ListenerEntry[];
+  addWildcardListener(fn: (eventName: string, ctx: any, ...args: any[]) => any): void;
   removeWildcardListener(fn: Function): void;
   all(): Collection<string, Event[]>;
   getByGroup(group: string): Event[];
+  /** Remove every listener except the framework's own */
   clear(): void;
+  /** Reload the events loaded from eventsDir */
   reload(): Promise<void>;
   emit(eventName: string, ...args: any[]): void;
   waitFor(eventName: string, filter: Function, timeout?: number): Promise<any>;
@@ -1,5 +1,8 @@
 const { Collection } = require('discord.js');
 const logger = require('../logger');
+const Ctx = require('../ctx');
+const intents = require('../intents');
+const hotReload = require('../hotReload');
 
 /**
  * Manages events for the bot
@@ -12,16 +15,83 @@ class EventManager {
     this.wildcardListeners = [];
     this.eventGroups = {};
     
-    // Middleware
+    // Middleware, called with (eventName, ctx, ...args)
     this.beforeEvent = null;
+    // Raw gateway handler, called with (ctx, packet, shardId)
     this.allEventHandler = null;
+    // Every listener attached to the client, by owner: 'core' (the framework's own handlers),
+    // 'file:<path>' (the events loader), 'plugin:<name>' or 'inline' (bot.on)
+    this.registry = new Map();
+  }
+
+  /**
+   * The owner of an event registered with these options.
+   * @param {object} options - The register() options.
+   * @returns {string}
+   * @private
+   */
+  static _ownerOf(options) {
+    if (options.owner) return options.owner;
+    if (options.plugin) return `plugin:${options.plugin}`;
+    if (options.file) return `file:${options.file}`;
+    return 'inline';
+  }
+
+  /**
+   * Records a listener attached to the client.
+   * @private
+   */
+  _track(owner, name, listener, event = null) {
+    if (!this.registry.has(owner)) this.registry.set(owner, []);
+    const entry = { owner, name, listener, event };
+    this.registry.get(owner).push(entry);
+    return entry;
+  }
+
+  /**
+   * Forgets a listener, once it is detached from the client.
+   * @private
+   */
+  _untrack(owner, listener) {
+    const entries = this.registry.get(owner);
+    if (!entries) return;
+    const index = entries.findIndex(entry => entry.listener === listener);
+    if (index !== -1) entries.splice(index, 1);
+    if (!entries.length) this.registry.delete(owner);
+  }
+
+  /**
+   * Attach a plain client listener (no context, middleware or error reporting), recorded
+   * under an owner so it can be removed with removeOwner(). Used for the framework's own
+   * handlers.
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Called with the raw event arguments
+   * @param {object} [options] - `{ owner, once }` (default owner: 'core')
+   * @returns {object} The registry entry
+   */
+  listen(eventName, listener, options = {}) {
+    const owner = options.owner || 'core';
+    const attached = options.once
+      ? (...args) => { this._untrack(owner, attached); return listener(...args); }
+      : listener;
+    this.bot.client[options.once ? 'once' : 'on'](eventName, attached);
+    return this._track(owner, eventName, attached);
+  }
+
+  /**
+   * Detach a listener attached with listen()
+   * @param {object} entry - The registry entry listen() returned
+   */
+  unlisten(entry) {
+    this.bot.client.off(entry.name, entry.listener);
+    this._untrack(entry.owner, entry.listener);
   }
 
   /**
    * Register an event
    * @param {string} eventName - Event name
-   * @param {Function} handler - Event handler
-   * @param {object} options - Event options
+   * @param {Function} handler - Event handler, called with (ctx, ...args)
+   * @param {object} options - Event options; `owner` defaults to 'plugin:<plugin>', 'file:<file>' or 'inline'
    */
   register(eventName, handler, options = {}) {
     const event = {
@@ -29,7 +99,8 @@ class EventManager {
       run: handler,
       once: options.once || false,
       group: options.group || null,
-      ...options
+      ...options,
+      owner: EventManager._ownerOf(options)
     };
 
     // Store event
@@ -39,12 +110,17 @@ class EventManager {
     this.events.get(eventName).push(event);
 
     // Register with Discord client
-    const wrappedHandler = this._wrapHandler(event);
+    event.listener = this._wrapHandler(event);
     if (event.once) {
-      this.bot.client.once(eventName, wrappedHandler);
+      this.bot.client.once(eventName, event.listener);
     } else {
-      this.bot.client.on(eventName, wrappedHandler);
+      this.bot.client.on(eventName, event.listener);
     }
+    this._track(event.owner, eventName, event.listener, event);
+
+    // Intents are fixed once the bot starts
+    const missing = this.bot._intentsApplied && intents.missingFor(eventName, this.bot.client);
+    if (missing) logger.warn(`Listeners for "${eventName}" will never fire without the ${missing.join(' or ')} intent.`);
 
     logger.debug(`Registered event: ${eventName}${event.once ? ' (once)' : ''}`);
     return event;
@@ -58,10 +134,21 @@ class EventManager {
    */
   _wrapHandler(event) {
     return async (...args) => {
+      // One-time events are removed from the registry once they fire
+      if (event.once) {
+        const events = this.events.get(event.name) || [];
+        const index = events.indexOf(event);
+        if (index !== -1) events.splice(index, 1);
+        this._untrack(event.owner, event.listener);
+      }
+
+      let ctx;
       try {
+        ctx = Ctx.forEvent(event.name, args, this.bot);
+
         // Before event middleware
         if (this.beforeEvent) {
-          await this.beforeEvent(event.name, ...args);
+          await this.beforeEvent(event.name, ctx, ...args);
         }
 
         // Event group logging
@@ -69,22 +156,17 @@ class EventManager {
           logger.debug(`[${event.group}] Event: ${event.name}`);
         }
 
-        // Execute event handler
-        await event.run(this.bot, ...args);
-
-        // All event handler
-        if (this.allEventHandler) {
-          await this.allEventHandler(event.name, ...args);
-        }
-
         // Wildcard listeners
         for (const listener of this.wildcardListeners) {
-          await listener(event.name, ...args);
+          await listener(event.name, ctx, ...args);
         }
+
+        // Execute event handler
+        await event.run(ctx, ...args);
       } catch (error) {
-        logger.error(`Error in event ${event.name}: ${error.message}`);
+        this.bot.errors.report(error, { source: 'event', event: event.name, plugin: event.plugin, guild: ctx?.guild?.id, user: ctx?.user?.id });
         if (this.bot._errorHandler) {
-          this.bot._errorHandler(error);
+          try { this.bot._errorHandler(error); } catch (e) { /* ignore */ }
         }
       }
     };
@@ -93,27 +175,73 @@ class EventManager {
   /**
    * Unregister an event
    * @param {string} eventName - Event name
-   * @param {Function} handler - Specific handler to remove (optional)
+   * @param {Function|object} handler - Specific handler, registered event or its listener to remove (optional)
    */
   unregister(eventName, handler = null) {
     if (!this.events.has(eventName)) return false;
 
-    if (handler) {
-      const events = this.events.get(eventName);
-      const index = events.findIndex(e => e.run === handler);
-      if (index !== -1) {
-        events.splice(index, 1);
-        this.bot.client.off(eventName, handler);
-      }
-    } else {
-      this.bot.client.removeAllListeners(eventName);
-      this.events.delete(eventName);
-    }
+    const events = this.events.get(eventName);
+    const removed = handler
+      ? events.filter(e => e === handler || e.run === handler || e.listener === handler).slice(0, 1)
+      : [...events];
+    if (!removed.length) return false;
+    for (const event of removed) this._detach(event);
 
     logger.debug(`Unregistered event: ${eventName}`);
     return true;
   }
 
+  /**
+   * Detaches a registered event from the client and forgets it.
+   * @private
+   */
+  _detach(event) {
+    this.bot.client.off(event.name, event.listener);
+    this._untrack(event.owner, event.listener);
+    const events = this.events.get(event.name);
+    if (!events) return;
+    const index = events.indexOf(event);
+    if (index !== -1) events.splice(index, 1);
+    if (!events.length) this.events.delete(event.name);
+  }
+
+  /**
+   * Remove every listener an owner added, e.g. 'plugin:economy' or 'file:/app/events/ready.js'
+   * @param {string} owner - The owner
+   * @returns {number} The number of listeners removed
+   */
+  removeOwner(owner) {
+    const entries = [...(this.registry.get(owner) || [])];
+    for (const entry of entries) {
+      if (entry.event) this._detach(entry.event);
+      else {
+        this.bot.client.off(entry.name, entry.listener);
+        this._untrack(owner, entry.listener);
+      }
+    }
+    if (entries.length) logger.debug(`Removed ${entries.length} listener(s) of ${owner}`);
+    return entries.length;
+  }
+
+  /**
+   * The owners with listeners attached, optionally only those of a kind ('core', 'file',
+   * 'plugin' or 'inline')
+   * @param {string} [kind] - The kind of owner
+   * @returns {Array<string>}
+   */
+  owners(kind) {
+    return [...this.registry.keys()].filter(owner => !kind || owner === kind || owner.startsWith(`${kind}:`));
+  }
+
+  /**
+   * The listeners an owner added
+   * @param {string} owner - The owner
+   * @returns {Array<{ owner: string, name: string, listener: Function, event: object|null }>}
+   */
+  listenersOf(owner) {
+    return [...(this.registry.get(owner) || [])];
+  }
+
   /**
    * Add a wildcard listener (listens to all events)
    * @param {Function} fn - Listener function
@@ -157,21 +285,33 @@ class EventManager {
   }
 
   /**
-   * Clear all events
+   * Clear all events: every listener except the framework's own ('core') ones
    */
   clear() {
-    this.bot.client.removeAllListeners();
+    for (const owner of this.owners()) {
+      if (owner !== 'core') this.removeOwner(owner);
+    }
     this.events.clear();
     this.wildcardListeners = [];
   }
 
   /**
-   * Reload all events
+   * Reload the events loaded from eventsDir, re-reading their files (and the local modules
+   * they require) from disk. Other listeners are kept; if a file fails to load, the previous
+   * listeners are put back and the error is thrown.
    */
   async reload() {
-    this.clear();
-    if (this.bot.eventsDir) {
-      await require('../../loaders/events')(this.bot);
+    const owners = this.owners('file');
+    const previous = owners.flatMap(owner => this.listenersOf(owner)).map(entry => entry.event).filter(Boolean);
+    owners.forEach(owner => this.removeOwner(owner));
+    const removed = hotReload.invalidate(hotReload.withDependents(previous.map(event => event.file)));
+    try {
+      if (this.bot.eventsDir) await require('../../loaders/events')(this.bot);
+    } catch (err) {
+      this.owners('file').forEach(owner => this.removeOwner(owner));
+      for (const { name, run, listener, ...options } of previous) this.register(name, run, options);
+      hotReload.restore(removed);
+      throw err;
     }
   }
 
@@ -42,7 +42,11 @@ export declare class InteractionManager {
   guildId: string | null;
   clientId: string | null;
 
-  constructor(bot: Bot);
+  /** Pass `{ listen: false }` to route interactions yourself through `handle()` */
+  constructor(bot: Bot, options?: { listen?: boolean });
+
+  /** Route an interaction to its handler, falling back to the bot's command registry */
+  handle(interaction: any): Promise<void>;
 
   registerSlashCommand(command: SlashCommand): void;
   registerContextMenu(menu: ContextMenu): void;
@@ -51,7 +55,8 @@ export declare class InteractionManager {
   registerModal(customId: string | RegExp, handler: Function): void;
   registerAutocomplete(commandName: string, handler: Function): void;
   
-  deployCommands(token: string, clientId: string, guildId?: string): Promise<void>;
+  /** Syncs through utils/slashSync (only changes are sent); token and clientId are unused */
+  deployCommands(token?: string, clientId?: string, guildId?: string): Promise<any>;
   clear(): void;
   getStats(): InteractionStats;
 }
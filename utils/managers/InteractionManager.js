@@ -1,12 +1,22 @@
-const { Collection, REST, Routes } = require('discord.js');
+const { Collection } = require('discord.js');
 const logger = require('../logger');
+const Ctx = require('../ctx');
+const { respondAutocomplete } = require('../slash');
+const { syncCommands } = require('../slashSync');
+const i18n = require('../i18n');
 
 /**
  * Manages interactions (slash commands, buttons, select menus, modals)
  * @class InteractionManager
  */
 class InteractionManager {
-  constructor(bot) {
+  /**
+   * @param {Bot} bot - The bot instance
+   * @param {object} [options]
+   * @param {boolean} [options.listen=true] - Attach its own `interactionCreate` listener.
+   *   `Bot` passes false and routes interactions through {@link InteractionManager#handle}.
+   */
+  constructor(bot, options = {}) {
     this.bot = bot;
     this.slashCommands = new Collection();
     this.contextMenus = new Collection();
@@ -21,7 +31,7 @@ class InteractionManager {
     this.clientId = null;
 
     // Setup interaction handler
-    this._setupInteractionHandler();
+    if (options.listen !== false) this._setupInteractionHandler();
   }
 
   /**
@@ -29,34 +39,57 @@ class InteractionManager {
    * @private
    */
   _setupInteractionHandler() {
-    this.bot.client.on('interactionCreate', async (interaction) => {
-      try {
-        if (interaction.isChatInputCommand()) {
-          await this._handleSlashCommand(interaction);
-        } else if (interaction.isButton()) {
-          await this._handleButton(interaction);
-        } else if (interaction.isStringSelectMenu() || interaction.isUserSelectMenu() || 
-                   interaction.isRoleSelectMenu() || interaction.isChannelSelectMenu()) {
-          await this._handleSelectMenu(interaction);
-        } else if (interaction.isModalSubmit()) {
-          await this._handleModal(interaction);
-        } else if (interaction.isAutocomplete()) {
-          await this._handleAutocomplete(interaction);
-        } else if (interaction.isContextMenuCommand()) {
-          await this._handleContextMenu(interaction);
-        }
-      } catch (error) {
-        logger.error(`Interaction error: ${error.message}`);
-        
-        const errorMessage = { content: '❌ An error occurred!', ephemeral: true };
-        
-        if (interaction.deferred || interaction.replied) {
-          await interaction.followUp(errorMessage).catch(() => {});
-        } else {
-          await interaction.reply(errorMessage).catch(() => {});
-        }
+    const handler = interaction => this.handle(interaction);
+    if (this.bot.eventManager) this.bot.eventManager.listen('interactionCreate', handler);
+    else this.bot.client.on('interactionCreate', handler);
+  }
+
+  /**
+   * Route an interaction to its handler
+   * @param {Interaction} interaction
+   */
+  async handle(interaction) {
+    try {
+      if (interaction.isChatInputCommand()) {
+        await this._handleSlashCommand(interaction);
+      } else if (interaction.isButton()) {
+        await this._handleButton(interaction);
+      } else if (interaction.isStringSelectMenu() || interaction.isUserSelectMenu() || 
+                 interaction.isRoleSelectMenu() || interaction.isChannelSelectMenu()) {
+        await this._handleSelectMenu(interaction);
+      } else if (interaction.isModalSubmit()) {
+        await this._handleModal(interaction);
+      } else if (interaction.isAutocomplete()) {
+        await this._handleAutocomplete(interaction);
+      } else if (interaction.isContextMenuCommand()) {
+        await this._handleContextMenu(interaction);
+      }
+    } catch (error) {
+      const report = this.bot.errors.report(error, {
+        source: 'interaction',
+        name: interaction.customId || interaction.commandName,
+        guild: interaction.guildId,
+        channel: interaction.channelId,
+        user: interaction.user?.id
+      });
+      
+      const errorMessage = { content: i18n.t(i18n.localeFor({ raw: interaction, guild: interaction.guild }), 'framework.interactionErrorId', { id: report.id }), ephemeral: true };
+      
+      if (interaction.deferred || interaction.replied) {
+        await interaction.followUp(errorMessage).catch(() => {});
+      } else {
+        await interaction.reply(errorMessage).catch(() => {});
       }
-    });
+    }
+  }
+
+  /**
+   * Find a command in the bot's command registry
+   * @param {string} name - Command name
+   * @private
+   */
+  _registryCommand(name) {
+    return this.bot.commandManager?.commands.get(name) || null;
   }
 
   /**
@@ -66,12 +99,12 @@ class InteractionManager {
    */
   async _handleSlashCommand(interaction) {
     const command = this.slashCommands.get(interaction.commandName);
-    if (!command) return;
-
-    const Ctx = require('../ctx');
     const ctx = new Ctx(interaction, this.bot);
-    
-    await command.execute(ctx, interaction);
+    if (command) return await command.execute(ctx, interaction);
+
+    // Commands registered with the bot (files, plugins, bot.command)
+    const registered = this._registryCommand(interaction.commandName);
+    if (registered) await this.bot.commandManager.execute(ctx, registered);
   }
 
   /**
@@ -141,7 +174,12 @@ class InteractionManager {
    */
   async _handleAutocomplete(interaction) {
     const handler = this.autocompleteHandlers.get(interaction.commandName);
-    if (!handler) return;
+    if (!handler) {
+      // Fall back to the `autocomplete` functions in the command's args schema
+      const registered = this._registryCommand(interaction.commandName);
+      if (registered) await respondAutocomplete(registered, interaction);
+      return;
+    }
     
     const focused = interaction.options.getFocused(true);
     await handler(interaction, focused);
@@ -154,12 +192,12 @@ class InteractionManager {
    */
   async _handleContextMenu(interaction) {
     const command = this.contextMenus.get(interaction.commandName);
-    if (!command) return;
-
-    const Ctx = require('../ctx');
     const ctx = new Ctx(interaction, this.bot);
-    
-    await command.execute(ctx, interaction);
+    if (command) return await command.execute(ctx, interaction);
+
+    // Context menus registered with bot.contextMenu()
+    const registered = this._registryCommand(interaction.commandName);
+    if (registered) await this.bot.commandManager.execute(ctx, registered);
   }
 
   /**
@@ -221,57 +259,16 @@ class InteractionManager {
   }
 
   /**
-   * Deploy slash commands to Discord
-   * @param {string} token - Bot token
-   * @param {string} clientId - Application client ID
-   * @param {string} guildId - Guild ID (for dev mode, optional)
+   * Deploy slash commands and context menus to Discord. Goes through the bot's slash sync
+   * (see utils/slashSync), so only what changed is created, edited or deleted, and the stored
+   * hash and command IDs stay current. Must be called once the client is ready.
+   * @param {string} [token] - Unused: the bot's client is used. Kept for compatibility.
+   * @param {string} [clientId] - Unused, as above.
+   * @param {string} [guildId] - Guild ID (for dev mode, optional)
+   * @returns {Promise<object>} The sync plan.
    */
   async deployCommands(token, clientId, guildId = null) {
-    const rest = new REST({ version: '10' }).setToken(token);
-
-    const commands = [];
-    
-    // Add slash commands
-    this.slashCommands.forEach(cmd => {
-      commands.push({
-        name: cmd.name,
-        description: cmd.description || 'No description',
-        options: cmd.options || [],
-        default_member_permissions: cmd.defaultMemberPermissions || null,
-        dm_permission: cmd.dmPermission !== false,
-      });
-    });
-
-    // Add context menus
-    this.contextMenus.forEach(menu => {
-      commands.push({
-        name: menu.name,
-        type: menu.type, // 2 for USER, 3 for MESSAGE
-        default_member_permissions: menu.defaultMemberPermissions || null,
-        dm_permission: menu.dmPermission !== false,
-      });
-    });
-
-    try {
-      logger.info(`Deploying ${commands.length} application commands...`);
-
-      if (guildId) {
-        await rest.put(
-          Routes.applicationGuildCommands(clientId, guildId),
-          { body: commands }
-        );
-        logger.success(`✅ Deployed ${commands.length} commands to guild ${guildId}`);
-      } else {
-        await rest.put(
-          Routes.applicationCommands(clientId),
-          { body: commands }
-        );
-        logger.success(`✅ Deployed ${commands.length} global commands`);
-      }
-    } catch (error) {
-      logger.error(`Failed to deploy commands: ${error.message}`);
-      throw error;
-    }
+    return syncCommands(this.bot, { guildId: guildId || null });
   }
 
   /**
@@ -0,0 +1,30 @@
+import { CommandManager } from './managers/CommandManager';
+
+export type CommandMiddleware = (ctx: any, next: () => Promise<any>) => any;
+
+export interface MiddlewareOptions {
+  /** Name used by remove() and for positioning */
+  name?: string;
+  /** Only run for commands in this category */
+  category?: string;
+  /** Only run for commands from this plugin */
+  plugin?: string;
+  /** Insert before the named middleware */
+  before?: string;
+  /** Insert after the named middleware */
+  after?: string;
+  /** Owner (e.g. a plugin name) for removeOwned() */
+  owner?: string;
+}
+
+export interface MiddlewareEntry {
+  name: string | null;
+  fn: CommandMiddleware;
+  category?: string | null;
+  plugin?: string | null;
+  owner?: string | null;
+  builtin?: boolean;
+}
+
+export declare function compose(middleware: CommandMiddleware[]): (ctx: any, final?: (ctx: any, next: () => Promise<any>) => any) => Promise<any>;
+export declare function builtins(manager: CommandManager): Array<{ name: string; fn: CommandMiddleware }>;
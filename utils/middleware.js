@@ -0,0 +1,216 @@
+const { resolveArgs, formatUsage, ArgumentError } = require('./args');
+const stats = require('./stats');
+const prompt = require('./prompt');
+const { contextFrom } = require('./errors');
+
+const OVERRIDE_MESSAGES = {
+  guild: 'framework.disabledGuild',
+  channel: 'framework.disabledChannel',
+  role: 'framework.notAllowed',
+  user: 'framework.notAllowed'
+};
+
+const COOLDOWN_MESSAGES = {
+  channel: 'framework.cooldownChannel',
+  guild: 'framework.cooldownGuild',
+  global: 'framework.cooldownGlobal'
+};
+
+/**
+ * Composes Koa-style middleware into a single function. Each middleware receives
+ * `(ctx, next)`; awaiting `next()` runs the rest of the chain, not calling it
+ * short-circuits, and errors thrown downstream surface from `await next()`.
+ * @param {Array<Function>} middleware - The middleware functions, outermost first.
+ * @returns {function(object, Function=): Promise<*>} Runs the chain, then `final`.
+ */
+function compose(middleware) {
+  return function run(ctx, final) {
+    let index = -1;
+    function dispatch(i) {
+      if (i <= index) return Promise.reject(new Error('next() called multiple times'));
+      index = i;
+      const fn = i === middleware.length ? final : middleware[i];
+      if (!fn) return Promise.resolve();
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    }
+    return dispatch(0);
+  };
+}
+
+/**
+ * Creates the built-in command middleware, in the order they run. Each entry is
+ * `{ name, fn }`; the names can be used to remove a check or to insert middleware
+ * around it (see `CommandManager#use`).
+ * @param {CommandManager} manager - The command manager that owns the hooks and state.
+ * @returns {Array<{ name: string, fn: Function }>}
+ */
+function builtins(manager) {
+  return [
+    {
+      // Command analytics; first, so rate limited and blocked uses are recorded too
+      name: 'stats',
+      async fn(ctx, next) {
+        const started = Date.now();
+        try {
+          return await next();
+        } catch (err) {
+          ctx.outcome = 'error';
+          throw err;
+        } finally {
+          stats.record({
+            command: ctx.command.name,
+            userId: ctx.user.id,
+            guildId: ctx.guild?.id,
+            channelId: ctx.channel?.id,
+            type: ctx.isInteraction ? 'slash' : 'prefix',
+            // Set by the command manager once the command runs or throws
+            outcome: ctx.outcome || 'blocked',
+            latency: Date.now() - started
+          });
+        }
+      }
+    },
+    {
+      // Everything below, hooks included, reports its errors and replies with the error ID
+      name: 'errors',
+      async fn(ctx, next) {
+        try {
+          return await next();
+        } catch (err) {
+          await manager.handleError(err, ctx.command, ctx);
+        }
+      }
+    },
+    {
+      // Bot-wide rate limit (the `rateLimit` bot option), per command
+      name: 'rateLimit',
+      async fn(ctx, next) {
+        const limit = manager.bot.rateLimit;
+        if (limit && manager.checkCooldown(ctx, `rateLimit:${ctx.command.name}`, limit)) {
+          return ctx.reply(ctx.t('framework.rateLimited'));
+        }
+        return next();
+      }
+    },
+    {
+      // Global hooks; beforeCommand returning false stops the command
+      name: 'hooks',
+      async fn(ctx, next) {
+        const cmd = ctx.command;
+        if (manager.beforeCommand && await manager.beforeCommand(cmd, ctx) === false) return;
+        if (manager.onCommandRun) {
+          // A failing listener is reported but doesn't stop the command
+          try {
+            await manager.onCommandRun(cmd, ctx);
+          } catch (err) {
+            manager.bot.errors.report(err, { source: 'hook', ...contextFrom(ctx), name: 'onCommandRun' });
+          }
+        }
+        const result = await next();
+        if (manager.afterCommand) await manager.afterCommand(cmd, ctx);
+        return result;
+      }
+    },
+    {
+      // Persisted per guild/channel/role/user rules (see utils/overrides)
+      name: 'overrides',
+      async fn(ctx, next) {
+        const cmd = ctx.command;
+        if (cmd.overridable === false) return next();
+        const rule = manager.checkOverride(ctx, cmd);
+        if (rule && !rule.allow) return ctx.reply(ctx.t(OVERRIDE_MESSAGES[rule.scope]));
+        return next();
+      }
+    },
+    {
+      name: 'inhibitors',
+      async fn(ctx, next) {
+        const inhibited = await manager.checkInhibitors(ctx.command, ctx);
+        if (typeof inhibited === 'string') return ctx.reply(inhibited);
+        if (inhibited) return;
+        return next();
+      }
+    },
+    {
+      // Per-command before middleware; returning false stops the command
+      name: 'before',
+      async fn(ctx, next) {
+        if (ctx.command.before) {
+          try {
+            if (await ctx.command.before(ctx) === false) return;
+          } catch (err) { /* ignore */ }
+        }
+        return next();
+      }
+    },
+    {
+      name: 'guildOnly',
+      async fn(ctx, next) {
+        if (ctx.command.guildOnly && ctx.isDM) {
+          return ctx.reply(ctx.t('framework.guildOnly'));
+        }
+        return next();
+      }
+    },
+    {
+      name: 'nsfwOnly',
+      async fn(ctx, next) {
+        if (ctx.command.nsfwOnly && !ctx.channel.nsfw) {
+          return ctx.reply(ctx.t('framework.nsfwOnly'));
+        }
+        return next();
+      }
+    },
+    {
+      name: 'devOnly',
+      async fn(ctx, next) {
+        if (ctx.command.devOnly && ctx.user.id !== process.env.BOT_OWNER_ID) {
+          return ctx.reply(ctx.t('framework.devOnly'));
+        }
+        return next();
+      }
+    },
+    {
+      name: 'permissions',
+      async fn(ctx, next) {
+        if (ctx.command.permissions && !ctx.hasPerms(ctx.command.permissions)) {
+          return ctx.reply(ctx.t('framework.missingPermissions'));
+        }
+        return next();
+      }
+    },
+    {
+      // Typed arguments (checked before the cooldown so a typo doesn't cost a use); commands
+      // with `prompt` ask for missing or invalid ones
+      name: 'args',
+      async fn(ctx, next) {
+        try {
+          await resolveArgs(ctx.command, ctx, prompt.createAsker(ctx, ctx.command.prompt));
+        } catch (err) {
+          if (!(err instanceof ArgumentError)) throw err;
+          if (err.cancelled) return;
+          return ctx.reply(ctx.t('framework.usage', { error: err.key ? ctx.t(err.key, err.vars) : err.message, usage: formatUsage(ctx.command, ctx.prefix) }));
+        }
+        return next();
+      }
+    },
+    {
+      name: 'cooldown',
+      async fn(ctx, next) {
+        const cmd = ctx.command;
+        const hit = cmd.cooldown && manager.checkCooldown(ctx, cmd.name, cmd.cooldown);
+        if (hit) {
+          const vars = { command: cmd.name, seconds: Math.ceil(hit.remaining) };
+          return ctx.reply(ctx.t(COOLDOWN_MESSAGES[hit.scope] || 'framework.cooldown', vars));
+        }
+        return next();
+      }
+    }
+  ];
+}
+
+module.exports = { compose, builtins };
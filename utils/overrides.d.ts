@@ -0,0 +1,29 @@
+export type OverrideScope = 'user' | 'role' | 'channel' | 'guild';
+
+export interface OverrideRule {
+  /** Command name, subcommand path (`"config set"`) or `"*"` */
+  command: string;
+  scope: OverrideScope;
+  targetId: string;
+  allow: boolean;
+}
+
+export interface OverrideTarget {
+  guildId: string;
+  /** The channel ID, or several (e.g. a thread and its parent) */
+  channelId?: string | string[];
+  roleIds?: string[];
+  userId?: string;
+}
+
+/** Scopes from the most to the least specific */
+export declare const SCOPES: OverrideScope[];
+
+export declare function commandKeys(commandName: string): string[];
+/** Pass `null` as `allow` to remove the rule */
+export declare function setOverride(guildId: string, command: string, scope: OverrideScope, targetId: string, allow: boolean | null): Promise<void>;
+export declare function getOverrides(guildId: string, command?: string): OverrideRule[];
+export declare function clearOverrides(guildId: string, command?: string): Promise<void>;
+/** The rule that decides whether the command may run, or null if none applies */
+export declare function resolveOverride(target: OverrideTarget, commandName: string): OverrideRule | null;
+export declare function targetFromContext(ctx: any): OverrideTarget | null;
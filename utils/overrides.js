@@ -0,0 +1,149 @@
+const db = require('./db');
+
+/**
+ * Override scopes, from the most to the least specific. A rule in a more specific scope
+ * always wins over a broader one (a user rule beats a role rule, and so on).
+ */
+const SCOPES = ['user', 'role', 'channel', 'guild'];
+
+/**
+ * Checks a scope name.
+ * @private
+ */
+function checkScope(scope) {
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown override scope "${scope}" (expected ${SCOPES.join(', ')})`);
+}
+
+/**
+ * The keys a rule for this command may be stored under, most specific first:
+ * `"config roles add"` -> `["config roles add", "config roles", "config", "*"]`.
+ * @param {string} commandName - The full command name (including subcommands).
+ * @returns {Array<string>}
+ */
+function commandKeys(commandName) {
+  const parts = commandName.split(' ');
+  const keys = [];
+  for (let i = parts.length; i > 0; i--) keys.push(parts.slice(0, i).join(' '));
+  keys.push('*');
+  return keys;
+}
+
+/**
+ * Removes empty objects left behind after deleting a rule.
+ * @private
+ */
+async function prune(guildId, command, scope) {
+  const isEmpty = key => !Object.keys(db.get(key, {})).length;
+  if (scope && isEmpty(`overrides.${guildId}.${command}.${scope}`)) await db.delete(`overrides.${guildId}.${command}.${scope}`);
+  if (isEmpty(`overrides.${guildId}.${command}`)) await db.delete(`overrides.${guildId}.${command}`);
+  if (isEmpty(`overrides.${guildId}`)) await db.delete(`overrides.${guildId}`);
+}
+
+/**
+ * Allows or denies a command for a target and persists the rule.
+ * @param {string} guildId - The guild the rule applies in.
+ * @param {string} command - The command name, a subcommand path (`"config set"`) or `"*"` for all commands.
+ * @param {string} scope - `"guild"`, `"channel"`, `"role"` or `"user"`.
+ * @param {string} targetId - The channel, role or user ID (the guild ID for the guild scope).
+ * @param {boolean|null} allow - true to allow, false to deny, null to remove the rule.
+ * @returns {Promise<void>}
+ */
+async function setOverride(guildId, command, scope, targetId, allow) {
+  checkScope(scope);
+  const key = `overrides.${guildId}.${command}.${scope}.${targetId}`;
+  if (allow === null || allow === undefined) {
+    await db.delete(key);
+    await prune(guildId, command, scope);
+  } else {
+    await db.set(key, !!allow);
+  }
+}
+
+/**
+ * Lists the rules stored for a guild.
+ * @param {string} guildId - The guild ID.
+ * @param {string} [command] - Only list rules for this command key.
+ * @returns {Array<{ command: string, scope: string, targetId: string, allow: boolean }>}
+ */
+function getOverrides(guildId, command) {
+  const guild = db.get(`overrides.${guildId}`, {});
+  const list = [];
+  for (const [name, rules] of Object.entries(guild)) {
+    if (command && name !== command) continue;
+    for (const scope of SCOPES) {
+      for (const [targetId, allow] of Object.entries(rules[scope] || {})) {
+        list.push({ command: name, scope, targetId, allow });
+      }
+    }
+  }
+  return list;
+}
+
+/**
+ * Removes every rule for a guild, or for one command in it.
+ * @param {string} guildId - The guild ID.
+ * @param {string} [command] - Only clear rules for this command key.
+ * @returns {Promise<void>}
+ */
+async function clearOverrides(guildId, command) {
+  if (!command) return db.delete(`overrides.${guildId}`);
+  await db.delete(`overrides.${guildId}.${command}`);
+  await prune(guildId, command, null);
+}
+
+/**
+ * Finds the rule that decides whether a command may run for a target. Scopes are checked
+ * from the most specific (user) to the least (guild); within a scope the most specific
+ * command key wins. When several of the member's roles have a rule, allow wins.
+ * @param {object} target - Who is running the command, and where.
+ * @param {string} target.guildId - The guild ID.
+ * @param {string|Array<string>} [target.channelId] - The channel ID (and e.g. a thread's parent ID).
+ * @param {Array<string>} [target.roleIds] - The member's role IDs.
+ * @param {string} [target.userId] - The user ID.
+ * @param {string} commandName - The full command name.
+ * @returns {{ allow: boolean, scope: string, targetId: string, command: string }|null} The deciding rule, or null if none applies.
+ */
+function resolveOverride(target, commandName) {
+  const guild = target.guildId && db.get(`overrides.${target.guildId}`);
+  if (!guild) return null;
+
+  const ids = {
+    user: [target.userId],
+    role: target.roleIds || [],
+    channel: [].concat(target.channelId),
+    guild: [target.guildId]
+  };
+  const keys = commandKeys(commandName);
+
+  for (const scope of SCOPES) {
+    for (const command of keys) {
+      const rules = guild[command]?.[scope];
+      if (!rules) continue;
+      const matches = ids[scope].filter(id => id && rules[id] !== undefined);
+      if (!matches.length) continue;
+      const allowed = matches.find(id => rules[id] === true);
+      const targetId = allowed || matches[0];
+      return { allow: rules[targetId], scope, targetId, command };
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds a {@link resolveOverride} target from a command context.
+ * @param {Ctx} ctx - The command context.
+ * @returns {object|null} The target, or null outside of guilds.
+ */
+function targetFromContext(ctx) {
+  if (!ctx.guild) return null;
+  const channel = ctx.channel;
+  const roles = ctx.member?.roles;
+  return {
+    guildId: ctx.guild.id,
+    channelId: [channel?.id, channel?.isThread?.() ? channel.parentId : null].filter(Boolean),
+    roleIds: Array.isArray(roles) ? roles : roles?.cache ? [...roles.cache.keys()] : [],
+    userId: ctx.user?.id
+  };
+}
+
+module.exports = { SCOPES, commandKeys, setOverride, getOverrides, clearOverrides, resolveOverride, targetFromContext };
@@ -0,0 +1,24 @@
+/** A stored regular expression prefix */
+export interface StoredRegexPrefix {
+  regex: string;
+  flags?: string;
+}
+
+/** A string, a RegExp, or `'@mention'` for mentions of the bot */
+export type Prefix = string | RegExp;
+export type PrefixInput = Prefix | StoredRegexPrefix | Array<Prefix | StoredRegexPrefix>;
+
+export interface PrefixMatch {
+  /** The matched prefix text */
+  prefix: string;
+  /** The rest of the message */
+  body: string;
+}
+
+/** The prefix entry that matches a mention of the bot */
+export declare const MENTION: '@mention';
+
+export declare function normalize(value: PrefixInput | null | undefined): Prefix[];
+/** Regular expressions become `{ regex, flags }` */
+export declare function serialize(value: PrefixInput): Array<string | StoredRegexPrefix>;
+export declare function match(content: string, prefixes: Prefix[], options?: { botId?: string; caseInsensitive?: boolean }): PrefixMatch | null;
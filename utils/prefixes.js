@@ -0,0 +1,73 @@
+/**
+ * The prefix entry that matches a mention of the bot (`<@id>` or `<@!id>`).
+ */
+const MENTION = '@mention';
+
+/**
+ * Normalizes prefixes into a list of strings and regular expressions. Accepts a string,
+ * a RegExp, a stored regex (`{ regex, flags }`, see {@link serialize}) or an array of those.
+ * @param {string|RegExp|object|Array<string|RegExp|object>|null} value - The prefixes.
+ * @returns {Array<string|RegExp>}
+ * @throws {Error} If an entry is not a string or regular expression.
+ */
+function normalize(value) {
+  if (value === undefined || value === null) return [];
+  return [].concat(value).map(entry => {
+    if (typeof entry === 'string' || entry instanceof RegExp) return entry;
+    if (entry && typeof entry.regex === 'string') return new RegExp(entry.regex, entry.flags || '');
+    throw new Error(`Invalid prefix: ${entry}`);
+  });
+}
+
+/**
+ * Converts prefixes into a JSON-safe form for utils/db (regular expressions become `{ regex, flags }`).
+ * @param {string|RegExp|Array<string|RegExp>} value - The prefixes.
+ * @returns {Array<string|object>}
+ */
+function serialize(value) {
+  return normalize(value).map(entry => entry instanceof RegExp ? { regex: entry.source, flags: entry.flags } : entry);
+}
+
+/**
+ * Matches a message against prefixes. Longer string prefixes are tried first, so `!!`
+ * wins over `!`; regular expressions must match at the start of the message.
+ * @param {string} content - The message content.
+ * @param {Array<string|RegExp>} prefixes - The prefixes (see {@link normalize}).
+ * @param {object} [options] - Matching options.
+ * @param {string} [options.botId] - The bot's user ID, for the {@link MENTION} prefix.
+ * @param {boolean} [options.caseInsensitive=false] - Ignore case when matching.
+ * @returns {{ prefix: string, body: string }|null} The matched prefix text and the rest of
+ *   the message, or null if no prefix matches or nothing follows it.
+ */
+function match(content, prefixes, { botId, caseInsensitive = false } = {}) {
+  const strings = prefixes.filter(p => typeof p === 'string' && p !== MENTION).sort((a, b) => b.length - a.length);
+  const patterns = prefixes.filter(p => p instanceof RegExp);
+  if (botId && prefixes.includes(MENTION)) patterns.unshift(new RegExp(`<@!?${botId}>\\s*`));
+
+  let matched = null;
+  const head = caseInsensitive ? content.toLowerCase() : content;
+  for (const prefix of strings) {
+    if (head.startsWith(caseInsensitive ? prefix.toLowerCase() : prefix)) {
+      matched = content.slice(0, prefix.length);
+      break;
+    }
+  }
+  if (matched === null) {
+    for (const pattern of patterns) {
+      // Sticky, so the pattern has to match at the start
+      let flags = pattern.flags.replace(/[gy]/g, '') + 'y';
+      if (caseInsensitive && !flags.includes('i')) flags += 'i';
+      const result = new RegExp(pattern.source, flags).exec(content);
+      if (result) {
+        matched = result[0];
+        break;
+      }
+    }
+  }
+  if (matched === null) return null;
+
+  const body = content.slice(matched.length).trim();
+  return body ? { prefix: matched, body } : null;
+}
+
+module.exports = { MENTION, normalize, serialize, match };
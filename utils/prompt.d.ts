@@ -0,0 +1,15 @@
+import { ArgumentAsker, ArgumentType } from './args';
+
+export interface PromptOptions {
+  /** Time to answer each question: milliseconds or a duration string (default: 30s) */
+  timeout?: number | string;
+  /** Invalid answers allowed before giving up (default: 3) */
+  retries?: number;
+}
+
+/** Argument types a modal text input can ask for */
+export declare const TEXT_TYPES: ArgumentType[];
+
+export declare function normalize(config: boolean | PromptOptions | null | undefined): { timeout: number; retries: number } | null;
+/** Follow-up messages for prefix commands, a modal for text arguments of slash commands */
+export declare function createAsker(ctx: any, config: boolean | PromptOptions | null | undefined): ArgumentAsker | null;
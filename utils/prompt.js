@@ -0,0 +1,148 @@
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+const { ArgumentError, OPTION_TYPES, coerce } = require('./args');
+const time = require('./time');
+const i18n = require('./i18n');
+
+/** Argument types a modal text input can ask for */
+const TEXT_TYPES = ['string', 'integer', 'number', 'duration'];
+
+/**
+ * Normalizes a command's `prompt` option: `true` or `{ timeout, retries }`, where `timeout`
+ * is milliseconds or a duration string.
+ * @param {boolean|object} config - The `prompt` option.
+ * @returns {{ timeout: number, retries: number }|null} The options, or null if prompting is off.
+ */
+function normalize(config) {
+  if (!config) return null;
+  const options = typeof config === 'object' ? config : {};
+  const timeout = typeof options.timeout === 'string' ? time.parseDuration(options.timeout) : options.timeout;
+  return { timeout: timeout || 30000, retries: options.retries ?? 3 };
+}
+
+/**
+ * The error message for an answer that is not a valid value.
+ * @private
+ */
+function invalid(arg, value) {
+  const vars = { name: arg.name, type: arg.type || 'string', value };
+  return new ArgumentError(i18n.t(i18n.getDefaultLocale(), 'args.invalid', vars), arg, 'args.invalid', vars);
+}
+
+/**
+ * The question for an argument: its `prompt`, or a generic one.
+ * @private
+ */
+function question(arg, ctx) {
+  if (typeof arg.prompt === 'function') return arg.prompt(ctx);
+  if (typeof arg.prompt === 'string') return arg.prompt;
+  return ctx.t('prompt.question', { name: arg.name, type: arg.type || 'string', description: arg.description || '' }).trim();
+}
+
+/**
+ * Converts an answer message into an option.
+ * @private
+ */
+async function fromMessage(arg, message, ctx) {
+  if (arg.type === 'attachment') {
+    const attachment = message.attachments?.first();
+    if (!attachment) throw invalid(arg, message.content);
+    return { name: arg.name, type: OPTION_TYPES.attachment, value: attachment.id, attachment };
+  }
+  const content = message.content.trim();
+  const option = await coerce(arg, content, ctx);
+  if (!option) throw invalid(arg, content);
+  return option;
+}
+
+/**
+ * Asks for an argument in the channel until the answer is valid, the user types "cancel",
+ * the time runs out or there have been too many invalid answers.
+ * @private
+ */
+async function askInChannel(arg, error, ctx, options) {
+  const cancelWords = ['cancel', ctx.t('prompt.cancelWord').toLowerCase()];
+  let problem = error;
+  for (let attempt = 0; attempt < options.retries; attempt++) {
+    await ctx.reply(ctx.t('prompt.ask', {
+      error: problem.key ? ctx.t(problem.key, problem.vars) : problem.message,
+      question: question(arg, ctx),
+      cancel: ctx.t('prompt.cancelWord'),
+      seconds: Math.round(options.timeout / 1000)
+    }));
+    const answer = await ctx.awaitMessage(m => m.author.id === ctx.user.id, { time: options.timeout });
+    if (!answer) {
+      await ctx.reply(ctx.t('prompt.timeout'));
+      return null;
+    }
+    if (cancelWords.includes(answer.content.trim().toLowerCase())) {
+      await ctx.reply(ctx.t('prompt.cancelled'));
+      return null;
+    }
+    try {
+      return await fromMessage(arg, answer, ctx);
+    } catch (err) {
+      if (!(err instanceof ArgumentError)) throw err;
+      problem = err;
+    }
+  }
+  await ctx.reply(ctx.t('prompt.tooManyAttempts'));
+  return null;
+}
+
+/**
+ * Asks for a text argument of a slash command with a modal. An interaction can only show one
+ * modal, so this works for the first invalid argument; after it, replies go to the modal
+ * submission.
+ * @private
+ */
+async function askWithModal(arg, error, ctx, options) {
+  const type = arg.type || 'string';
+  if (!TEXT_TYPES.includes(type) || !ctx.raw.showModal || ctx.raw.replied || ctx.raw.deferred) throw error;
+
+  const input = new TextInputBuilder()
+    .setCustomId(arg.name)
+    .setLabel(question(arg, ctx).slice(0, 45))
+    .setStyle(type === 'string' && (arg.rest || arg.maxLength > 100) ? TextInputStyle.Paragraph : TextInputStyle.Short)
+    .setRequired(true);
+  if (arg.minLength !== undefined) input.setMinLength(arg.minLength);
+  if (arg.maxLength !== undefined) input.setMaxLength(arg.maxLength);
+  const errorText = error.key ? ctx.t(error.key, error.vars) : error.message;
+  input.setPlaceholder(errorText.slice(0, 100));
+
+  const modal = new ModalBuilder()
+    .setCustomId(`prompt_${arg.name}_${Date.now()}`)
+    .setTitle(ctx.t('prompt.modalTitle', { command: ctx.command?.name || '' }).slice(0, 45))
+    .addComponents(new ActionRowBuilder().addComponents(input));
+  await ctx.raw.showModal(modal);
+
+  const submitted = await ctx.raw.awaitModalSubmit({
+    filter: i => i.customId === modal.data.custom_id && i.user.id === ctx.user.id,
+    time: options.timeout
+  }).catch(() => null);
+  // Nothing can be sent after an unanswered modal
+  if (!submitted) return null;
+
+  // The original interaction was answered with the modal, so respond to the submission
+  ctx.raw = submitted;
+  const value = submitted.fields.getTextInputValue(arg.name).trim();
+  const option = await coerce(arg, value, ctx);
+  if (!option) throw invalid(arg, value);
+  return option;
+}
+
+/**
+ * Creates the function that asks for missing or invalid arguments (see `resolveArgs`):
+ * follow-up messages for prefix commands, a modal for text arguments of slash commands.
+ * @param {Ctx} ctx - The command context.
+ * @param {boolean|object} config - The command's `prompt` option (`true` or `{ timeout, retries }`).
+ * @returns {Function|null} The asker, or null if prompting is off.
+ */
+function createAsker(ctx, config) {
+  const options = normalize(config);
+  if (!options) return null;
+  return (arg, error) => ctx.isInteraction
+    ? askWithModal(arg, error, ctx, options)
+    : askInChannel(arg, error, ctx, options);
+}
+
+module.exports = { TEXT_TYPES, normalize, createAsker };
@@ -1,11 +1,8 @@
-/**
- * A simple in-memory rate limiter.
- * @type {object}
- */
-const limits = {};
+const { store } = require('./cooldowns');
 
 /**
- * Checks if a user is rate-limited for a specific action.
+ * Checks if a user is rate-limited for a specific action. Uses the shared cooldown buckets
+ * (see utils/cooldowns): up to `max` actions at once, refilling one every `windowMs / max`.
  * @param {string} userId - The ID of the user.
  * @param {string} key - The key for the action being rate-limited.
  * @param {number} [max=5] - The maximum number of actions allowed within the window.
@@ -13,13 +10,7 @@ const limits = {};
  * @returns {boolean} Whether the user is allowed to perform the action.
  */
 function check(userId, key, max = 5, windowMs = 5000) {
-  const now = Date.now();
-  if (!limits[userId]) limits[userId] = {};
-  if (!limits[userId][key]) limits[userId][key] = [];
-  limits[userId][key] = limits[userId][key].filter(ts => now - ts < windowMs);
-  if (limits[userId][key].length >= max) return false;
-  limits[userId][key].push(now);
-  return true;
+  return store.take(`rateLimit:${key}:user:${userId}`, { burst: max, refill: windowMs / max }) === 0;
 }
 
 module.exports = { check };
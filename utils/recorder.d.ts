@@ -0,0 +1,58 @@
+import { Bot } from '../Bot';
+
+export interface RecordOptions {
+  /** True to keep what users wrote: message content, embeds, attachment URLs, typed option values and modal fields (default: false, redacted) */
+  content?: boolean;
+  /** The dispatch types to keep (default: all) */
+  events?: string[] | null;
+  /** Add to an existing file (default: false) */
+  append?: boolean;
+}
+
+export interface RecordingHeader {
+  type: 'header';
+  version: number;
+  startedAt: string;
+  user: { id: string; username: string } | null;
+  content: boolean;
+}
+
+export interface RecordedEvent {
+  /** Milliseconds since the recording started */
+  at: number;
+  shard: number;
+  t: string;
+  d: any;
+}
+
+export interface Recording {
+  header: RecordingHeader | null;
+  events: RecordedEvent[];
+}
+
+/** Version of the recording format */
+export declare const FORMAT_VERSION: number;
+/** What secrets and redacted content are replaced with */
+export declare const REDACTED: string;
+
+/** Replaces secrets (interaction tokens, session IDs, bot tokens) in a value, deeply */
+export declare function redactSecrets<T>(value: T): T;
+/** Redacts a gateway dispatch for a recording */
+export declare function redact(packet: { t: string; d: any }, options?: { content?: boolean }): { t: string; d: any };
+/** Reads a JSONL recording */
+export declare function readRecording(file: string): Recording;
+
+/** Writes the gateway dispatches the bot receives to a JSONL file */
+export declare class GatewayRecorder {
+  bot: Bot;
+  file: string;
+  options: Required<RecordOptions>;
+  /** Dispatches written so far */
+  count: number;
+  startedAt: number | null;
+  constructor(bot: Bot, file: string, options?: RecordOptions);
+  start(): this;
+  /** Writes one dispatch, if it is kept */
+  record(packet: any, shard?: number): void;
+  stop(): Promise<void>;
+}
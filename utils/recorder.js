@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/** Version of the recording format, written in the header line. */
+const FORMAT_VERSION = 1;
+
+/** What secrets and redacted content are replaced with. */
+const REDACTED = '[redacted]';
+
+/** Fields that hold secrets, wherever they appear. */
+const SECRET_KEYS = ['token', 'session_id', 'resume_gateway_url'];
+
+/** Bot tokens that end up in text (three base64 parts). */
+const TOKEN_PATTERN = /(?<![\w-])[\w-]{23,}\.[\w-]{6,}\.[\w-]{27,}/g;
+
+/** Events carrying messages, whose content is redacted unless `content: true`. */
+const MESSAGE_EVENTS = ['MESSAGE_CREATE', 'MESSAGE_UPDATE'];
+
+/**
+ * Replaces secrets (interaction tokens, session IDs and anything that looks like a bot token)
+ * in a value, deeply, without changing the original.
+ * @param {*} value - A gateway payload or part of one.
+ * @returns {*}
+ */
+function redactSecrets(value) {
+  if (typeof value === 'string') return value.replace(TOKEN_PATTERN, REDACTED);
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEYS.includes(key) && typeof item === 'string' ? REDACTED : redactSecrets(item);
+  }
+  return result;
+}
+
+/**
+ * Replaces what users wrote in a message: its content, embeds and attachment URLs, also in
+ * the message it replies to.
+ * @private
+ */
+function redactMessage(message) {
+  if (!message || typeof message !== 'object') return message;
+  return {
+    ...message,
+    ...(message.content ? { content: REDACTED } : {}),
+    ...(message.embeds ? { embeds: [] } : {}),
+    ...(message.attachments ? { attachments: message.attachments.map(a => ({ ...a, url: REDACTED, proxy_url: REDACTED })) } : {}),
+    ...(message.referenced_message ? { referenced_message: redactMessage(message.referenced_message) } : {})
+  };
+}
+
+/**
+ * Replaces what users typed in an interaction: string option values and modal fields.
+ * @private
+ */
+function redactInputs(items) {
+  return (items || []).map(item => ({
+    ...item,
+    ...(typeof item.value === 'string' ? { value: REDACTED } : {}),
+    ...(item.options ? { options: redactInputs(item.options) } : {}),
+    ...(item.components ? { components: redactInputs(item.components) } : {}),
+    ...(item.component ? { component: redactInputs([item.component])[0] } : {})
+  }));
+}
+
+/**
+ * Redacts a gateway dispatch for a recording.
+ * @param {{ t: string, d: object }} packet - The dispatch.
+ * @param {object} [options] - `{ content }`: true keeps what users wrote (message content,
+ *   embeds and attachment URLs, typed option values and modal fields), which is otherwise replaced.
+ * @returns {{ t: string, d: object }}
+ */
+function redact(packet, options = {}) {
+  let d = redactSecrets(packet.d);
+  if (options.content !== true && d) {
+    if (MESSAGE_EVENTS.includes(packet.t)) d = redactMessage(d);
+    if (packet.t === 'INTERACTION_CREATE') {
+      d = {
+        ...d,
+        ...(d.message ? { message: redactMessage(d.message) } : {}),
+        data: { ...d.data, ...(d.data?.options ? { options: redactInputs(d.data.options) } : {}), ...(d.data?.components ? { components: redactInputs(d.data.components) } : {}) }
+      };
+    }
+  }
+  return { t: packet.t, d };
+}
+
+/**
+ * Writes the gateway dispatches the bot receives to a JSONL file: a header line, then one
+ * `{ at, shard, t, d }` line per dispatch, `at` being milliseconds since the recording
+ * started. Secrets are always redacted, and so is what users wrote unless `content: true`.
+ */
+class GatewayRecorder {
+  /**
+   * @param {Bot} bot - The bot.
+   * @param {string} file - The JSONL file; its directory is created if needed.
+   * @param {object} [options] - `{ content, events, append }`: true to keep what users wrote
+   *   (default: false, redacted), the dispatch types to keep (default: all) and whether to add
+   *   to an existing file (default: false).
+   */
+  constructor(bot, file, options = {}) {
+    this.bot = bot;
+    this.file = path.resolve(process.cwd(), file);
+    this.options = { content: options.content === true, events: options.events || null, append: !!options.append };
+    /** Dispatches written so far */
+    this.count = 0;
+    this.startedAt = null;
+    this._stream = null;
+    this._listener = null;
+  }
+
+  /**
+   * Starts recording.
+   * @returns {GatewayRecorder}
+   */
+  start() {
+    if (this._stream) return this;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this._stream = fs.createWriteStream(this.file, { flags: this.options.append ? 'a' : 'w' });
+    this._stream.on('error', err => logger.error(`Gateway recording to ${this.file} failed:`, err));
+    this.startedAt = Date.now();
+    const user = this.bot.client.user;
+    this._write({
+      type: 'header',
+      version: FORMAT_VERSION,
+      startedAt: new Date(this.startedAt).toISOString(),
+      user: user ? { id: user.id, username: user.username } : null,
+      content: this.options.content
+    });
+    this._listener = this.bot.eventManager.listen('raw', (packet, shard) => this.record(packet, shard));
+    logger.info(`⏺️ Recording gateway events to ${path.relative(process.cwd(), this.file) || this.file}`);
+    return this;
+  }
+
+  /**
+   * Writes one dispatch, if it is kept.
+   * @param {object} packet - The raw gateway packet.
+   * @param {number} [shard] - The shard it came from.
+   */
+  record(packet, shard = 0) {
+    if (!this._stream || packet?.op !== 0 || !packet.t) return;
+    if (this.options.events && !this.options.events.includes(packet.t)) return;
+    const { t, d } = redact(packet, { content: this.options.content });
+    this._write({ at: Date.now() - this.startedAt, shard, t, d });
+    this.count++;
+  }
+
+  /**
+   * Stops recording and closes the file.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this._stream) return Promise.resolve();
+    this.bot.eventManager.unlisten(this._listener);
+    this._listener = null;
+    const stream = this._stream;
+    this._stream = null;
+    logger.info(`⏹️ Recorded ${this.count} gateway event(s) to ${path.relative(process.cwd(), this.file) || this.file}`);
+    return new Promise(resolve => stream.end(resolve));
+  }
+
+  /** @private */
+  _write(line) {
+    this._stream.write(`${JSON.stringify(line)}\n`);
+  }
+}
+
+/**
+ * Reads a recording.
+ * @param {string} file - The JSONL file.
+ * @returns {{ header: object|null, events: Array<{ at: number, shard: number, t: string, d: object }> }}
+ */
+function readRecording(file) {
+  const lines = fs.readFileSync(path.resolve(process.cwd(), file), 'utf8').split('\n');
+  let header = null;
+  const events = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid recording ${file}, line ${index + 1}: ${err.message}`);
+    }
+    if (entry.type === 'header') header ||= entry;
+    else if (entry.t) events.push(entry);
+  });
+  return { header, events };
+}
+
+module.exports = { GatewayRecorder, redact, redactSecrets, readRecording, REDACTED, FORMAT_VERSION };
@@ -23,6 +23,11 @@ export declare const scheduler: {
    * Clear all scheduled tasks
    */
   clear(): void;
+
+  /**
+   * Stop every job started with every() or cron()
+   */
+  stopAll(): void;
 };
 
 export default scheduler;
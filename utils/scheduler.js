@@ -39,6 +39,7 @@ function stopAll() {
     if (j.type === 'interval') clearInterval(j.id);
     if (j.type === 'cron') j.job.stop();
   });
+  jobs.length = 0;
 }
 
 /**
@@ -0,0 +1,21 @@
+import { Client } from 'discord.js';
+import { AnalyticsFilter, AnalyticsSummary } from './stats';
+
+export interface ShardCounts {
+  guilds: number;
+  /** Sum of member counts, so users in several guilds are counted more than once */
+  users: number;
+  shards: number;
+}
+
+export interface ShardedStats extends AnalyticsSummary {
+  topCommands: Array<{ command: string; count: number }>;
+  shards: number;
+}
+
+export type Broadcast = <T>(fn: (client: Client, context: any) => T | Promise<T>, options?: { context?: any; shard?: number }) => Promise<T[]>;
+
+export declare function isPrimaryShard(client: Client): boolean;
+export declare function broadcastEval<T>(client: Client, fn: (client: Client, context: any) => T | Promise<T>, options?: { context?: any; shard?: number }): Promise<T[]>;
+export declare function fetchCounts(broadcast: Broadcast): Promise<ShardCounts>;
+export declare function fetchStats(broadcast: Broadcast, filter?: AnalyticsFilter & { limit?: number }): Promise<ShardedStats>;
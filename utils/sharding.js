@@ -0,0 +1,78 @@
+const stats = require('./stats');
+
+/** Absolute path of utils/stats, so shards can require it from a broadcastEval. */
+const STATS_PATH = require.resolve('./stats');
+
+/**
+ * Whether this client runs shard 0 (or is not sharded). Work that must happen once per bot,
+ * such as slash command sync and scheduled jobs, only runs there.
+ * @param {Client} client - The discord.js client.
+ * @returns {boolean}
+ */
+function isPrimaryShard(client) {
+  return !client.shard || client.shard.ids.includes(0);
+}
+
+/**
+ * Runs a function on every shard, or on the client itself when it is not sharded.
+ * @param {Client} client - The discord.js client.
+ * @param {Function} fn - `(client, context) => value`; serialized to the shards, so it can only
+ *   use what it is passed in `options.context`.
+ * @param {object} [options] - `{ context, shard }`, as for `ShardClientUtil#broadcastEval`.
+ * @returns {Promise<Array<*>>} One result per shard.
+ */
+async function broadcastEval(client, fn, options = {}) {
+  if (client.shard) return client.shard.broadcastEval(fn, options);
+  return [await fn(client, options.context)];
+}
+
+/**
+ * Adds up the guild and member counts of every shard.
+ * @param {Function} broadcast - `(fn, options) => Promise<Array>`, e.g. `ShardingManager#broadcastEval`.
+ * @returns {Promise<{ guilds: number, users: number, shards: number }>}
+ */
+async function fetchCounts(broadcast) {
+  const results = await broadcast(c => ({
+    guilds: c.guilds.cache.size,
+    users: c.guilds.cache.reduce((n, guild) => n + (guild.memberCount || 0), 0)
+  }));
+  return results.reduce(
+    (total, r) => ({ ...total, guilds: total.guilds + r.guilds, users: total.users + r.users }),
+    { guilds: 0, users: 0, shards: results.length }
+  );
+}
+
+/**
+ * Adds up the command analytics of every shard (see utils/stats).
+ * @param {Function} broadcast - `(fn, options) => Promise<Array>`, e.g. `ShardingManager#broadcastEval`.
+ * @param {object} [filter] - `{ guildId, command, since, until, granularity, limit }`.
+ * @returns {Promise<object>} The summary, with `topCommands` and the number of `shards`.
+ */
+async function fetchStats(broadcast, filter = {}) {
+  // The filter is sent as JSON, so send Dates as timestamps
+  const context = { path: STATS_PATH, filter: { ...filter } };
+  for (const key of ['since', 'until']) {
+    if (filter[key] instanceof Date) context.filter[key] = filter[key].getTime();
+  }
+  const results = await broadcast((c, { path, filter }) => {
+    const shardStats = require(path);
+    return { rollup: shardStats.rollup(filter), top: shardStats.topCommands({ ...filter, limit: Infinity }) };
+  }, { context });
+
+  const counts = new Map();
+  for (const { top } of results) {
+    for (const { command, count } of top) counts.set(command, (counts.get(command) || 0) + count);
+  }
+  const topCommands = [...counts]
+    .map(([command, count]) => ({ command, count }))
+    .sort((a, b) => b.count - a.count || a.command.localeCompare(b.command))
+    .slice(0, filter.limit ?? 10);
+
+  return {
+    ...stats.summarize(stats.mergeRollups(results.map(r => r.rollup))),
+    topCommands,
+    shards: results.length
+  };
+}
+
+module.exports = { isPrimaryShard, broadcastEval, fetchCounts, fetchStats };
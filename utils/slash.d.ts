@@ -0,0 +1,8 @@
+import { AutocompleteInteraction } from 'discord.js';
+import { Command } from '../Bot';
+import { CommandArgument } from './args';
+
+export declare function toSlashJSON(cmd: Command): Record<string, any>;
+/** `key` is the command's i18n key (e.g. `commands.ping`) used for catalog localizations */
+export declare function buildOptions(args?: CommandArgument[], path?: string, key?: string | null): Array<Record<string, any>>;
+export declare function respondAutocomplete(cmd: Command, interaction: AutocompleteInteraction): Promise<void>;
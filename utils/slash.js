@@ -0,0 +1,302 @@
+const { PermissionsBitField } = require('discord.js');
+const { OPTION_TYPES } = require('./args');
+const { isGroup } = require('./subcommands');
+const i18n = require('./i18n');
+const time = require('./time');
+
+const NAME_PATTERN = /^[-_\p{L}\p{N}\p{sc=Deva}\p{sc=Thai}]{1,32}$/u;
+const NUMERIC_TYPES = ['integer', 'number'];
+const CHOICE_TYPES = ['string', 'integer', 'number', 'duration'];
+const MAX_OPTIONS = 25;
+const MAX_CHOICES = 25;
+
+/**
+ * Throws a schema error that names the offending command and option.
+ * @private
+ */
+function fail(path, message) {
+  throw new Error(`Invalid slash command schema at "${path}": ${message}`);
+}
+
+/**
+ * Validates a command or option name against Discord's naming rules.
+ * @private
+ */
+function checkName(path, name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    fail(path, `name "${name}" must be 1-32 characters of letters, numbers, "-" or "_"`);
+  }
+  if (name !== name.toLowerCase()) fail(path, `name "${name}" must be lowercase`);
+}
+
+/**
+ * Validates a description against Discord's length limits.
+ * @private
+ */
+function checkDescription(path, description) {
+  if (typeof description !== 'string' || description.length < 1 || description.length > 100) {
+    fail(path, 'description must be 1-100 characters');
+  }
+}
+
+/**
+ * Validates a localization map (`{ 'de': '...', 'es-ES': '...' }`).
+ * @private
+ */
+function checkLocalizations(path, map, check) {
+  if (map === undefined) return;
+  if (typeof map !== 'object' || map === null) fail(path, 'localizations must be an object of locale => string');
+  for (const [locale, value] of Object.entries(map)) check(`${path}[${locale}]`, value);
+}
+
+/**
+ * Merges the localizations found in the i18n catalogs under `key` with the explicit ones
+ * (which win) and validates the result.
+ * @private
+ */
+function localize(path, explicit, key, check) {
+  checkLocalizations(path, explicit, check);
+  const fromCatalogs = key ? i18n.localizations(key) : {};
+  checkLocalizations(path, fromCatalogs, check);
+  const map = { ...fromCatalogs, ...explicit };
+  return Object.keys(map).length ? map : undefined;
+}
+
+/**
+ * Validates a choice name.
+ * @private
+ */
+function checkChoiceName(path, name) {
+  if (typeof name !== 'string' || name.length < 1 || name.length > 100) fail(path, 'choice names must be 1-100 characters');
+}
+
+/**
+ * Converts `choices` into Discord's `{ name, value }` form.
+ * @private
+ */
+function buildChoices(path, arg, type, key) {
+  if (arg.choices.length > MAX_CHOICES) fail(path, `at most ${MAX_CHOICES} choices are allowed`);
+  return arg.choices.map(choice => {
+    const c = typeof choice === 'object' ? choice : { name: String(choice), value: choice };
+    const expected = NUMERIC_TYPES.includes(type) ? 'number' : 'string';
+    if (typeof c.value !== expected) fail(path, `choice "${c.name}" must have a ${expected} value`);
+    checkChoiceName(path, c.name);
+    const out = { name: c.name, value: c.value };
+    const nameLocalizations = localize(path, c.nameLocalizations, key && `${key}.choices.${c.value}`, checkChoiceName);
+    if (nameLocalizations) out.name_localizations = nameLocalizations;
+    return out;
+  });
+}
+
+/**
+ * Converts one args schema entry into a Discord application command option.
+ * @private
+ */
+function buildOption(parent, arg, parentKey) {
+  const path = `${parent}.${arg.name}`;
+  const key = parentKey && `${parentKey}.args.${arg.name}`;
+  const type = arg.type || 'string';
+  checkName(path, arg.name);
+  if (!(type in OPTION_TYPES)) fail(path, `unknown type "${type}"`);
+
+  const option = {
+    type: OPTION_TYPES[type],
+    name: arg.name,
+    description: arg.description || arg.name,
+    required: !!arg.required
+  };
+  checkDescription(path, option.description);
+
+  const nameLocalizations = localize(path, arg.nameLocalizations, key && `${key}.name`, checkName);
+  const descriptionLocalizations = localize(path, arg.descriptionLocalizations, key && `${key}.description`, checkDescription);
+  if (nameLocalizations) option.name_localizations = nameLocalizations;
+  if (descriptionLocalizations) option.description_localizations = descriptionLocalizations;
+
+  if (arg.choices !== undefined) {
+    if (!CHOICE_TYPES.includes(type)) fail(path, `choices are not supported for "${type}" options`);
+    if (arg.autocomplete) fail(path, 'choices and autocomplete cannot be combined');
+    option.choices = buildChoices(path, arg, type, key);
+  }
+
+  if (arg.autocomplete) {
+    if (!CHOICE_TYPES.includes(type)) fail(path, `autocomplete is not supported for "${type}" options`);
+    option.autocomplete = true;
+  }
+
+  if (arg.minValue !== undefined || arg.maxValue !== undefined) {
+    if (!NUMERIC_TYPES.includes(type)) fail(path, 'minValue/maxValue are only valid for integer and number options');
+    if (arg.minValue !== undefined) option.min_value = arg.minValue;
+    if (arg.maxValue !== undefined) option.max_value = arg.maxValue;
+    if (option.min_value > option.max_value) fail(path, 'minValue must not be greater than maxValue');
+  }
+
+  if (arg.minLength !== undefined || arg.maxLength !== undefined) {
+    if (type !== 'string') fail(path, 'minLength/maxLength are only valid for string options');
+    for (const key of ['minLength', 'maxLength']) {
+      const n = arg[key];
+      if (n !== undefined && (!Number.isInteger(n) || n < 0 || n > 6000)) fail(path, `${key} must be an integer between 0 and 6000`);
+    }
+    if (arg.minLength !== undefined) option.min_length = arg.minLength;
+    if (arg.maxLength !== undefined) option.max_length = arg.maxLength;
+    if (option.min_length > option.max_length) fail(path, 'minLength must not be greater than maxLength');
+  }
+
+  if (arg.channelTypes !== undefined) {
+    if (type !== 'channel') fail(path, 'channelTypes is only valid for channel options');
+    if (!Array.isArray(arg.channelTypes)) fail(path, 'channelTypes must be an array of channel types');
+    option.channel_types = arg.channelTypes;
+  }
+
+  if (arg.unit !== undefined) {
+    if (type !== 'duration') fail(path, 'unit is only valid for duration options');
+    if (time.parseDuration(`1${arg.unit}`) === null) fail(path, `unknown unit "${arg.unit}"`);
+  }
+
+  return option;
+}
+
+/**
+ * Converts an args schema into Discord application command options.
+ * @param {Array<object>} [args=[]] - The args schema.
+ * @param {string} [path='command'] - Used in error messages.
+ * @param {string} [key] - The i18n key of the command (e.g. "commands.ping"); localizations
+ *   are read from `<key>.args.<name>.name` and `.description`.
+ * @returns {Array<object>} The options payload.
+ * @throws {Error} If the schema is invalid.
+ */
+function buildOptions(args = [], path = 'command', key = null) {
+  if (!Array.isArray(args)) fail(path, 'args must be an array');
+  if (args.length > MAX_OPTIONS) fail(path, `at most ${MAX_OPTIONS} options are allowed`);
+
+  const seen = new Set();
+  let optionalSeen = false;
+  return args.map(arg => {
+    if (seen.has(arg.name)) fail(path, `duplicate option "${arg.name}"`);
+    seen.add(arg.name);
+    if (arg.required && optionalSeen) fail(`${path}.${arg.name}`, 'required options must come before optional ones');
+    if (!arg.required) optionalSeen = true;
+    return buildOption(path, arg, key);
+  });
+}
+
+/**
+ * Converts a subcommand (or subcommand group) definition into a type 1/2 option.
+ * @private
+ */
+function buildSubcommand(parent, entry, parentKey, depth = 0) {
+  const path = `${parent}.${entry.name}`;
+  const key = `${parentKey}.subcommands.${entry.name}`;
+  checkName(path, entry.name);
+  const description = entry.description || 'No description';
+  checkDescription(path, description);
+
+  const option = { name: entry.name, description };
+  const nameLocalizations = localize(path, entry.nameLocalizations, `${key}.name`, checkName);
+  const descriptionLocalizations = localize(path, entry.descriptionLocalizations, `${key}.description`, checkDescription);
+  if (nameLocalizations) option.name_localizations = nameLocalizations;
+  if (descriptionLocalizations) option.description_localizations = descriptionLocalizations;
+
+  if (isGroup(entry)) {
+    if (depth > 0) fail(path, 'subcommand groups cannot be nested');
+    if (!entry.subcommands.length || entry.subcommands.length > MAX_OPTIONS) fail(path, `groups must have 1-${MAX_OPTIONS} subcommands`);
+    option.type = 2;
+    option.options = entry.subcommands.map(sub => {
+      if (isGroup(sub)) fail(`${path}.${sub.name}`, 'subcommand groups cannot be nested');
+      return buildSubcommand(path, sub, key, depth + 1);
+    });
+    return option;
+  }
+
+  if (typeof entry.run !== 'function') fail(path, 'subcommands must have a run function');
+  option.type = 1;
+  option.options = entry.options || buildOptions(entry.args, path, key);
+  return option;
+}
+
+/**
+ * Resolves the `default_member_permissions` bitfield for a command.
+ * @private
+ */
+function memberPermissions(path, cmd) {
+  const perms = cmd.defaultMemberPermissions !== undefined ? cmd.defaultMemberPermissions : cmd.permissions;
+  if (perms === undefined || perms === null) return null;
+  try {
+    return PermissionsBitField.resolve(perms).toString();
+  } catch (err) {
+    fail(path, `invalid permissions: ${err.message}`);
+  }
+}
+
+/**
+ * Builds and validates the application command payload for a slash command. Raw Discord
+ * `options` on the command take precedence; otherwise they are derived from `subcommands`
+ * or the `args` schema.
+ *
+ * Supported command keys: `name`, `description`, `nameLocalizations`, `descriptionLocalizations`,
+ * `permissions` / `defaultMemberPermissions`, `dmPermission` (defaults to `!guildOnly`) and `nsfwOnly`.
+ * Localizations are also read from the i18n catalogs under `commands.<name>` (`name`, `description`,
+ * `args.<arg>.*`, `args.<arg>.choices.<value>`, `subcommands.<sub>.*`); explicit ones win.
+ *
+ * @param {object} cmd - The command object.
+ * @returns {object} The payload to send to Discord.
+ * @throws {Error} If the schema is invalid.
+ */
+function toSlashJSON(cmd) {
+  const path = cmd.name;
+  const key = `commands.${cmd.name}`;
+  checkName(path, cmd.name);
+  const description = cmd.description || 'No description';
+  checkDescription(path, description);
+  const nameLocalizations = localize(path, cmd.nameLocalizations, `${key}.name`, checkName);
+  const descriptionLocalizations = localize(path, cmd.descriptionLocalizations, `${key}.description`, checkDescription);
+
+  let options = cmd.options;
+  if (!options) {
+    const hasSubcommands = Array.isArray(cmd.subcommands) && cmd.subcommands.length;
+    if (hasSubcommands && cmd.args && cmd.args.length) fail(path, 'a command cannot have both subcommands and args');
+    if (hasSubcommands && cmd.subcommands.length > MAX_OPTIONS) fail(path, `at most ${MAX_OPTIONS} subcommands are allowed`);
+    options = hasSubcommands
+      ? cmd.subcommands.map(entry => buildSubcommand(path, entry, key))
+      : buildOptions(cmd.args, path, key);
+  }
+
+  const payload = {
+    name: cmd.name,
+    description,
+    options,
+    default_member_permissions: memberPermissions(path, cmd),
+    dm_permission: cmd.dmPermission !== undefined ? !!cmd.dmPermission : !cmd.guildOnly
+  };
+  if (nameLocalizations) payload.name_localizations = nameLocalizations;
+  if (descriptionLocalizations) payload.description_localizations = descriptionLocalizations;
+  if (cmd.nsfwOnly) payload.nsfw = true;
+  return payload;
+}
+
+/**
+ * Answers an autocomplete interaction using the focused arg's `autocomplete` function.
+ * The function receives the typed value and the interaction, and returns choices as
+ * strings, numbers or `{ name, value }` objects (at most 25 are sent).
+ * @param {object} cmd - The top-level command.
+ * @param {import('discord.js').AutocompleteInteraction} interaction - The interaction.
+ * @returns {Promise<void>}
+ */
+async function respondAutocomplete(cmd, interaction) {
+  const groupName = interaction.options.getSubcommandGroup(false);
+  const subName = interaction.options.getSubcommand(false);
+  let entry = cmd;
+  for (const name of [groupName, subName]) {
+    if (name && entry) entry = (entry.subcommands || []).find(e => e.name === name);
+  }
+
+  const focused = interaction.options.getFocused(true);
+  const arg = entry?.args?.find(a => a.name === focused.name);
+  if (!arg || typeof arg.autocomplete !== 'function') return interaction.respond([]);
+
+  const results = (await arg.autocomplete(focused.value, interaction)) || [];
+  await interaction.respond(results.slice(0, MAX_CHOICES).map(choice =>
+    typeof choice === 'object' ? choice : { name: String(choice), value: choice }
+  ));
+}
+
+module.exports = { toSlashJSON, buildOptions, respondAutocomplete };
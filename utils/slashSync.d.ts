@@ -0,0 +1,25 @@
+import { ApplicationCommand } from 'discord.js';
+import { Bot, Command } from '../Bot';
+
+export interface SyncOptions {
+  /** Sync to a guild instead of globally. */
+  guildId?: string | null;
+  /** Log and return the plan without applying it. */
+  dryRun?: boolean;
+  /** Ignore the persisted hash and always diff. */
+  force?: boolean;
+}
+
+export interface SyncPlan {
+  added: Array<Record<string, any>>;
+  changed: Array<{ id: string; payload: Record<string, any> }>;
+  removed: Array<{ id: string; name: string }>;
+  unchanged: Array<{ id: string; payload: Record<string, any> }>;
+  /** Set when the persisted hash matched and nothing was fetched. */
+  skipped?: boolean;
+}
+
+export declare function syncCommands(bot: Bot, options?: SyncOptions): Promise<SyncPlan>;
+export declare function diffCommands(local: Array<Record<string, any>>, remote: Iterable<ApplicationCommand>): SyncPlan;
+export declare function buildPayloads(commands: Iterable<Command>): Array<Record<string, any>>;
+export declare function hashPayloads(payloads: Array<Record<string, any>>): string;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { toSlashJSON } = require('./slash');
+const logger = require('./logger');
+const db = require('./db');
+
+/**
+ * Builds the application command payloads for every slash and context menu command.
+ * @param {Iterable<object>} commands - The command objects.
+ * @returns {Array<object>} The payloads.
+ */
+function buildPayloads(commands) {
+  const payloads = [];
+  for (const cmd of commands) {
+    if (cmd.contextMenu) payloads.push({ name: cmd.name, type: cmd.type });
+    else if (cmd.slash) payloads.push({ type: 1, ...toSlashJSON(cmd) });
+  }
+  return payloads;
+}
+
+/**
+ * The commands to sync: the bot's registry, plus slash commands and context menus registered
+ * directly with the InteractionManager. The registry wins when both have a name.
+ * @private
+ */
+function syncedCommands(bot) {
+  const commands = [...bot.commands.values()];
+  const names = new Set(commands.map(cmd => cmd.name));
+  const manager = bot.interactionManager;
+  if (manager) {
+    for (const cmd of manager.slashCommands.values()) if (!names.has(cmd.name)) commands.push({ ...cmd, slash: true });
+    for (const menu of manager.contextMenus.values()) if (!names.has(menu.name)) commands.push({ ...menu, contextMenu: true });
+  }
+  return commands;
+}
+
+/**
+ * Stable JSON serialization (sorted object keys), so equal payloads hash equally.
+ * @private
+ */
+function stable(value) {
+  if (Array.isArray(value)) return `[${value.map(stable).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stable(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hashes a set of payloads, independent of command order.
+ * @param {Array<object>} payloads - The payloads.
+ * @returns {string} A hex digest.
+ */
+function hashPayloads(payloads) {
+  const sorted = [...payloads].sort((a, b) => `${a.type}:${a.name}`.localeCompare(`${b.type}:${b.name}`));
+  return crypto.createHash('sha256').update(stable(sorted)).digest('hex');
+}
+
+/**
+ * Compares local payloads with the commands currently registered on Discord.
+ * @param {Array<object>} local - The local payloads.
+ * @param {Iterable<import('discord.js').ApplicationCommand>} remote - The registered commands.
+ * @returns {{ added: Array<object>, changed: Array<{ id: string, payload: object }>, removed: Array<{ id: string, name: string }>, unchanged: Array<{ id: string, payload: object }> }}
+ */
+function diffCommands(local, remote) {
+  const byKey = new Map();
+  for (const command of remote) byKey.set(`${command.type}:${command.name}`, command);
+
+  const plan = { added: [], changed: [], removed: [], unchanged: [] };
+  for (const payload of local) {
+    const key = `${payload.type}:${payload.name}`;
+    const existing = byKey.get(key);
+    byKey.delete(key);
+    if (!existing) plan.added.push(payload);
+    else if (existing.equals(payload)) plan.unchanged.push({ id: existing.id, payload });
+    else plan.changed.push({ id: existing.id, payload });
+  }
+  for (const command of byKey.values()) plan.removed.push({ id: command.id, name: command.name });
+  return plan;
+}
+
+/**
+ * Logs a sync plan, one line per pending change.
+ * @private
+ */
+function logPlan(plan, scope, dryRun) {
+  const prefix = dryRun ? '[dry-run] ' : '';
+  for (const payload of plan.added) logger.info(`${prefix}+ create /${payload.name}`);
+  for (const { payload } of plan.changed) logger.info(`${prefix}~ update /${payload.name}`);
+  for (const { name } of plan.removed) logger.info(`${prefix}- delete /${name}`);
+  logger.info(`${prefix}Slash commands (${scope}): ${plan.added.length} to create, ${plan.changed.length} to update, ${plan.removed.length} to delete, ${plan.unchanged.length} unchanged.`);
+}
+
+/**
+ * Synchronizes the bot's slash and context menu commands with Discord. Registered commands
+ * are fetched and diffed against the local registry, and only the needed create, edit and
+ * delete calls are made. A hash of the deployed set is persisted, so an unchanged set
+ * skips the fetch on the next start. The IDs of deployed chat input commands are stored
+ * in `bot.commandIds` for `</name:id>` mentions.
+ *
+ * Must be called once the client is ready.
+ *
+ * @param {Bot} bot - The bot instance.
+ * @param {object} [options={}]
+ * @param {string|null} [options.guildId] - Sync to a guild instead of globally.
+ * @param {boolean} [options.dryRun=false] - Log and return the plan without applying it.
+ * @param {boolean} [options.force=false] - Ignore the persisted hash and always diff.
+ * @returns {Promise<object>} The plan, with `skipped: true` if the hash matched.
+ */
+async function syncCommands(bot, { guildId = null, dryRun = false, force = false } = {}) {
+  const scope = guildId ? `guild ${guildId}` : 'global';
+  const key = `slashSync.${guildId || 'global'}`;
+  const payloads = buildPayloads(syncedCommands(bot));
+  const hash = hashPayloads(payloads);
+  const stored = db.get(key);
+
+  if (!dryRun && !force && stored?.hash === hash) {
+    bot.commandIds = new Map(Object.entries(stored.ids || {}));
+    logger.info(`Slash commands (${scope}) are up to date.`);
+    return { added: [], changed: [], removed: [], unchanged: [], skipped: true };
+  }
+
+  const manager = bot.client.application.commands;
+  const remote = await manager.fetch({ guildId: guildId || undefined, withLocalizations: true });
+  const plan = diffCommands(payloads, remote.values());
+  logPlan(plan, scope, dryRun);
+  if (dryRun) return plan;
+
+  const ids = {};
+  const remember = (payload, id) => {
+    if (payload.type === 1) ids[payload.name] = id;
+  };
+  for (const { id, payload } of plan.unchanged) remember(payload, id);
+  for (const payload of plan.added) {
+    const created = await manager.create(payload, guildId || undefined);
+    remember(payload, created.id);
+  }
+  for (const { id, payload } of plan.changed) {
+    await manager.edit(id, payload, guildId || undefined);
+    remember(payload, id);
+  }
+  for (const { id } of plan.removed) await manager.delete(id, guildId || undefined);
+
+  await db.set(key, { hash, ids, syncedAt: Date.now() });
+  bot.commandIds = new Map(Object.entries(ids));
+  return plan;
+}
+
+module.exports = { syncCommands, diffCommands, buildPayloads, hashPayloads };
@@ -1,17 +1,100 @@
-export interface Stats {
-  commandsExecuted: number;
-  eventsProcessed: number;
-  messagesProcessed: number;
+export type Granularity = 'hourly' | 'daily';
+export type CommandOutcome = 'success' | 'error' | 'blocked';
+
+export interface AnalyticsOptions {
+  enabled?: boolean;
+  /** How often the rollups are written to the database: milliseconds or a duration string (default: '1m') */
+  flushInterval?: number | string;
+  /** How long buckets are kept; false keeps them forever (default: { hourly: '7d', daily: '90d' }) */
+  retention?: {
+    hourly?: number | string | false;
+    daily?: number | string | false;
+  };
+}
+
+export interface CommandEvent {
+  command: string;
+  userId: string;
+  /** Missing for DMs */
+  guildId?: string;
+  channelId?: string;
+  type?: 'slash' | 'prefix';
+  outcome?: CommandOutcome;
+  /** Milliseconds */
+  latency?: number;
+  timestamp?: number;
+}
+
+export interface AnalyticsFilter {
+  /** null for DMs */
+  guildId?: string | null;
+  command?: string;
+  /** A Date, a timestamp, or a duration ago such as '7d' */
+  since?: Date | number | string;
+  until?: Date | number | string;
+  /** Default: hourly when `since` is within the hourly retention, daily otherwise */
+  granularity?: Granularity;
+}
+
+export interface AnalyticsSummary {
+  count: number;
+  success: number;
   errors: number;
-  uptime: number;
-  startTime: number;
+  blocked: number;
+  slash: number;
+  prefix: number;
+  /** Errors per run, between 0 and 1 */
+  errorRate: number;
+  uniqueUsers: number;
+  avgLatency: number | null;
+  p95Latency: number | null;
 }
 
-export declare const stats: {
-  get(): Stats;
-  increment(key: keyof Stats, amount?: number): void;
-  reset(): void;
-  getUptime(): number;
+export interface AnalyticsRollup {
+  count: number;
+  success: number;
+  errors: number;
+  blocked: number;
+  slash: number;
+  prefix: number;
+  latency: { total: number; samples: number; max: number; histogram: number[] };
+  /** Uses by user ID */
+  users: Record<string, number>;
+  /** Uses by channel ID */
+  channels: Record<string, number>;
+}
+
+export declare const GRANULARITIES: Record<Granularity, number>;
+export declare const OUTCOMES: CommandOutcome[];
+export declare const LATENCY_BOUNDS: number[];
+
+export declare function normalize(config?: boolean | AnalyticsOptions): {
+  enabled: boolean;
+  flushInterval: number;
+  retention: { hourly: number | null; daily: number | null };
 };
+export declare function record(event: CommandEvent): void;
+export declare function topCommands(filter?: AnalyticsFilter & { limit?: number }): Array<{ command: string; count: number }>;
+export declare function errorRate(filter?: AnalyticsFilter): number;
+/** Rounded up to a histogram bucket bound */
+export declare function latencyPercentile(p?: number, filter?: AnalyticsFilter): number | null;
+export declare function uniqueUsers(filter?: AnalyticsFilter): number;
+export declare function summary(filter?: AnalyticsFilter): AnalyticsSummary;
+/** Raw totals that can be added up, e.g. across shards */
+export declare function rollup(filter?: AnalyticsFilter): AnalyticsRollup;
+export declare function mergeRollups(list: AnalyticsRollup[]): AnalyticsRollup;
+export declare function summarize(totals: AnalyticsRollup): AnalyticsSummary;
+export declare function timeSeries(filter?: AnalyticsFilter): Array<AnalyticsSummary & { time: Date }>;
+export declare function exportJSON(filter?: AnalyticsFilter): string;
+export declare function exportCSV(filter?: AnalyticsFilter): string;
+/** Returns the number of buckets dropped */
+export declare function prune(now?: number): number;
+export declare function flush(): Promise<void>;
+/** `key` is the dotted database key of the rollups (default: 'analytics') */
+export declare function start(config?: boolean | AnalyticsOptions, key?: string): void;
+export declare function stop(): Promise<void>;
 
-export default stats;
+/** @deprecated Commands are recorded by the `stats` middleware; use `record` */
+export declare function logCommand(cmd: string, userId: string): void;
+/** `[name, count]` pairs */
+export declare function getTopCommands(n?: number): Array<[string, number]>;
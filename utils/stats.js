@@ -1,30 +1,460 @@
+const db = require('./db');
+const time = require('./time');
+const logger = require('./logger');
+
 /**
- * A simple in-memory statistics tracker.
+ * Bucket sizes of the rollups, in milliseconds.
  * @type {object}
  */
-const stats = { commands: {}, users: {} };
+const GRANULARITIES = { hourly: 3600000, daily: 86400000 };
+
+/** Outcomes of a command use: it ran, it threw, or a check stopped it before it ran. */
+const OUTCOMES = ['success', 'error', 'blocked'];
+
+/**
+ * Upper bounds (ms) of the latency histogram buckets; one more bucket counts everything slower.
+ * @type {Array<number>}
+ */
+const LATENCY_BOUNDS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/** Guild key for uses outside a guild. */
+const DM = 'dm';
+
+const CSV_COLUMNS = ['granularity', 'time', 'guild', 'command', 'count', 'success', 'errors', 'blocked', 'slash', 'prefix', 'uniqueUsers', 'avgLatency', 'p95Latency'];
+
+let options = normalize();
+let storageKey = 'analytics';
+let data = null;
+let dirty = false;
+let timer = null;
+
+/**
+ * Normalizes the bot's `analytics` option: `false` to turn recording off, or
+ * `{ flushInterval, retention: { hourly, daily } }`, where times are milliseconds or duration
+ * strings and a retention of `false` keeps the rollups forever.
+ * @param {boolean|object} [config] - The `analytics` option.
+ * @returns {{ enabled: boolean, flushInterval: number, retention: { hourly: number|null, daily: number|null } }}
+ */
+function normalize(config = {}) {
+  const settings = config && typeof config === 'object' ? config : {};
+  const retention = { hourly: '7d', daily: '90d', ...settings.retention };
+  const ms = value => (value === false || value === null ? null : time.parseDuration(value));
+  return {
+    enabled: config !== false && settings.enabled !== false,
+    flushInterval: ms(settings.flushInterval ?? '1m') || 60000,
+    retention: { hourly: ms(retention.hourly), daily: ms(retention.daily) }
+  };
+}
+
+/**
+ * The rollups, loaded from the database on first use.
+ * @private
+ */
+function rollups() {
+  if (!data) {
+    data = db.get(storageKey) || {};
+    for (const granularity of Object.keys(GRANULARITIES)) data[granularity] ||= {};
+  }
+  return data;
+}
+
+/**
+ * Converts a time filter (a Date, a timestamp, or a duration string meaning "that long ago").
+ * @private
+ */
+function toTimestamp(value, now) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string') {
+    const ago = time.parseDuration(value);
+    if (ago === null) throw new Error(`Invalid time filter: ${value}`);
+    return now - ago;
+  }
+  return value;
+}
+
+/**
+ * A rollup entry with nothing counted yet.
+ * @private
+ */
+function emptyEntry() {
+  return {
+    count: 0, success: 0, errors: 0, blocked: 0, slash: 0, prefix: 0,
+    latency: { total: 0, samples: 0, max: 0, histogram: new Array(LATENCY_BOUNDS.length + 1).fill(0) },
+    users: {},
+    channels: {}
+  };
+}
+
+/**
+ * Records one command use into the hourly and daily rollups. Changes are written to the
+ * database by {@link flush}, which runs on an interval once {@link start} is called.
+ * @param {object} event - The command use.
+ * @param {string} event.command - The command name (`"config set"` for subcommands).
+ * @param {string} event.userId - The user ID.
+ * @param {string} [event.guildId] - The guild ID; missing for DMs.
+ * @param {string} [event.channelId] - The channel ID.
+ * @param {string} [event.type='prefix'] - 'slash' or 'prefix'.
+ * @param {string} [event.outcome='success'] - 'success', 'error' or 'blocked'.
+ * @param {number} [event.latency] - Milliseconds from receiving the command to finishing it.
+ * @param {number} [event.timestamp=Date.now()] - When the command was used.
+ */
+function record(event) {
+  if (!options.enabled) return;
+  const outcome = OUTCOMES.includes(event.outcome) ? event.outcome : 'success';
+  const timestamp = event.timestamp ?? Date.now();
+  const all = rollups();
+
+  for (const [granularity, size] of Object.entries(GRANULARITIES)) {
+    const bucket = String(Math.floor(timestamp / size) * size);
+    const guilds = (all[granularity][bucket] ||= {});
+    const commands = (guilds[event.guildId || DM] ||= {});
+    const entry = (commands[event.command] ||= emptyEntry());
+
+    entry.count++;
+    entry[outcome === 'error' ? 'errors' : outcome]++;
+    entry[event.type === 'slash' ? 'slash' : 'prefix']++;
+    if (event.userId) entry.users[event.userId] = (entry.users[event.userId] || 0) + 1;
+    if (event.channelId) entry.channels[event.channelId] = (entry.channels[event.channelId] || 0) + 1;
+    // Blocked uses never ran, so their latency says nothing about the command
+    if (outcome !== 'blocked' && typeof event.latency === 'number') {
+      const index = LATENCY_BOUNDS.findIndex(bound => event.latency <= bound);
+      entry.latency.histogram[index === -1 ? LATENCY_BOUNDS.length : index]++;
+      entry.latency.total += event.latency;
+      entry.latency.samples++;
+      entry.latency.max = Math.max(entry.latency.max, event.latency);
+    }
+  }
+  dirty = true;
+}
+
+/**
+ * Iterates the rollup entries matching a filter.
+ * @private
+ */
+function* select(filter = {}) {
+  const now = Date.now();
+  const since = toTimestamp(filter.since, now);
+  const until = toTimestamp(filter.until, now);
+  let granularity = filter.granularity;
+  if (!granularity) {
+    // Hourly rollups are finer but kept for less time
+    const kept = options.retention.hourly;
+    granularity = since !== null && (kept === null || now - since <= kept) ? 'hourly' : 'daily';
+  }
+  if (!GRANULARITIES[granularity]) throw new Error(`Unknown granularity: ${granularity}`);
+
+  const size = GRANULARITIES[granularity];
+  for (const [bucket, guilds] of Object.entries(rollups()[granularity])) {
+    const start = Number(bucket);
+    if (since !== null && start + size <= since) continue;
+    if (until !== null && start >= until) continue;
+    for (const [guildId, commands] of Object.entries(guilds)) {
+      if (filter.guildId !== undefined && guildId !== (filter.guildId || DM)) continue;
+      for (const [command, entry] of Object.entries(commands)) {
+        if (filter.command !== undefined && command !== filter.command) continue;
+        yield { granularity, time: start, guildId, command, entry };
+      }
+    }
+  }
+}
+
+/**
+ * Adds up rollup entries.
+ * @private
+ */
+function merge(entries) {
+  const total = emptyEntry();
+  for (const entry of entries) {
+    for (const key of ['count', 'success', 'errors', 'blocked', 'slash', 'prefix']) total[key] += entry[key];
+    total.latency.total += entry.latency.total;
+    total.latency.samples += entry.latency.samples;
+    total.latency.max = Math.max(total.latency.max, entry.latency.max);
+    entry.latency.histogram.forEach((n, i) => { total.latency.histogram[i] += n; });
+    for (const [id, n] of Object.entries(entry.users)) total.users[id] = (total.users[id] || 0) + n;
+    for (const [id, n] of Object.entries(entry.channels)) total.channels[id] = (total.channels[id] || 0) + n;
+  }
+  return total;
+}
+
+/**
+ * A latency percentile from a histogram: the upper bound of the bucket it falls in, capped at
+ * the slowest use seen.
+ * @private
+ */
+function percentileOf(latency, p) {
+  if (!latency.samples) return null;
+  const target = Math.max(1, Math.ceil((p / 100) * latency.samples));
+  let seen = 0;
+  for (let i = 0; i < latency.histogram.length; i++) {
+    seen += latency.histogram[i];
+    if (seen >= target) return Math.min(LATENCY_BOUNDS[i] ?? latency.max, latency.max);
+  }
+  return latency.max;
+}
+
+/**
+ * Summarizes a merged entry.
+ * @private
+ */
+function describe(entry) {
+  const ran = entry.success + entry.errors;
+  return {
+    count: entry.count,
+    success: entry.success,
+    errors: entry.errors,
+    blocked: entry.blocked,
+    slash: entry.slash,
+    prefix: entry.prefix,
+    errorRate: ran ? entry.errors / ran : 0,
+    uniqueUsers: Object.keys(entry.users).length,
+    avgLatency: entry.latency.samples ? Math.round(entry.latency.total / entry.latency.samples) : null,
+    p95Latency: percentileOf(entry.latency, 95)
+  };
+}
+
+/**
+ * The most used commands.
+ * @param {object} [filter] - `{ guildId, since, until, granularity, limit }`; `since` and `until`
+ *   are Dates, timestamps or durations ago (`'7d'`), `guildId` null for DMs.
+ * @returns {Array<{ command: string, count: number }>} The top commands, most used first (default: 10).
+ */
+function topCommands(filter = {}) {
+  const counts = new Map();
+  for (const { command, entry } of select(filter)) counts.set(command, (counts.get(command) || 0) + entry.count);
+  return [...counts]
+    .map(([command, count]) => ({ command, count }))
+    .sort((a, b) => b.count - a.count || a.command.localeCompare(b.command))
+    .slice(0, filter.limit ?? 10);
+}
+
+/**
+ * The share of command runs that threw. Blocked uses are not counted as runs.
+ * @param {object} [filter] - `{ guildId, command, since, until, granularity }`.
+ * @returns {number} Between 0 and 1.
+ */
+function errorRate(filter = {}) {
+  return describe(merge([...select(filter)].map(r => r.entry))).errorRate;
+}
+
+/**
+ * A latency percentile of command runs, from the rollup histograms, so it is rounded up to a
+ * bucket bound (10, 25, 50, 100, 250, 500ms, 1, 2.5, 5 or 10s).
+ * @param {number} [p=95] - The percentile.
+ * @param {object} [filter] - `{ guildId, command, since, until, granularity }`.
+ * @returns {number|null} Milliseconds, or null without any runs.
+ */
+function latencyPercentile(p = 95, filter = {}) {
+  return percentileOf(merge([...select(filter)].map(r => r.entry)).latency, p);
+}
+
+/**
+ * The number of distinct users that used commands.
+ * @param {object} [filter] - `{ guildId, command, since, until, granularity }`.
+ * @returns {number}
+ */
+function uniqueUsers(filter = {}) {
+  const users = new Set();
+  for (const { entry } of select(filter)) Object.keys(entry.users).forEach(id => users.add(id));
+  return users.size;
+}
+
+/**
+ * Totals for everything matching a filter.
+ * @param {object} [filter] - `{ guildId, command, since, until, granularity }`.
+ * @returns {object} `{ count, success, errors, blocked, slash, prefix, errorRate, uniqueUsers, avgLatency, p95Latency }`.
+ */
+function summary(filter = {}) {
+  return describe(merge([...select(filter)].map(r => r.entry)));
+}
+
+/**
+ * The raw totals (counts, latency histogram, user and channel IDs) for everything matching a
+ * filter. Unlike {@link summary}, these can be added up with {@link mergeRollups}, e.g. across
+ * shards.
+ * @param {object} [filter] - `{ guildId, command, since, until, granularity }`.
+ * @returns {object}
+ */
+function rollup(filter = {}) {
+  return merge([...select(filter)].map(r => r.entry));
+}
+
+/**
+ * Adds up raw totals from {@link rollup}.
+ * @param {Array<object>} list - The totals.
+ * @returns {object}
+ */
+function mergeRollups(list) {
+  return merge(list);
+}
+
+/**
+ * Summarizes raw totals from {@link rollup} like {@link summary} does.
+ * @param {object} totals - The totals.
+ * @returns {object}
+ */
+function summarize(totals) {
+  return describe(totals);
+}
+
+/**
+ * Totals per bucket, oldest first.
+ * @param {object} [filter] - `{ guildId, command, since, until, granularity }`.
+ * @returns {Array<object>} `{ time, ...summary }` per bucket, `time` being the bucket start.
+ */
+function timeSeries(filter = {}) {
+  const buckets = new Map();
+  for (const { time: start, entry } of select(filter)) {
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(entry);
+  }
+  return [...buckets]
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, entries]) => ({ time: new Date(start), ...describe(merge(entries)) }));
+}
+
+/**
+ * One row per bucket, guild and command.
+ * @private
+ */
+function rows(filter) {
+  return [...select(filter)]
+    .sort((a, b) => a.time - b.time || a.guildId.localeCompare(b.guildId) || a.command.localeCompare(b.command))
+    .map(({ granularity, time: start, guildId, command, entry }) => {
+      const { errorRate: _, ...totals } = describe(entry);
+      return { granularity, time: new Date(start).toISOString(), guild: guildId, command, ...totals };
+    });
+}
+
+/**
+ * Exports the rollups as JSON: an array of rows with the same fields as the CSV columns.
+ * @param {object} [filter] - `{ guildId, command, since, until, granularity }`.
+ * @returns {string}
+ */
+function exportJSON(filter = {}) {
+  return JSON.stringify(rows(filter), null, 2);
+}
+
+/**
+ * Exports the rollups as CSV, one row per bucket, guild and command.
+ * @param {object} [filter] - `{ guildId, command, since, until, granularity }`.
+ * @returns {string}
+ */
+function exportCSV(filter = {}) {
+  const escape = value => {
+    const text = value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = rows(filter).map(row => CSV_COLUMNS.map(column => escape(row[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...lines].join('\n');
+}
+
+/**
+ * Drops the buckets older than the retention policy.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {number} The number of buckets dropped.
+ */
+function prune(now = Date.now()) {
+  let dropped = 0;
+  const all = rollups();
+  for (const [granularity, size] of Object.entries(GRANULARITIES)) {
+    const kept = options.retention[granularity];
+    if (kept === null) continue;
+    for (const bucket of Object.keys(all[granularity])) {
+      if (Number(bucket) + size <= now - kept) {
+        delete all[granularity][bucket];
+        dropped++;
+      }
+    }
+  }
+  if (dropped) dirty = true;
+  return dropped;
+}
+
+/**
+ * Prunes old buckets and writes the rollups to the database if anything changed.
+ * @returns {Promise<void>}
+ */
+async function flush() {
+  prune();
+  if (!dirty) return;
+  dirty = false;
+  try {
+    await db.set(storageKey, rollups());
+  } catch (err) {
+    dirty = true;
+    logger.error('Failed to write command analytics:', err);
+  }
+}
+
+/**
+ * Applies the `analytics` option and starts writing the rollups on an interval. Call after
+ * `db.init()`.
+ * @param {boolean|object} [config] - The `analytics` option (see {@link normalize}).
+ * @param {string} [key='analytics'] - The dotted database key of the rollups; shards use their own.
+ */
+function start(config, key = 'analytics') {
+  options = normalize(config);
+  storageKey = key;
+  // Reload from the database unless uses were already recorded in memory
+  if (!dirty) data = null;
+  if (timer) clearInterval(timer);
+  timer = null;
+  if (!options.enabled) return;
+  timer = setInterval(() => flush(), options.flushInterval);
+  timer.unref?.();
+}
+
+/**
+ * Stops the flush interval and writes what is left.
+ * @returns {Promise<void>}
+ */
+async function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  await flush();
+}
 
 /**
  * Logs the usage of a command by a user.
+ * @deprecated The `stats` middleware records every command with its outcome; use {@link record}.
  * @param {string} cmd - The name of the command.
  * @param {string} userId - The ID of the user.
  */
 function logCommand(cmd, userId) {
-  stats.commands[cmd] = (stats.commands[cmd] || 0) + 1;
-  stats.users[userId] = (stats.users[userId] || 0) + 1;
+  record({ command: cmd, userId });
 }
 
 /**
  * Gets the most used commands.
  * @param {number} [n=5] - The number of commands to return.
- * @returns {Array<Array<string|number>>} The top commands.
+ * @returns {Array<Array<string|number>>} `[name, count]` pairs, most used first.
  */
 function getTopCommands(n = 5) {
-  return Object.entries(stats.commands)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, n);
+  return topCommands({ granularity: 'daily', limit: n }).map(({ command, count }) => [command, count]);
 }
 
-module.exports = { logCommand, getTopCommands };
-
-
+module.exports = {
+  GRANULARITIES,
+  OUTCOMES,
+  LATENCY_BOUNDS,
+  normalize,
+  record,
+  topCommands,
+  errorRate,
+  latencyPercentile,
+  uniqueUsers,
+  summary,
+  rollup,
+  mergeRollups,
+  summarize,
+  timeSeries,
+  exportJSON,
+  exportCSV,
+  prune,
+  flush,
+  start,
+  stop,
+  logCommand,
+  getTopCommands
+};
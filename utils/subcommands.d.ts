@@ -0,0 +1,19 @@
+import { Command } from '../Bot';
+
+export interface Subcommand extends Partial<Command> {
+  name: string;
+  description?: string;
+  /** Present on subcommand groups instead of `run`. */
+  subcommands?: Subcommand[];
+}
+
+export interface ResolvedSubcommand extends Command {
+  subcommand: string;
+  subcommandGroup: string | null;
+  root: Command;
+}
+
+export declare function resolveSubcommand(cmd: Command, ctx: any): Command | ResolvedSubcommand | null;
+export declare function buildLeaf(root: Command, group: Subcommand | null, sub: Subcommand): ResolvedSubcommand;
+export declare function listSubcommands(cmd: Command): string[];
+export declare function isGroup(entry: Subcommand): boolean;
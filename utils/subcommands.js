@@ -0,0 +1,139 @@
+const { scan } = require('./args');
+
+/**
+ * Command properties a subcommand inherits from its parent unless it sets its own.
+ * @type {Array<string>}
+ */
+const INHERITED = ['category', 'plugin', 'slash', 'guildOnly', 'nsfwOnly', 'devOnly', 'prompt', 'before', 'after', 'onError'];
+
+/**
+ * Whether a subcommand entry is a group of further subcommands.
+ * @param {object} entry - A `subcommands` entry.
+ * @returns {boolean}
+ */
+function isGroup(entry) {
+  return Array.isArray(entry.subcommands) && typeof entry.run !== 'function';
+}
+
+/**
+ * Finds a subcommand (or group) by name or alias.
+ * @private
+ */
+function find(entries, name) {
+  if (!name) return null;
+  const needle = name.toLowerCase();
+  return entries.find(e => e.name === needle || (e.aliases && e.aliases.includes(needle))) || null;
+}
+
+/**
+ * Builds the runnable command object for a subcommand. Permissions and middleware from every
+ * level are combined; cooldowns, args and help text come from the subcommand itself.
+ * @param {object} root - The top-level command.
+ * @param {object|null} group - The subcommand group, if any.
+ * @param {object} sub - The subcommand definition.
+ * @returns {object} The resolved command.
+ */
+function buildLeaf(root, group, sub) {
+  const leaf = {};
+  for (const key of INHERITED) {
+    if (root[key] !== undefined) leaf[key] = root[key];
+    if (group && group[key] !== undefined) leaf[key] = group[key];
+  }
+  const permissions = [root.permissions, group?.permissions, sub.permissions]
+    .filter(Boolean)
+    .flat();
+  const middleware = [root.middleware, group?.middleware, sub.middleware]
+    .filter(Boolean)
+    .flat();
+
+  return {
+    ...leaf,
+    ...sub,
+    name: [root.name, group?.name, sub.name].filter(Boolean).join(' '),
+    subcommand: sub.name,
+    subcommandGroup: group?.name || null,
+    root,
+    permissions: permissions.length ? [...new Set(permissions)] : undefined,
+    middleware: middleware.length ? middleware : undefined
+  };
+}
+
+/**
+ * Drops the first token from a prefix context's arguments.
+ * @private
+ */
+function shiftToken(ctx) {
+  ctx.args.shift();
+  if (ctx.argString != null) {
+    const tokens = scan(ctx.argString);
+    ctx.argString = tokens.length > 1 ? ctx.argString.slice(tokens[1].start) : '';
+  }
+}
+
+/**
+ * Resolves which subcommand of a command the context is invoking. For slash commands
+ * this reads the interaction's subcommand (group); for prefix commands it consumes the
+ * leading argument(s), e.g. `!filter add word`.
+ *
+ * Sets `ctx.command`, `ctx.subcommand` and `ctx.subcommandGroup`.
+ *
+ * @param {object} cmd - The top-level command.
+ * @param {Ctx} ctx - The command context.
+ * @returns {object|null} The command to run, the command itself if it has no subcommands
+ *   (or none was given and it has its own `run`), or null if no subcommand matched.
+ */
+function resolveSubcommand(cmd, ctx) {
+  ctx.command = cmd;
+  if (!Array.isArray(cmd.subcommands) || !cmd.subcommands.length) return cmd;
+
+  let groupName;
+  let subName;
+  if (ctx.isInteraction) {
+    groupName = ctx.raw.options.getSubcommandGroup?.(false);
+    subName = ctx.raw.options.getSubcommand?.(false);
+  } else {
+    groupName = ctx.args[0];
+    subName = ctx.args[1];
+  }
+
+  let group = null;
+  let sub = find(cmd.subcommands, ctx.isInteraction ? (groupName || subName) : groupName);
+  if (sub && isGroup(sub)) {
+    group = sub;
+    sub = find(group.subcommands, subName);
+    if (!sub) return null;
+    if (!ctx.isInteraction) {
+      shiftToken(ctx);
+      shiftToken(ctx);
+    }
+  } else if (sub) {
+    if (!ctx.isInteraction) shiftToken(ctx);
+  } else {
+    return typeof cmd.run === 'function' ? cmd : null;
+  }
+
+  const leaf = buildLeaf(cmd, group, sub);
+  ctx.command = leaf;
+  ctx.subcommand = sub.name;
+  ctx.subcommandGroup = group?.name || null;
+  return leaf;
+}
+
+/**
+ * Lists the invocable subcommand paths of a command, e.g. `['add', 'remove', 'rules list']`.
+ * @param {object} cmd - The command object.
+ * @returns {Array<string>} The subcommand paths.
+ */
+function listSubcommands(cmd) {
+  const paths = [];
+  for (const entry of cmd.subcommands || []) {
+    if (isGroup(entry)) {
+      for (const sub of entry.subcommands) paths.push(`${entry.name} ${sub.name}`);
+    } else {
+      paths.push(entry.name);
+    }
+  }
+  return paths;
+}
+
+module.exports = { resolveSubcommand, buildLeaf, listSubcommands, isGroup };
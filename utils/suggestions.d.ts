@@ -0,0 +1,20 @@
+import { CooldownConfig } from './cooldowns';
+
+export type SuggestionMode = 'on' | 'silent' | 'off';
+
+export interface SuggestionOptions {
+  /** Default: 'on' */
+  mode?: SuggestionMode;
+  /** Per-user rate limit for suggestions, as a cooldown config (default: '10s') */
+  cooldown?: CooldownConfig | false;
+  /** Number of commands suggested (default: 3) */
+  max?: number;
+}
+
+export declare const MODES: SuggestionMode[];
+
+/** Edit distance, counting swaps of adjacent characters as 1 */
+export declare function distance(a: string, b: string): number;
+/** Lower is closer; null if the candidate is too far off */
+export declare function score(input: string, candidate: string): number | null;
+export declare function closest(input: string, candidates: Iterable<string>, max?: number): string[];
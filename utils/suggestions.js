@@ -0,0 +1,65 @@
+/**
+ * Suggestion modes: `on` replies with the closest commands, `silent` does the same without
+ * pinging the user or sending a notification, `off` ignores unknown commands.
+ */
+const MODES = ['on', 'silent', 'off'];
+
+/**
+ * Edit distance between two strings (optimal string alignment: insertions, deletions,
+ * substitutions and swaps of adjacent characters each cost 1).
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number}
+ */
+function distance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Scores how close a candidate is to the input, lower is closer. A candidate that starts
+ * with the input (`"pi"` -> `"ping"`) scores below any typo.
+ * @param {string} input - What the user typed.
+ * @param {string} candidate - A command name or alias.
+ * @returns {number|null} The score, or null if the candidate is too far off.
+ */
+function score(input, candidate) {
+  if (input.length >= 2 && candidate.startsWith(input)) return 0.5;
+  const d = distance(input, candidate);
+  return d <= Math.max(1, Math.floor(input.length / 3)) ? d : null;
+}
+
+/**
+ * Finds the candidates closest to the input.
+ * @param {string} input - What the user typed.
+ * @param {Iterable<string>} candidates - Command names and aliases.
+ * @param {number} [max=3] - The number of results.
+ * @returns {Array<string>} The closest candidates, closest first.
+ */
+function closest(input, candidates, max = 3) {
+  const scored = [];
+  for (const candidate of new Set(candidates)) {
+    const s = score(input, candidate);
+    if (s !== null) scored.push({ candidate, s });
+  }
+  return scored
+    .sort((a, b) => a.s - b.s || a.candidate.localeCompare(b.candidate))
+    .slice(0, max)
+    .map(entry => entry.candidate);
+}
+
+module.exports = { MODES, distance, score, closest };
@@ -4,6 +4,11 @@ export interface TimeUtilities {
    */
   parse(duration: string): number;
 
+  /**
+   * Parse a compound duration string (e.g., "1h30m", "2d 4h") to milliseconds, or null if invalid
+   */
+  parseDuration(duration: string | number): number | null;
+
   /**
    * Format milliseconds to a human-readable string
    */
@@ -1,3 +1,16 @@
+/**
+ * Multipliers for the units accepted by {@link parseDuration}.
+ * @type {object}
+ */
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
 /**
  * Parses a time string into milliseconds.
  * @param {string|number} str - The time string to parse.
@@ -18,6 +31,44 @@ function parse(str) {
   }
 }
 
-module.exports = { parse };
+/**
+ * Parses a compound duration such as "1h30m" or "2d 4h" into milliseconds.
+ * @param {string|number} str - The duration to parse.
+ * @returns {number|null} The duration in milliseconds, or null if the string is not a valid duration.
+ */
+function parseDuration(str) {
+  if (typeof str === "number") return Number.isFinite(str) ? str : null;
+  if (typeof str !== "string") return null;
+  const input = str.trim().toLowerCase();
+  if (!input) return null;
+  if (/^\d+$/.test(input)) return parseInt(input);
+
+  if (!/^(\d+\s*(ms|s|m|h|d|w)\s*)+$/.test(input)) return null;
 
+  let total = 0;
+  for (const [, amount, unit] of input.matchAll(/(\d+)\s*(ms|s|m|h|d|w)/g)) {
+    total += parseInt(amount) * UNITS[unit];
+  }
+  return total > 0 ? total : null;
+}
+
+/**
+ * Formats milliseconds as a short human-readable string, e.g. "1h 30m".
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function format(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  const parts = [];
+  let rest = ms;
+  for (const unit of ["w", "d", "h", "m", "s"]) {
+    const n = Math.floor(rest / UNITS[unit]);
+    if (n) {
+      parts.push(`${n}${unit}`);
+      rest -= n * UNITS[unit];
+    }
+  }
+  return parts.join(" ");
+}
 
+module.exports = { parse, parseDuration, format };